@@ -37,7 +37,19 @@ function copyExtensionFiles(targetDir) {
   fs.mkdirSync(targetDir, { recursive: true });
 
   // Files and directories to copy
-  const items = ['background.js', 'contentScript.js', 'config.js', 'icons', 'modules'];
+  const items = [
+    'background.js',
+    'contentScript.js',
+    'config.js',
+    'popup.html',
+    'popup.js',
+    'devtools.html',
+    'devtools.js',
+    'panel.html',
+    'panel.js',
+    'icons',
+    'modules'
+  ];
 
   items.forEach(item => {
     const src = path.join(EXTENSION_DIR, item);
@@ -2,14 +2,16 @@
  * @fileoverview Accessibility Highlighter - Background Service Worker
  *
  * This service worker manages the extension's lifecycle and state. It handles:
- * - Extension icon clicks to toggle accessibility checking on/off
- * - State persistence using Chrome storage API
+ * - Toggle requests from the popup and keyboard shortcut to turn checking on/off in a tab
+ * - Per-tab state persistence using Chrome storage API, cleared when tabs close
+ * - Per-tab badge showing the number of issues found, colored by severity
+ * - A "Check this element" context menu item that scans the clicked element
  * - Communication with content scripts via message passing
  * - Dynamic icon updates to reflect current state
  * - Extension installation and update events
  *
  * The service worker runs persistently in the background and coordinates
- * between the browser action and content scripts running on web pages.
+ * between the popup, the browser action and content scripts running on web pages.
  *
  * @author AFixt
  * @version 1.0.1
@@ -29,11 +31,6 @@
  * @property {boolean} active - Whether the tab is active
  */
 
-/**
- * @typedef {Object} StorageResult
- * @property {boolean} [isEnabled] - Whether the extension is enabled
- */
-
 /**
  * @typedef {Object} ExtensionMessage
  * @property {string} action - The action to perform
@@ -74,127 +71,386 @@ async function getCurrentTab() {
 }
 
 /**
- * Toggles the accessibility highlighter state.
- * Shared function used by both click and keyboard shortcut handlers.
+ * @typedef {Object} TabState
+ * @property {boolean} isEnabled - Whether highlighting is enabled in the tab
+ * @property {number} errors - Number of errors found by the last scan
+ * @property {number} warnings - Number of warnings found by the last scan
+ */
+
+/**
+ * Prefix of the storage keys holding the state of each tab, e.g. 'tabState:42'.
+ * Each tab has its own key so updates from different tabs can't overwrite
+ * each other.
+ */
+const TAB_STATE_KEY_PREFIX = 'tabState:';
+
+/** Badge colors by severity of the worst finding in the tab. */
+const BADGE_COLORS = {
+  error: '#dc3545',
+  warning: '#b35900',
+  clean: '#28a745'
+};
+
+/**
+ * Gets the storage area for per-tab state.
+ * Session storage is cleared with the browser session, like the tabs it
+ * describes, and survives service worker restarts; local storage is the
+ * fallback on browsers without it.
+ * @function getTabStateStorage
+ * @returns {chrome.storage.StorageArea} The storage area to use
+ */
+function getTabStateStorage() {
+  return chrome.storage.session || chrome.storage.local;
+}
+
+/**
+ * Gets the storage key of a tab's state.
+ * @function getTabStateKey
+ * @param {number} tabId - The tab ID
+ * @returns {string} The storage key
+ */
+function getTabStateKey(tabId) {
+  return `${TAB_STATE_KEY_PREFIX}${tabId}`;
+}
+
+/**
+ * Gets the state of a tab. Tabs start disabled with no findings.
+ * @async
+ * @function getTabState
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<TabState>} The tab's state
+ */
+async function getTabState(tabId) {
+  const key = getTabStateKey(tabId);
+  let stored = null;
+
+  try {
+    const result = await getTabStateStorage().get([key]);
+    stored = result && result[key];
+  } catch (error) {
+    console.error('Error getting tab state:', error);
+  }
+
+  return {
+    isEnabled: false,
+    errors: 0,
+    warnings: 0,
+    ...(stored && typeof stored === 'object' ? stored : {})
+  };
+}
+
+/**
+ * Updates the state of a tab and refreshes its toolbar icon and badge.
  * @async
- * @function toggleAccessibilityState
+ * @function setTabState
+ * @param {number} tabId - The tab ID
+ * @param {Partial<TabState>} changes - The state properties to change
+ * @returns {Promise<TabState>} The tab's new state
+ */
+async function setTabState(tabId, changes) {
+  const state = { ...(await getTabState(tabId)), ...changes };
+
+  try {
+    await getTabStateStorage().set({ [getTabStateKey(tabId)]: state });
+  } catch (error) {
+    console.error('Error saving tab state:', error);
+  }
+
+  updateActionForTab(tabId, state);
+  return state;
+}
+
+/**
+ * Removes the stored state of a tab.
+ * @async
+ * @function clearTabState
+ * @param {number} tabId - The tab ID
+ * @returns {Promise<void>}
+ */
+async function clearTabState(tabId) {
+  try {
+    await getTabStateStorage().remove(getTabStateKey(tabId));
+  } catch (error) {
+    console.error('Error clearing tab state:', error);
+  }
+}
+
+/**
+ * Gets the badge text and color for a tab's state: the error count in red,
+ * otherwise the warning count in orange, or 0 in green for a clean page.
+ * @function getBadgeForState
+ * @param {TabState} state - The tab's state
+ * @returns {{text: string, color: string}} The badge text and background color
+ */
+function getBadgeForState(state) {
+  if (!state.isEnabled) {
+    return { text: '', color: BADGE_COLORS.clean };
+  }
+
+  const format = count => (count > 999 ? '999+' : String(count));
+  if (state.errors > 0) {
+    return { text: format(state.errors), color: BADGE_COLORS.error };
+  }
+  if (state.warnings > 0) {
+    return { text: format(state.warnings), color: BADGE_COLORS.warning };
+  }
+  return { text: '0', color: BADGE_COLORS.clean };
+}
+
+/**
+ * Updates the toolbar icon, title and badge of a tab to reflect its state.
+ * @function updateActionForTab
+ * @param {number} tabId - The tab ID
+ * @param {TabState} state - The tab's state
  * @returns {void}
  */
-async function toggleAccessibilityState() {
-  chrome.storage.local
-    .get(['isEnabled'])
-    .then(result => {
-      // Validate storage result
-      if (!result || typeof result !== 'object') {
-        console.error('Invalid storage result:', result);
-        return;
+function updateActionForTab(tabId, state) {
+  const { isEnabled, errors, warnings } = state;
+  const badge = getBadgeForState(state);
+
+  try {
+    chrome.action.setIcon({
+      tabId,
+      path: {
+        16: isEnabled ? 'icons/icon-16.png' : 'icons/icon-disabled-16.png',
+        48: isEnabled ? 'icons/icon-48.png' : 'icons/icon-disabled-48.png',
+        128: isEnabled ? 'icons/icon-128.png' : 'icons/icon-disabled-128.png'
       }
+    });
 
-      // Validate and toggle isEnabled (default to false if not set)
-      const currentState = result.isEnabled === true;
-      const newState = !currentState;
-      console.log(`Toggling state from ${currentState} to ${newState}`);
-
-      chrome.storage.local
-        .set({ isEnabled: newState })
-        .then(() => {
-          console.log(`Extension is now ${newState ? 'enabled' : 'disabled'}.`);
-
-          // Update the extension icon based on the current state
-          chrome.action.setIcon({
-            path: {
-              16: newState ? 'icons/icon-16.png' : 'icons/icon-disabled-16.png',
-              48: newState ? 'icons/icon-48.png' : 'icons/icon-disabled-48.png',
-              128: newState ? 'icons/icon-128.png' : 'icons/icon-disabled-128.png'
-            }
-          });
-
-          // Update the title for accessibility (screen readers)
-          chrome.action.setTitle({
-            title: newState
-              ? 'Accessibility Highlighter (ON) - Click to disable accessibility checking'
-              : 'Accessibility Highlighter (OFF) - Click to enable accessibility checking'
-          });
-
-          // Set badge text for visual indication
-          chrome.action.setBadgeText({
-            text: newState ? 'ON' : 'OFF'
-          });
-
-          // Set badge background color based on state
-          chrome.action.setBadgeBackgroundColor({
-            color: newState ? '#28a745' : '#dc3545' // Green for on, red for off
-          });
-
-          // Send a message to the active tab in the current window
-          getCurrentTab()
-            .then(activeTab => {
-              if (activeTab && activeTab.id) {
-                // Validate tab has valid ID
-                if (typeof activeTab.id !== 'number' || activeTab.id < 0) {
-                  console.error('Invalid tab ID:', activeTab.id);
-                  return;
-                }
-
-                /** @type {ExtensionMessage} */
-                const message = { action: 'toggleAccessibilityHighlight', isEnabled: newState };
-
-                chrome.tabs.sendMessage(
-                  activeTab.id,
-                  message,
-                  /**
-                   * Handles the response from content script message.
-                   * @param {string} response - Response from content script
-                   * @returns {void}
-                   */
-                  response => {
-                    if (chrome.runtime.lastError) {
-                      // Handle any errors that occur during messaging
-                      console.warn(
-                        `Could not send message to tab ${activeTab.id}: ${chrome.runtime.lastError.message}`
-                      );
-                    } else {
-                      // Optionally handle the response from the content script
-                      console.log('Response from content script:', response);
-                    }
-                  }
-                );
-              } else {
-                console.warn('No active tab found');
-              }
-            })
-            .catch(error => {
-              console.error('Error getting current tab:', error);
-            });
-        })
-        .catch(error => {
-          console.error('Error setting storage:', error);
-        });
-    })
-    .catch(error => {
-      console.error('Error getting storage:', error);
+    // Update the title for accessibility (screen readers)
+    chrome.action.setTitle({
+      tabId,
+      title: isEnabled
+        ? `Accessibility Highlighter (ON) - ${errors} errors, ${warnings} warnings`
+        : 'Accessibility Highlighter (OFF)'
     });
+
+    chrome.action.setBadgeText({ tabId, text: badge.text });
+    chrome.action.setBadgeBackgroundColor({ tabId, color: badge.color });
+  } catch (error) {
+    console.error('Error updating action for tab:', error);
+  }
 }
 
 /**
- * Handles browser action click events to toggle accessibility highlighting.
+ * Toggles the accessibility highlighter state of a tab.
+ * Shared function used by both the popup and keyboard shortcut handlers.
+ * @async
+ * @function toggleAccessibilityState
+ * @param {Tab} [tab] - The tab to toggle; defaults to the active tab
+ * @returns {Promise<TabState|null>} The tab's new state, or null if it couldn't be toggled
+ */
+async function toggleAccessibilityState(tab) {
+  try {
+    const targetTab = tab && typeof tab.id === 'number' ? tab : await getCurrentTab();
+    if (!targetTab) {
+      console.warn('No active tab found');
+      return null;
+    }
+
+    // Validate tab has valid ID
+    if (typeof targetTab.id !== 'number' || targetTab.id < 0) {
+      console.error('Invalid tab ID:', targetTab.id);
+      return null;
+    }
+
+    const currentState = (await getTabState(targetTab.id)).isEnabled;
+    const newState = !currentState;
+    console.log(`Toggling state of tab ${targetTab.id} from ${currentState} to ${newState}`);
+
+    // Findings are reported again by the content script once its scan finishes
+    const state = await setTabState(targetTab.id, { isEnabled: newState, errors: 0, warnings: 0 });
+
+    /** @type {ExtensionMessage} */
+    const message = { action: 'toggleAccessibilityHighlight', isEnabled: newState };
+
+    chrome.tabs.sendMessage(
+      targetTab.id,
+      message,
+      /**
+       * Handles the response from content script message.
+       * @param {string} response - Response from content script
+       * @returns {void}
+       */
+      response => {
+        if (chrome.runtime.lastError) {
+          // Handle any errors that occur during messaging
+          console.warn(
+            `Could not send message to tab ${targetTab.id}: ${chrome.runtime.lastError.message}`
+          );
+        } else {
+          console.log('Response from content script:', response);
+        }
+      }
+    );
+
+    return state;
+  } catch (error) {
+    console.error('Error toggling accessibility state:', error);
+    return null;
+  }
+}
+
+/** ID of the context menu item that scans the element it was opened on. */
+const CHECK_ELEMENT_MENU_ID = 'check-element';
+
+/**
+ * Turns highlighting on in a tab and scans only the element the context menu
+ * was opened on. The other frames of the tab clear their findings, as they
+ * are outside the region.
+ * @async
+ * @function scanContextMenuTarget
+ * @param {number} tabId - The tab ID
+ * @param {number} frameId - ID of the frame the menu was opened in, 0 for the top frame
+ * @returns {Promise<void>}
+ */
+async function scanContextMenuTarget(tabId, frameId) {
+  try {
+    await setTabState(tabId, { isEnabled: true, errors: 0, warnings: 0 });
+
+    const reportError = () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Could not send message to tab ${tabId}: ${chrome.runtime.lastError.message}`);
+      }
+    };
+    chrome.tabs.sendMessage(
+      tabId,
+      { action: 'toggleAccessibilityHighlight', isEnabled: false },
+      reportError
+    );
+    chrome.tabs.sendMessage(tabId, { action: 'scanRegion' }, { frameId }, reportError);
+  } catch (error) {
+    console.error('Error scanning context menu target:', error);
+  }
+}
+
+/**
+ * Handles clicks on the context menu item.
  * @function
+ * @param {chrome.contextMenus.OnClickData} info - The clicked item and frame
+ * @param {Tab} [tab] - The tab the menu was opened in
  * @returns {void}
  */
-chrome.action.onClicked.addListener(() => {
-  toggleAccessibilityState();
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId !== CHECK_ELEMENT_MENU_ID || !tab || typeof tab.id !== 'number') {
+    return;
+  }
+  scanContextMenuTarget(tab.id, Number.isInteger(info.frameId) ? info.frameId : 0);
 });
 
 /**
  * Handles keyboard command events to toggle accessibility highlighting.
  * @function
  * @param {string} command - The command name from manifest
+ * @param {Tab} [tab] - The active tab, when available
  * @returns {void}
  */
-chrome.commands.onCommand.addListener(command => {
+chrome.commands.onCommand.addListener((command, tab) => {
   if (command === 'toggle-accessibility') {
-    toggleAccessibilityState();
+    toggleAccessibilityState(tab);
+  }
+});
+
+/**
+ * Handles messages from content scripts and the popup.
+ * Content scripts act on their own tab; the popup passes a tabId.
+ * - getTabState: replies with the tab's state
+ * - toggleTab: toggles highlighting in the tab and replies with its new state
+ * - scanResults: stores the sender tab's error and warning counts for the badge.
+ *   Only the top frame reports them, with the findings of all frames
+ * - frameMessage: forwards a message to another frame of the sender's tab,
+ *   adding the sender's frame ID and URL
+ * - rescanTab: asks every frame of the sender's tab to scan its whole page again
+ * @function
+ * @param {Object} message - The message object
+ * @param {chrome.runtime.MessageSender} sender - The sender information
+ * @param {Function} sendResponse - Function to send response back to sender
+ * @returns {boolean} True if the response is sent asynchronously
+ */
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (!message || typeof message !== 'object') {
+    return false;
   }
+
+  const tabId = sender.tab ? sender.tab.id : message.tabId;
+  if (typeof tabId !== 'number') {
+    return false;
+  }
+
+  if (message.action === 'getTabState') {
+    getTabState(tabId).then(sendResponse);
+    return true;
+  }
+
+  if (message.action === 'toggleTab') {
+    toggleAccessibilityState({ id: tabId }).then(sendResponse);
+    return true;
+  }
+
+  if (message.action === 'scanResults' && sender.tab && !sender.frameId) {
+    const errors = Number.isInteger(message.errors) && message.errors > 0 ? message.errors : 0;
+    const warnings =
+      Number.isInteger(message.warnings) && message.warnings > 0 ? message.warnings : 0;
+
+    getTabState(tabId)
+      .then(state => {
+        // Ignore results that arrive after the tab was disabled
+        if (!state.isEnabled) {
+          return state;
+        }
+        return setTabState(tabId, { errors, warnings });
+      })
+      .then(state => sendResponse({ success: true, isEnabled: state.isEnabled }));
+    return true;
+  }
+
+  if (message.action === 'frameMessage' && sender.tab) {
+    if (
+      !Number.isInteger(message.frameId) ||
+      message.frameId < 0 ||
+      !message.message ||
+      typeof message.message !== 'object'
+    ) {
+      console.warn('Invalid frame message:', message);
+      return false;
+    }
+
+    chrome.tabs.sendMessage(
+      tabId,
+      { ...message.message, sourceFrameId: sender.frameId, sourceUrl: sender.url },
+      { frameId: message.frameId },
+      () => {
+        if (chrome.runtime.lastError) {
+          console.warn(
+            `Could not reach frame ${message.frameId} of tab ${tabId}: ${chrome.runtime.lastError.message}`
+          );
+        }
+      }
+    );
+    return false;
+  }
+
+  if (message.action === 'rescanTab' && sender.tab) {
+    chrome.tabs.sendMessage(tabId, { action: 'rescan' }, () => {
+      if (chrome.runtime.lastError) {
+        console.warn(`Could not rescan tab ${tabId}: ${chrome.runtime.lastError.message}`);
+      }
+    });
+    return false;
+  }
+
+  return false;
+});
+
+/**
+ * Clears the state of closed tabs.
+ * @function
+ * @param {number} tabId - The ID of the closed tab
+ * @returns {void}
+ */
+chrome.tabs.onRemoved.addListener(tabId => {
+  clearTabState(tabId);
 });
 
 /**
@@ -204,46 +460,32 @@ chrome.commands.onCommand.addListener(command => {
  * @returns {void}
  */
 chrome.runtime.onInstalled.addListener(() => {
-  // Set the initial state when the extension is installed/updated
-  chrome.storage.local
-    .get(['isEnabled'])
-    .then(result => {
-      // Validate storage result
-      if (!result || typeof result !== 'object') {
-        console.error('Invalid storage result during install:', result);
-        // Set default state
-        result = { isEnabled: false };
-      }
+  // Tabs start disabled; enabled state is tracked per tab from here on
+  chrome.action.setIcon({
+    path: {
+      16: 'icons/icon-disabled-16.png',
+      48: 'icons/icon-disabled-48.png',
+      128: 'icons/icon-disabled-128.png'
+    }
+  });
 
-      // Validate isEnabled value (default to false if not set)
-      const isEnabled = result.isEnabled === true;
+  // Set initial accessibility properties
+  chrome.action.setTitle({
+    title: 'Accessibility Highlighter (OFF)'
+  });
 
-      chrome.action.setIcon({
-        path: {
-          16: isEnabled ? 'icons/icon-16.png' : 'icons/icon-disabled-16.png',
-          48: isEnabled ? 'icons/icon-48.png' : 'icons/icon-disabled-48.png',
-          128: isEnabled ? 'icons/icon-128.png' : 'icons/icon-disabled-128.png'
-        }
-      });
-
-      // Set initial accessibility properties
-      chrome.action.setTitle({
-        title: isEnabled
-          ? 'Accessibility Highlighter (ON) - Click to disable accessibility checking'
-          : 'Accessibility Highlighter (OFF) - Click to enable accessibility checking'
-      });
-
-      chrome.action.setBadgeText({
-        text: isEnabled ? 'ON' : 'OFF'
-      });
-
-      chrome.action.setBadgeBackgroundColor({
-        color: isEnabled ? '#28a745' : '#dc3545' // Green for on, red for off
-      });
-    })
-    .catch(error => {
-      console.error('Error during extension install setup:', error);
-    });
+  chrome.action.setBadgeText({ text: '' });
+
+  chrome.contextMenus.create({
+    id: CHECK_ELEMENT_MENU_ID,
+    title: 'Check this element for accessibility issues',
+    contexts: ['page', 'frame', 'selection', 'link', 'editable', 'image', 'video', 'audio']
+  });
+
+  // Drop the global state used before highlighting was tracked per tab
+  chrome.storage.local.remove('isEnabled').catch(error => {
+    console.error('Error during extension install setup:', error);
+  });
 
   // Log install complete
   console.log('Accessibility Highlighter extension installed successfully');
@@ -258,4 +500,9 @@ if (
 ) {
   global.getCurrentTab = getCurrentTab;
   global.toggleAccessibilityState = toggleAccessibilityState;
+  global.getTabState = getTabState;
+  global.setTabState = setTabState;
+  global.clearTabState = clearTabState;
+  global.getBadgeForState = getBadgeForState;
+  global.scanContextMenuTarget = scanContextMenuTarget;
 }
@@ -21,10 +21,23 @@ console.log('Content script loaded');
 
 /**
  * Array to store accessibility check results for logging.
- * @type {LogEntry[]}
+ * @type {Finding[]}
  */
 const LOGS = [];
 
+/**
+ * Findings hidden by the ignore list. They get no overlay and aren't counted,
+ * but exported reports list them with the justification for hiding them.
+ * @type {Finding[]}
+ */
+const SUPPRESSED_FINDINGS = [];
+
+/**
+ * ID of the current scan, incremented whenever LOGS is cleared for a new scan.
+ * @type {number}
+ */
+let currentScanId = 0;
+
 /**
  * Current overlay index for keyboard navigation.
  * @type {number}
@@ -43,6 +56,173 @@ let keyboardNavigationActive = false;
  */
 let progressIndicator = null;
 
+/**
+ * State of overlay position tracking. Overlays are repositioned in one
+ * animation frame after scrolling, resizing or layout changes.
+ * Scroll events don't leave shadow trees, so shadow roots of marked elements
+ * are listened to as well.
+ * @type {{overlays: Map<HTMLElement, WeakRef<Element>>, shadowRoots: Set<ShadowRoot>, resizeObserver: ResizeObserver|null, frameId: number|null, isListening: boolean}}
+ */
+const overlayTracking = {
+  overlays: new Map(),
+  shadowRoots: new Set(),
+  resizeObserver: null,
+  frameId: null,
+  isListening: false
+};
+
+/**
+ * State of watch mode, which rechecks the parts of the page that change
+ * after a scan. Mutations are collected and handled together once the page
+ * has been quiet for MUTATION_DEBOUNCE milliseconds.
+ * @type {{observer: MutationObserver|null, records: MutationRecord[], timerId: number|null}}
+ */
+const mutationWatch = {
+  observer: null,
+  records: [],
+  timerId: null
+};
+
+/**
+ * Page-level rules by the findings they recorded. Watch mode replaces the
+ * findings of the rules it runs again after every change.
+ * @type {WeakMap<Finding, AccessibilityRule>}
+ */
+const pageRuleFindings = new WeakMap();
+
+/**
+ * @typedef {Object} Backdrop
+ * @property {RGBAColor} color - Opaque color painted behind the element's content
+ * @property {number} opacity - Product of the opacity of the element and its ancestors
+ * @property {boolean} hasImage - Whether a background image is painted behind the content
+ */
+
+/**
+ * Backdrops resolved since the current scan or recheck started. Text
+ * elements share most of their ancestors, so each ancestor's computed style
+ * is only read once.
+ * @type {WeakMap<Element, Backdrop>}
+ */
+let backdropCache = new WeakMap();
+
+/**
+ * @typedef {Object} ScanScope
+ * @property {Element} element - Root of the scanned region
+ * @property {string} selector - Selector that finds the root again after the page re-renders it
+ */
+
+/**
+ * Region that scans are limited to, or null to scan the whole page.
+ * @type {ScanScope|null}
+ */
+let scanScope = null;
+
+/**
+ * Element the page's context menu was last opened on, for the
+ * "Check this element" menu item.
+ * @type {Element|null}
+ */
+let contextMenuTarget = null;
+
+/**
+ * State of the element picker, which scans the element clicked next.
+ * @type {{highlight: HTMLElement|null, hint: HTMLElement|null}}
+ */
+const elementPicker = {
+  highlight: null,
+  hint: null
+};
+
+/**
+ * Host element and closed shadow root holding all injected UI.
+ * @type {{host: HTMLElement|null, root: ShadowRoot|null}}
+ */
+const uiContainer = {
+  host: null,
+  root: null
+};
+
+/**
+ * Events stopped at the UI root so page listeners don't react to
+ * interaction with the overlays and panels.
+ * @type {string[]}
+ */
+const UI_CONTAINED_EVENTS = [
+  'click',
+  'dblclick',
+  'mousedown',
+  'mouseup',
+  'pointerdown',
+  'pointerup',
+  'keydown',
+  'keyup',
+  'keypress',
+  'input',
+  'change',
+  'focusin',
+  'focusout',
+  'wheel'
+];
+
+/**
+ * Findings of the child frames of the tab by frame ID, which each scan
+ * themselves. Only the top frame collects them.
+ * @type {Map<number, Finding[]>}
+ */
+const frameFindings = new Map();
+
+/**
+ * @typedef {Object} ReportScope
+ * @property {string} selector - Selector of the scanned region
+ * @property {string} frameUrl - URL of the frame the region is in
+ */
+
+/**
+ * Regions that child frames scanned instead of their whole page, by frame
+ * ID. Only the top frame collects them, for the report metadata.
+ * @type {Map<number, ReportScope>}
+ */
+const frameScopes = new Map();
+
+/**
+ * Suppressed findings of the child frames of the tab by frame ID. Only the
+ * top frame collects them, for the exported reports.
+ * @type {Map<number, Finding[]>}
+ */
+const frameSuppressedFindings = new Map();
+
+/**
+ * @typedef {Object} BaselineEntry
+ * @property {string} fingerprint - Identifies the finding across scans, see getFindingFingerprint()
+ * @property {string|null} ruleId - ID of the rule that found it
+ * @property {string} level - Severity (error/warning)
+ * @property {string} message - Plain-text message
+ * @property {string} selector - CSS selector of the element
+ * @property {string} snippet - Start of the element's HTML
+ * @property {string} frameUrl - URL of the frame the element is in
+ */
+
+/**
+ * @typedef {Object} Baseline
+ * @property {string} name - Name the user gave it, e.g. "Release 2.3"
+ * @property {string} url - URL of the page, see getBaselineUrl()
+ * @property {string} savedAt - When it was saved, as an ISO timestamp
+ * @property {BaselineEntry[]} findings - The findings of all frames when it was saved
+ */
+
+/**
+ * Baseline of the page that scans are compared with. Only the top frame
+ * loads it; the baselines of all pages are stored by URL.
+ * @type {Baseline|null}
+ */
+let activeBaseline = null;
+
+/**
+ * Child frame in which keyboard navigation last outlined an overlay.
+ * @type {number|null}
+ */
+let outlinedFrameId = null;
+
 /**
  * Current filter settings for accessibility results.
  * @type {Object}
@@ -56,15 +236,17 @@ const CURRENT_FILTERS = {
     links: true,
     structure: true,
     multimedia: true,
-    navigation: true
+    navigation: true,
+    typography: true
   }
 };
 
 /**
- * Customizable rules configuration for accessibility checks.
+ * Default rules configuration for accessibility checks. src/modules/config.js
+ * keeps a copy for the modules, which tests/config-sync.test.js keeps equal.
  * @type {Object}
  */
-let customRules = {
+const DEFAULT_CUSTOM_RULES = {
   // Image accessibility rules
   images: {
     enabled: true,
@@ -81,6 +263,10 @@ let customRules = {
     checkMissingLabels: true,
     checkInputImageAlt: true,
     checkFieldsetLegend: true,
+    checkAutocomplete: true, // WCAG 1.3.5 autocomplete tokens on personal data fields
+    checkRequiredFields: true, // Asterisks must come with required or aria-required
+    checkErrorMessages: true, // aria-invalid fields must reference their error message
+    checkFieldGroups: true, // Radio and checkbox groups need a fieldset legend or named group
     requireExplicitLabels: false // If true, only explicit labels count (not aria-label)
   },
 
@@ -102,7 +288,8 @@ let customRules = {
     checkNestedTables: true,
     checkUninformativeSummary: true,
     requireMainLandmark: true,
-    requireHeadingStructure: false // If true, enforces proper heading hierarchy
+    checkHeadingStructure: true,
+    requireHeadingStructure: false // If true, heading hierarchy problems are errors, not warnings
   },
 
   // Multimedia accessibility rules
@@ -118,8 +305,11 @@ let customRules = {
   navigation: {
     enabled: true,
     checkTabIndex: true,
-    checkKeyboardTraps: false, // Future: detect keyboard traps
-    checkFocusIndicators: false, // Future: check focus visibility
+    checkFocusOrder: false, // Tab through the page on every scan to check focus order; moves focus
+    checkKeyboardTraps: false, // Press Tab and Shift+Tab in dialogs and widgets on every scan to find traps
+    checkFocusIndicators: true, // Focused elements must change their outline, box-shadow or border
+    checkHiddenFocusable: true, // Focusable elements must not be hidden or inside aria-hidden
+    showFocusOrder: false, // If true, badges number the elements in tab order
     allowPositiveTabIndex: false // If true, positive tabindex values are allowed
   },
 
@@ -128,7 +318,7 @@ let customRules = {
     enabled: true,
     checkFontSize: true,
     minimumFontSize: 12, // Minimum font size in pixels
-    checkColorContrast: false, // Future: color contrast checking
+    checkColorContrast: false, // WCAG 1.4.3 and 1.4.11; disabled by default due to performance
     checkLineHeight: false // Future: line height checking
   },
 
@@ -137,17 +327,59 @@ let customRules = {
     enabled: true,
     checkRoleBasedElements: true,
     requireAriaLabels: false, // If true, requires aria-labels on all interactive elements
-    checkAriaReferences: false, // Future: validate aria-labelledby/describedby references
+    checkAriaReferences: true, // Validate aria-labelledby/describedby/controls and other ID references
+    checkAriaSemantics: true, // Validate roles, attribute values and required parents and children
     allowRedundantRoles: true // If false, flags redundant ARIA roles
+  },
+
+  // Document-level rules
+  general: {
+    enabled: true,
+    checkLanguage: true, // html[lang] and lang attributes must be valid language tags
+    checkPageTitle: true, // The page needs a descriptive <title>
+    checkViewportZoom: true, // meta viewport must not disable zooming
+    checkMetaRefresh: true // meta http-equiv=refresh must not reload or redirect on a timer
+  },
+
+  // Scan time budgets
+  scanning: {
+    enabled: true, // If false, scans always check the whole page
+    maxScanSeconds: 30, // Stop a scan after this much checking; it can be continued
+    maxSliceMilliseconds: 16 // Longest stretch of checking before yielding to the page
   }
 };
 
+/**
+ * Customizable rules configuration for accessibility checks.
+ * @type {Object}
+ */
+let customRules = JSON.parse(JSON.stringify(DEFAULT_CUSTOM_RULES));
+
+/**
+ * @typedef {Object} IgnoreRule
+ * @property {string} [selector] - CSS selector of the ignored elements; their descendants
+ *   are ignored too. Omitted to ignore the rule everywhere
+ * @property {string} [ruleId] - ID of the ignored rule. Omitted to ignore every rule
+ * @property {string} [urlPattern] - Glob of the page URLs the entry applies to, where *
+ *   matches anything, e.g. "https://example.com/account/*". Omitted for every page
+ * @property {string} [expires] - Last day the entry applies, as YYYY-MM-DD. Omitted to never expire
+ * @property {string} note - Why the findings are accepted
+ */
+
+/**
+ * Ignore list: findings hidden from the overlays and counts, stored
+ * alongside customRules.
+ * @type {IgnoreRule[]}
+ */
+let ignoreRules = [];
+
 /**
  * @typedef {Object} PerformanceConfig
  * @property {number} THROTTLE_DELAY - Throttle delay in milliseconds
  * @property {number} FONT_SIZE_THRESHOLD - Minimum font size threshold in pixels
  * @property {number} MAX_LOG_ELEMENT_LENGTH - Maximum length for element HTML in LOGS
  * @property {number} Z_INDEX_OVERLAY - Z-index value for overlays
+ * @property {number} MUTATION_DEBOUNCE - Quiet time in milliseconds before watch mode rechecks changes
  */
 
 /**
@@ -160,13 +392,28 @@ let customRules = {
  * @property {string} STRIPE_GRADIENT - CSS gradient for overlay pattern
  */
 
+/**
+ * @typedef {Object} ContrastConfig
+ * @property {number} NORMAL_TEXT_RATIO - Minimum contrast ratio for normal text (1.4.3)
+ * @property {number} LARGE_TEXT_RATIO - Minimum contrast ratio for large text (1.4.3)
+ * @property {number} NON_TEXT_RATIO - Minimum contrast ratio for UI component boundaries (1.4.11)
+ * @property {number} LARGE_TEXT_SIZE - Font size in pixels from which text counts as large
+ * @property {number} LARGE_BOLD_TEXT_SIZE - Font size in pixels from which bold text counts as large
+ * @property {number} BOLD_FONT_WEIGHT - Minimum font weight treated as bold
+ */
+
 /**
  * @typedef {Object} Selectors
  * @property {string} ALL_CHECKABLE_ELEMENTS - CSS selector for all checkable elements
  * @property {string} LANDMARK_ELEMENTS - CSS selector for landmark elements
  * @property {string[]} TEXT_ELEMENTS - Array of text element tag names
  * @property {string[]} INTERACTIVE_ELEMENTS - Array of interactive element tag names
+ * @property {string} NATIVE_CHECKED_ELEMENTS - CSS selector for elements with a tag-specific rule
+ * @property {string} FORM_FIELDS - CSS selector for form fields
+ * @property {string} FOCUSABLE_ELEMENTS - CSS selector for elements focusable without tabindex
+ * @property {string} FOCUS_CONTAINERS - CSS selector for dialogs and composite widgets
  * @property {string} OVERLAY_ELEMENTS - CSS selector for overlay elements
+ * @property {string} UI_HOST - Tag name of the element hosting the injected UI
  */
 
 /**
@@ -183,6 +430,11 @@ let customRules = {
  * @property {string} FIELDSET_NO_LEGEND - Message for fieldset without legend
  * @property {string} INPUT_IMAGE_NO_ALT - Message for input image without alt
  * @property {string} FORM_FIELD_NO_LABEL - Message for form field without label
+ * @property {string} AUTOCOMPLETE_MISSING - Message for a personal data field without autocomplete
+ * @property {string} AUTOCOMPLETE_INVALID - Message for an invalid autocomplete value
+ * @property {string} REQUIRED_NOT_EXPOSED - Message for an asterisk without required state
+ * @property {string} ERROR_MESSAGE_NOT_LINKED - Message for an invalid field without linked error
+ * @property {string} FIELD_GROUP_NO_NAME - Message for a radio or checkbox group without a name
  * @property {string} TABLE_NO_HEADERS - Message for table without headers
  * @property {string} NESTED_TABLE - Message for nested table
  * @property {string} UNINFORMATIVE_SUMMARY - Message for uninformative summary
@@ -191,36 +443,116 @@ let customRules = {
  * @property {string} MEDIA_NO_CAPTIONS - Message for media without captions
  * @property {string} ROLE_IMG_NO_LABEL - Message for role=img without label
  * @property {string} NON_ACTIONABLE_TABINDEX - Message for non-actionable tabindex
+ * @property {string} POSITIVE_TABINDEX - Message for a positive tabindex
+ * @property {string} FOCUS_INDICATOR_MISSING - Message for focus without a visible change
+ * @property {string} FOCUSABLE_HIDDEN - Message for a focusable element that is hidden
+ * @property {string} FOCUSABLE_ARIA_HIDDEN - Message for a focusable element inside aria-hidden
+ * @property {string} KEYBOARD_TRAP - Message for a container focus can't leave
+ * @property {string} DIALOG_FOCUS_ESCAPES - Message for a modal dialog that lets focus out
  * @property {string} SMALL_FONT_SIZE - Message for small font size
  * @property {string} NO_LANDMARKS - Message for no landmarks
+ * @property {string} HEADING_NO_H1 - Message for a page without an h1
+ * @property {string} HEADING_MULTIPLE_H1 - Message for an additional h1
+ * @property {string} HEADING_SKIPPED_LEVEL - Message for a skipped heading level
+ * @property {string} HEADING_EMPTY - Message for a heading without text
+ * @property {string} HEADING_NO_LEVEL - Message for role=heading without aria-level
+ * @property {string} LOW_TEXT_CONTRAST - Message for text with insufficient contrast
+ * @property {string} LOW_CONTROL_CONTRAST - Message for a form control border with insufficient contrast
+ * @property {string} ARIA_REFERENCE_MISSING - Message for an ID reference to a missing element
+ * @property {string} ARIA_REFERENCE_EMPTY - Message for ID references that resolve to no text
+ * @property {string} ARIA_REFERENCE_DUPLICATE - Message for an ID reference to a duplicated ID
+ * @property {string} ARIA_ROLE_UNKNOWN - Message for a role that isn't a WAI-ARIA role
+ * @property {string} ARIA_ROLE_ABSTRACT - Message for an abstract role used on an element
+ * @property {string} ARIA_ROLE_REDUNDANT - Message for a role the element already has natively
+ * @property {string} ARIA_ATTRIBUTE_UNKNOWN - Message for an aria-* attribute that doesn't exist
+ * @property {string} ARIA_ATTRIBUTE_NOT_ALLOWED - Message for an ARIA attribute the role doesn't support
+ * @property {string} ARIA_ATTRIBUTE_INVALID_VALUE - Message for an ARIA attribute with an invalid value
+ * @property {string} ARIA_REQUIRED_ATTRIBUTE_MISSING - Message for a role without a required state
+ * @property {string} ARIA_REQUIRED_PARENT_MISSING - Message for a role outside its required parent
+ * @property {string} ARIA_REQUIRED_CHILDREN_INVALID - Message for a role owning elements it can't own
+ * @property {string} HTML_LANG_MISSING - Message for an html element without lang
+ * @property {string} HTML_LANG_INVALID - Message for an invalid lang on the html element
+ * @property {string} LANG_INVALID - Message for an invalid lang on an inner element
+ * @property {string} PAGE_TITLE_MISSING - Message for a page without a title
+ * @property {string} PAGE_TITLE_GENERIC - Message for a title that doesn't describe the page
+ * @property {string} VIEWPORT_ZOOM_DISABLED - Message for a viewport meta tag that prevents zooming
+ * @property {string} META_REFRESH - Message for a meta refresh timer
  * @property {string} THROTTLED - Message for throttled execution
  * @property {string} NO_ISSUES - Message for no issues found
  */
 
+/**
+ * @typedef {Object} RuleMetadata
+ * @property {string} id - Stable rule identifier, e.g. 'img-missing-alt'
+ * @property {string} category - Result category the rule belongs to
+ * @property {string} wcag - WCAG 2.2 success criterion number, e.g. '1.1.1'
+ */
+
+/**
+ * @typedef {Object} WcagCriterion
+ * @property {string} name - Success criterion name
+ * @property {'A'|'AA'|'AAA'} level - Conformance level
+ * @property {string} slug - Understanding document slug on w3.org
+ */
+
 /**
  * @typedef {Object} CSSClasses
  * @property {string} ERROR_OVERLAY - CSS class for error overlays
  * @property {string} WARNING_OVERLAY - CSS class for warning overlays
  * @property {string} GENERIC_OVERLAY - CSS class for generic overlays
+ * @property {string} NEW_OVERLAY - CSS class marking overlays of issues new since the baseline
+ * @property {string} FOCUS_ORDER_BADGE - CSS class for focus order badges
+ * @property {string} PAGE_ISSUES_BANNER - CSS class for the banner listing page-level issues
  */
 
 /**
  * @typedef {Object} A11yConfig
  * @property {PerformanceConfig} PERFORMANCE - Performance-related configuration
  * @property {VisualConfig} VISUAL - Visual styling configuration
+ * @property {ContrastConfig} CONTRAST - Color contrast thresholds
  * @property {string[]} PROHIBITED_TABLE_SUMMARIES - Array of prohibited table summary values
  * @property {string[]} PROHIBITED_ALT_VALUES - Array of prohibited alt text values
  * @property {string[]} PROHIBITED_LINK_TEXT - Array of prohibited link text values
+ * @property {string[]} GENERIC_PAGE_TITLES - Page titles that don't describe any page
+ * @property {RegExp} LANGUAGE_TAG_PATTERN - Matches well-formed BCP 47 language tags
+ * @property {string[]} ARIA_IDREF_ATTRIBUTES - ARIA attributes whose value is a list of element IDs
+ * @property {string[]} ARIA_NAMING_ATTRIBUTES - IDREF attributes that supply a name or description
+ * @property {Object} ARIA - WAI-ARIA 1.2 role and attribute data for the ARIA semantics checks
+ * @property {string[]} NAME_FROM_CONTENT_ROLES - Roles whose accessible name comes from their content
+ * @property {string[]} WATCHED_ATTRIBUTES - Attributes whose changes watch mode rechecks
  * @property {Selectors} SELECTORS - CSS selectors and element arrays
  * @property {Messages} MESSAGES - Error and warning messages
+ * @property {Object<string, RuleMetadata>} RULE_METADATA - Rule metadata keyed by MESSAGES key
+ * @property {Object<string, WcagCriterion>} WCAG_CRITERIA - WCAG 2.2 success criteria by number
+ * @property {string} WCAG_UNDERSTANDING_URL - Base URL of the WCAG 2.2 Understanding documents
  * @property {CSSClasses} CSS_CLASSES - CSS class names
  */
 
 /**
- * @typedef {Object} LogEntry
- * @property {string} Level - Log level (error/warning)
- * @property {string} Message - Error message
- * @property {string} Element - Element HTML snippet
+ * A single accessibility finding. Every consumer of LOGS (panels, keyboard
+ * navigation, exporters, the popup and the DevTools panel) reads these fields.
+ * @typedef {Object} Finding
+ * @property {number} id - Index of the finding in LOGS, also set on its overlay
+ * @property {number} scanId - ID of the scan that produced the finding
+ * @property {string|null} ruleId - Stable rule identifier
+ * @property {string} level - Severity (error/warning)
+ * @property {string} message - Plain-text message
+ * @property {string} category - Result category
+ * @property {string|null} wcag - WCAG success criterion number
+ * @property {string|null} wcagLevel - WCAG conformance level (A/AA/AAA)
+ * @property {string|null} helpUrl - Link to the WCAG Understanding document
+ * @property {WeakRef<Element>|null} elementRef - The element, without keeping it alive
+ * @property {string} tagName - Lowercase tag name of the element
+ * @property {string} selector - CSS selector that finds the element
+ * @property {string} xpath - XPath of the element
+ * @property {string} html - Start of the element's outer HTML, bounded by MAX_LOG_ELEMENT_LENGTH
+ * @property {string} accessibleName - Computed accessible name of the element
+ * @property {string} timestamp - ISO time the finding was recorded
+ * @property {string} frameUrl - URL of the frame the element is in
+ * @property {number} [frameId] - Frame of the finding in the tab, 0 for the top frame.
+ *   Only set on the findings of all frames the top frame reports
+ * @property {IgnoreRule} [suppressedBy] - Ignore list entry that hides the finding.
+ *   Only set on suppressed findings, whose id is their index in SUPPRESSED_FINDINGS
  */
 
 /**
@@ -232,7 +564,8 @@ const A11Y_CONFIG = {
     THROTTLE_DELAY: 1000, // 1 second throttle delay
     FONT_SIZE_THRESHOLD: 12, // Minimum font size in pixels
     MAX_LOG_ELEMENT_LENGTH: 100, // Maximum length for element HTML in LOGS
-    Z_INDEX_OVERLAY: 2147483647 // Highest z-index for overlays
+    Z_INDEX_OVERLAY: 2147483647, // Highest z-index for overlays
+    MUTATION_DEBOUNCE: 500 // Wait for the page to settle before rechecking changes
   },
 
   VISUAL: {
@@ -245,6 +578,15 @@ const A11Y_CONFIG = {
       'repeating-linear-gradient(45deg, transparent, transparent 15px, rgba(255,255,255,.5) 15px, rgba(255,255,255,.5) 30px)'
   },
 
+  CONTRAST: {
+    NORMAL_TEXT_RATIO: 4.5,
+    LARGE_TEXT_RATIO: 3,
+    NON_TEXT_RATIO: 3,
+    LARGE_TEXT_SIZE: 24, // 18pt
+    LARGE_BOLD_TEXT_SIZE: 18.66, // 14pt
+    BOLD_FONT_WEIGHT: 700
+  },
+
   PROHIBITED_TABLE_SUMMARIES: [
     'combobox',
     'Layout',
@@ -323,6 +665,630 @@ const A11Y_CONFIG = {
     'alt'
   ],
 
+  ARIA_IDREF_ATTRIBUTES: [
+    'aria-labelledby',
+    'aria-describedby',
+    'aria-controls',
+    'aria-owns',
+    'aria-activedescendant',
+    'aria-details',
+    'aria-errormessage',
+    'aria-flowto'
+  ],
+
+  ARIA_NAMING_ATTRIBUTES: ['aria-labelledby', 'aria-describedby'],
+
+  // WAI-ARIA 1.2 roles and attributes. Role attributes are the supported
+  // states and properties beyond the global ones, inherited ones included.
+  ARIA: {
+    GLOBAL_ATTRIBUTES: [
+      'aria-atomic',
+      'aria-braillelabel',
+      'aria-brailleroledescription',
+      'aria-busy',
+      'aria-controls',
+      'aria-current',
+      'aria-describedby',
+      'aria-description',
+      'aria-details',
+      'aria-disabled',
+      'aria-dropeffect',
+      'aria-errormessage',
+      'aria-flowto',
+      'aria-grabbed',
+      'aria-haspopup',
+      'aria-hidden',
+      'aria-invalid',
+      'aria-keyshortcuts',
+      'aria-label',
+      'aria-labelledby',
+      'aria-live',
+      'aria-owns',
+      'aria-relevant',
+      'aria-roledescription'
+    ],
+    // Value types, or the tokens an attribute accepts
+    ATTRIBUTES: {
+      'aria-activedescendant': 'idref',
+      'aria-atomic': 'boolean',
+      'aria-autocomplete': ['inline', 'list', 'both', 'none'],
+      'aria-braillelabel': 'string',
+      'aria-brailleroledescription': 'string',
+      'aria-busy': 'boolean',
+      'aria-checked': 'tristate',
+      'aria-colcount': 'integer',
+      'aria-colindex': 'integer',
+      'aria-colspan': 'integer',
+      'aria-controls': 'idrefs',
+      'aria-current': ['page', 'step', 'location', 'date', 'time', 'true', 'false'],
+      'aria-describedby': 'idrefs',
+      'aria-description': 'string',
+      'aria-details': 'idref',
+      'aria-disabled': 'boolean',
+      'aria-dropeffect': ['copy', 'execute', 'link', 'move', 'none', 'popup'],
+      'aria-errormessage': 'idref',
+      'aria-expanded': 'true/false/undefined',
+      'aria-flowto': 'idrefs',
+      'aria-grabbed': 'true/false/undefined',
+      'aria-haspopup': ['false', 'true', 'menu', 'listbox', 'tree', 'grid', 'dialog'],
+      'aria-hidden': 'true/false/undefined',
+      'aria-invalid': ['grammar', 'false', 'spelling', 'true'],
+      'aria-keyshortcuts': 'string',
+      'aria-label': 'string',
+      'aria-labelledby': 'idrefs',
+      'aria-level': 'integer',
+      'aria-live': ['assertive', 'off', 'polite'],
+      'aria-modal': 'boolean',
+      'aria-multiline': 'boolean',
+      'aria-multiselectable': 'boolean',
+      'aria-orientation': ['horizontal', 'undefined', 'vertical'],
+      'aria-owns': 'idrefs',
+      'aria-placeholder': 'string',
+      'aria-posinset': 'integer',
+      'aria-pressed': 'tristate',
+      'aria-readonly': 'boolean',
+      'aria-relevant': ['additions', 'all', 'removals', 'text'],
+      'aria-required': 'boolean',
+      'aria-roledescription': 'string',
+      'aria-rowcount': 'integer',
+      'aria-rowindex': 'integer',
+      'aria-rowspan': 'integer',
+      'aria-selected': 'true/false/undefined',
+      'aria-setsize': 'integer',
+      'aria-sort': ['ascending', 'descending', 'none', 'other'],
+      'aria-valuemax': 'number',
+      'aria-valuemin': 'number',
+      'aria-valuenow': 'number',
+      'aria-valuetext': 'string'
+    },
+    // Token attributes that take a space-separated list
+    TOKEN_LIST_ATTRIBUTES: ['aria-dropeffect', 'aria-relevant'],
+    ABSTRACT_ROLES: [
+      'command',
+      'composite',
+      'input',
+      'landmark',
+      'range',
+      'roletype',
+      'section',
+      'sectionhead',
+      'select',
+      'structure',
+      'widget',
+      'window'
+    ],
+    // Roles of the DPUB-ARIA and Graphics-ARIA modules, which are not validated further
+    MODULE_ROLE_PATTERN: /^(doc|graphics)-[a-z]+$/,
+    // Roles that only group or hide other roles
+    PRESENTATIONAL_ROLES: ['generic', 'none', 'presentation'],
+    ROLES: {
+      alert: {},
+      alertdialog: { attributes: ['aria-modal'] },
+      application: { attributes: ['aria-activedescendant', 'aria-expanded'] },
+      article: { attributes: ['aria-posinset', 'aria-setsize'] },
+      banner: {},
+      blockquote: {},
+      button: { attributes: ['aria-expanded', 'aria-pressed'] },
+      caption: {
+        context: ['figure', 'grid', 'table', 'treegrid'],
+        prohibited: ['aria-label', 'aria-labelledby']
+      },
+      cell: {
+        attributes: ['aria-colindex', 'aria-colspan', 'aria-rowindex', 'aria-rowspan'],
+        context: ['row']
+      },
+      checkbox: {
+        attributes: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'],
+        required: ['aria-checked']
+      },
+      code: { prohibited: ['aria-label', 'aria-labelledby'] },
+      columnheader: {
+        attributes: [
+          'aria-colindex',
+          'aria-colspan',
+          'aria-expanded',
+          'aria-readonly',
+          'aria-required',
+          'aria-rowindex',
+          'aria-rowspan',
+          'aria-selected',
+          'aria-sort'
+        ],
+        context: ['row']
+      },
+      combobox: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-autocomplete',
+          'aria-expanded',
+          'aria-readonly',
+          'aria-required'
+        ],
+        required: ['aria-expanded']
+      },
+      complementary: {},
+      contentinfo: {},
+      definition: {},
+      deletion: { prohibited: ['aria-label', 'aria-labelledby'] },
+      dialog: { attributes: ['aria-modal'] },
+      directory: {},
+      document: { attributes: ['aria-expanded'] },
+      emphasis: { prohibited: ['aria-label', 'aria-labelledby'] },
+      feed: { owned: ['article'] },
+      figure: {},
+      form: {},
+      generic: { prohibited: ['aria-label', 'aria-labelledby'] },
+      grid: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-colcount',
+          'aria-multiselectable',
+          'aria-readonly',
+          'aria-rowcount'
+        ],
+        owned: ['caption', 'row', 'rowgroup']
+      },
+      gridcell: {
+        attributes: [
+          'aria-colindex',
+          'aria-colspan',
+          'aria-expanded',
+          'aria-readonly',
+          'aria-required',
+          'aria-rowindex',
+          'aria-rowspan',
+          'aria-selected'
+        ],
+        context: ['row']
+      },
+      group: { attributes: ['aria-activedescendant', 'aria-expanded'] },
+      heading: { attributes: ['aria-level'] },
+      img: {},
+      insertion: { prohibited: ['aria-label', 'aria-labelledby'] },
+      link: { attributes: ['aria-expanded'] },
+      list: { owned: ['listitem'] },
+      listbox: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-expanded',
+          'aria-multiselectable',
+          'aria-orientation',
+          'aria-readonly',
+          'aria-required'
+        ],
+        owned: ['group', 'option']
+      },
+      listitem: {
+        attributes: ['aria-level', 'aria-posinset', 'aria-setsize'],
+        context: ['directory', 'list']
+      },
+      log: {},
+      main: {},
+      marquee: {},
+      math: {},
+      menu: {
+        attributes: ['aria-activedescendant', 'aria-orientation'],
+        owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'separator']
+      },
+      menubar: {
+        attributes: ['aria-activedescendant', 'aria-orientation'],
+        owned: ['group', 'menuitem', 'menuitemcheckbox', 'menuitemradio', 'separator']
+      },
+      menuitem: {
+        attributes: ['aria-expanded', 'aria-posinset', 'aria-setsize'],
+        context: ['group', 'menu', 'menubar']
+      },
+      menuitemcheckbox: {
+        attributes: ['aria-checked', 'aria-expanded', 'aria-posinset', 'aria-setsize'],
+        context: ['group', 'menu', 'menubar'],
+        required: ['aria-checked']
+      },
+      menuitemradio: {
+        attributes: ['aria-checked', 'aria-expanded', 'aria-posinset', 'aria-setsize'],
+        context: ['group', 'menu', 'menubar'],
+        required: ['aria-checked']
+      },
+      meter: {
+        attributes: ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext'],
+        required: ['aria-valuenow']
+      },
+      navigation: {},
+      none: {},
+      note: {},
+      option: {
+        attributes: ['aria-checked', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+        context: ['group', 'listbox']
+      },
+      paragraph: { prohibited: ['aria-label', 'aria-labelledby'] },
+      presentation: {},
+      progressbar: {
+        attributes: ['aria-valuemax', 'aria-valuemin', 'aria-valuenow', 'aria-valuetext']
+      },
+      radio: {
+        attributes: ['aria-checked', 'aria-posinset', 'aria-setsize'],
+        required: ['aria-checked']
+      },
+      radiogroup: {
+        attributes: ['aria-activedescendant', 'aria-orientation', 'aria-readonly', 'aria-required']
+      },
+      region: {},
+      row: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-colindex',
+          'aria-expanded',
+          'aria-level',
+          'aria-posinset',
+          'aria-rowindex',
+          'aria-selected',
+          'aria-setsize'
+        ],
+        context: ['grid', 'rowgroup', 'table', 'treegrid'],
+        owned: ['cell', 'columnheader', 'gridcell', 'rowheader']
+      },
+      rowgroup: { context: ['grid', 'table', 'treegrid'], owned: ['row'] },
+      rowheader: {
+        attributes: [
+          'aria-colindex',
+          'aria-colspan',
+          'aria-expanded',
+          'aria-readonly',
+          'aria-required',
+          'aria-rowindex',
+          'aria-rowspan',
+          'aria-selected',
+          'aria-sort'
+        ],
+        context: ['row']
+      },
+      scrollbar: {
+        attributes: [
+          'aria-orientation',
+          'aria-valuemax',
+          'aria-valuemin',
+          'aria-valuenow',
+          'aria-valuetext'
+        ],
+        required: ['aria-valuenow']
+      },
+      search: {},
+      searchbox: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-autocomplete',
+          'aria-multiline',
+          'aria-placeholder',
+          'aria-readonly',
+          'aria-required'
+        ]
+      },
+      separator: {
+        attributes: [
+          'aria-orientation',
+          'aria-valuemax',
+          'aria-valuemin',
+          'aria-valuenow',
+          'aria-valuetext'
+        ]
+      },
+      slider: {
+        attributes: [
+          'aria-orientation',
+          'aria-readonly',
+          'aria-valuemax',
+          'aria-valuemin',
+          'aria-valuenow',
+          'aria-valuetext'
+        ],
+        required: ['aria-valuenow']
+      },
+      spinbutton: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-readonly',
+          'aria-required',
+          'aria-valuemax',
+          'aria-valuemin',
+          'aria-valuenow',
+          'aria-valuetext'
+        ]
+      },
+      status: {},
+      strong: { prohibited: ['aria-label', 'aria-labelledby'] },
+      subscript: { prohibited: ['aria-label', 'aria-labelledby'] },
+      superscript: { prohibited: ['aria-label', 'aria-labelledby'] },
+      switch: {
+        attributes: ['aria-checked', 'aria-expanded', 'aria-readonly', 'aria-required'],
+        required: ['aria-checked']
+      },
+      tab: {
+        attributes: ['aria-expanded', 'aria-posinset', 'aria-selected', 'aria-setsize'],
+        context: ['tablist']
+      },
+      table: {
+        attributes: ['aria-colcount', 'aria-rowcount'],
+        owned: ['caption', 'row', 'rowgroup']
+      },
+      tablist: {
+        attributes: ['aria-activedescendant', 'aria-multiselectable', 'aria-orientation'],
+        owned: ['tab']
+      },
+      tabpanel: {},
+      term: {},
+      textbox: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-autocomplete',
+          'aria-multiline',
+          'aria-placeholder',
+          'aria-readonly',
+          'aria-required'
+        ]
+      },
+      time: {},
+      timer: {},
+      toolbar: { attributes: ['aria-activedescendant', 'aria-orientation'] },
+      tooltip: {},
+      tree: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-multiselectable',
+          'aria-orientation',
+          'aria-required'
+        ],
+        owned: ['group', 'treeitem']
+      },
+      treegrid: {
+        attributes: [
+          'aria-activedescendant',
+          'aria-colcount',
+          'aria-multiselectable',
+          'aria-orientation',
+          'aria-readonly',
+          'aria-required',
+          'aria-rowcount'
+        ],
+        owned: ['caption', 'row', 'rowgroup']
+      },
+      treeitem: {
+        attributes: [
+          'aria-checked',
+          'aria-expanded',
+          'aria-level',
+          'aria-posinset',
+          'aria-selected',
+          'aria-setsize'
+        ],
+        context: ['group', 'tree']
+      }
+    },
+    // Implicit roles of HTML elements that don't depend on their attributes or place
+    IMPLICIT_ROLES: {
+      article: 'article',
+      aside: 'complementary',
+      b: 'generic',
+      bdi: 'generic',
+      bdo: 'generic',
+      blockquote: 'blockquote',
+      code: 'code',
+      data: 'generic',
+      datalist: 'listbox',
+      dd: 'definition',
+      del: 'deletion',
+      details: 'group',
+      dfn: 'term',
+      dialog: 'dialog',
+      div: 'generic',
+      em: 'emphasis',
+      fieldset: 'group',
+      figure: 'figure',
+      form: 'form',
+      hr: 'separator',
+      i: 'generic',
+      ins: 'insertion',
+      li: 'listitem',
+      main: 'main',
+      math: 'math',
+      menu: 'list',
+      meter: 'meter',
+      nav: 'navigation',
+      ol: 'list',
+      optgroup: 'group',
+      output: 'status',
+      p: 'paragraph',
+      pre: 'generic',
+      progress: 'progressbar',
+      q: 'generic',
+      s: 'deletion',
+      samp: 'generic',
+      search: 'search',
+      small: 'generic',
+      span: 'generic',
+      strong: 'strong',
+      sub: 'subscript',
+      sup: 'superscript',
+      table: 'table',
+      tbody: 'rowgroup',
+      tfoot: 'rowgroup',
+      thead: 'rowgroup',
+      time: 'time',
+      tr: 'row',
+      u: 'generic',
+      ul: 'list'
+    },
+    // Native elements whose own state stands in for required ARIA states
+    NATIVE_STATE_ELEMENTS: ['input', 'meter', 'progress', 'select', 'textarea']
+  },
+
+  // Computed styles compared before and during focus to find a focus indicator
+  FOCUS_INDICATOR_PROPERTIES: [
+    'outlineStyle',
+    'outlineWidth',
+    'outlineColor',
+    'boxShadow',
+    'borderStyle',
+    'borderWidth',
+    'borderColor'
+  ],
+
+  // Autofill field names of the HTML standard, which WCAG 1.3.5 refers to
+  AUTOCOMPLETE: {
+    FIELD_NAMES: [
+      'name',
+      'honorific-prefix',
+      'given-name',
+      'additional-name',
+      'family-name',
+      'honorific-suffix',
+      'nickname',
+      'username',
+      'new-password',
+      'current-password',
+      'one-time-code',
+      'organization-title',
+      'organization',
+      'street-address',
+      'address-line1',
+      'address-line2',
+      'address-line3',
+      'address-level4',
+      'address-level3',
+      'address-level2',
+      'address-level1',
+      'country',
+      'country-name',
+      'postal-code',
+      'cc-name',
+      'cc-given-name',
+      'cc-additional-name',
+      'cc-family-name',
+      'cc-number',
+      'cc-exp',
+      'cc-exp-month',
+      'cc-exp-year',
+      'cc-csc',
+      'cc-type',
+      'transaction-currency',
+      'transaction-amount',
+      'language',
+      'bday',
+      'bday-day',
+      'bday-month',
+      'bday-year',
+      'sex',
+      'url',
+      'photo'
+    ],
+    // Field names that may follow a contact type such as "work"
+    CONTACT_FIELD_NAMES: [
+      'tel',
+      'tel-country-code',
+      'tel-national',
+      'tel-area-code',
+      'tel-local',
+      'tel-local-prefix',
+      'tel-local-suffix',
+      'tel-extension',
+      'email',
+      'impp'
+    ],
+    CONTACT_TYPES: ['home', 'work', 'mobile', 'fax', 'pager'],
+    // Input types that only hold one kind of personal data
+    TYPE_PURPOSES: { email: 'email', tel: 'tel', url: 'url', password: 'current-password' },
+    // Names, IDs and labels that identify personal data fields, most specific first
+    NAME_PURPOSES: [
+      ['cc-number', /\b(card number|cc num(ber)?|credit card)\b/],
+      ['cc-exp', /\b(expiry|expiration|cc exp)\b/],
+      ['cc-csc', /\b(cvc|cvv|csc|security code)\b/],
+      ['cc-name', /\b(name on card|card ?holder|cc name)\b/],
+      ['username', /\b(user ?name|login)\b/],
+      ['given-name', /\b(first name|given name|forename|fname)\b/],
+      ['family-name', /\b(last name|surname|family name|lname)\b/],
+      ['organization', /\b(company|organi[sz]ation)\b/],
+      ['email', /\be ?mail\b/],
+      ['tel', /\b(phone|telephone|mobile|tel)\b/],
+      ['postal-code', /\b(zip|postal code|post ?code)\b/],
+      ['address-level2', /\b(city|town)\b/],
+      ['country-name', /\bcountry\b/],
+      ['street-address', /\b(address|street)\b/],
+      ['bday', /\b(birthday|birth ?date|date of birth|dob)\b/],
+      ['name', /^(full |your )?name$/]
+    ]
+  },
+
+  NAME_FROM_CONTENT_ROLES: [
+    'button',
+    'cell',
+    'checkbox',
+    'columnheader',
+    'gridcell',
+    'heading',
+    'link',
+    'menuitem',
+    'menuitemcheckbox',
+    'menuitemradio',
+    'option',
+    'radio',
+    'row',
+    'rowheader',
+    'switch',
+    'tab',
+    'tooltip',
+    'treeitem'
+  ],
+
+  // Attributes the checks read, plus those that show or hide content
+  WATCHED_ATTRIBUTES: [
+    'alt',
+    'aria-activedescendant',
+    'aria-controls',
+    'aria-describedby',
+    'aria-details',
+    'aria-errormessage',
+    'aria-flowto',
+    'aria-hidden',
+    'aria-label',
+    'aria-labelledby',
+    'aria-level',
+    'aria-owns',
+    'autoplay',
+    'class',
+    'controls',
+    'for',
+    'hidden',
+    'href',
+    'id',
+    'open',
+    'role',
+    'slot',
+    'src',
+    'style',
+    'summary',
+    'tabindex',
+    'title',
+    'type'
+  ],
+
   PROHIBITED_LINK_TEXT: [
     'link',
     'more',
@@ -345,9 +1311,37 @@ const A11Y_CONFIG = {
     'show less'
   ],
 
+  // Placeholder titles of editors, frameworks and templates
+  GENERIC_PAGE_TITLES: [
+    'untitled',
+    'untitled document',
+    'untitled page',
+    'new page',
+    'new document',
+    'document',
+    'page',
+    'title',
+    'page title',
+    'index',
+    'default',
+    'home page',
+    'my website',
+    'website',
+    'react app',
+    'vite app',
+    'vite + react',
+    'vite + vue',
+    'angular app'
+  ],
+
+  // Well-formed BCP 47 language tags: language, extended language, script,
+  // region, variants, extensions and private use subtags
+  LANGUAGE_TAG_PATTERN:
+    /^[a-z]{2,3}(-[a-z]{3}){0,3}(-[a-z]{4})?(-([a-z]{2}|\d{3}))?(-([a-z\d]{5,8}|\d[a-z\d]{3}))*(-[\da-wyz](-[a-z\d]{2,8})+)*(-x(-[a-z\d]{1,8})+)?$/i,
+
   SELECTORS: {
     ALL_CHECKABLE_ELEMENTS:
-      'img, button, [role="button"], a, [role="link"], fieldset, input, table, iframe, audio, video, [tabindex], [role="img"]',
+      'img, button, [role="button"], a, [role="link"], fieldset, input, select, textarea, table, iframe, audio, video, [tabindex], [role="img"]',
     LANDMARK_ELEMENTS:
       'header, aside, footer, main, nav, [role="banner"], [role="complementary"], [role="contentinfo"], [role="main"], [role="navigation"], [role="search"]',
     TEXT_ELEMENTS: [
@@ -368,8 +1362,18 @@ const A11Y_CONFIG = {
       'button'
     ],
     INTERACTIVE_ELEMENTS: ['a', 'area', 'button', 'input', 'select', 'textarea'],
+    NATIVE_CHECKED_ELEMENTS:
+      'img, button, a, fieldset, input, select, textarea, table, iframe, audio, video',
+    FORM_FIELDS: 'input, select, textarea',
+    // Focusable without a tabindex attribute; iframes are left out as each frame audits itself
+    FOCUSABLE_ELEMENTS:
+      'a[href], area[href], button, input:not([type="hidden"]), select, textarea, details > summary:first-of-type, audio[controls], video[controls], [contenteditable]:not([contenteditable="false"])',
+    // Dialogs and composite widgets, probed for keyboard traps
+    FOCUS_CONTAINERS:
+      'dialog[open], [role="dialog"], [role="alertdialog"], [role="grid"], [role="listbox"], [role="menu"], [role="menubar"], [role="radiogroup"], [role="tablist"], [role="toolbar"], [role="tree"], [role="treegrid"]',
     OVERLAY_ELEMENTS: '.a11y-error, .a11y-warning, .overlay',
-    PROGRESS_INDICATOR: '.a11y-progress-indicator'
+    PROGRESS_INDICATOR: '.a11y-progress-indicator',
+    UI_HOST: 'a11y-highlighter-ui'
   },
 
   MESSAGES: {
@@ -385,6 +1389,11 @@ const A11Y_CONFIG = {
     FIELDSET_NO_LEGEND: 'fieldset without legend',
     INPUT_IMAGE_NO_ALT: 'input type=image without alt or aria-label',
     FORM_FIELD_NO_LABEL: 'Form field without a corresponding label',
+    AUTOCOMPLETE_MISSING: 'Personal data field without an autocomplete token',
+    AUTOCOMPLETE_INVALID: 'Invalid autocomplete value',
+    REQUIRED_NOT_EXPOSED: 'Field marked required with an asterisk only',
+    ERROR_MESSAGE_NOT_LINKED: 'Invalid field without a linked error message',
+    FIELD_GROUP_NO_NAME: 'Radio or checkbox group without a fieldset legend or group name',
     TABLE_NO_HEADERS: 'table without any th elements',
     NESTED_TABLE: 'Nested table elements',
     UNINFORMATIVE_SUMMARY: 'Table with uninformative summary attribute',
@@ -393,95 +1402,561 @@ const A11Y_CONFIG = {
     MEDIA_NO_CAPTIONS: 'Media element without captions track',
     ROLE_IMG_NO_LABEL: 'role=img without aria-label or aria-labelledby',
     NON_ACTIONABLE_TABINDEX: 'Non-actionable element with tabindex=',
+    POSITIVE_TABINDEX: 'Positive tabindex changes the focus order: tabindex=',
+    FOCUS_INDICATOR_MISSING: 'Focused element has no visible focus indicator',
+    FOCUSABLE_HIDDEN: 'Focusable element is hidden when it receives focus',
+    FOCUSABLE_ARIA_HIDDEN: 'Focusable element inside aria-hidden content',
+    KEYBOARD_TRAP: 'Keyboard focus cannot leave this container',
+    DIALOG_FOCUS_ESCAPES: 'Modal dialog lets keyboard focus move behind it',
     SMALL_FONT_SIZE: 'Text element with font size smaller than 12px',
     NO_LANDMARKS: 'No landmark elements found',
+    HEADING_NO_H1: 'Page has no h1 heading',
+    HEADING_MULTIPLE_H1: 'Page has more than one h1 heading',
+    HEADING_SKIPPED_LEVEL: 'Heading level skipped',
+    HEADING_EMPTY: 'Heading without text content',
+    HEADING_NO_LEVEL: 'role=heading without aria-level',
+    LOW_TEXT_CONTRAST: 'Text color contrast is too low',
+    LOW_CONTROL_CONTRAST: 'Form control border contrast is too low',
+    ARIA_REFERENCE_MISSING: 'ARIA attribute references an ID that does not exist',
+    ARIA_REFERENCE_EMPTY: 'ARIA attribute only references hidden or empty elements',
+    ARIA_REFERENCE_DUPLICATE: 'ARIA attribute references an ID used by more than one element',
+    ARIA_ROLE_UNKNOWN: 'Unknown ARIA role',
+    ARIA_ROLE_ABSTRACT: 'Abstract ARIA role cannot be used on elements',
+    ARIA_ROLE_REDUNDANT: 'Redundant ARIA role',
+    ARIA_ATTRIBUTE_UNKNOWN: 'Unknown ARIA attribute',
+    ARIA_ATTRIBUTE_NOT_ALLOWED: 'ARIA attribute is not allowed on this role',
+    ARIA_ATTRIBUTE_INVALID_VALUE: 'Invalid ARIA attribute value',
+    ARIA_REQUIRED_ATTRIBUTE_MISSING: 'ARIA role is missing a required state or property',
+    ARIA_REQUIRED_PARENT_MISSING: 'ARIA role is outside its required parent',
+    ARIA_REQUIRED_CHILDREN_INVALID: 'ARIA role owns elements it cannot contain',
+    HTML_LANG_MISSING: 'Page has no lang attribute on the html element',
+    HTML_LANG_INVALID: 'Invalid page language on the html element',
+    LANG_INVALID: 'Invalid lang attribute',
+    PAGE_TITLE_MISSING: 'Page has no title',
+    PAGE_TITLE_GENERIC: 'Page title does not describe the page',
+    VIEWPORT_ZOOM_DISABLED: 'Viewport meta tag prevents zooming',
+    META_REFRESH: 'Page reloads or redirects on a timer',
     THROTTLED: 'Accessibility checks throttled - please wait',
     NO_ISSUES: 'No accessibility issues found.'
   },
 
+  RULE_METADATA: {
+    MISSING_ALT: { id: 'img-missing-alt', category: 'images', wcag: '1.1.1' },
+    UNINFORMATIVE_ALT: { id: 'img-uninformative-alt', category: 'images', wcag: '1.1.1' },
+    EMPTY_ALT_WITH_TITLE: { id: 'img-empty-alt-with-title', category: 'images', wcag: '1.1.1' },
+    DIFFERENT_ALT_TITLE: { id: 'img-alt-title-mismatch', category: 'images', wcag: '1.1.1' },
+    BUTTON_NO_LABEL: { id: 'button-missing-name', category: 'forms', wcag: '4.1.2' },
+    LINK_NO_CONTENT: { id: 'link-missing-name', category: 'links', wcag: '2.4.4' },
+    INVALID_HREF: { id: 'link-invalid-href', category: 'links', wcag: '4.1.2' },
+    GENERIC_LINK_TEXT: { id: 'link-generic-text', category: 'links', wcag: '2.4.4' },
+    MATCHING_TITLE_TEXT: { id: 'link-redundant-title', category: 'links', wcag: '2.4.4' },
+    FIELDSET_NO_LEGEND: { id: 'fieldset-missing-legend', category: 'forms', wcag: '1.3.1' },
+    INPUT_IMAGE_NO_ALT: { id: 'input-image-missing-alt', category: 'forms', wcag: '1.1.1' },
+    FORM_FIELD_NO_LABEL: { id: 'form-field-missing-label', category: 'forms', wcag: '4.1.2' },
+    AUTOCOMPLETE_MISSING: { id: 'autocomplete-missing', category: 'forms', wcag: '1.3.5' },
+    AUTOCOMPLETE_INVALID: { id: 'autocomplete-invalid', category: 'forms', wcag: '1.3.5' },
+    REQUIRED_NOT_EXPOSED: { id: 'required-not-exposed', category: 'forms', wcag: '1.3.1' },
+    ERROR_MESSAGE_NOT_LINKED: {
+      id: 'error-message-not-linked',
+      category: 'forms',
+      wcag: '3.3.1'
+    },
+    FIELD_GROUP_NO_NAME: { id: 'field-group-missing-name', category: 'forms', wcag: '1.3.1' },
+    TABLE_NO_HEADERS: { id: 'table-missing-headers', category: 'structure', wcag: '1.3.1' },
+    NESTED_TABLE: { id: 'table-nested', category: 'structure', wcag: '1.3.1' },
+    UNINFORMATIVE_SUMMARY: {
+      id: 'table-uninformative-summary',
+      category: 'structure',
+      wcag: '1.3.1'
+    },
+    IFRAME_NO_TITLE: { id: 'iframe-missing-title', category: 'multimedia', wcag: '4.1.2' },
+    MEDIA_AUTOPLAY: { id: 'media-autoplay', category: 'multimedia', wcag: '1.4.2' },
+    MEDIA_NO_CAPTIONS: { id: 'media-missing-captions', category: 'multimedia', wcag: '1.2.2' },
+    ROLE_IMG_NO_LABEL: { id: 'role-img-missing-name', category: 'images', wcag: '1.1.1' },
+    NON_ACTIONABLE_TABINDEX: {
+      id: 'tabindex-non-actionable',
+      category: 'navigation',
+      wcag: '2.4.3'
+    },
+    POSITIVE_TABINDEX: { id: 'tabindex-positive', category: 'navigation', wcag: '2.4.3' },
+    FOCUS_INDICATOR_MISSING: {
+      id: 'focus-indicator-missing',
+      category: 'navigation',
+      wcag: '2.4.7'
+    },
+    FOCUSABLE_HIDDEN: { id: 'focusable-hidden', category: 'navigation', wcag: '2.4.7' },
+    FOCUSABLE_ARIA_HIDDEN: { id: 'focusable-aria-hidden', category: 'navigation', wcag: '4.1.2' },
+    KEYBOARD_TRAP: { id: 'keyboard-trap', category: 'navigation', wcag: '2.1.2' },
+    DIALOG_FOCUS_ESCAPES: { id: 'dialog-focus-escapes', category: 'navigation', wcag: '2.4.3' },
+    SMALL_FONT_SIZE: { id: 'text-small-font', category: 'structure', wcag: '1.4.4' },
+    NO_LANDMARKS: { id: 'page-missing-landmarks', category: 'structure', wcag: '1.3.1' },
+    HEADING_NO_H1: { id: 'heading-missing-h1', category: 'structure', wcag: '1.3.1' },
+    HEADING_MULTIPLE_H1: { id: 'heading-multiple-h1', category: 'structure', wcag: '1.3.1' },
+    HEADING_SKIPPED_LEVEL: { id: 'heading-skipped-level', category: 'structure', wcag: '1.3.1' },
+    HEADING_EMPTY: { id: 'heading-empty', category: 'structure', wcag: '2.4.6' },
+    HEADING_NO_LEVEL: { id: 'heading-missing-level', category: 'structure', wcag: '4.1.2' },
+    LOW_TEXT_CONTRAST: { id: 'text-low-contrast', category: 'typography', wcag: '1.4.3' },
+    LOW_CONTROL_CONTRAST: { id: 'control-low-contrast', category: 'forms', wcag: '1.4.11' },
+    ARIA_REFERENCE_MISSING: { id: 'aria-reference-missing', category: 'structure', wcag: '1.3.1' },
+    ARIA_REFERENCE_EMPTY: { id: 'aria-reference-empty', category: 'structure', wcag: '4.1.2' },
+    ARIA_REFERENCE_DUPLICATE: {
+      id: 'aria-reference-duplicate-id',
+      category: 'structure',
+      wcag: '4.1.2'
+    },
+    ARIA_ROLE_UNKNOWN: { id: 'aria-role-unknown', category: 'structure', wcag: '4.1.2' },
+    ARIA_ROLE_ABSTRACT: { id: 'aria-role-abstract', category: 'structure', wcag: '4.1.2' },
+    ARIA_ROLE_REDUNDANT: { id: 'aria-role-redundant', category: 'structure', wcag: '4.1.2' },
+    ARIA_ATTRIBUTE_UNKNOWN: { id: 'aria-attribute-unknown', category: 'structure', wcag: '4.1.2' },
+    ARIA_ATTRIBUTE_NOT_ALLOWED: {
+      id: 'aria-attribute-not-allowed',
+      category: 'structure',
+      wcag: '4.1.2'
+    },
+    ARIA_ATTRIBUTE_INVALID_VALUE: {
+      id: 'aria-attribute-invalid-value',
+      category: 'structure',
+      wcag: '4.1.2'
+    },
+    ARIA_REQUIRED_ATTRIBUTE_MISSING: {
+      id: 'aria-required-attribute-missing',
+      category: 'structure',
+      wcag: '4.1.2'
+    },
+    ARIA_REQUIRED_PARENT_MISSING: {
+      id: 'aria-required-parent-missing',
+      category: 'structure',
+      wcag: '1.3.1'
+    },
+    ARIA_REQUIRED_CHILDREN_INVALID: {
+      id: 'aria-required-children-invalid',
+      category: 'structure',
+      wcag: '1.3.1'
+    },
+    HTML_LANG_MISSING: { id: 'html-lang-missing', category: 'structure', wcag: '3.1.1' },
+    HTML_LANG_INVALID: { id: 'html-lang-invalid', category: 'structure', wcag: '3.1.1' },
+    LANG_INVALID: { id: 'lang-invalid', category: 'structure', wcag: '3.1.2' },
+    PAGE_TITLE_MISSING: { id: 'page-title-missing', category: 'structure', wcag: '2.4.2' },
+    PAGE_TITLE_GENERIC: { id: 'page-title-generic', category: 'structure', wcag: '2.4.2' },
+    VIEWPORT_ZOOM_DISABLED: { id: 'viewport-zoom-disabled', category: 'structure', wcag: '1.4.4' },
+    META_REFRESH: { id: 'meta-refresh', category: 'structure', wcag: '2.2.1' }
+  },
+
+  WCAG_CRITERIA: {
+    '1.1.1': { name: 'Non-text Content', level: 'A', slug: 'non-text-content' },
+    '1.2.2': { name: 'Captions (Prerecorded)', level: 'A', slug: 'captions-prerecorded' },
+    '1.3.1': { name: 'Info and Relationships', level: 'A', slug: 'info-and-relationships' },
+    '1.3.5': { name: 'Identify Input Purpose', level: 'AA', slug: 'identify-input-purpose' },
+    '1.4.2': { name: 'Audio Control', level: 'A', slug: 'audio-control' },
+    '1.4.3': { name: 'Contrast (Minimum)', level: 'AA', slug: 'contrast-minimum' },
+    '1.4.4': { name: 'Resize Text', level: 'AA', slug: 'resize-text' },
+    '1.4.11': { name: 'Non-text Contrast', level: 'AA', slug: 'non-text-contrast' },
+    '2.1.2': { name: 'No Keyboard Trap', level: 'A', slug: 'no-keyboard-trap' },
+    '2.2.1': { name: 'Timing Adjustable', level: 'A', slug: 'timing-adjustable' },
+    '2.4.2': { name: 'Page Titled', level: 'A', slug: 'page-titled' },
+    '2.4.3': { name: 'Focus Order', level: 'A', slug: 'focus-order' },
+    '2.4.4': { name: 'Link Purpose (In Context)', level: 'A', slug: 'link-purpose-in-context' },
+    '2.4.6': { name: 'Headings and Labels', level: 'AA', slug: 'headings-and-labels' },
+    '2.4.7': { name: 'Focus Visible', level: 'AA', slug: 'focus-visible' },
+    '3.1.1': { name: 'Language of Page', level: 'A', slug: 'language-of-page' },
+    '3.1.2': { name: 'Language of Parts', level: 'AA', slug: 'language-of-parts' },
+    '3.3.1': { name: 'Error Identification', level: 'A', slug: 'error-identification' },
+    '4.1.2': { name: 'Name, Role, Value', level: 'A', slug: 'name-role-value' }
+  },
+
+  WCAG_UNDERSTANDING_URL: 'https://www.w3.org/WAI/WCAG22/Understanding/',
+
   CSS_CLASSES: {
     ERROR_OVERLAY: 'a11y-error',
     WARNING_OVERLAY: 'a11y-warning',
-    GENERIC_OVERLAY: 'overlay'
+    GENERIC_OVERLAY: 'overlay',
+    NEW_OVERLAY: 'a11y-new',
+    FOCUS_ORDER_BADGE: 'a11y-focus-order',
+    PAGE_ISSUES_BANNER: 'a11y-page-issues'
   }
 };
 
 /**
- * Escapes HTML special characters to prevent XSS attacks.
- *
- * @param {string} str - String to escape
- * @returns {string} Escaped string safe for HTML
+ * @typedef {Object} ResolvedRuleMetadata
+ * @property {string|null} id - Stable rule identifier
+ * @property {string|null} category - Result category, if known
+ * @property {string|null} wcag - WCAG success criterion number
+ * @property {string|null} wcagName - WCAG success criterion name
+ * @property {string|null} wcagLevel - WCAG conformance level (A/AA/AAA)
+ * @property {string|null} helpUrl - Link to the WCAG Understanding document
  */
-function escapeHtml(str) {
-  const div = document.createElement('div');
-  div.textContent = str;
-  return div.innerHTML;
+
+/**
+ * Resolves the metadata for a rule.
+ * Accepts a MESSAGES key (e.g. 'MISSING_ALT') or the id of a custom rule.
+ * @param {string} [ruleKey] - MESSAGES key or custom rule id
+ * @returns {ResolvedRuleMetadata} Rule metadata, with null fields when unknown
+ */
+function getRuleMetadata(ruleKey) {
+  const metadata = ruleKey ? A11Y_CONFIG.RULE_METADATA[ruleKey] : null;
+  if (!metadata) {
+    return {
+      id: ruleKey || null,
+      category: null,
+      wcag: null,
+      wcagName: null,
+      wcagLevel: null,
+      helpUrl: null
+    };
+  }
+
+  const criterion = A11Y_CONFIG.WCAG_CRITERIA[metadata.wcag];
+  return {
+    id: metadata.id,
+    category: metadata.category,
+    wcag: metadata.wcag,
+    wcagName: criterion ? criterion.name : null,
+    wcagLevel: criterion ? criterion.level : null,
+    helpUrl: criterion ? `${A11Y_CONFIG.WCAG_UNDERSTANDING_URL}${criterion.slug}.html` : null
+  };
 }
 
 /**
- * Provides the ability to overlay an element with a visual indicator of an accessibility issue.
- * @param {string} overlayClass - CSS class for the overlay
- * @param {string} level - Error level (error/warning)
- * @param {string} msg - Error message
- * @this {Element} The DOM element to overlay
- * @returns {void}
+ * Formats a finding's WCAG reference for display, e.g. "1.1.1 Non-text Content (A)".
+ * @param {Finding} finding - The finding
+ * @returns {string} Formatted reference, or an empty string when the rule has none
  */
-function overlay(overlayClass, level, msg) {
-  const elementInError = this;
+function formatWcagReference(finding) {
+  if (!finding.wcag) {
+    return '';
+  }
+  const criterion = A11Y_CONFIG.WCAG_CRITERIA[finding.wcag];
+  const name = criterion ? ` ${criterion.name}` : '';
+  return `${finding.wcag}${name} (${finding.wcagLevel})`;
+}
 
-  try {
-    // Validate parameters
-    if (typeof overlayClass !== 'string' || !overlayClass) {
-      console.error('Invalid overlay class:', overlayClass);
-      return;
-    }
+/**
+ * Creates the finding for an element and appends it to LOGS, or to
+ * SUPPRESSED_FINDINGS if an ignore list entry hides it.
+ * @param {Element} element - The element in error
+ * @param {string} level - Severity (error/warning)
+ * @param {string} message - Plain-text message
+ * @param {ResolvedRuleMetadata} rule - Metadata of the rule that found it
+ * @param {string} category - Result category
+ * @param {string} accessibleName - Computed accessible name of the element
+ * @param {IgnoreRule|null} [ignoreRule] - Ignore list entry that hides the finding
+ * @returns {Finding} The new finding
+ */
+function recordFinding(element, level, message, rule, category, accessibleName, ignoreRule = null) {
+  const outerHTML = element.outerHTML;
+  const maxLength = A11Y_CONFIG.PERFORMANCE.MAX_LOG_ELEMENT_LENGTH;
+  const findings = ignoreRule ? SUPPRESSED_FINDINGS : LOGS;
+
+  const finding = {
+    id: findings.length,
+    scanId: currentScanId,
+    ruleId: rule.id,
+    level,
+    message,
+    category,
+    wcag: rule.wcag,
+    wcagLevel: rule.wcagLevel,
+    helpUrl: rule.helpUrl,
+    elementRef: typeof WeakRef === 'function' ? new WeakRef(element) : null,
+    tagName: element.tagName.toLowerCase(),
+    selector: getElementSelector(element),
+    xpath: getElementXPath(element),
+    html: outerHTML.length > maxLength ? `${outerHTML.slice(0, maxLength)}...` : outerHTML,
+    accessibleName,
+    timestamp: new Date().toISOString(),
+    frameUrl: window.location.href
+  };
+  if (ignoreRule) {
+    finding.suppressedBy = { ...ignoreRule };
+  }
 
-    if (level !== 'error' && level !== 'warning') {
-      console.error('Invalid level:', level);
+  findings.push(finding);
+  return finding;
+}
+
+/**
+ * Gets the element of a finding, if it still exists.
+ * @param {Finding} finding - The finding
+ * @returns {Element|null} The element, or null once it has been garbage collected
+ */
+function getFindingElement(finding) {
+  return finding.elementRef ? finding.elementRef.deref() || null : null;
+}
+
+/**
+ * Gets the finding an overlay was created for.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @returns {Finding|null} The finding, or null for overlays not in LOGS
+ */
+function getOverlayFinding(overlayEl) {
+  return LOGS[Number(overlayEl.dataset.a11yindex)] || null;
+}
+
+/**
+ * Removes findings and their overlays from LOGS, renumbering the findings
+ * that remain so their IDs stay equal to their index. Suppressed findings
+ * are removed and renumbered alike.
+ * @param {function(Finding): boolean} shouldRemove - Selects the findings to remove
+ * @returns {number} Number of findings removed from LOGS
+ */
+function removeFindings(shouldRemove) {
+  const overlays = new Map(
+    queryAllUI('[data-a11yindex]').map(overlayEl => [
+      Number(overlayEl.dataset.a11yindex),
+      overlayEl
+    ])
+  );
+  const kept = [];
+
+  LOGS.forEach((finding, index) => {
+    const overlayEl = overlays.get(index);
+    if (shouldRemove(finding)) {
+      if (overlayEl) {
+        untrackOverlay(overlayEl);
+        overlayEl.remove();
+      }
       return;
     }
 
-    if (typeof msg !== 'string' || !msg) {
-      console.error('Invalid message:', msg);
-      return;
+    finding.id = kept.length;
+    if (overlayEl) {
+      overlayEl.dataset.a11yindex = String(kept.length);
     }
+    kept.push(finding);
+  });
 
-    // Get accurate element position and dimensions using getBoundingClientRect
-    const rect = elementInError.getBoundingClientRect();
+  const keptSuppressed = SUPPRESSED_FINDINGS.filter(finding => !shouldRemove(finding));
+  keptSuppressed.forEach((finding, index) => {
+    finding.id = index;
+  });
+  SUPPRESSED_FINDINGS.splice(0, SUPPRESSED_FINDINGS.length, ...keptSuppressed);
 
-    // Skip if element is not visible
-    if (rect.width === 0 || rect.height === 0) {
-      console.log('Skipping overlay for zero-sized element:', elementInError);
-      return;
+  const removedCount = LOGS.length - kept.length;
+  LOGS.splice(0, LOGS.length, ...kept);
+  updatePageIssuesBanner();
+  return removedCount;
+}
+
+/**
+ * Builds a CSS selector that finds an element, anchored at the nearest
+ * ancestor with a unique ID, e.g. "#main > ul:nth-of-type(2) > li:nth-of-type(3)".
+ * Elements in shadow trees get a shadow-piercing path: the host's selector,
+ * then " >>> " and the path within the shadow root, starting at an element
+ * with a unique ID in that root or at a top-level element of the root,
+ * e.g. "#signup > x-field >>> div > input".
+ * @param {Element} element - The element
+ * @returns {string} The selector
+ */
+function getElementSelector(element) {
+  const parts = [];
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    const tagName = current.tagName.toLowerCase();
+
+    if (current.id && getElementsWithId(current, current.id).length === 1) {
+      parts.unshift(
+        /^[A-Za-z][\w-]*$/.test(current.id)
+          ? `#${current.id}`
+          : `${tagName}[id="${current.id.replace(/["\\]/g, '\\$&')}"]`
+      );
+      break;
     }
 
-    // Sanitize message by escaping HTML entities
-    // Note: Using dataset property is safe and doesn't execute code,
-    // but we sanitize for defense-in-depth in case the value is used elsewhere
-    const sanitizedMsg = String(msg)
-      .replace(/&/g, '&amp;')
-      .replace(/</g, '&lt;')
-      .replace(/>/g, '&gt;')
-      .replace(/"/g, '&quot;')
-      .replace(/'/g, '&#x27;')
-      .trim();
+    // Top-level elements of a shadow root have the root as parent node
+    const parent = current.parentElement || current.parentNode;
+    if (!parent || parent.nodeType === Node.DOCUMENT_NODE) {
+      parts.unshift(tagName);
+      break;
+    }
 
-    // Create overlay element
-    const overlayEl = document.createElement('div');
-    overlayEl.classList.add(overlayClass);
+    const sameTag = Array.from(parent.children).filter(child => child.tagName === current.tagName);
+    parts.unshift(
+      sameTag.length > 1 ? `${tagName}:nth-of-type(${sameTag.indexOf(current) + 1})` : tagName
+    );
+    if (parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+      break;
+    }
+    current = parent;
+  }
 
-    // Validate numeric values
-    const topPos = Math.max(0, rect.top + window.scrollY);
-    const leftPos = Math.max(0, rect.left + window.scrollX);
-    const width = Math.max(0, rect.width);
-    const height = Math.max(0, rect.height);
+  const root = element.getRootNode();
+  const path = parts.join(' > ');
+  return root.host ? `${getElementSelector(root.host)} >>> ${path}` : path;
+}
 
-    // Set positioning styles using individual properties (safer than cssText)
-    overlayEl.style.position = 'absolute';
-    overlayEl.style.top = `${topPos}px`;
-    overlayEl.style.left = `${leftPos}px`;
-    overlayEl.style.width = `${width}px`;
-    overlayEl.style.height = `${height}px`;
+/**
+ * Escapes HTML special characters to prevent XSS attacks.
+ *
+ * @param {string} str - String to escape
+ * @returns {string} Escaped string safe for HTML
+ */
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str;
+  return div.innerHTML;
+}
+
+/**
+ * Escapes a link for use in an href attribute, allowing only http and https
+ * links so a finding from a frame can't add a script link to a report.
+ *
+ * @param {string|null} url - Link to escape
+ * @returns {string} Escaped link, or an empty string if the link isn't allowed
+ */
+function escapeHref(url) {
+  let protocol;
+  try {
+    ({ protocol } = new URL(url));
+  } catch (error) {
+    return '';
+  }
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    return '';
+  }
+  return escapeHtml(url).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+/**
+ * Gets the closed shadow root that holds all injected UI, creating its host
+ * element on first use. The host is attached to the root element rather than
+ * the body so pages that replace their body content don't remove it.
+ * @returns {ShadowRoot} The UI root
+ */
+function getUIRoot() {
+  if (uiContainer.root && uiContainer.host.isConnected) {
+    return uiContainer.root;
+  }
+
+  if (!uiContainer.host) {
+    const host = document.createElement(A11Y_CONFIG.SELECTORS.UI_HOST);
+
+    // Reset every inherited and page-applied style; no transform, so fixed
+    // overlays stay relative to the viewport
+    [
+      ['all', 'initial'],
+      ['display', 'block'],
+      ['position', 'absolute'],
+      ['top', '0'],
+      ['left', '0'],
+      ['width', '0'],
+      ['height', '0'],
+      ['overflow', 'visible'],
+      ['z-index', String(A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY)]
+    ].forEach(([property, value]) => host.style.setProperty(property, value, 'important'));
+
+    const root = host.attachShadow({ mode: 'closed' });
+    UI_CONTAINED_EVENTS.forEach(type => {
+      root.addEventListener(type, event => event.stopPropagation());
+    });
+
+    uiContainer.host = host;
+    uiContainer.root = root;
+  }
+
+  document.documentElement.appendChild(uiContainer.host);
+  return uiContainer.root;
+}
+
+/**
+ * Finds the first injected UI element matching a selector, without creating
+ * the UI root.
+ * @param {string} selector - CSS selector
+ * @returns {Element|null} The element, or null if there is none
+ */
+function queryUI(selector) {
+  return uiContainer.root ? uiContainer.root.querySelector(selector) : null;
+}
+
+/**
+ * Finds all injected UI elements matching a selector, without creating the
+ * UI root.
+ * @param {string} selector - CSS selector
+ * @returns {Element[]} The elements in document order
+ */
+function queryAllUI(selector) {
+  return uiContainer.root ? Array.from(uiContainer.root.querySelectorAll(selector)) : [];
+}
+
+/**
+ * Provides the ability to overlay an element with a visual indicator of an accessibility issue.
+ * @param {string} overlayClass - CSS class for the overlay
+ * @param {string} level - Error level (error/warning)
+ * @param {string} msg - Error message
+ * @param {string} [ruleKey] - A11Y_CONFIG.MESSAGES key of the check, or a custom rule id
+ * @this {Element} The DOM element to overlay
+ * @returns {void}
+ */
+function overlay(overlayClass, level, msg, ruleKey) {
+  const elementInError = this;
+
+  try {
+    // Validate parameters
+    if (typeof overlayClass !== 'string' || !overlayClass) {
+      console.error('Invalid overlay class:', overlayClass);
+      return;
+    }
+
+    if (level !== 'error' && level !== 'warning') {
+      console.error('Invalid level:', level);
+      return;
+    }
+
+    if (typeof msg !== 'string' || !msg) {
+      console.error('Invalid message:', msg);
+      return;
+    }
+
+    // Findings about the whole page have no element worth overlaying
+    const isPageLevel = isPageLevelElement(elementInError);
+
+    // Get accurate element position and dimensions using getBoundingClientRect
+    const rect = elementInError.getBoundingClientRect();
+
+    // Skip if element is not visible
+    if (!isPageLevel && (rect.width === 0 || rect.height === 0)) {
+      console.log('Skipping overlay for zero-sized element:', elementInError);
+      return;
+    }
+
+    // Findings on the ignore list are recorded without an overlay
+    const rule = getRuleMetadata(ruleKey);
+    const ignoreRule = findIgnoreRule(elementInError, rule.id);
+    if (ignoreRule) {
+      recordFinding(
+        elementInError,
+        level,
+        String(msg).trim(),
+        rule,
+        rule.category || categorizeIssue(msg, elementInError),
+        computeAccessibleName(elementInError),
+        ignoreRule
+      );
+      return;
+    }
+
+    if (isPageLevel) {
+      addPageIssue(elementInError, overlayClass, level, String(msg).trim(), rule);
+      return;
+    }
+
+    // Sanitize message by escaping HTML entities
+    // Note: Using dataset property is safe and doesn't execute code,
+    // but we sanitize for defense-in-depth in case the value is used elsewhere
+    const sanitizedMsg = String(msg)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#x27;')
+      .trim();
+
+    // Create overlay element
+    const overlayEl = document.createElement('div');
+    overlayEl.classList.add(overlayClass);
+
+    // Set positioning styles using individual properties (safer than cssText)
+    applyOverlayPosition(overlayEl, getOverlayPosition(elementInError));
     overlayEl.style.display = 'block';
     overlayEl.style.pointerEvents = 'none';
     overlayEl.style.zIndex = String(A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY);
@@ -492,6 +1967,19 @@ function overlay(overlayClass, level, msg) {
     // Use textContent instead of setAttribute for safer content handling
     overlayEl.dataset.a11ymessage = sanitizedMsg;
 
+    const category = rule.category || categorizeIssue(msg, elementInError);
+    if (rule.id) {
+      overlayEl.dataset.a11yrule = rule.id;
+    }
+    overlayEl.dataset.a11ycategory = category;
+
+    const accessibleName = computeAccessibleName(elementInError);
+    overlayEl.dataset.a11yname = accessibleName;
+    overlayEl.title = `${msg}\nAccessible name: ${accessibleName ? `"${accessibleName}"` : '(none)'}`;
+
+    // Links the overlay to its finding
+    overlayEl.dataset.a11yindex = String(LOGS.length);
+
     // Set overlay appearance based on level
     if (level === 'error') {
       overlayEl.style.backgroundColor = A11Y_CONFIG.VISUAL.ERROR_COLOR;
@@ -503,22 +1991,389 @@ function overlay(overlayClass, level, msg) {
       overlayEl.classList.add(A11Y_CONFIG.CSS_CLASSES.WARNING_OVERLAY);
     }
 
-    // Append overlay to document body
-    document.body.appendChild(overlayEl);
+    // Append overlay to the UI root and keep it aligned with the element
+    getUIRoot().appendChild(overlayEl);
+    trackOverlay(overlayEl, elementInError);
+
+    // Record the finding; consumers escape its message and HTML where needed
+    recordFinding(elementInError, level, String(msg).trim(), rule, category, accessibleName);
+  } catch (error) {
+    console.error('Error creating overlay:', error);
+  }
+}
+
+/**
+ * Determines whether a finding is about the page as a whole: it was found
+ * on the root element or body, or on an element that is never rendered such
+ * as the title or a meta tag.
+ * @param {Element} element - The element in error
+ * @returns {boolean} True if the finding belongs in the page issues banner
+ */
+function isPageLevelElement(element) {
+  return (
+    element === document.documentElement ||
+    element === document.body ||
+    element.closest('head, title, meta') !== null
+  );
+}
+
+/**
+ * Lists a page-level finding in the page issues banner, creating the banner
+ * on first use. The item carries the classes and data of an overlay, so
+ * filters, keyboard navigation and baselines treat it like one.
+ * @param {Element} element - The element in error
+ * @param {string} overlayClass - CSS class for the overlay
+ * @param {string} level - Error level (error/warning)
+ * @param {string} message - Plain-text message
+ * @param {ResolvedRuleMetadata} rule - Metadata of the rule that found it
+ * @returns {void}
+ */
+function addPageIssue(element, overlayClass, level, message, rule) {
+  let banner = queryUI(`.${A11Y_CONFIG.CSS_CLASSES.PAGE_ISSUES_BANNER}`);
+  if (!banner) {
+    banner = document.createElement('section');
+    banner.className = A11Y_CONFIG.CSS_CLASSES.PAGE_ISSUES_BANNER;
+    banner.setAttribute('aria-labelledby', 'a11y-page-issues-title');
+    banner.style.cssText = `
+      position: fixed;
+      top: 20px;
+      left: 20px;
+      z-index: ${A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY + 1};
+      background: white;
+      color: #333;
+      border: 2px solid ${A11Y_CONFIG.VISUAL.ERROR_COLOR};
+      border-radius: 8px;
+      padding: 10px 15px;
+      box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 13px;
+      line-height: 1.4;
+      max-width: 350px;
+    `;
+
+    const title = document.createElement('h3');
+    title.id = 'a11y-page-issues-title';
+    title.textContent = 'Page-level issues';
+    title.style.cssText = 'margin: 0 0 6px 0; font-size: 14px;';
+
+    const list = document.createElement('ul');
+    list.style.cssText = 'list-style: none; margin: 0; padding: 0;';
+
+    banner.append(title, list);
+    getUIRoot().appendChild(banner);
+  }
+
+  const category = rule.category || categorizeIssue(message, element);
+  const accessibleName = computeAccessibleName(element);
+  const isError = level === 'error';
+
+  const item = document.createElement('li');
+  item.classList.add(
+    overlayClass,
+    isError ? A11Y_CONFIG.CSS_CLASSES.ERROR_OVERLAY : A11Y_CONFIG.CSS_CLASSES.WARNING_OVERLAY
+  );
+  item.textContent = message;
+  item.style.cssText = `
+    margin: 4px 0;
+    padding-left: 8px;
+    border-left: 4px solid ${isError ? A11Y_CONFIG.VISUAL.ERROR_COLOR : A11Y_CONFIG.VISUAL.WARNING_COLOR};
+  `;
+  item.dataset.a11ymessage = message;
+  if (rule.id) {
+    item.dataset.a11yrule = rule.id;
+  }
+  item.dataset.a11ycategory = category;
+  item.dataset.a11yname = accessibleName;
+  item.dataset.a11yindex = String(LOGS.length);
+
+  banner.querySelector('ul').appendChild(item);
+  recordFinding(element, level, message, rule, category, accessibleName);
+}
+
+/**
+ * Removes the page issues banner once it lists no findings, and hides it
+ * while filters hide all of them.
+ * @returns {void}
+ */
+function updatePageIssuesBanner() {
+  const banner = queryUI(`.${A11Y_CONFIG.CSS_CLASSES.PAGE_ISSUES_BANNER}`);
+  if (!banner) {
+    return;
+  }
+
+  const items = Array.from(banner.querySelectorAll('li'));
+  if (items.length === 0) {
+    banner.remove();
+    return;
+  }
+  banner.style.display = items.some(item => item.style.display !== 'none') ? 'block' : 'none';
+}
+
+/**
+ * @typedef {Object} OverlayPosition
+ * @property {string} position - 'fixed' for elements that don't move with the page, else 'absolute'
+ * @property {number} top - Top offset in pixels
+ * @property {number} left - Left offset in pixels
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {boolean} isVisible - False if the element has no size or is scrolled out of view
+ *   of a scrollable container
+ */
+
+/**
+ * Gets the parent of an element in the flat tree that is rendered: the slot
+ * a slotted element is assigned to, and the host for top-level elements of
+ * a shadow root.
+ * @param {Element} element - The element
+ * @returns {Element|null} The parent element, or null at the root
+ */
+function getComposedParent(element) {
+  if (element.assignedSlot) {
+    return element.assignedSlot;
+  }
+
+  const parent = element.parentNode;
+  if (parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+    return parent.host || null;
+  }
+  return parent && parent.nodeType === Node.ELEMENT_NODE ? parent : null;
+}
+
+/**
+ * Checks whether an element or one of its ancestors is position: fixed,
+ * in which case it stays in place when the page scrolls.
+ * @param {Element} element - The element
+ * @returns {boolean} True if the element is fixed to the viewport
+ */
+function hasFixedPosition(element) {
+  for (
+    let current = element;
+    current && current.nodeType === Node.ELEMENT_NODE;
+    current = getComposedParent(current)
+  ) {
+    const style = window.getComputedStyle(current);
+    if (style && style.position === 'fixed') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Clips a viewport rectangle to the scrollable and overflow-hidden
+ * containers of an element, so overlays don't spill out of them.
+ * @param {Element} element - The element
+ * @param {{top: number, left: number, right: number, bottom: number}} rect - Viewport rectangle
+ * @returns {{top: number, left: number, right: number, bottom: number}} The visible part
+ */
+function clipToScrollContainers(element, rect) {
+  const clipped = { top: rect.top, left: rect.left, right: rect.right, bottom: rect.bottom };
+
+  for (
+    let container = getComposedParent(element);
+    container && container !== document.body && container !== document.documentElement;
+    container = getComposedParent(container)
+  ) {
+    const style = window.getComputedStyle(container);
+    const overflow = style ? `${style.overflowX || ''} ${style.overflowY || ''}` : '';
+    if (!/auto|scroll|hidden|clip/.test(overflow)) {
+      continue;
+    }
+
+    const bounds = container.getBoundingClientRect();
+    clipped.top = Math.max(clipped.top, bounds.top);
+    clipped.left = Math.max(clipped.left, bounds.left);
+    clipped.right = Math.min(clipped.right, bounds.right);
+    clipped.bottom = Math.min(clipped.bottom, bounds.bottom);
+  }
+
+  return clipped;
+}
+
+/**
+ * Measures where an element's overlay should be.
+ * @param {Element} element - The element
+ * @returns {OverlayPosition} The overlay position
+ */
+function getOverlayPosition(element) {
+  const rect = element.getBoundingClientRect();
+  const isFixed = hasFixedPosition(element);
+  const clipped = clipToScrollContainers(element, {
+    top: rect.top,
+    left: rect.left,
+    right: rect.left + rect.width,
+    bottom: rect.top + rect.height
+  });
+  const width = Math.max(0, clipped.right - clipped.left);
+  const height = Math.max(0, clipped.bottom - clipped.top);
+
+  return {
+    position: isFixed ? 'fixed' : 'absolute',
+    top: Math.max(0, clipped.top + (isFixed ? 0 : window.scrollY)),
+    left: Math.max(0, clipped.left + (isFixed ? 0 : window.scrollX)),
+    width,
+    height,
+    isVisible: width > 0 && height > 0
+  };
+}
+
+/**
+ * Moves an overlay to a measured position.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @param {OverlayPosition} position - The position
+ * @returns {void}
+ */
+function applyOverlayPosition(overlayEl, position) {
+  overlayEl.style.position = position.position;
+  overlayEl.style.top = `${position.top}px`;
+  overlayEl.style.left = `${position.left}px`;
+  overlayEl.style.width = `${position.width}px`;
+  overlayEl.style.height = `${position.height}px`;
+  // Visibility, not display, so the filters stay in charge of display
+  overlayEl.style.visibility = position.isVisible ? '' : 'hidden';
+}
 
-    // Push the error to the LOGS array with sanitized element HTML
-    const sanitizedElementHTML =
-      elementInError.outerHTML
-        .slice(0, A11Y_CONFIG.PERFORMANCE.MAX_LOG_ELEMENT_LENGTH)
-        .replace(/[<>"'&]/g, '') + '...';
+/**
+ * Repositions every tracked overlay. All positions are measured before any
+ * overlay is moved, so the update causes a single layout.
+ * @returns {void}
+ */
+function updateOverlayPositions() {
+  overlayTracking.frameId = null;
 
-    LOGS.push({
-      Level: level,
-      Message: sanitizedMsg,
-      Element: sanitizedElementHTML
+  try {
+    const updates = [];
+    overlayTracking.overlays.forEach((elementRef, overlayEl) => {
+      const element = elementRef.deref();
+      if (!overlayEl.isConnected) {
+        untrackOverlay(overlayEl);
+      } else if (!element || !element.isConnected) {
+        overlayEl.style.visibility = 'hidden';
+      } else {
+        updates.push([overlayEl, getOverlayPosition(element)]);
+      }
     });
+
+    updates.forEach(([overlayEl, position]) => applyOverlayPosition(overlayEl, position));
   } catch (error) {
-    console.error('Error creating overlay:', error);
+    console.error('Error updating overlay positions:', error);
+  }
+}
+
+/**
+ * Schedules an overlay update for the next animation frame, batching the
+ * many scroll and resize events a frame can produce.
+ * @returns {void}
+ */
+function scheduleOverlayUpdate() {
+  if (overlayTracking.frameId !== null) {
+    return;
+  }
+
+  overlayTracking.frameId =
+    typeof requestAnimationFrame !== 'undefined'
+      ? requestAnimationFrame(updateOverlayPositions)
+      : setTimeout(updateOverlayPositions, 16);
+}
+
+/**
+ * Starts listening for scrolling, resizing and layout changes.
+ * @returns {void}
+ */
+function startOverlayTracking() {
+  if (overlayTracking.isListening) {
+    return;
+  }
+  overlayTracking.isListening = true;
+
+  // Capture scroll events of every scrollable container, not just the page
+  window.addEventListener('scroll', scheduleOverlayUpdate, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleOverlayUpdate, { passive: true });
+
+  if (typeof ResizeObserver === 'function') {
+    overlayTracking.resizeObserver = new ResizeObserver(scheduleOverlayUpdate);
+    // The body resizes when content above an element expands or collapses
+    overlayTracking.resizeObserver.observe(document.documentElement);
+    if (document.body) {
+      overlayTracking.resizeObserver.observe(document.body);
+    }
+  }
+}
+
+/**
+ * Stops tracking all overlays and removes the listeners.
+ * @returns {void}
+ */
+function stopOverlayTracking() {
+  if (overlayTracking.isListening) {
+    window.removeEventListener('scroll', scheduleOverlayUpdate, { capture: true });
+    window.removeEventListener('resize', scheduleOverlayUpdate);
+  }
+  overlayTracking.shadowRoots.forEach(root => {
+    root.removeEventListener('scroll', scheduleOverlayUpdate, { capture: true });
+  });
+  overlayTracking.shadowRoots.clear();
+  if (overlayTracking.resizeObserver) {
+    overlayTracking.resizeObserver.disconnect();
+    overlayTracking.resizeObserver = null;
+  }
+  if (overlayTracking.frameId !== null) {
+    if (typeof cancelAnimationFrame !== 'undefined') {
+      cancelAnimationFrame(overlayTracking.frameId);
+    }
+    clearTimeout(overlayTracking.frameId);
+    overlayTracking.frameId = null;
+  }
+
+  overlayTracking.overlays.clear();
+  overlayTracking.isListening = false;
+}
+
+/**
+ * Keeps an overlay aligned with its element.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @param {Element} element - The element it marks
+ * @returns {void}
+ */
+function trackOverlay(overlayEl, element) {
+  startOverlayTracking();
+  overlayTracking.overlays.set(
+    overlayEl,
+    typeof WeakRef === 'function' ? new WeakRef(element) : { deref: () => element }
+  );
+  if (overlayTracking.resizeObserver) {
+    overlayTracking.resizeObserver.observe(element);
+  }
+
+  // Listen to every shadow root the element is nested in
+  for (let root = element.getRootNode(); root.host; root = root.host.getRootNode()) {
+    if (!overlayTracking.shadowRoots.has(root)) {
+      overlayTracking.shadowRoots.add(root);
+      root.addEventListener('scroll', scheduleOverlayUpdate, { capture: true, passive: true });
+    }
+  }
+}
+
+/**
+ * Stops keeping an overlay aligned, e.g. after it was removed. The element
+ * stays observed while other overlays for it are still tracked, and the root
+ * and body, which are observed for page layout changes, always stay observed.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @returns {void}
+ */
+function untrackOverlay(overlayEl) {
+  const elementRef = overlayTracking.overlays.get(overlayEl);
+  const element = elementRef ? elementRef.deref() : null;
+  overlayTracking.overlays.delete(overlayEl);
+
+  if (
+    element &&
+    overlayTracking.resizeObserver &&
+    element !== document.documentElement &&
+    element !== document.body &&
+    !Array.from(overlayTracking.overlays.values()).some(ref => ref.deref() === element)
+  ) {
+    overlayTracking.resizeObserver.unobserve(element);
   }
 }
 
@@ -587,7 +2442,7 @@ function showProgressIndicator(message, percentage = 0) {
     progressIndicator._messageDiv = messageDiv;
     progressIndicator._progressFill = progressFill;
 
-    document.body.appendChild(progressIndicator);
+    getUIRoot().appendChild(progressIndicator);
   } catch (error) {
     console.error('Error showing progress indicator:', error);
   }
@@ -611,22 +2466,64 @@ function updateProgressIndicator(message, percentage) {
 }
 
 /**
- * Hides and removes the progress indicator.
+ * Replaces the buttons of the progress indicator.
+ * @param {Array<{label: string, onClick: Function}>} actions - The buttons, none to remove them
  * @returns {void}
  */
-function hideProgressIndicator() {
-  try {
-    if (progressIndicator && progressIndicator.parentNode) {
-      progressIndicator.parentNode.removeChild(progressIndicator);
-    }
-    progressIndicator = null;
-  } catch (error) {
-    console.error('Error hiding progress indicator:', error);
+function setProgressActions(actions) {
+  if (!progressIndicator) {
+    return;
+  }
+
+  if (progressIndicator._actions) {
+    progressIndicator._actions.remove();
+    progressIndicator._actions = null;
+  }
+  if (actions.length === 0) {
+    return;
+  }
+
+  const container = document.createElement('div');
+  container.style.cssText = 'display: flex; gap: 8px; margin-top: 10px;';
+  actions.forEach(({ label, onClick }) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.textContent = label;
+    button.style.cssText = `
+      padding: 4px 10px;
+      background: white;
+      color: #007cba;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 13px;
+    `;
+    button.addEventListener('click', onClick);
+    container.appendChild(button);
+  });
+
+  progressIndicator.appendChild(container);
+  progressIndicator._actions = container;
+}
+
+/**
+ * Hides and removes the progress indicator.
+ * @returns {void}
+ */
+function hideProgressIndicator() {
+  try {
+    if (progressIndicator && progressIndicator.parentNode) {
+      progressIndicator.parentNode.removeChild(progressIndicator);
+    }
+    progressIndicator = null;
+  } catch (error) {
+    console.error('Error hiding progress indicator:', error);
   }
 }
 
 /**
  * Categorizes an accessibility issue based on its message and element type.
+ * Used as a fallback for findings whose rule has no metadata (e.g. custom rules).
  * @param {string} message - The issue message
  * @param {Element} element - The problematic element
  * @returns {string} The category name
@@ -680,14 +2577,20 @@ function categorizeIssue(message, element) {
  */
 function applyFilters() {
   try {
-    const allOverlays = document.querySelectorAll(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
+    const allOverlays = queryAllUI(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
     let visibleCount = 0;
 
     allOverlays.forEach(overlay => {
-      const level = overlay.classList.contains('a11y-error') ? 'error' : 'warning';
-      const message = overlay.dataset.a11ymessage || '';
-      const element = overlay.parentElement;
-      const category = categorizeIssue(message, element);
+      const finding = getOverlayFinding(overlay);
+      const level = finding
+        ? finding.level
+        : overlay.classList.contains('a11y-error')
+          ? 'error'
+          : 'warning';
+      const category = finding
+        ? finding.category
+        : overlay.dataset.a11ycategory ||
+          categorizeIssue(overlay.dataset.a11ymessage || '', overlay.parentElement);
 
       // Check if overlay should be visible based on filters
       const shouldShow =
@@ -704,6 +2607,7 @@ function applyFilters() {
       }
     });
 
+    updatePageIssuesBanner();
     console.log(`Showing ${visibleCount} of ${allOverlays.length} accessibility issues`);
 
     // Update progress indicator if it exists
@@ -722,7 +2626,7 @@ function applyFilters() {
 function createFilterPanel() {
   try {
     // Remove existing filter panel
-    const existing = document.querySelector('.a11y-filter-panel');
+    const existing = queryUI('.a11y-filter-panel');
     if (existing) {
       existing.remove();
     }
@@ -803,7 +2707,8 @@ function createFilterPanel() {
       { key: 'links', label: 'Links' },
       { key: 'structure', label: 'Structure' },
       { key: 'multimedia', label: 'Multimedia' },
-      { key: 'navigation', label: 'Navigation' }
+      { key: 'navigation', label: 'Navigation' },
+      { key: 'typography', label: 'Typography' }
     ];
 
     categories.forEach(({ key, label }) => {
@@ -839,7 +2744,7 @@ function createFilterPanel() {
     });
     filterPanel.appendChild(closeButton);
 
-    document.body.appendChild(filterPanel);
+    getUIRoot().appendChild(filterPanel);
   } catch (error) {
     console.error('Error creating filter panel:', error);
   }
@@ -894,11 +2799,13 @@ function createSummaryPanel() {
     addSummaryTitle(summaryPanel);
     addOverallStatsSection(summaryPanel, summary);
     addCategoryBreakdownSection(summaryPanel, summary);
+    addCriteriaBreakdownSection(summaryPanel, summary);
     addTopIssuesSection(summaryPanel, summary);
+    addHeadingOutlineSection(summaryPanel);
     addSummaryActionButtons(summaryPanel);
 
     // Add panel to DOM
-    document.body.appendChild(summaryPanel);
+    getUIRoot().appendChild(summaryPanel);
   } catch (error) {
     console.error('Error creating summary panel:', error);
   }
@@ -909,7 +2816,7 @@ function createSummaryPanel() {
  * @returns {void}
  */
 function removePreviousSummaryPanel() {
-  const existing = document.querySelector('.a11y-summary-panel');
+  const existing = queryUI('.a11y-summary-panel');
   if (existing) {
     existing.remove();
   }
@@ -982,6 +2889,15 @@ function addOverallStatsSection(panel, summary) {
   `;
   overallStats.appendChild(severityBreakdown);
 
+  const coverage = getScanCoverage();
+  if (coverage && coverage.status !== 'complete' && coverage.status !== 'running') {
+    const coverageNote = document.createElement('div');
+    coverageNote.className = 'a11y-scan-coverage';
+    coverageNote.textContent = describeScanCoverage(coverage);
+    coverageNote.style.cssText = 'margin-top: 8px; color: #856404;';
+    overallStats.appendChild(coverageNote);
+  }
+
   panel.appendChild(overallStats);
 }
 
@@ -1047,6 +2963,48 @@ function createCategoryItem(category, count) {
   return categoryItem;
 }
 
+/**
+ * Adds the WCAG success criterion breakdown section to the summary panel.
+ * @param {HTMLElement} panel - The panel to add the breakdown to
+ * @param {Object} summary - The summary data
+ * @returns {void}
+ */
+function addCriteriaBreakdownSection(panel, summary) {
+  if (Object.keys(summary.criteria).length === 0) {
+    return;
+  }
+
+  const criteriaTitle = document.createElement('h4');
+  criteriaTitle.textContent = 'Issues by WCAG Success Criterion';
+  criteriaTitle.style.cssText = 'margin: 20px 0 10px 0; font-size: 14px; color: #333;';
+  panel.appendChild(criteriaTitle);
+
+  const criteriaList = document.createElement('div');
+  Object.entries(summary.criteria)
+    .sort(([, a], [, b]) => b.count - a.count)
+    .forEach(([criterion, { name, level, helpUrl, count }]) => {
+      const criterionItem = document.createElement('div');
+      criterionItem.style.cssText =
+        'display: flex; justify-content: space-between; margin: 5px 0; padding: 5px 0; border-bottom: 1px solid #eee;';
+
+      const criterionLink = document.createElement('a');
+      criterionLink.href = helpUrl;
+      criterionLink.target = '_blank';
+      criterionLink.rel = 'noopener noreferrer';
+      criterionLink.textContent = `${criterion} ${name} (${level})`;
+      criterionLink.style.cssText = 'color: #007cba;';
+
+      const criterionCount = document.createElement('span');
+      criterionCount.textContent = count;
+      criterionCount.style.cssText = 'font-weight: bold; color: #007cba;';
+
+      criterionItem.appendChild(criterionLink);
+      criterionItem.appendChild(criterionCount);
+      criteriaList.appendChild(criterionItem);
+    });
+  panel.appendChild(criteriaList);
+}
+
 /**
  * Adds the top issues section to the summary panel.
  * @param {HTMLElement} panel - The panel to add the top issues to
@@ -1108,6 +3066,67 @@ function createTopIssueItem(message, count) {
   return issueItem;
 }
 
+/**
+ * Adds a collapsible heading outline to the summary panel.
+ * @param {HTMLElement} panel - The panel to add the outline to
+ * @returns {void}
+ */
+function addHeadingOutlineSection(panel) {
+  if (!customRules.structure.enabled || !customRules.structure.checkHeadingStructure) {
+    return;
+  }
+
+  const headings = getHeadingOutline();
+
+  const outline = document.createElement('details');
+  outline.style.cssText = 'margin-top: 20px;';
+
+  const outlineTitle = document.createElement('summary');
+  outlineTitle.textContent = `Heading Outline (${headings.length})`;
+  outlineTitle.style.cssText = 'cursor: pointer; font-weight: bold; font-size: 14px; color: #333;';
+  outline.appendChild(outlineTitle);
+
+  if (headings.length === 0) {
+    const emptyMessage = document.createElement('div');
+    emptyMessage.textContent = 'No headings found on this page.';
+    emptyMessage.style.cssText = 'margin: 8px 0; font-size: 12px; color: #666;';
+    outline.appendChild(emptyMessage);
+  }
+
+  const outlineList = document.createElement('ul');
+  outlineList.style.cssText = 'list-style: none; margin: 8px 0 0 0; padding: 0; font-size: 12px;';
+
+  let previousLevel = 0;
+  headings.forEach(heading => {
+    const skipped = previousLevel > 0 && heading.level > previousLevel + 1;
+    previousLevel = heading.level;
+
+    const item = document.createElement('li');
+    item.style.cssText = `margin: 4px 0; padding-left: ${(heading.level - 1) * 12}px;`;
+
+    const itemButton = document.createElement('button');
+    itemButton.textContent = `h${heading.level}: ${heading.text || '(empty)'}`;
+    itemButton.style.cssText = `
+      background: none;
+      border: none;
+      padding: 0;
+      cursor: pointer;
+      text-align: left;
+      font-size: 12px;
+      color: ${skipped || !heading.text ? '#dc3545' : '#007cba'};
+    `;
+    itemButton.addEventListener('click', () => {
+      heading.element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    });
+
+    item.appendChild(itemButton);
+    outlineList.appendChild(item);
+  });
+
+  outline.appendChild(outlineList);
+  panel.appendChild(outline);
+}
+
 /**
  * Adds action buttons to the summary panel.
  * @param {HTMLElement} panel - The panel to add buttons to
@@ -1135,7 +3154,7 @@ function createSummaryButtonGroup() {
   buttonGroup.style.cssText = 'display: flex; gap: 8px; flex-wrap: wrap;';
 
   const filterButton = createSummaryActionButton('Filter Results', '#007cba', () => {
-    const existingFilter = document.querySelector('.a11y-filter-panel');
+    const existingFilter = queryUI('.a11y-filter-panel');
     if (existingFilter) {
       existingFilter.remove();
     } else {
@@ -1144,7 +3163,7 @@ function createSummaryButtonGroup() {
   });
 
   const configButton = createSummaryActionButton('Configure Rules', '#17a2b8', () => {
-    const existingConfig = document.querySelector('.a11y-config-panel');
+    const existingConfig = queryUI('.a11y-config-panel');
     if (existingConfig) {
       existingConfig.remove();
     } else {
@@ -1213,34 +3232,49 @@ function createSummaryCloseButton(panel) {
 }
 
 /**
- * Analyzes the LOGS array to create summary statistics.
+ * Analyzes the findings of all frames to create summary statistics.
  * @returns {Object} Summary object with statistics
  */
 function analyzeLogs() {
+  const findings = getAllFindings();
   const summary = {
-    total: LOGS.length,
+    total: findings.length,
     errors: 0,
     warnings: 0,
     categories: {},
+    criteria: {},
     topIssues: []
   };
 
   const messageCount = {};
 
-  LOGS.forEach(log => {
+  findings.forEach(finding => {
     // Count by severity
-    if (log.level === 'error') {
+    if (finding.level === 'error') {
       summary.errors++;
-    } else if (log.level === 'warning') {
+    } else if (finding.level === 'warning') {
       summary.warnings++;
     }
 
     // Count by category
-    const category = categorizeIssue(log.message, log.element);
-    summary.categories[category] = (summary.categories[category] || 0) + 1;
+    summary.categories[finding.category] = (summary.categories[finding.category] || 0) + 1;
+
+    // Count by WCAG success criterion
+    if (finding.wcag) {
+      if (!summary.criteria[finding.wcag]) {
+        const criterion = A11Y_CONFIG.WCAG_CRITERIA[finding.wcag];
+        summary.criteria[finding.wcag] = {
+          name: criterion ? criterion.name : '',
+          level: finding.wcagLevel,
+          helpUrl: finding.helpUrl,
+          count: 0
+        };
+      }
+      summary.criteria[finding.wcag].count++;
+    }
 
     // Count message occurrences
-    messageCount[log.message] = (messageCount[log.message] || 0) + 1;
+    messageCount[finding.message] = (messageCount[finding.message] || 0) + 1;
   });
 
   // Create top issues list
@@ -1259,12 +3293,27 @@ function analyzeLogs() {
 async function loadCustomRules() {
   try {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-      const result = await chrome.storage.local.get(['customRules']);
+      const result = await chrome.storage.local.get(['customRules', 'ignoreRules']);
       if (result.customRules && typeof result.customRules === 'object') {
         // Merge loaded rules with defaults to ensure all properties exist
         customRules = { ...customRules, ...result.customRules };
+        // Settings saved from the module configuration keep the contrast
+        // switch under general
+        const { general = {}, typography = {} } = customRules;
+        if (general.enabled !== false && general.checkColorContrast === true) {
+          customRules.typography = { ...typography, checkColorContrast: true };
+        }
         console.log('Custom rules loaded from storage');
       }
+      if (Array.isArray(result.ignoreRules)) {
+        ignoreRules = result.ignoreRules.filter(entry => {
+          const problem = validateIgnoreRule(entry);
+          if (problem) {
+            console.warn('Skipping invalid ignore rule:', entry, problem);
+          }
+          return !problem;
+        });
+      }
     }
   } catch (error) {
     console.warn('Failed to load custom rules:', error);
@@ -1279,7 +3328,7 @@ async function loadCustomRules() {
 async function saveCustomRules() {
   try {
     if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
-      await chrome.storage.local.set({ customRules });
+      await chrome.storage.local.set({ customRules, ignoreRules });
       console.log('Custom rules saved to storage');
     }
   } catch (error) {
@@ -1287,73 +3336,132 @@ async function saveCustomRules() {
   }
 }
 
+/**
+ * Checks an ignore list entry.
+ * @param {IgnoreRule} entry - The entry
+ * @returns {string|null} What is wrong with the entry, or null if it is valid
+ */
+function validateIgnoreRule(entry) {
+  if (!entry || typeof entry !== 'object') {
+    return 'The entry is not an object.';
+  }
+
+  const { selector, ruleId, urlPattern, expires, note } = entry;
+  if (!selector && !ruleId) {
+    return 'Enter a selector, a rule ID or both.';
+  }
+  if (
+    [selector, ruleId, urlPattern, expires].some(
+      value => value !== undefined && typeof value !== 'string'
+    )
+  ) {
+    return 'Fields must be text.';
+  }
+  if (selector) {
+    try {
+      document.createDocumentFragment().querySelector(selector);
+    } catch (_error) {
+      return `"${selector}" is not a valid CSS selector.`;
+    }
+  }
+  if (expires && !/^\d{4}-\d{2}-\d{2}$/.test(expires)) {
+    return 'Enter the expiry date as YYYY-MM-DD.';
+  }
+  if (typeof note !== 'string' || !note.trim()) {
+    return 'Enter a justification.';
+  }
+  return null;
+}
+
+/**
+ * Checks whether an ignore list entry still applies: it has no expiry date,
+ * or the date hasn't passed.
+ * @param {IgnoreRule} entry - The entry
+ * @param {Date} [now] - The current time
+ * @returns {boolean} True if the entry applies
+ */
+function isIgnoreRuleActive(entry, now = new Date()) {
+  // Entries apply until the end of their expiry day, in local time
+  return !entry.expires || now <= new Date(`${entry.expires}T23:59:59.999`);
+}
+
+/**
+ * Matches a URL against a glob pattern, where * matches any characters.
+ * @param {string} pattern - The pattern, e.g. "https://example.com/account/*"
+ * @param {string} url - The URL
+ * @returns {boolean} True if the whole URL matches
+ */
+function matchesUrlPattern(pattern, url) {
+  const source = pattern
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${source}$`).test(url);
+}
+
+/**
+ * Checks whether an element or one of its ancestors, across shadow
+ * boundaries, matches a selector.
+ * @param {Element} element - The element
+ * @param {string} selector - CSS selector
+ * @returns {boolean} True if the element is within a match
+ */
+function isWithinSelector(element, selector) {
+  for (let current = element; current; current = getComposedParent(current)) {
+    if (current.matches(selector)) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Finds the ignore list entry that hides a finding on this page.
+ * @param {Element} element - The element of the finding
+ * @param {string|null} ruleId - ID of the rule that found it
+ * @returns {IgnoreRule|null} The first entry that applies, or null
+ */
+function findIgnoreRule(element, ruleId) {
+  const now = new Date();
+  return (
+    ignoreRules.find(entry => {
+      try {
+        return (
+          isIgnoreRuleActive(entry, now) &&
+          (!entry.ruleId || entry.ruleId === ruleId) &&
+          (!entry.urlPattern || matchesUrlPattern(entry.urlPattern, window.location.href)) &&
+          (!entry.selector || isWithinSelector(element, entry.selector))
+        );
+      } catch (error) {
+        console.warn('Error matching ignore rule:', entry, error);
+        return false;
+      }
+    }) || null
+  );
+}
+
+/**
+ * Describes an ignore list entry for reports and the settings panel.
+ * @param {IgnoreRule} entry - The entry
+ * @returns {string} E.g. "img-missing-alt on .logo until 2026-12-31: Decorative"
+ */
+function describeIgnoreRule(entry) {
+  let text = `${entry.ruleId || 'All rules'} on ${entry.selector || 'any element'}`;
+  if (entry.urlPattern) {
+    text += ` at ${entry.urlPattern}`;
+  }
+  if (entry.expires) {
+    text += ` until ${entry.expires}`;
+  }
+  return `${text}: ${entry.note}`;
+}
+
 /**
  * Resets custom rules to default values.
  * @returns {void}
  */
 function resetCustomRules() {
-  customRules = {
-    images: {
-      enabled: true,
-      checkMissingAlt: true,
-      checkUninformativeAlt: true,
-      checkEmptyAltWithTitle: true,
-      checkDifferentAltTitle: true,
-      allowDecorativeImages: true
-    },
-    forms: {
-      enabled: true,
-      checkMissingLabels: true,
-      checkInputImageAlt: true,
-      checkFieldsetLegend: true,
-      requireExplicitLabels: false
-    },
-    links: {
-      enabled: true,
-      checkEmptyLinks: true,
-      checkGenericLinkText: true,
-      checkInvalidHref: true,
-      checkMatchingTitleText: true,
-      allowJavaScriptLinks: false
-    },
-    structure: {
-      enabled: true,
-      checkMissingLandmarks: true,
-      checkTableHeaders: true,
-      checkNestedTables: true,
-      checkUninformativeSummary: true,
-      requireMainLandmark: true,
-      requireHeadingStructure: false
-    },
-    multimedia: {
-      enabled: true,
-      checkAutoplay: true,
-      checkIframeTitles: true,
-      checkMediaCaptions: false,
-      allowAutoplayWithControls: false
-    },
-    navigation: {
-      enabled: true,
-      checkTabIndex: true,
-      checkKeyboardTraps: false,
-      checkFocusIndicators: false,
-      allowPositiveTabIndex: false
-    },
-    typography: {
-      enabled: true,
-      checkFontSize: true,
-      minimumFontSize: 12,
-      checkColorContrast: false,
-      checkLineHeight: false
-    },
-    aria: {
-      enabled: true,
-      checkRoleBasedElements: true,
-      requireAriaLabels: false,
-      checkAriaReferences: false,
-      allowRedundantRoles: true
-    }
-  };
+  customRules = JSON.parse(JSON.stringify(DEFAULT_CUSTOM_RULES));
 }
 
 /**
@@ -1363,7 +3471,7 @@ function resetCustomRules() {
 function createConfigPanel() {
   try {
     // Remove existing config panel
-    const existing = document.querySelector('.a11y-config-panel');
+    const existing = queryUI('.a11y-config-panel');
     if (existing) {
       existing.remove();
     }
@@ -1407,7 +3515,9 @@ function createConfigPanel() {
       { key: 'multimedia', label: 'Multimedia Content' },
       { key: 'navigation', label: 'Navigation & Interaction' },
       { key: 'typography', label: 'Text & Typography' },
-      { key: 'aria', label: 'ARIA & Semantics' }
+      { key: 'aria', label: 'ARIA & Semantics' },
+      { key: 'general', label: 'Page Language, Title & Meta Tags' },
+      { key: 'scanning', label: 'Scan Time Limits' }
     ];
 
     categories.forEach(({ key, label }) => {
@@ -1415,6 +3525,8 @@ function createConfigPanel() {
       configPanel.appendChild(section);
     });
 
+    configPanel.appendChild(createIgnoreRulesSection());
+
     // Action buttons
     const actionButtons = document.createElement('div');
     actionButtons.style.cssText =
@@ -1436,7 +3548,7 @@ function createConfigPanel() {
       await saveCustomRules();
       configPanel.remove();
       // Optionally re-run checks with new rules
-      if (LOGS.length > 0) {
+      if (LOGS.length > 0 || SUPPRESSED_FINDINGS.length > 0) {
         removeAccessibilityOverlays();
         setTimeout(() => runAccessibilityChecks(), 100);
       }
@@ -1485,7 +3597,7 @@ function createConfigPanel() {
 
     configPanel.appendChild(actionButtons);
 
-    document.body.appendChild(configPanel);
+    getUIRoot().appendChild(configPanel);
   } catch (error) {
     console.error('Error creating config panel:', error);
   }
@@ -1556,6 +3668,144 @@ function createConfigSection(categoryKey, categoryLabel, rules) {
   return section;
 }
 
+/**
+ * Creates the configuration section that lists the ignore list entries and
+ * adds new ones.
+ * @returns {HTMLElement} The section element
+ */
+function createIgnoreRulesSection() {
+  const section = document.createElement('div');
+  section.className = 'a11y-ignore-rules';
+  section.style.cssText =
+    'margin-bottom: 20px; padding: 15px; border: 1px solid #ddd; border-radius: 4px;';
+
+  const heading = document.createElement('h4');
+  heading.textContent = 'Ignored Findings';
+  heading.style.cssText = 'margin: 0 0 10px 0; font-size: 16px; color: #333;';
+  section.appendChild(heading);
+
+  const list = document.createElement('ul');
+  list.style.cssText = 'margin: 0 0 10px 0; padding-left: 20px; font-size: 13px;';
+  section.appendChild(list);
+
+  /**
+   * Shows the current entries, each with a button that removes it.
+   * @returns {void}
+   */
+  const renderEntries = () => {
+    list.replaceChildren();
+    if (ignoreRules.length === 0) {
+      const empty = document.createElement('li');
+      empty.textContent = 'No findings are ignored.';
+      list.appendChild(empty);
+      return;
+    }
+    ignoreRules.forEach(entry => {
+      const item = document.createElement('li');
+      item.style.cssText = 'margin: 4px 0; word-break: break-word;';
+      item.textContent = `${describeIgnoreRule(entry)} `;
+
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.textContent = 'Remove';
+      removeButton.setAttribute('aria-label', `Remove ${describeIgnoreRule(entry)}`);
+      removeButton.style.cssText = 'font-size: 12px; cursor: pointer;';
+      removeButton.addEventListener('click', () => {
+        ignoreRules = ignoreRules.filter(other => other !== entry);
+        renderEntries();
+      });
+      item.appendChild(removeButton);
+      list.appendChild(item);
+    });
+  };
+  renderEntries();
+
+  // Form for a new entry
+  const form = document.createElement('form');
+  const fields = [
+    { key: 'selector', label: 'Selector', type: 'text', placeholder: '.carousel, #legacy-nav' },
+    { key: 'ruleId', label: 'Rule ID', type: 'text', placeholder: 'img-missing-alt' },
+    {
+      key: 'urlPattern',
+      label: 'URL pattern',
+      type: 'text',
+      placeholder: 'https://example.com/admin/*'
+    },
+    { key: 'expires', label: 'Expires', type: 'date' },
+    { key: 'note', label: 'Justification', type: 'text' }
+  ];
+  const inputs = {};
+  fields.forEach(({ key, label, type, placeholder }) => {
+    const container = document.createElement('div');
+    container.style.cssText = 'margin: 8px 0; display: flex; align-items: center;';
+
+    const labelElement = document.createElement('label');
+    labelElement.setAttribute('for', `a11y-ignore-${key}`);
+    labelElement.textContent = label;
+    labelElement.style.cssText = 'margin-right: 10px; font-size: 13px; min-width: 150px;';
+
+    const input = document.createElement('input');
+    input.type = type;
+    input.id = `a11y-ignore-${key}`;
+    if (placeholder) {
+      input.placeholder = placeholder;
+    }
+    input.style.cssText = 'flex: 1; padding: 4px; border: 1px solid #767676; border-radius: 3px;';
+
+    container.appendChild(labelElement);
+    container.appendChild(input);
+    form.appendChild(container);
+    inputs[key] = input;
+  });
+
+  // Suggest the IDs of the built-in rules
+  const ruleIds = document.createElement('datalist');
+  ruleIds.id = 'a11y-ignore-rule-ids';
+  Object.values(A11Y_CONFIG.RULE_METADATA).forEach(({ id }) => {
+    const option = document.createElement('option');
+    option.value = id;
+    ruleIds.appendChild(option);
+  });
+  inputs.ruleId.setAttribute('list', ruleIds.id);
+  form.appendChild(ruleIds);
+
+  const error = document.createElement('div');
+  error.setAttribute('role', 'alert');
+  error.style.cssText = 'margin: 6px 0; color: #c00; font-size: 13px;';
+  form.appendChild(error);
+
+  const addButton = document.createElement('button');
+  addButton.type = 'submit';
+  addButton.textContent = 'Ignore matching findings';
+  addButton.style.cssText = 'padding: 6px 12px; font-size: 13px; cursor: pointer;';
+  form.appendChild(addButton);
+
+  form.addEventListener('submit', event => {
+    event.preventDefault();
+    const entry = {};
+    fields.forEach(({ key }) => {
+      const value = inputs[key].value.trim();
+      if (value) {
+        entry[key] = value;
+      }
+    });
+
+    const message = validateIgnoreRule(entry);
+    if (message) {
+      error.textContent = message;
+      return;
+    }
+
+    ignoreRules = [...ignoreRules, entry];
+    error.textContent = '';
+    form.reset();
+    renderEntries();
+  });
+  section.appendChild(form);
+
+  return section;
+}
+
 /**
  * Creates a checkbox input for configuration.
  * @param {string} key - The rule key
@@ -1607,8 +3857,13 @@ function createConfigNumberInput(key, label, value, onChange) {
   input.type = 'number';
   input.id = `config-${key}`;
   input.value = value;
-  input.min = key === 'minimumFontSize' ? '8' : '0';
-  input.max = key === 'minimumFontSize' ? '24' : '100';
+  const [min, max] = {
+    minimumFontSize: [8, 24],
+    maxScanSeconds: [1, 600],
+    maxSliceMilliseconds: [4, 50]
+  }[key] || [0, 100];
+  input.min = String(min);
+  input.max = String(max);
   input.style.cssText = 'width: 60px; padding: 4px; border: 1px solid #ccc; border-radius: 3px;';
   input.addEventListener('change', e => onChange(parseInt(e.target.value) || value));
 
@@ -1639,7 +3894,7 @@ function formatRuleLabel(key) {
 function createExportPanel() {
   try {
     // Remove existing export panel
-    const existing = document.querySelector('.a11y-export-panel');
+    const existing = queryUI('.a11y-export-panel');
     if (existing) {
       existing.remove();
     }
@@ -1703,8 +3958,15 @@ function createExportPanel() {
       { value: 'json', label: 'JSON (Developer-friendly)' },
       { value: 'csv', label: 'CSV (Spreadsheet)' },
       { value: 'html', label: 'HTML (Readable Report)' },
-      { value: 'txt', label: 'Text (Simple List)' }
+      { value: 'txt', label: 'Text (Simple List)' },
+      { value: 'sarif', label: 'SARIF (Code Scanning)' }
     ];
+    if (getBaselineDiff()) {
+      formats.push(
+        { value: 'diff-json', label: 'Baseline diff (JSON)' },
+        { value: 'diff-txt', label: 'Baseline diff (Text)' }
+      );
+    }
 
     let selectedFormat = 'json';
 
@@ -1778,95 +4040,604 @@ function createExportPanel() {
 
     exportPanel.appendChild(buttonSection);
 
-    document.body.appendChild(exportPanel);
+    getUIRoot().appendChild(exportPanel);
   } catch (error) {
     console.error('Error creating export panel:', error);
   }
 }
 
 /**
- * Exports accessibility report in the specified format.
- * @param {string} format - Export format (json, csv, html, txt)
+ * Creates the region panel, which limits scans to the element a CSS
+ * selector finds or that the user picks on the page.
  * @returns {void}
  */
-function exportReport(format) {
+function createRegionPanel() {
   try {
-    const summary = analyzeLogs();
-    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `accessibility-report-${timestamp}`;
+    // Remove existing region panel
+    const existing = queryUI('.a11y-region-panel');
+    if (existing) {
+      existing.remove();
+    }
 
-    let content, mimeType, extension;
+    const regionPanel = document.createElement('div');
+    regionPanel.className = 'a11y-region-panel';
+    regionPanel.setAttribute('aria-label', 'Scan region panel');
 
-    switch (format) {
-      case 'json':
-        content = generateJSONReport(summary);
-        mimeType = 'application/json';
-        extension = 'json';
-        break;
-      case 'csv':
-        content = generateCSVReport();
-        mimeType = 'text/csv';
-        extension = 'csv';
-        break;
-      case 'html':
-        content = generateHTMLReport(summary);
-        mimeType = 'text/html';
-        extension = 'html';
-        break;
-      case 'txt':
-        content = generateTextReport(summary);
-        mimeType = 'text/plain';
-        extension = 'txt';
-        break;
-      default:
-        throw new Error(`Unsupported export format: ${format}`);
-    }
+    regionPanel.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: ${A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY + 3};
+      background: white;
+      border: 2px solid #007cba;
+      border-radius: 8px;
+      padding: 25px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      width: 400px;
+      max-width: 90vw;
+    `;
 
-    // Create and trigger download
-    downloadFile(content, `${filename}.${extension}`, mimeType);
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Scan a Region';
+    title.style.cssText =
+      'margin: 0 0 15px 0; color: #007cba; font-size: 18px; text-align: center;';
+    regionPanel.appendChild(title);
+
+    // Current scope
+    const scope = getReportScope();
+    const scopeInfo = document.createElement('p');
+    scopeInfo.className = 'a11y-region-scope';
+    scopeInfo.style.cssText =
+      'margin: 0 0 15px 0; padding: 10px; background: #f8f9fa; border-radius: 4px; word-break: break-all;';
+    scopeInfo.textContent = scope ? `Scanning only: ${scope.selector}` : 'Scanning the whole page.';
+    regionPanel.appendChild(scopeInfo);
+
+    // Selector form
+    const form = document.createElement('form');
+    form.style.cssText = 'margin-bottom: 15px;';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', 'a11y-region-selector');
+    label.textContent = 'CSS selector of the region';
+    label.style.cssText = 'display: block; margin-bottom: 5px; font-weight: bold;';
+    form.appendChild(label);
+
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 8px;';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'a11y-region-selector';
+    input.placeholder = '#main, .checkout-form';
+    input.value = scope ? scope.selector : '';
+    input.style.cssText =
+      'flex: 1; padding: 6px 8px; border: 1px solid #767676; border-radius: 4px; font-size: 14px;';
+    row.appendChild(input);
+
+    const scanBtn = document.createElement('button');
+    scanBtn.type = 'submit';
+    scanBtn.textContent = 'Scan region';
+    scanBtn.style.cssText = `
+      padding: 6px 12px;
+      background: #007cba;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 14px;
+    `;
+    row.appendChild(scanBtn);
+    form.appendChild(row);
 
-    console.log(`Accessibility report exported as ${format.toUpperCase()}`);
+    const error = document.createElement('div');
+    error.className = 'a11y-region-error';
+    error.setAttribute('role', 'alert');
+    error.style.cssText = 'margin-top: 6px; color: #c00; font-size: 13px;';
+    form.appendChild(error);
+
+    form.addEventListener('submit', event => {
+      event.preventDefault();
+      const message = scanSelector(input.value);
+      if (message) {
+        error.textContent = message;
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+      }
+    });
+    regionPanel.appendChild(form);
+
+    // Action buttons
+    const buttonSection = document.createElement('div');
+    buttonSection.style.cssText = 'display: flex; gap: 10px; justify-content: center;';
+
+    [
+      {
+        text: 'Pick element',
+        background: '#007cba',
+        onClick: () => {
+          regionPanel.remove();
+          startElementPicker();
+        }
+      },
+      { text: 'Scan whole page', background: '#28a745', onClick: requestWholePageScan },
+      { text: 'Cancel', background: '#6c757d', onClick: () => regionPanel.remove() }
+    ].forEach(({ text, background, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.style.cssText = `
+        padding: 10px 14px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 14px;
+      `;
+      button.addEventListener('click', onClick);
+      buttonSection.appendChild(button);
+    });
+
+    regionPanel.appendChild(buttonSection);
+
+    getUIRoot().appendChild(regionPanel);
+    input.focus();
   } catch (error) {
-    console.error('Error exporting report:', error);
-    console.error(`Failed to export report: ${error.message}`);
+    console.error('Error creating region panel:', error);
   }
 }
 
 /**
- * Generates a JSON report of accessibility issues.
- * @param {Object} summary - Summary statistics
- * @returns {string} JSON report content
+ * Creates the baseline panel, which saves the current findings as the
+ * page's baseline and lists what is new and fixed since it.
+ * @returns {void}
  */
-function generateJSONReport(summary) {
-  const report = {
-    metadata: {
-      title: document.title || 'Untitled',
-      url: window.location.href,
-      timestamp: new Date().toISOString(),
-      generator: 'Accessibility Highlighter v1.0.1',
-      scanType: 'automatic'
-    },
-    summary: {
-      totalIssues: summary.total,
-      errorCount: summary.errors,
-      warningCount: summary.warnings,
-      categories: summary.categories,
-      topIssues: summary.topIssues.slice(0, 10)
-    },
-    issues: LOGS.map((log, index) => ({
-      id: index + 1,
-      level: log.level,
-      message: log.message,
-      category: categorizeIssue(log.message, log.element),
-      element: {
-        tagName: log.element ? log.element.tagName.toLowerCase() : 'unknown',
-        xpath: getElementXPath(log.element),
-        outerHTML: log.element ? log.element.outerHTML.substring(0, 200) : 'N/A'
-      },
-      timestamp: log.timestamp || new Date().toISOString()
+function createBaselinePanel() {
+  try {
+    // Remove existing baseline panel
+    const existing = queryUI('.a11y-baseline-panel');
+    if (existing) {
+      existing.remove();
+    }
+
+    const baselinePanel = document.createElement('div');
+    baselinePanel.className = 'a11y-baseline-panel';
+    baselinePanel.setAttribute('aria-label', 'Baseline comparison panel');
+
+    baselinePanel.style.cssText = `
+      position: fixed;
+      top: 50%;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      z-index: ${A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY + 3};
+      background: white;
+      border: 2px solid #6f42c1;
+      border-radius: 8px;
+      padding: 25px;
+      box-shadow: 0 8px 24px rgba(0,0,0,0.3);
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      font-size: 14px;
+      width: 450px;
+      max-width: 90vw;
+      max-height: 80vh;
+      overflow-y: auto;
+    `;
+
+    // Title
+    const title = document.createElement('h3');
+    title.textContent = 'Baseline Comparison';
+    title.style.cssText =
+      'margin: 0 0 15px 0; color: #6f42c1; font-size: 18px; text-align: center;';
+    baselinePanel.appendChild(title);
+
+    // Current baseline
+    const diff = getBaselineDiff();
+    const status = document.createElement('p');
+    status.className = 'a11y-baseline-status';
+    status.style.cssText =
+      'margin: 0 0 15px 0; padding: 10px; background: #f8f9fa; border-radius: 4px;';
+    status.textContent = diff
+      ? `Comparing with "${diff.baseline.name}", saved ${new Date(diff.baseline.savedAt).toLocaleString()}: ${diff.newFindings.length} new, ${diff.fixedFindings.length} fixed, ${diff.unchangedFindings.length} unchanged.`
+      : 'No baseline is saved for this page.';
+    baselinePanel.appendChild(status);
+
+    // New and fixed issues
+    if (diff) {
+      [
+        ['New since the baseline', diff.newFindings],
+        ['Fixed since the baseline', diff.fixedFindings]
+      ].forEach(([heading, entries]) => {
+        if (entries.length === 0) {
+          return;
+        }
+        const listTitle = document.createElement('h4');
+        listTitle.textContent = `${heading} (${entries.length})`;
+        listTitle.style.cssText = 'margin: 0 0 8px 0; font-size: 14px;';
+        baselinePanel.appendChild(listTitle);
+
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin: 0 0 15px 0; padding-left: 20px; font-size: 13px;';
+        entries.forEach(entry => {
+          const item = document.createElement('li');
+          item.style.cssText = 'margin: 4px 0; word-break: break-word;';
+          item.textContent = `${entry.message} (${entry.selector})`;
+          list.appendChild(item);
+        });
+        baselinePanel.appendChild(list);
+      });
+    }
+
+    // Save form
+    const form = document.createElement('form');
+    form.style.cssText = 'margin-bottom: 15px;';
+
+    const label = document.createElement('label');
+    label.setAttribute('for', 'a11y-baseline-name');
+    label.textContent = 'Save the current findings as the baseline';
+    label.style.cssText = 'display: block; margin-bottom: 5px; font-weight: bold;';
+    form.appendChild(label);
+
+    const row = document.createElement('div');
+    row.style.cssText = 'display: flex; gap: 8px;';
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = 'a11y-baseline-name';
+    input.placeholder = 'Release 2.3';
+    input.style.cssText =
+      'flex: 1; padding: 6px 8px; border: 1px solid #767676; border-radius: 4px; font-size: 14px;';
+    row.appendChild(input);
+
+    const saveBtn = document.createElement('button');
+    saveBtn.type = 'submit';
+    saveBtn.textContent = 'Save baseline';
+    saveBtn.style.cssText = `
+      padding: 6px 12px;
+      background: #6f42c1;
+      color: white;
+      border: none;
+      border-radius: 4px;
+      cursor: pointer;
+      font-size: 14px;
+    `;
+    row.appendChild(saveBtn);
+    form.appendChild(row);
+
+    const error = document.createElement('div');
+    error.setAttribute('role', 'alert');
+    error.style.cssText = 'margin-top: 6px; color: #c00; font-size: 13px;';
+    form.appendChild(error);
+
+    form.addEventListener('submit', async event => {
+      event.preventDefault();
+      const message = await saveBaseline(input.value);
+      if (message) {
+        error.textContent = message;
+        input.setAttribute('aria-invalid', 'true');
+        input.focus();
+        return;
+      }
+      createBaselinePanel();
+    });
+    baselinePanel.appendChild(form);
+
+    // Action buttons
+    const buttonSection = document.createElement('div');
+    buttonSection.style.cssText = 'display: flex; gap: 10px; justify-content: center;';
+
+    const actions = [
+      { text: 'Close', background: '#6c757d', onClick: () => baselinePanel.remove() }
+    ];
+    if (diff) {
+      actions.unshift({
+        text: 'Delete baseline',
+        background: '#dc3545',
+        onClick: async () => {
+          await deleteBaseline();
+          createBaselinePanel();
+        }
+      });
+    }
+    actions.forEach(({ text, background, onClick }) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.textContent = text;
+      button.style.cssText = `
+        padding: 10px 14px;
+        background: ${background};
+        color: white;
+        border: none;
+        border-radius: 4px;
+        cursor: pointer;
+        font-size: 14px;
+      `;
+      button.addEventListener('click', onClick);
+      buttonSection.appendChild(button);
+    });
+
+    baselinePanel.appendChild(buttonSection);
+
+    getUIRoot().appendChild(baselinePanel);
+    input.focus();
+  } catch (error) {
+    console.error('Error creating baseline panel:', error);
+  }
+}
+
+/**
+ * Events the element picker listens to while active. Pointer events are
+ * kept from the page, so picking doesn't follow links or open menus.
+ * @type {string[]}
+ */
+const PICKER_EVENTS = [
+  'mouseover',
+  'mousedown',
+  'mouseup',
+  'pointerdown',
+  'pointerup',
+  'click',
+  'keydown'
+];
+
+/**
+ * Starts the element picker: the element under the pointer is outlined, and
+ * the one clicked is scanned as a region. Escape cancels.
+ * @returns {void}
+ */
+function startElementPicker() {
+  if (elementPicker.highlight) {
+    return;
+  }
+
+  const highlight = document.createElement('div');
+  highlight.className = 'a11y-picker-highlight';
+  highlight.style.cssText = `
+    position: fixed;
+    display: none;
+    pointer-events: none;
+    z-index: ${A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY + 2};
+    outline: 2px dashed #007cba;
+    background: rgba(0, 124, 186, 0.15);
+  `;
+
+  const hint = document.createElement('div');
+  hint.className = 'a11y-picker-hint';
+  hint.setAttribute('role', 'status');
+  hint.textContent = 'Click an element to scan it. Press Escape to cancel.';
+  hint.style.cssText = `
+    position: fixed;
+    top: 10px;
+    left: 50%;
+    transform: translateX(-50%);
+    z-index: ${A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY + 3};
+    background: #007cba;
+    color: white;
+    padding: 8px 14px;
+    border-radius: 4px;
+    font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+    font-size: 14px;
+    box-shadow: 0 2px 8px rgba(0,0,0,0.3);
+  `;
+
+  const root = getUIRoot();
+  root.appendChild(highlight);
+  root.appendChild(hint);
+  elementPicker.highlight = highlight;
+  elementPicker.hint = hint;
+
+  PICKER_EVENTS.forEach(type => document.addEventListener(type, handlePickerEvent, true));
+}
+
+/**
+ * Stops the element picker without scanning.
+ * @returns {void}
+ */
+function stopElementPicker() {
+  if (!elementPicker.highlight) {
+    return;
+  }
+
+  PICKER_EVENTS.forEach(type => document.removeEventListener(type, handlePickerEvent, true));
+  elementPicker.highlight.remove();
+  elementPicker.hint.remove();
+  elementPicker.highlight = null;
+  elementPicker.hint = null;
+}
+
+/**
+ * Gets the page element an event happened on, inside open shadow roots.
+ * @param {Event} event - The event
+ * @returns {Element|null} The element, or null for the injected UI and
+ *   anything outside the body
+ */
+function getPickerTarget(event) {
+  const [target] = event.composedPath();
+  if (!target || target.nodeType !== Node.ELEMENT_NODE || target === uiContainer.host) {
+    return null;
+  }
+  return isComposedDescendant(document.body, target) ? target : null;
+}
+
+/**
+ * Handles the events of the element picker: outlines the element under the
+ * pointer, scans the element clicked and cancels on Escape.
+ * @param {Event} event - The event
+ * @returns {void}
+ */
+function handlePickerEvent(event) {
+  try {
+    if (event.type === 'keydown') {
+      if (event.key === 'Escape') {
+        event.preventDefault();
+        stopElementPicker();
+      }
+      return;
+    }
+
+    const target = getPickerTarget(event);
+    if (!target) {
+      return;
+    }
+
+    if (event.type === 'mouseover') {
+      const rect = target.getBoundingClientRect();
+      Object.assign(elementPicker.highlight.style, {
+        display: 'block',
+        top: `${rect.top}px`,
+        left: `${rect.left}px`,
+        width: `${rect.width}px`,
+        height: `${rect.height}px`
+      });
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.type === 'click') {
+      stopElementPicker();
+      scanRegion(target);
+    }
+  } catch (error) {
+    console.error('Error picking element:', error);
+    stopElementPicker();
+  }
+}
+
+/**
+ * Exports accessibility report in the specified format.
+ * @param {string} format - Export format (json, csv, html, txt, sarif)
+ * @returns {void}
+ */
+function exportReport(format) {
+  try {
+    const summary = analyzeLogs();
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const filename = `accessibility-${format.startsWith('diff-') ? 'diff' : 'report'}-${timestamp}`;
+
+    let content, mimeType, extension;
+
+    switch (format) {
+      case 'json':
+        content = generateJSONReport(summary);
+        mimeType = 'application/json';
+        extension = 'json';
+        break;
+      case 'csv':
+        content = generateCSVReport();
+        mimeType = 'text/csv';
+        extension = 'csv';
+        break;
+      case 'html':
+        content = generateHTMLReport(summary);
+        mimeType = 'text/html';
+        extension = 'html';
+        break;
+      case 'txt':
+        content = generateTextReport(summary);
+        mimeType = 'text/plain';
+        extension = 'txt';
+        break;
+      case 'sarif':
+        content = generateSARIFReport();
+        mimeType = 'application/sarif+json';
+        extension = 'sarif';
+        break;
+      case 'diff-json':
+        content = generateBaselineDiffJSON();
+        mimeType = 'application/json';
+        extension = 'json';
+        break;
+      case 'diff-txt':
+        content = generateBaselineDiffText();
+        mimeType = 'text/plain';
+        extension = 'txt';
+        break;
+      default:
+        throw new Error(`Unsupported export format: ${format}`);
+    }
+
+    // Create and trigger download
+    downloadFile(content, `${filename}.${extension}`, mimeType);
+
+    console.log(`Accessibility report exported as ${format.toUpperCase()}`);
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    console.error(`Failed to export report: ${error.message}`);
+  }
+}
+
+/**
+ * Generates a JSON report of accessibility issues.
+ * @param {Object} summary - Summary statistics
+ * @returns {string} JSON report content
+ */
+function generateJSONReport(summary) {
+  /**
+   * Maps a finding to its entry in the report.
+   * @param {Finding} finding - The finding
+   * @param {number} index - Its position in its list
+   * @returns {Object} The report entry
+   */
+  const toIssue = (finding, index) => ({
+    id: index + 1,
+    scanId: finding.scanId,
+    ruleId: finding.ruleId,
+    level: finding.level,
+    message: finding.message,
+    category: finding.category,
+    wcag: finding.wcag
+      ? {
+          criterion: finding.wcag,
+          name: A11Y_CONFIG.WCAG_CRITERIA[finding.wcag].name,
+          level: finding.wcagLevel,
+          helpUrl: finding.helpUrl
+        }
+      : null,
+    accessibleName: finding.accessibleName,
+    element: {
+      tagName: finding.tagName,
+      selector: finding.selector,
+      xpath: finding.xpath,
+      outerHTML: finding.html
+    },
+    frameUrl: finding.frameUrl,
+    timestamp: finding.timestamp
+  });
+
+  const report = {
+    metadata: {
+      title: document.title || 'Untitled',
+      url: window.location.href,
+      timestamp: new Date().toISOString(),
+      generator: 'Accessibility Highlighter v1.0.1',
+      scanType: 'automatic',
+      // Region the scan was limited to, null for the whole page
+      scope: getReportScope()
+    },
+    summary: {
+      totalIssues: summary.total,
+      errorCount: summary.errors,
+      warningCount: summary.warnings,
+      categories: summary.categories,
+      criteria: summary.criteria,
+      topIssues: summary.topIssues.slice(0, 10),
+      suppressedCount: getAllSuppressedFindings().length
+    },
+    issues: getAllFindings().map(toIssue),
+    // Findings hidden by the ignore list, with the entry that hides them
+    suppressed: getAllSuppressedFindings().map((finding, index) => ({
+      ...toIssue(finding, index),
+      suppressedBy: finding.suppressedBy
     })),
     configuration: {
-      rulesApplied: Object.keys(customRules).filter(key => customRules[key].enabled),
+      // The scanning section holds time limits, not rules
+      rulesApplied: Object.keys(customRules).filter(
+        key => key !== 'scanning' && customRules[key].enabled
+      ),
       scanSettings: customRules
     }
   };
@@ -1879,22 +4650,65 @@ function generateJSONReport(summary) {
  * @returns {string} CSV report content
  */
 function generateCSVReport() {
-  const headers = ['ID', 'Level', 'Category', 'Message', 'Element', 'XPath', 'Timestamp'];
-  const rows = [headers.join(',')];
+  const headers = [
+    'ID',
+    'Rule ID',
+    'Level',
+    'Category',
+    'WCAG',
+    'WCAG Level',
+    'Message',
+    'Element',
+    'Accessible Name',
+    'Selector',
+    'XPath',
+    'Frame URL',
+    'Help URL',
+    'Timestamp'
+  ];
+  /**
+   * Builds the cells of a finding's row.
+   * @param {Finding} finding - The finding
+   * @param {number} index - Its position in its list
+   * @returns {Array<string|number>} The cells
+   */
+  const toRow = (finding, index) => [
+    index + 1,
+    finding.ruleId || '',
+    finding.level,
+    finding.category,
+    finding.wcag || '',
+    finding.wcagLevel || '',
+    `"${finding.message.replace(/"/g, '""')}"`,
+    finding.tagName,
+    `"${finding.accessibleName.replace(/"/g, '""')}"`,
+    `"${finding.selector.replace(/"/g, '""')}"`,
+    `"${finding.xpath}"`,
+    `"${finding.frameUrl.replace(/"/g, '""')}"`,
+    finding.helpUrl || '',
+    finding.timestamp
+  ];
 
-  LOGS.forEach((log, index) => {
-    const row = [
-      index + 1,
-      log.level,
-      categorizeIssue(log.message, log.element),
-      `"${log.message.replace(/"/g, '""')}"`,
-      log.element ? log.element.tagName.toLowerCase() : 'unknown',
-      `"${getElementXPath(log.element)}"`,
-      log.timestamp || new Date().toISOString()
-    ];
-    rows.push(row.join(','));
+  const rows = [headers.join(',')];
+  getAllFindings().forEach((finding, index) => {
+    rows.push(toRow(finding, index).join(','));
   });
 
+  // Suppressed findings follow in their own table, after a blank line
+  const suppressed = getAllSuppressedFindings();
+  if (suppressed.length > 0) {
+    rows.push('');
+    rows.push([...headers, 'Justification', 'Expires'].join(','));
+    suppressed.forEach((finding, index) => {
+      const row = [
+        ...toRow(finding, index),
+        `"${finding.suppressedBy.note.replace(/"/g, '""')}"`,
+        finding.suppressedBy.expires || ''
+      ];
+      rows.push(row.join(','));
+    });
+  }
+
   return rows.join('\n');
 }
 
@@ -1904,6 +4718,47 @@ function generateCSVReport() {
  * @returns {string} HTML report content
  */
 function generateHTMLReport(summary) {
+  const findings = getAllFindings();
+  const suppressed = getAllSuppressedFindings();
+  const scope = getReportScope();
+
+  /**
+   * Renders a link, or only its text if the link isn't allowed.
+   * @param {string|null} url - The link
+   * @param {string} text - The escaped link text
+   * @returns {string} The link's HTML
+   */
+  const renderLink = (url, text) => {
+    const href = escapeHref(url);
+    return href ? `<a href="${href}">${text}</a>` : text;
+  };
+
+  /**
+   * Renders a finding of the report.
+   * @param {Finding} finding - The finding
+   * @param {number} index - Its position in its list
+   * @returns {string} The finding's HTML
+   */
+  const renderIssue = (finding, index) => `
+            <div class="issue ${finding.level}">
+                <div>
+                    <span class="category">${escapeHtml(finding.category)}</span>
+                    <strong>Issue #${index + 1}</strong>
+                    ${finding.ruleId ? `<code>${escapeHtml(finding.ruleId)}</code>` : ''}
+                </div>
+                <p>${escapeHtml(finding.message)}</p>
+                ${finding.suppressedBy ? `<p><strong>Justification:</strong> ${escapeHtml(describeIgnoreRule(finding.suppressedBy))}</p>` : ''}
+                ${finding.wcag ? `<p><strong>WCAG:</strong> ${renderLink(finding.helpUrl, escapeHtml(formatWcagReference(finding)))}</p>` : ''}
+                ${finding.accessibleName ? `<p><strong>Accessible name:</strong> ${escapeHtml(finding.accessibleName)}</p>` : ''}
+                <div class="element">
+                    <strong>Element:</strong> &lt;${finding.tagName}&gt;<br>
+                    <strong>Selector:</strong> ${escapeHtml(finding.selector)}<br>
+                    <strong>XPath:</strong> ${finding.xpath}<br>
+                    ${finding.frameId ? `<strong>Frame:</strong> ${escapeHtml(finding.frameUrl)}<br>` : ''}
+                    <strong>HTML:</strong> ${escapeHtml(finding.html)}
+                </div>
+            </div>
+          `;
   const html = `
 <!DOCTYPE html>
 <html lang="en">
@@ -1918,6 +4773,7 @@ function generateHTMLReport(summary) {
         .issue { border: 1px solid #dee2e6; border-radius: 4px; margin-bottom: 15px; padding: 15px; }
         .issue.error { border-left: 4px solid #dc3545; }
         .issue.warning { border-left: 4px solid #ffc107; }
+        .suppressed .issue { border-left-color: #6c757d; opacity: 0.85; }
         .category { display: inline-block; background: #007cba; color: white; padding: 2px 8px; border-radius: 12px; font-size: 12px; margin-right: 10px; }
         .element { background: #f8f9fa; padding: 8px; border-radius: 4px; font-family: monospace; font-size: 12px; margin-top: 8px; }
         .stats { display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 15px; }
@@ -1934,6 +4790,7 @@ function generateHTMLReport(summary) {
         <p><strong>Page:</strong> ${document.title || 'Untitled'}</p>
         <p><strong>URL:</strong> ${window.location.href}</p>
         <p><strong>Generated:</strong> ${new Date().toLocaleString()}</p>
+        ${scope ? `<p><strong>Scope:</strong> Only <code>${escapeHtml(scope.selector)}</code>${scope.frameUrl !== window.location.href ? ` in ${escapeHtml(scope.frameUrl)}` : ''}</p>` : ''}
         <p><strong>Tool:</strong> Accessibility Highlighter v1.0.1</p>
     </div>
     
@@ -1975,37 +4832,48 @@ function generateHTMLReport(summary) {
         `
             : ''
         }
+        ${
+          Object.keys(summary.criteria).length > 0
+            ? `
+        <h3>Issues by WCAG Success Criterion</h3>
+        <table>
+            <thead>
+                <tr><th>Success Criterion</th><th>Level</th><th>Count</th></tr>
+            </thead>
+            <tbody>
+                ${Object.entries(summary.criteria)
+                  .sort(([, a], [, b]) => b.count - a.count)
+                  .map(
+                    ([criterion, { name, level, helpUrl, count }]) =>
+                      `<tr><td>${renderLink(helpUrl, escapeHtml(`${criterion} ${name}`))}</td><td>${level}</td><td>${count}</td></tr>`
+                  )
+                  .join('')}
+            </tbody>
+        </table>
+        `
+            : ''
+        }
     </div>
     
     <div class="issues">
         <h2>Detailed Issues</h2>
         ${
-          LOGS.length === 0
+          findings.length === 0
             ? '<p>No accessibility issues found.</p>'
-            : LOGS.map(
-                (log, index) => `
-            <div class="issue ${log.level || 'error'}">
-                <div>
-                    <span class="category">${categorizeIssue(log.message, log.element)}</span>
-                    <strong>Issue #${index + 1}</strong>
-                </div>
-                <p>${log.message}</p>
-                ${
-                  log.element
-                    ? `
-                <div class="element">
-                    <strong>Element:</strong> &lt;${log.element.tagName.toLowerCase()}&gt;<br>
-                    <strong>XPath:</strong> ${getElementXPath(log.element)}<br>
-                    <strong>HTML:</strong> ${log.element.outerHTML.substring(0, 200)}${log.element.outerHTML.length > 200 ? '...' : ''}
-                </div>
-                `
-                    : ''
-                }
-            </div>
-          `
-              ).join('')
+            : findings.map(renderIssue).join('')
         }
     </div>
+    ${
+      suppressed.length > 0
+        ? `
+    <div class="issues suppressed">
+        <h2>Suppressed Findings (${suppressed.length})</h2>
+        <p>These findings match the ignore list and are not counted above.</p>
+        ${suppressed.map(renderIssue).join('')}
+    </div>
+    `
+        : ''
+    }
 </body>
 </html>`;
 
@@ -2026,6 +4894,11 @@ function generateTextReport(summary) {
   lines.push(`Page: ${document.title || 'Untitled'}`);
   lines.push(`URL: ${window.location.href}`);
   lines.push(`Generated: ${new Date().toLocaleString()}`);
+  const scope = getReportScope();
+  if (scope) {
+    const frame = scope.frameUrl !== window.location.href ? ` in ${scope.frameUrl}` : '';
+    lines.push(`Scope: Only ${scope.selector}${frame}`);
+  }
   lines.push(`Tool: Accessibility Highlighter v1.0.1`);
   lines.push('');
 
@@ -2047,38 +4920,285 @@ function generateTextReport(summary) {
     lines.push('');
   }
 
+  if (Object.keys(summary.criteria).length > 0) {
+    lines.push('ISSUES BY WCAG SUCCESS CRITERION');
+    lines.push('--------------------------------');
+    Object.entries(summary.criteria)
+      .sort(([, a], [, b]) => b.count - a.count)
+      .forEach(([criterion, { name, level, count }]) => {
+        lines.push(`${criterion} ${name} (${level}): ${count}`);
+      });
+    lines.push('');
+  }
+
   lines.push('DETAILED ISSUES');
   lines.push('---------------');
 
-  if (LOGS.length === 0) {
+  /**
+   * Adds the lines of a finding to the report.
+   * @param {Finding} finding - The finding
+   * @param {number} index - Its position in its list
+   * @returns {void}
+   */
+  const pushFinding = (finding, index) => {
+    lines.push(`${index + 1}. [${finding.level.toUpperCase()}] ${finding.message}`);
+    if (finding.ruleId) {
+      lines.push(`   Rule: ${finding.ruleId}`);
+    }
+    if (finding.suppressedBy) {
+      lines.push(`   Justification: ${describeIgnoreRule(finding.suppressedBy)}`);
+    }
+    if (finding.wcag) {
+      lines.push(`   WCAG: ${formatWcagReference(finding)}`);
+      lines.push(`   Help: ${finding.helpUrl}`);
+    }
+    if (finding.accessibleName) {
+      lines.push(`   Accessible name: ${finding.accessibleName}`);
+    }
+    lines.push(`   Element: <${finding.tagName}>`);
+    lines.push(`   Selector: ${finding.selector}`);
+    lines.push(`   XPath: ${finding.xpath}`);
+    if (finding.frameId) {
+      lines.push(`   Frame: ${finding.frameUrl}`);
+    }
+    lines.push('');
+  };
+
+  const findings = getAllFindings();
+  if (findings.length === 0) {
     lines.push('No accessibility issues found.');
   } else {
-    LOGS.forEach((log, index) => {
-      lines.push(`${index + 1}. [${(log.level || 'error').toUpperCase()}] ${log.message}`);
-      if (log.element) {
-        lines.push(`   Element: <${log.element.tagName.toLowerCase()}>`);
-        lines.push(`   XPath: ${getElementXPath(log.element)}`);
-      }
-      lines.push('');
-    });
+    findings.forEach(pushFinding);
+  }
+
+  const suppressed = getAllSuppressedFindings();
+  if (suppressed.length > 0) {
+    lines.push('');
+    lines.push('SUPPRESSED FINDINGS');
+    lines.push('-------------------');
+    lines.push('These findings match the ignore list and are not counted above.');
+    lines.push('');
+    suppressed.forEach(pushFinding);
   }
 
   return lines.join('\n');
 }
 
 /**
- * Gets the XPath of an element.
- * @param {Element} element - The element to get XPath for
- * @returns {string} XPath string
+ * Generates a SARIF 2.1.0 log of accessibility issues for code-scanning tools.
+ * Each check in A11Y_CONFIG.MESSAGES becomes a rule of the tool, and each
+ * finding a result located at its frame's URL and the element's XPath.
+ * A scan limited to a region records it in the run's properties.
+ * @returns {string} SARIF report content
  */
-function getElementXPath(element) {
-  if (!element) {
-    return 'N/A';
-  }
+function generateSARIFReport() {
+  const rules = [];
+  const ruleIndexes = {};
+
+  Object.keys(A11Y_CONFIG.MESSAGES)
+    .filter(key => A11Y_CONFIG.RULE_METADATA[key])
+    .forEach(key => {
+      const rule = getRuleMetadata(key);
+      const descriptor = {
+        id: rule.id,
+        name: key
+          .toLowerCase()
+          .replace(/(^|_)([a-z])/g, (_match, _separator, letter) => letter.toUpperCase()),
+        shortDescription: { text: A11Y_CONFIG.MESSAGES[key] },
+        properties: {
+          category: rule.category,
+          tags: ['accessibility', rule.category]
+        }
+      };
+      if (rule.helpUrl) {
+        descriptor.helpUri = rule.helpUrl;
+        descriptor.properties.wcag = rule.wcag;
+        descriptor.properties.wcagLevel = rule.wcagLevel;
+        descriptor.properties.tags.push(`wcag${rule.wcag.replace(/\./g, '')}`);
+      }
 
-  try {
-    const parts = [];
-    let current = element;
+      ruleIndexes[rule.id] = rules.length;
+      rules.push(descriptor);
+    });
+
+  /**
+   * Maps a finding to a SARIF result.
+   * @param {Finding} finding - The finding
+   * @returns {Object} The result
+   */
+  const toResult = finding => {
+    const result = {
+      level: finding.level,
+      message: { text: finding.message },
+      locations: [
+        {
+          physicalLocation: {
+            artifactLocation: { uri: finding.frameUrl }
+          },
+          logicalLocations: [{ fullyQualifiedName: finding.xpath, kind: 'element' }]
+        }
+      ],
+      properties: {
+        category: finding.category,
+        accessibleName: finding.accessibleName
+      }
+    };
+    // Custom rules have an id but no descriptor
+    if (finding.ruleId) {
+      result.ruleId = finding.ruleId;
+      if (finding.ruleId in ruleIndexes) {
+        result.ruleIndex = ruleIndexes[finding.ruleId];
+      }
+    }
+    return result;
+  };
+
+  const findings = getAllFindings();
+  const suppressed = getAllSuppressedFindings();
+  const results = [
+    ...findings.map(toResult),
+    // Ignored findings stay in the log, marked as accepted suppressions
+    ...suppressed.map(finding => ({
+      ...toResult(finding),
+      suppressions: [
+        {
+          kind: 'external',
+          status: 'accepted',
+          justification: describeIgnoreRule(finding.suppressedBy)
+        }
+      ]
+    }))
+  ];
+
+  const report = {
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: 'Accessibility Highlighter',
+            version: '1.0.1',
+            informationUri: 'https://github.com/AFixt/a11y-highlighter',
+            rules
+          }
+        },
+        artifacts: Array.from(
+          new Set([
+            window.location.href,
+            ...[...findings, ...suppressed].map(finding => finding.frameUrl)
+          ])
+        ).map(uri => ({ location: { uri } })),
+        results
+      }
+    ]
+  };
+
+  const scope = getReportScope();
+  if (scope) {
+    report.runs[0].properties = { scope };
+  }
+
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Generates a JSON report of how the findings compare with the page's baseline.
+ * @returns {string} JSON report content
+ * @throws {Error} If the page has no baseline
+ */
+function generateBaselineDiffJSON() {
+  const diff = getBaselineDiff();
+  if (!diff) {
+    throw new Error('No baseline saved for this page');
+  }
+
+  const report = {
+    metadata: {
+      title: document.title || 'Untitled',
+      url: window.location.href,
+      timestamp: new Date().toISOString(),
+      generator: 'Accessibility Highlighter v1.0.1',
+      baseline: { name: diff.baseline.name, savedAt: diff.baseline.savedAt }
+    },
+    summary: {
+      newCount: diff.newFindings.length,
+      fixedCount: diff.fixedFindings.length,
+      unchangedCount: diff.unchangedFindings.length
+    },
+    new: diff.newFindings.map(toBaselineEntry),
+    fixed: diff.fixedFindings,
+    unchanged: diff.unchangedFindings.map(toBaselineEntry)
+  };
+
+  return JSON.stringify(report, null, 2);
+}
+
+/**
+ * Generates a plain text report of how the findings compare with the page's
+ * baseline, listing new and fixed issues.
+ * @returns {string} Text report content
+ * @throws {Error} If the page has no baseline
+ */
+function generateBaselineDiffText() {
+  const diff = getBaselineDiff();
+  if (!diff) {
+    throw new Error('No baseline saved for this page');
+  }
+
+  const lines = [];
+  lines.push('ACCESSIBILITY BASELINE COMPARISON');
+  lines.push('=================================');
+  lines.push('');
+  lines.push(`Page: ${document.title || 'Untitled'}`);
+  lines.push(`URL: ${window.location.href}`);
+  lines.push(`Baseline: ${diff.baseline.name}, saved ${diff.baseline.savedAt}`);
+  lines.push(`Compared: ${new Date().toISOString()}`);
+  lines.push('');
+  lines.push('SUMMARY');
+  lines.push('-------');
+  lines.push(`New Issues: ${diff.newFindings.length}`);
+  lines.push(`Fixed Issues: ${diff.fixedFindings.length}`);
+  lines.push(`Unchanged Issues: ${diff.unchangedFindings.length}`);
+
+  [
+    ['NEW ISSUES', diff.newFindings],
+    ['FIXED ISSUES', diff.fixedFindings]
+  ].forEach(([heading, entries]) => {
+    lines.push('');
+    lines.push(heading);
+    lines.push('-'.repeat(heading.length));
+    if (entries.length === 0) {
+      lines.push('None.');
+    }
+    entries.forEach((entry, index) => {
+      lines.push(`${index + 1}. [${entry.level.toUpperCase()}] ${entry.message}`);
+      if (entry.ruleId) {
+        lines.push(`   Rule: ${entry.ruleId}`);
+      }
+      lines.push(`   Selector: ${entry.selector}`);
+      if (entry.frameUrl !== window.location.href) {
+        lines.push(`   Frame: ${entry.frameUrl}`);
+      }
+    });
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Gets the XPath of an element.
+ * @param {Element} element - The element to get XPath for
+ * @returns {string} XPath string
+ */
+function getElementXPath(element) {
+  if (!element) {
+    return 'N/A';
+  }
+
+  try {
+    const parts = [];
+    let current = element;
 
     while (current && current.nodeType === Node.ELEMENT_NODE) {
       let index = 1;
@@ -2139,10 +5259,14 @@ function downloadFile(content, filename, mimeType) {
  */
 function removeAccessibilityOverlays() {
   try {
-    // Cancel any running incremental scan
-    cancelIncrementalScan();
+    // Cancel any running scan and forget the last one
+    cancelScan();
+    scanTask = null;
+
+    stopMutationWatch();
+    stopOverlayTracking();
 
-    const errorOverlays = document.querySelectorAll(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
+    const errorOverlays = queryAllUI(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
     errorOverlays.forEach(overlay => {
       if (overlay.parentNode) {
         overlay.parentNode.removeChild(overlay);
@@ -2150,31 +5274,53 @@ function removeAccessibilityOverlays() {
     });
 
     // Remove filter panel
-    const filterPanel = document.querySelector('.a11y-filter-panel');
+    const filterPanel = queryUI('.a11y-filter-panel');
     if (filterPanel) {
       filterPanel.remove();
     }
 
     // Remove summary panel
-    const summaryPanel = document.querySelector('.a11y-summary-panel');
+    const summaryPanel = queryUI('.a11y-summary-panel');
     if (summaryPanel) {
       summaryPanel.remove();
     }
 
     // Remove config panel
-    const configPanel = document.querySelector('.a11y-config-panel');
+    const configPanel = queryUI('.a11y-config-panel');
     if (configPanel) {
       configPanel.remove();
     }
 
     // Remove export panel
-    const exportPanel = document.querySelector('.a11y-export-panel');
+    const exportPanel = queryUI('.a11y-export-panel');
     if (exportPanel) {
       exportPanel.remove();
     }
 
+    // Remove region panel and element picker
+    const regionPanel = queryUI('.a11y-region-panel');
+    if (regionPanel) {
+      regionPanel.remove();
+    }
+    stopElementPicker();
+
+    // Remove baseline panel
+    const baselinePanel = queryUI('.a11y-baseline-panel');
+    if (baselinePanel) {
+      baselinePanel.remove();
+    }
+
+    removeFocusOrderBadges();
+
+    // Remove the page issues banner, whose items were removed with the overlays
+    const pageIssuesBanner = queryUI(`.${A11Y_CONFIG.CSS_CLASSES.PAGE_ISSUES_BANNER}`);
+    if (pageIssuesBanner) {
+      pageIssuesBanner.remove();
+    }
+
     // Clear LOGS array
     LOGS.length = 0;
+    SUPPRESSED_FINDINGS.length = 0;
 
     // Reset keyboard navigation
     keyboardNavigationActive = false;
@@ -2182,6 +5328,11 @@ function removeAccessibilityOverlays() {
 
     // Hide progress indicator
     hideProgressIndicator();
+
+    // Detach the now empty UI host; getUIRoot() attaches it again
+    if (uiContainer.host) {
+      uiContainer.host.remove();
+    }
   } catch (error) {
     console.error('Error removing overlays:', error);
   }
@@ -2200,269 +5351,409 @@ let isRunning = false;
 let lastRunTime = 0;
 
 /**
- * Configuration for incremental scanning.
+ * Configuration of the scan scheduler. Scans check the page in slices that
+ * run while the browser is idle; their time budgets are set by the user in
+ * customRules.scanning.
  * @type {Object}
  */
 const INCREMENTAL_CONFIG = {
-  CHUNK_SIZE: 25, // Number of elements to process per chunk
-  CHUNK_DELAY: 16, // Delay between chunks in milliseconds (approximately 60fps)
-  MAX_SCAN_TIME: 5000, // Maximum time for a scan in milliseconds
-  YIELD_EVERY: 50 // Yield after processing this many elements
+  IDLE_TIMEOUT: 100, // Run a slice after this many milliseconds even if the page is never idle
+  MIN_IDLE_TIME: 2, // End a slice when less idle time than this is left, in milliseconds
+  SLICE_LENGTH: 16, // Longest slice in milliseconds when scan budgets are turned off
+  FALLBACK_DELAY: 16, // Delay between slices where requestIdleCallback is unavailable
+  PROGRESS_UPDATE_INTERVAL: 250 // Least time between progress updates in milliseconds
 };
 
 /**
- * State for incremental scanning.
- * @type {Object|null}
+ * @typedef {Object} ScanTask
+ * @property {'running'|'paused'|'truncated'|'cancelled'|'complete'} status - State of the scan
+ * @property {boolean} incremental - Whether the scan yields to the page between slices
+ * @property {{nextNode: function(): (Element|null)}} walker - Walker over the elements left to check
+ * @property {number} totalElements - Number of elements in the body when the scan started
+ * @property {number} processedCount - Number of elements checked
+ * @property {number} elapsed - Time spent checking in milliseconds, excluding pauses
+ * @property {number} budget - Time the scan may spend checking in milliseconds, Infinity for no limit
+ * @property {{type: 'idle'|'timeout', id: number}|null} pendingSlice - The scheduled next slice
+ * @property {number} lastProgressUpdate - Time of the last progress update
  */
-let incrementalState = null;
 
 /**
- * Starts incremental accessibility scanning.
- * @returns {void}
+ * The current scan. It is kept after the scan ends, so its coverage can be
+ * reported and a truncated scan resumed.
+ * @type {ScanTask|null}
  */
-function startIncrementalScan() {
-  try {
-    // Clear previous LOGS and state
-    LOGS.length = 0;
+let scanTask = null;
 
-    // Show progress indicator
-    showProgressIndicator('Initializing incremental scan...', 0);
-
-    // Initialize incremental state
-    incrementalState = {
-      walker: null,
-      totalElements: 0,
-      processedCount: 0,
-      processedElements: new Set(),
-      startTime: Date.now(),
-      chunkStartTime: Date.now(),
-      elementsInCurrentChunk: 0,
-      isComplete: false,
-      cancelled: false
-    };
+/**
+ * @typedef {Object} ScanCoverage
+ * @property {'running'|'paused'|'truncated'|'cancelled'|'complete'} status - State of the scan
+ * @property {number} checkedElements - Number of elements checked
+ * @property {number} totalElements - Number of elements in the body when the scan started,
+ *   including hidden ones that aren't checked
+ * @property {number} percentage - Share of the elements checked (0-100), 100 once complete
+ * @property {number} elapsed - Time spent checking in milliseconds
+ */
+
+/**
+ * Gets how much of the page the current or last scan covered.
+ * @returns {ScanCoverage|null} The coverage, or null if there was no scan
+ */
+function getScanCoverage() {
+  if (!scanTask) {
+    return null;
+  }
+
+  const { status, processedCount, totalElements } = scanTask;
+  return {
+    status,
+    checkedElements: processedCount,
+    totalElements,
+    percentage:
+      status === 'complete' || totalElements === 0
+        ? 100
+        : Math.min(99, Math.floor((processedCount / totalElements) * 100)),
+    elapsed: Math.round(scanTask.elapsed)
+  };
+}
+
+/**
+ * Describes the coverage of a scan that didn't check the whole page.
+ * @param {ScanCoverage} coverage - The coverage
+ * @returns {string} The description
+ */
+function describeScanCoverage(coverage) {
+  const checked = `${coverage.checkedElements} of about ${coverage.totalElements} elements (${coverage.percentage}%)`;
+
+  if (coverage.status === 'truncated') {
+    const seconds = Math.round(coverage.elapsed / 1000);
+    return `Scan stopped at its ${seconds}s time limit after checking ${checked}. Results are partial.`;
+  }
+  if (coverage.status === 'cancelled') {
+    return `Scan cancelled after checking ${checked}. Results are partial.`;
+  }
+  if (coverage.status === 'paused') {
+    return `Scan paused after checking ${checked}.`;
+  }
+  return `Checked ${checked}.`;
+}
+
+/**
+ * Gets the time a scan may spend checking elements.
+ * @returns {number} The budget in milliseconds, Infinity if scans aren't limited
+ */
+function getScanBudget() {
+  const settings = customRules.scanning;
+  if (!settings || !settings.enabled || !(settings.maxScanSeconds > 0)) {
+    return Infinity;
+  }
+  return settings.maxScanSeconds * 1000;
+}
+
+/**
+ * Gets the longest time a slice of an incremental scan may run before
+ * yielding to the page, even when the browser reports more idle time.
+ * @returns {number} The slice length in milliseconds
+ */
+function getSliceLength() {
+  const settings = customRules.scanning;
+  if (!settings || !settings.enabled || !(settings.maxSliceMilliseconds > 0)) {
+    return INCREMENTAL_CONFIG.SLICE_LENGTH;
+  }
+  return settings.maxSliceMilliseconds;
+}
+
+/**
+ * Starts a scan: runs the page rules, then checks every element, either in
+ * idle-time slices or, if not incremental, at once. Scans of a region skip
+ * the page rules, which describe the whole page.
+ * @param {boolean} incremental - Whether to yield to the page between slices
+ * @returns {void}
+ */
+function startScan(incremental) {
+  initializeScanState();
+  showProgressIndicator('Starting accessibility scan...', 0);
 
-    // Check for landmarks first (quick check)
+  const root = getScanRoot();
+  if (root === document.body) {
+    // Run page-level rules first (quick checks)
     updateProgressIndicator('Checking page structure...', 5);
-    checkForLandmarks();
+    runPageRules();
+  }
 
-    // Count total elements for progress tracking
-    const allElements = document.querySelectorAll('*');
-    incrementalState.totalElements = allElements.length;
+  scanTask = {
+    status: 'running',
+    incremental,
+    // Walk the page or region, including open shadow roots
+    walker: createScanWalker(root),
+    totalElements: root.querySelectorAll('*').length + (root === document.body ? 0 : 1),
+    processedCount: 0,
+    elapsed: 0,
+    budget: getScanBudget(),
+    pendingSlice: null,
+    lastProgressUpdate: 0
+  };
+  updateProgressIndicator(`Scanning ${scanTask.totalElements} elements...`, 10);
 
-    // Create TreeWalker for efficient traversal
-    incrementalState.walker = document.createTreeWalker(
-      document.body,
-      NodeFilter.SHOW_ELEMENT,
-      {
-        acceptNode: function (node) {
-          // Skip hidden elements
-          const style = window.getComputedStyle(node);
-          if (style.display === 'none' || style.visibility === 'hidden') {
-            return NodeFilter.FILTER_REJECT;
-          }
-          return NodeFilter.FILTER_ACCEPT;
-        }
-      },
-      false
-    );
+  if (incremental) {
+    setProgressActions(getRunningScanActions());
+    scheduleScanSlice();
+  } else {
+    runScanSlice(null);
+  }
+}
 
-    updateProgressIndicator(`Starting scan of ${incrementalState.totalElements} elements...`, 10);
+/**
+ * Schedules the next slice of the current scan for when the browser is idle.
+ * @returns {void}
+ */
+function scheduleScanSlice() {
+  if (typeof requestIdleCallback === 'function') {
+    scanTask.pendingSlice = {
+      type: 'idle',
+      id: requestIdleCallback(runScanSlice, { timeout: INCREMENTAL_CONFIG.IDLE_TIMEOUT })
+    };
+  } else {
+    scanTask.pendingSlice = {
+      type: 'timeout',
+      id: setTimeout(() => runScanSlice(null), INCREMENTAL_CONFIG.FALLBACK_DELAY)
+    };
+  }
+}
 
-    // Start processing chunks
-    processNextChunk();
-  } catch (error) {
-    console.error('Error starting incremental scan:', error);
-    finishIncrementalScan();
+/**
+ * Cancels the scheduled slice of a scan, if any.
+ * @param {ScanTask} task - The scan
+ * @returns {void}
+ */
+function cancelPendingSlice(task) {
+  if (!task.pendingSlice) {
+    return;
   }
+
+  if (task.pendingSlice.type === 'idle') {
+    cancelIdleCallback(task.pendingSlice.id);
+  } else {
+    clearTimeout(task.pendingSlice.id);
+  }
+  task.pendingSlice = null;
 }
 
 /**
- * Processes the next chunk of elements in incremental scan.
+ * Checks elements of the current scan until the slice ends, the scan's time
+ * budget is spent or every element has been checked. Incremental slices end
+ * when the idle period runs out or after the slice length; other scans run
+ * in a single slice.
+ * @param {IdleDeadline|null} deadline - Idle period of the slice, if run by requestIdleCallback
  * @returns {void}
  */
-function processNextChunk() {
-  if (!incrementalState || incrementalState.cancelled || incrementalState.isComplete) {
-    finishIncrementalScan();
+function runScanSlice(deadline) {
+  const task = scanTask;
+  if (!task || task.status !== 'running') {
     return;
   }
+  task.pendingSlice = null;
 
-  const chunkStartTime = performance.now();
-  incrementalState.elementsInCurrentChunk = 0;
+  const sliceStart = performance.now();
+  const sliceLength = getSliceLength();
+  let isDone = false;
 
   try {
-    // Process elements in this chunk
-    while (incrementalState.elementsInCurrentChunk < INCREMENTAL_CONFIG.CHUNK_SIZE) {
-      const node = incrementalState.walker.nextNode();
-
-      // Check if we've reached the end
+    for (;;) {
+      const node = task.walker.nextNode();
       if (!node) {
-        incrementalState.isComplete = true;
+        isDone = true;
         break;
       }
 
-      // Skip if already processed
-      if (incrementalState.processedElements.has(node)) {
-        continue;
-      }
-      incrementalState.processedElements.add(node);
-
-      // Process the element
       processElement(node);
+      task.processedCount++;
 
-      incrementalState.processedCount++;
-      incrementalState.elementsInCurrentChunk++;
-
-      // Check if we've exceeded max scan time
-      if (Date.now() - incrementalState.startTime > INCREMENTAL_CONFIG.MAX_SCAN_TIME) {
-        console.warn('Incremental scan timeout reached, stopping early');
-        incrementalState.isComplete = true;
+      const sliceTime = performance.now() - sliceStart;
+      if (task.elapsed + sliceTime >= task.budget) {
         break;
       }
-
-      // Yield if we've been processing for too long in this chunk
-      if (performance.now() - chunkStartTime > INCREMENTAL_CONFIG.CHUNK_DELAY) {
+      if (
+        task.incremental &&
+        (sliceTime >= sliceLength ||
+          (deadline &&
+            !deadline.didTimeout &&
+            deadline.timeRemaining() < INCREMENTAL_CONFIG.MIN_IDLE_TIME))
+      ) {
         break;
       }
     }
-
-    // Update progress
-    const progress =
-      10 + Math.min(80, (incrementalState.processedCount / incrementalState.totalElements) * 80);
-    updateProgressIndicator(
-      `Processed ${incrementalState.processedCount} of ${incrementalState.totalElements} elements...`,
-      progress
-    );
-
-    // Schedule next chunk or finish
-    if (incrementalState.isComplete) {
-      finishIncrementalScan();
-    } else {
-      // Use requestAnimationFrame for smooth UI updates, fallback to setTimeout
-      if (typeof requestAnimationFrame !== 'undefined') {
-        requestAnimationFrame(processNextChunk);
-      } else {
-        setTimeout(processNextChunk, INCREMENTAL_CONFIG.CHUNK_DELAY);
-      }
-    }
   } catch (error) {
-    console.error('Error processing chunk:', error);
-    finishIncrementalScan();
+    handleScanError(error);
+    return;
+  }
+  task.elapsed += performance.now() - sliceStart;
+
+  if (isDone) {
+    task.status = 'complete';
+    finishScan();
+  } else if (task.elapsed >= task.budget) {
+    task.status = 'truncated';
+    finishScan();
+  } else {
+    updateScanProgress();
+    scheduleScanSlice();
   }
 }
 
 /**
- * Processes a single element for accessibility issues.
- * @param {Element} node - The element to process
+ * Shows the progress of the current scan, at most every
+ * PROGRESS_UPDATE_INTERVAL milliseconds.
  * @returns {void}
  */
-function processElement(node) {
-  try {
-    const tagName = node.tagName.toLowerCase();
-    const role = node.getAttribute('role');
-    const tabindex = node.getAttribute('tabindex');
-
-    // Check element based on tag or role
-    switch (tagName) {
-      case 'img':
-        checkImageElement(node);
-        break;
-      case 'button':
-        checkButtonElement(node);
-        break;
-      case 'a':
-        checkLinkElement(node);
-        break;
-      case 'fieldset':
-        checkFieldsetElement(node);
-        break;
-      case 'input':
-        checkInputElement(node);
-        break;
-      case 'table':
-        checkTableElement(node);
-        break;
-      case 'iframe':
-        checkIframeElement(node);
-        break;
-      case 'audio':
-      case 'video':
-        checkMediaElement(node);
-        break;
-      default:
-        // Check role-based elements
-        if (role) {
-          checkRoleBasedElement(node, role);
-        }
-        // Check tabindex on non-interactive elements
-        if (tabindex !== null) {
-          checkTabIndexElement(node);
-        }
-        break;
-    }
-
-    // Check font size if enabled
-    if (customRules.typography.enabled && customRules.typography.checkFontSize) {
-      checkElementFontSize(node, tagName);
-    }
-  } catch (error) {
-    console.warn('Error processing element:', node, error);
+function updateScanProgress() {
+  const now = Date.now();
+  if (now - scanTask.lastProgressUpdate < INCREMENTAL_CONFIG.PROGRESS_UPDATE_INTERVAL) {
+    return;
   }
+  scanTask.lastProgressUpdate = now;
+
+  const { processedCount, totalElements } = scanTask;
+  updateProgressIndicator(
+    `Processed ${processedCount} of ${totalElements} elements...`,
+    10 + Math.min(80, (processedCount / Math.max(1, totalElements)) * 80)
+  );
 }
 
 /**
- * Finishes incremental scanning and cleans up.
+ * Reports the results of a scan that completed or ran out of time. Partial
+ * results stay announced, with the option to continue the scan.
  * @returns {void}
  */
-function finishIncrementalScan() {
-  try {
-    if (incrementalState && !incrementalState.cancelled) {
-      const scanTime = Date.now() - incrementalState.startTime;
-      updateProgressIndicator('Finalizing scan results...', 95);
+function finishScan() {
+  const coverage = getScanCoverage();
+  isRunning = false;
 
-      // Log completion stats
-      console.log(
-        `Incremental scan completed: ${incrementalState.processedCount} elements in ${scanTime}ms`
-      );
-      console.table(LOGS);
+  console.log(
+    `Scan ${coverage.status}: ${coverage.checkedElements} elements in ${coverage.elapsed}ms`
+  );
+  updateProgressIndicator('Completing scan...', 95);
+  reportScanResults();
+  if (LOGS.length > 0) {
+    console.table(LOGS);
+  }
 
-      // Final progress update
-      hideProgressIndicator();
+  if (coverage.status === 'truncated') {
+    const message = describeScanCoverage(coverage);
+    console.warn(message);
+    updateProgressIndicator(message, coverage.percentage);
+    setProgressActions([
+      { label: 'Continue scan', onClick: resumeScan },
+      { label: 'Dismiss', onClick: hideProgressIndicator }
+    ]);
+    return;
+  }
 
-      // Show completion message if there are issues
-      if (LOGS.length > 0) {
-        updateProgressIndicator(`Found ${LOGS.length} accessibility issues`, 100);
-        setTimeout(() => hideProgressIndicator(), 2000);
-      }
+  setProgressActions([]);
+  if (LOGS.length > 0) {
+    updateProgressIndicator(
+      `Found ${LOGS.length} accessibility issues. Press Alt+Shift+F for filters.`,
+      100
+    );
+    console.log(
+      '💡 Tip: Press Alt+Shift+F to open the filter panel and customize which issues are shown.'
+    );
+  } else {
+    updateProgressIndicator('No accessibility issues found!', 100);
+    console.log(A11Y_CONFIG.MESSAGES.NO_ISSUES);
+  }
+
+  // Hide progress indicator after a brief delay
+  setTimeout(() => {
+    hideProgressIndicator();
+  }, 2000);
+}
+
+/**
+ * Gets the progress indicator buttons of a running scan.
+ * @returns {Array<{label: string, onClick: Function}>} The buttons
+ */
+function getRunningScanActions() {
+  return [
+    { label: 'Pause', onClick: pauseScan },
+    { label: 'Cancel', onClick: stopScan }
+  ];
+}
+
+/**
+ * Pauses the running scan; resumeScan() continues where it stopped.
+ * @returns {boolean} True if a scan was paused
+ */
+function pauseScan() {
+  if (!scanTask || scanTask.status !== 'running') {
+    return false;
+  }
+
+  cancelPendingSlice(scanTask);
+  scanTask.status = 'paused';
+  updateProgressIndicator(describeScanCoverage(getScanCoverage()), getScanCoverage().percentage);
+  setProgressActions([
+    { label: 'Resume', onClick: resumeScan },
+    { label: 'Cancel', onClick: stopScan }
+  ]);
+  return true;
+}
+
+/**
+ * Continues a paused scan, or a scan that ran out of time with a new budget.
+ * @returns {boolean} True if a scan was resumed
+ */
+function resumeScan() {
+  if (!scanTask || (scanTask.status !== 'paused' && scanTask.status !== 'truncated')) {
+    return false;
+  }
+
+  if (scanTask.status === 'truncated') {
+    scanTask.budget = scanTask.elapsed + getScanBudget();
+    isRunning = true;
+    lastRunTime = Date.now();
+    if (!progressIndicator) {
+      showProgressIndicator('Continuing accessibility scan...', getScanCoverage().percentage);
     }
-  } catch (error) {
-    console.error('Error finishing incremental scan:', error);
-  } finally {
-    // Clean up state
-    incrementalState = null;
-    isRunning = false;
   }
+
+  scanTask.status = 'running';
+  scanTask.incremental = true;
+  setProgressActions(getRunningScanActions());
+  scheduleScanSlice();
+  return true;
 }
 
 /**
- * Cancels the current incremental scan.
- * @returns {void}
+ * Cancels the running or paused scan. Its findings so far are kept but not
+ * reported; use stopScan() to report them.
+ * @returns {boolean} True if a scan was cancelled
  */
-function cancelIncrementalScan() {
-  if (incrementalState) {
-    incrementalState.cancelled = true;
-    incrementalState = null;
-    isRunning = false;
-    hideProgressIndicator();
-    console.log('Incremental scan cancelled');
+function cancelScan() {
+  if (!scanTask || (scanTask.status !== 'running' && scanTask.status !== 'paused')) {
+    return false;
   }
+
+  cancelPendingSlice(scanTask);
+  scanTask.status = 'cancelled';
+  isRunning = false;
+  hideProgressIndicator();
+  console.log('Scan cancelled');
+  return true;
 }
 
 /**
- * Efficiently runs accessibility checks using incremental scanning.
- * Uses chunked processing to prevent UI blocking on large pages.
- * @param {boolean} useIncremental - Whether to use incremental scanning (default: true)
- * @returns {void}
+ * Cancels the running or paused scan and reports the findings so far.
+ * @returns {boolean} True if a scan was stopped
  */
+function stopScan() {
+  if (!cancelScan()) {
+    return false;
+  }
+  console.warn(describeScanCoverage(getScanCoverage()));
+  reportScanResults();
+  return true;
+}
+
 /**
  * Checks if accessibility scanning should be throttled.
  * @returns {boolean} True if scanning should be throttled
@@ -2480,18 +5771,40 @@ function initializeScanState() {
   isRunning = true;
   lastRunTime = Date.now();
   LOGS.length = 0;
+  SUPPRESSED_FINDINGS.length = 0;
+  currentScanId++;
+  backdropCache = new WeakMap();
 }
 
 /**
- * Creates and configures a TreeWalker for DOM traversal.
- * @returns {TreeWalker} Configured TreeWalker instance
+ * Processes a single element for accessibility issues.
+ * @param {Element} node - The element to process
+ * @returns {void}
  */
-function createAccessibilityTreeWalker() {
-  return document.createTreeWalker(
-    document.body,
-    NodeFilter.SHOW_ELEMENT,
+function processElement(node) {
+  try {
+    runElementRules(node);
+  } catch (error) {
+    console.warn('Error processing element:', node, error);
+  }
+}
+
+/**
+ * Creates a TreeWalker over the visible elements of one tree.
+ * @param {Element|ShadowRoot} root - The root to walk
+ * @returns {TreeWalker} Configured TreeWalker instance
+ */
+function createElementWalker(root) {
+  return document.createTreeWalker(
+    root,
+    NodeFilter.SHOW_ELEMENT,
     {
       acceptNode: function (node) {
+        // Skip children of shadow hosts that aren't slotted, as they aren't rendered
+        if (node.parentElement && node.parentElement.shadowRoot && !node.assignedSlot) {
+          return NodeFilter.FILTER_REJECT;
+        }
+
         // Skip hidden elements
         const style = window.getComputedStyle(node);
         if (style.display === 'none' || style.visibility === 'hidden') {
@@ -2505,56 +5818,62 @@ function createAccessibilityTreeWalker() {
 }
 
 /**
- * Processes a single DOM element for accessibility issues.
- * @param {Element} node - The DOM element to process
- * @returns {void}
+ * Creates a walker over the visible elements of the page that descends into
+ * open shadow roots. A host's shadow tree is walked right after the host,
+ * followed by its slotted children.
+ * @param {Element} [root] - Element whose descendants to walk (default: the body)
+ * @returns {{nextNode: function(): (Element|null)}} Walker with the TreeWalker's nextNode()
  */
-function processElementForAccessibility(node) {
-  const tagName = node.tagName.toLowerCase();
-  const role = node.getAttribute('role');
-  const tabindex = node.getAttribute('tabindex');
+function createAccessibilityTreeWalker(root = document.body) {
+  const walkers = [createElementWalker(root)];
+  if (root.shadowRoot) {
+    watchShadowRoot(root.shadowRoot);
+    walkers.push(createElementWalker(root.shadowRoot));
+  }
 
-  // Check element based on tag or role
-  switch (tagName) {
-    case 'img':
-      checkImageElement(node);
-      break;
-    case 'button':
-      checkButtonElement(node);
-      break;
-    case 'a':
-      checkLinkElement(node);
-      break;
-    case 'fieldset':
-      checkFieldsetElement(node);
-      break;
-    case 'input':
-      checkInputElement(node);
-      break;
-    case 'table':
-      checkTableElement(node);
-      break;
-    case 'iframe':
-      checkIframeElement(node);
-      break;
-    case 'audio':
-    case 'video':
-      checkMediaElement(node);
-      break;
-    default:
-      // Check role-based elements
-      if (role) {
-        checkRoleBasedElement(node, role);
-      }
-      // Check tabindex on non-interactive elements
-      if (tabindex !== null) {
-        checkTabIndexElement(node);
+  return {
+    nextNode() {
+      while (walkers.length > 0) {
+        const node = walkers[walkers.length - 1].nextNode();
+        if (!node) {
+          walkers.pop();
+          continue;
+        }
+
+        if (node.shadowRoot) {
+          watchShadowRoot(node.shadowRoot);
+          walkers.push(createElementWalker(node.shadowRoot));
+        }
+        return node;
       }
-      break;
+      return null;
+    }
+  };
+}
+
+/**
+ * Creates the walker of a scan. The root of a region is checked before its
+ * descendants, unless it is hidden, in which case nothing is.
+ * @param {Element} root - The body, or the root of the scanned region
+ * @returns {{nextNode: function(): (Element|null)}} Walker over the elements to check
+ */
+function createScanWalker(root) {
+  if (root === document.body) {
+    return createAccessibilityTreeWalker();
   }
 
-  // Check font size for text-containing elements
-  checkElementFontSize(node, tagName);
+  let pendingRoot = isScannedElement(root) ? root : null;
+  const walker = pendingRoot ? createAccessibilityTreeWalker(root) : null;
+  return {
+    nextNode() {
+      if (pendingRoot) {
+        const node = pendingRoot;
+        pendingRoot = null;
+        return node;
+      }
+      return walker ? walker.nextNode() : null;
+    }
+  };
 }
 
 /**
@@ -2574,7 +5893,13 @@ function checkElementFontSize(node, tagName) {
       const fontSize = parseFloat(style.fontSize);
       if (fontSize < A11Y_CONFIG.PERFORMANCE.FONT_SIZE_THRESHOLD) {
         console.log(node);
-        overlay.call(node, 'overlay', 'warning', A11Y_CONFIG.MESSAGES.SMALL_FONT_SIZE);
+        overlay.call(
+          node,
+          'overlay',
+          'warning',
+          A11Y_CONFIG.MESSAGES.SMALL_FONT_SIZE,
+          'SMALL_FONT_SIZE'
+        );
       }
     } catch (error) {
       // Skip elements that can't be styled
@@ -2583,537 +5908,4105 @@ function checkElementFontSize(node, tagName) {
 }
 
 /**
- * Traverses DOM and processes all elements for accessibility issues.
- * @param {TreeWalker} walker - The TreeWalker instance
- * @param {number} totalElements - Total number of elements for progress tracking
- * @returns {void}
+ * @typedef {Object} RGBAColor
+ * @property {number} r - Red channel (0-255)
+ * @property {number} g - Green channel (0-255)
+ * @property {number} b - Blue channel (0-255)
+ * @property {number} a - Alpha channel (0-1)
  */
-function traverseAndProcessElements(walker, totalElements) {
-  let node;
-  let processedCount = 0;
-  const processedElements = new Set();
 
-  while ((node = walker.nextNode())) {
-    // Skip if already processed
-    if (processedElements.has(node)) {
-      continue;
-    }
-    processedElements.add(node);
-    processedCount++;
+/**
+ * Parses a computed CSS color value.
+ * Computed styles report colors as rgb()/rgba(); hex and 'transparent'
+ * are accepted as well. Other formats return null.
+ * @param {string} value - The CSS color value
+ * @returns {RGBAColor|null} The parsed color, or null if it can't be parsed
+ */
+function parseColor(value) {
+  if (!value) {
+    return null;
+  }
 
-    // Update progress every 50 elements
-    if (processedCount % 50 === 0) {
-      const progress = 20 + Math.min(70, (processedCount / totalElements) * 70);
-      updateProgressIndicator(
-        `Processed ${processedCount} of ${totalElements} elements...`,
-        progress
-      );
+  const color = value.trim().toLowerCase();
+  if (color === 'transparent') {
+    return { r: 0, g: 0, b: 0, a: 0 };
+  }
+
+  const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+  if (hex) {
+    let digits = hex[1];
+    if (digits.length <= 4) {
+      digits = digits
+        .split('')
+        .map(digit => digit + digit)
+        .join('');
     }
+    const channels = digits.match(/../g).map(pair => parseInt(pair, 16));
+    return {
+      r: channels[0],
+      g: channels[1],
+      b: channels[2],
+      a: channels.length === 4 ? channels[3] / 255 : 1
+    };
+  }
+
+  const rgb = color.match(/^rgba?\(([^)]+)\)$/);
+  if (!rgb) {
+    return null;
+  }
+
+  const parts = rgb[1].split(/[\s,/]+/).filter(Boolean);
+  if (parts.length < 3) {
+    return null;
+  }
+
+  const channels = parts
+    .slice(0, 3)
+    .map(part => (part.endsWith('%') ? (parseFloat(part) / 100) * 255 : parseFloat(part)));
+  let alpha = parts.length > 3 ? parseFloat(parts[3]) : 1;
+  if (parts.length > 3 && parts[3].endsWith('%')) {
+    alpha /= 100;
+  }
 
-    processElementForAccessibility(node);
+  if (channels.some(Number.isNaN) || Number.isNaN(alpha)) {
+    return null;
   }
+
+  return { r: channels[0], g: channels[1], b: channels[2], a: Math.min(Math.max(alpha, 0), 1) };
 }
 
 /**
- * Finalizes the accessibility scan and displays results.
- * @returns {void}
+ * Composites a translucent color over an opaque backdrop.
+ * @param {RGBAColor} color - The color on top
+ * @param {RGBAColor} backdrop - The opaque color underneath
+ * @returns {RGBAColor} The resulting opaque color
  */
-function finalizeScanResults() {
-  updateProgressIndicator('Completing scan...', 95);
+function blendColors(color, backdrop) {
+  return {
+    r: color.r * color.a + backdrop.r * (1 - color.a),
+    g: color.g * color.a + backdrop.g * (1 - color.a),
+    b: color.b * color.a + backdrop.b * (1 - color.a),
+    a: 1
+  };
+}
 
-  // Log results
-  if (LOGS.length > 0) {
-    updateProgressIndicator(
-      `Found ${LOGS.length} accessibility issues. Press Alt+Shift+F for filters.`,
-      100
-    );
-    console.table(LOGS);
-    console.log(
-      '💡 Tip: Press Alt+Shift+F to open the filter panel and customize which issues are shown.'
-    );
-  } else {
-    updateProgressIndicator('No accessibility issues found!', 100);
-    console.log(A11Y_CONFIG.MESSAGES.NO_ISSUES);
-  }
+/**
+ * Calculates the WCAG relative luminance of an opaque color.
+ * @param {RGBAColor} color - The color
+ * @returns {number} Relative luminance between 0 and 1
+ */
+function getRelativeLuminance(color) {
+  const [r, g, b] = [color.r, color.g, color.b].map(channel => {
+    const value = channel / 255;
+    return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+  });
 
-  // Hide progress indicator after a brief delay
-  setTimeout(() => {
-    hideProgressIndicator();
-  }, 2000);
+  return 0.2126 * r + 0.7152 * g + 0.0722 * b;
 }
 
 /**
- * Handles errors during accessibility scanning.
- * @param {Error} error - The error that occurred
- * @returns {void}
+ * Calculates the WCAG contrast ratio between two opaque colors.
+ * @param {RGBAColor} first - The first color
+ * @param {RGBAColor} second - The second color
+ * @returns {number} Contrast ratio between 1 and 21
  */
-function handleScanError(error) {
-  console.error('Error during accessibility checks:', error);
-  updateProgressIndicator('Error during scan', 100);
-  setTimeout(() => {
-    hideProgressIndicator();
-  }, 3000);
+function getContrastRatio(first, second) {
+  const lighter = Math.max(getRelativeLuminance(first), getRelativeLuminance(second));
+  const darker = Math.min(getRelativeLuminance(first), getRelativeLuminance(second));
+
+  return (lighter + 0.05) / (darker + 0.05);
 }
 
 /**
- * Main function to run accessibility checks on the current page.
- * @param {boolean} useIncremental - Whether to use incremental scanning
- * @returns {void}
+ * Resolves the backdrop of an element by compositing the background colors
+ * of the element and its ancestors over the white canvas, taking element
+ * opacity into account. Ancestors are resolved once per scan and cached.
+ * @param {Element} element - The element whose backdrop to resolve
+ * @returns {Backdrop} The backdrop
  */
-function runAccessibilityChecks(useIncremental = true) {
-  // Throttling to prevent performance issues
-  if (shouldThrottleScan()) {
-    console.log(A11Y_CONFIG.MESSAGES.THROTTLED);
-    return;
+function getBackdrop(element) {
+  const uncached = [];
+  let current = element;
+  while (current && current.nodeType === Node.ELEMENT_NODE && !backdropCache.has(current)) {
+    uncached.push(current);
+    current = current.parentElement;
   }
 
-  // Use incremental scanning for better performance
-  if (useIncremental) {
-    isRunning = true;
-    lastRunTime = Date.now();
-    startIncrementalScan();
-    return;
-  }
+  let backdrop =
+    current && current.nodeType === Node.ELEMENT_NODE
+      ? backdropCache.get(current)
+      : { color: { r: 255, g: 255, b: 255, a: 1 }, opacity: 1, hasImage: false };
 
-  try {
-    // Initialize scan state
-    initializeScanState();
+  uncached.reverse().forEach(ancestor => {
+    const style = window.getComputedStyle(ancestor);
+    let { color, opacity, hasImage } = backdrop;
 
-    // Show progress indicator
-    showProgressIndicator('Starting accessibility scan...', 0);
+    const value = parseFloat(style.opacity);
+    if (!Number.isNaN(value)) {
+      opacity *= value;
+    }
 
-    // Check for landmarks first (simple check)
-    updateProgressIndicator('Checking page structure...', 10);
-    checkForLandmarks();
+    const background = parseColor(style.backgroundColor);
+    if (background && background.a > 0) {
+      const alpha = background.a * opacity;
+      color = blendColors({ ...background, a: alpha }, color);
+      if (alpha >= 1) {
+        hasImage = false;
+      }
+    }
 
-    // Count total elements for progress tracking
-    const allElements = document.querySelectorAll('*');
-    const totalElements = allElements.length;
-    updateProgressIndicator(`Scanning ${totalElements} elements...`, 20);
+    if (style.backgroundImage && style.backgroundImage !== 'none') {
+      hasImage = true;
+    }
 
-    // Create TreeWalker for efficient DOM traversal
-    const walker = createAccessibilityTreeWalker();
+    backdrop = { color, opacity, hasImage };
+    backdropCache.set(ancestor, backdrop);
+  });
 
-    // Process all elements
-    traverseAndProcessElements(walker, totalElements);
+  return backdrop;
+}
 
-    // Finalize and display results
-    finalizeScanResults();
-  } catch (error) {
-    handleScanError(error);
-  } finally {
-    isRunning = false;
-  }
+/**
+ * Multiplies the opacity of an element and all of its ancestors.
+ * @param {Element} element - The element to start from
+ * @returns {number} The effective opacity between 0 and 1
+ */
+function getEffectiveOpacity(element) {
+  return getBackdrop(element).opacity;
 }
 
 /**
- * Checks a single element for multiple accessibility issues in one pass.
- * @param {Element} element - The element to check
- * @returns {void}
+ * Resolves the opaque background color painted behind an element.
+ * @param {Element} element - The element whose backdrop to resolve
+ * @returns {RGBAColor|null} The effective background color, or null if a
+ *   background image is painted behind the element and the color can't be known
  */
-function checkElement(element) {
-  if (!element) {
-    return;
-  }
+function getEffectiveBackgroundColor(element) {
+  const { color, hasImage } = getBackdrop(element);
+  return hasImage ? null : color;
+}
 
-  const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
+/**
+ * Determines whether text counts as large for WCAG contrast purposes.
+ * @param {CSSStyleDeclaration} style - The computed style of the text element
+ * @returns {boolean} True for 18pt text, or 14pt bold text
+ */
+function isLargeText(style) {
+  const fontSize = parseFloat(style.fontSize);
+  const fontWeight = style.fontWeight === 'bold' ? 700 : parseFloat(style.fontWeight) || 400;
+
+  return (
+    fontSize >= A11Y_CONFIG.CONTRAST.LARGE_TEXT_SIZE ||
+    (fontSize >= A11Y_CONFIG.CONTRAST.LARGE_BOLD_TEXT_SIZE &&
+      fontWeight >= A11Y_CONFIG.CONTRAST.BOLD_FONT_WEIGHT)
+  );
+}
 
-  try {
-    switch (tagName) {
-      case 'img':
-        checkImageElement(element);
-        break;
-      case 'button':
-        checkButtonElement(element);
-        break;
-      case 'a':
-        checkLinkElement(element);
-        break;
-      case 'fieldset':
-        checkFieldsetElement(element);
-        break;
-      case 'input':
-        checkInputElement(element);
-        break;
-      case 'table':
-        checkTableElement(element);
-        break;
-      case 'iframe':
-        checkIframeElement(element);
-        break;
-      case 'audio':
-      case 'video':
-        checkMediaElement(element);
-        break;
-      default:
-        // Check role-based elements
-        if (role) {
-          checkRoleBasedElement(element, role);
-        }
-        // Check tabindex on non-interactive elements
-        if (element.hasAttribute('tabindex')) {
-          checkTabIndexElement(element);
-        }
-        break;
-    }
-  } catch (error) {
-    console.warn('Error checking element:', element, error);
-  }
+/**
+ * Determines whether an element directly contains visible text, so that
+ * containers are not flagged for the text of their children.
+ * @param {Element} element - The element to test
+ * @returns {boolean} True if a child text node has non-whitespace content
+ */
+function hasOwnText(element) {
+  return Array.from(element.childNodes).some(
+    child => child.nodeType === Node.TEXT_NODE && child.textContent.trim().length > 0
+  );
 }
 
 /**
- * Checks image elements for accessibility issues.
- * @param {HTMLImageElement} element - The image element to check
+ * Formats a contrast ratio for display, rounding down so that a value
+ * which fails the threshold never rounds up to it.
+ * @param {number} ratio - The contrast ratio
+ * @returns {string} The ratio, e.g. '4.49:1'
+ */
+function formatContrastRatio(ratio) {
+  return `${Math.floor(ratio * 100) / 100}:1`;
+}
+
+/**
+ * Checks the contrast of text against its effective background (WCAG 1.4.3).
+ * @param {Element} element - The text element to check
  * @returns {void}
  */
-function checkImageElement(element) {
-  // Skip if image checks are disabled
-  if (!customRules.images.enabled) {
+function checkTextContrast(element) {
+  if (!hasOwnText(element) || element.disabled || isElementHidden(element)) {
     return;
   }
 
-  // Check for missing alt attribute
-  if (customRules.images.checkMissingAlt && !element.hasAttribute('alt')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.MISSING_ALT);
+  const style = window.getComputedStyle(element);
+  const foreground = parseColor(style.color);
+  const background = getEffectiveBackgroundColor(element);
+  if (!foreground || !background) {
     return;
   }
 
-  const altValue = element.getAttribute('alt');
-  const titleValue = element.getAttribute('title');
+  const alpha = foreground.a * getEffectiveOpacity(element);
+  if (alpha === 0) {
+    return;
+  }
 
-  // Check for uninformative alt text
-  if (
-    customRules.images.checkUninformativeAlt &&
-    altValue &&
-    A11Y_CONFIG.PROHIBITED_ALT_VALUES.includes(altValue.toLowerCase())
-  ) {
+  const ratio = getContrastRatio(blendColors({ ...foreground, a: alpha }, background), background);
+  const required = isLargeText(style)
+    ? A11Y_CONFIG.CONTRAST.LARGE_TEXT_RATIO
+    : A11Y_CONFIG.CONTRAST.NORMAL_TEXT_RATIO;
+
+  if (ratio < required) {
     console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.UNINFORMATIVE_ALT);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.LOW_TEXT_CONTRAST} (${formatContrastRatio(ratio)}, needs ${required}:1)`,
+      'LOW_TEXT_CONTRAST'
+    );
   }
+}
 
-  // Check for empty alt with non-empty title
-  if (
-    customRules.images.checkEmptyAltWithTitle &&
-    altValue === '' &&
-    titleValue &&
-    titleValue.trim() !== ''
-  ) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.EMPTY_ALT_WITH_TITLE);
+/**
+ * Checks the contrast of a form control's border against the background
+ * around it (WCAG 1.4.11). Controls without a visible border are skipped.
+ * @param {Element} element - The input, select or textarea to check
+ * @returns {void}
+ */
+function checkControlContrast(element) {
+  if (element.disabled || element.type === 'hidden' || isElementHidden(element)) {
+    return;
   }
 
-  // Check for different alt and title attributes
+  const style = window.getComputedStyle(element);
   if (
-    customRules.images.checkDifferentAltTitle &&
-    altValue &&
-    titleValue &&
-    altValue.trim() !== '' &&
-    titleValue.trim() !== '' &&
-    altValue.toLowerCase() !== titleValue.toLowerCase()
+    !(parseFloat(style.borderTopWidth) > 0) ||
+    ['none', 'hidden'].includes(style.borderTopStyle)
   ) {
+    return;
+  }
+
+  const border = parseColor(style.borderTopColor);
+  const background = element.parentElement
+    ? getEffectiveBackgroundColor(element.parentElement)
+    : null;
+  if (!border || !background) {
+    return;
+  }
+
+  const alpha = border.a * getEffectiveOpacity(element);
+  const ratio = getContrastRatio(blendColors({ ...border, a: alpha }, background), background);
+  const required = A11Y_CONFIG.CONTRAST.NON_TEXT_RATIO;
+
+  if (ratio < required) {
     console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.DIFFERENT_ALT_TITLE);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.LOW_CONTROL_CONTRAST} (${formatContrastRatio(ratio)}, needs ${required}:1)`,
+      'LOW_CONTROL_CONTRAST'
+    );
   }
 }
 
 /**
- * Checks button elements for accessibility issues.
- * @param {HTMLButtonElement|Element} element - The button element to check
+ * Checks color contrast for text elements and form controls.
+ * @param {Element} node - The DOM element to check
  * @returns {void}
  */
-function checkButtonElement(element) {
-  const hasAriaLabel = element.hasAttribute('aria-label');
-  const hasAriaLabelledby = element.hasAttribute('aria-labelledby');
-  const hasTextContent = element.textContent && element.textContent.trim() !== '';
-
-  if (!hasAriaLabel && !hasAriaLabelledby && !hasTextContent) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.BUTTON_NO_LABEL);
+function checkElementContrast(node) {
+  try {
+    if (['input', 'select', 'textarea'].includes(node.tagName.toLowerCase())) {
+      checkControlContrast(node);
+    } else {
+      checkTextContrast(node);
+    }
+  } catch (error) {
+    // Skip elements that can't be styled
   }
 }
 
 /**
- * Checks link elements for accessibility issues.
- * @param {HTMLAnchorElement} element - The link element to check
+ * Handles errors during accessibility scanning, ending the scan.
+ * @param {Error} error - The error that occurred
  * @returns {void}
  */
-function checkLinkElement(element) {
-  const href = element.getAttribute('href');
-  const hasAriaLabel = element.hasAttribute('aria-label');
-  const hasAriaLabelledby = element.hasAttribute('aria-labelledby');
-  const textContent = element.textContent ? element.textContent.trim() : '';
-  const titleValue = element.getAttribute('title');
-  const role = element.getAttribute('role');
-
-  // Skip if it's a button role
-  if (role === 'button') {
-    return;
+function handleScanError(error) {
+  console.error('Error during accessibility checks:', error);
+  if (scanTask) {
+    cancelPendingSlice(scanTask);
+    scanTask.status = 'cancelled';
   }
+  isRunning = false;
 
-  // Check for empty links
-  if (!hasAriaLabel && !hasAriaLabelledby && textContent === '') {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.LINK_NO_CONTENT);
+  setProgressActions([]);
+  updateProgressIndicator('Error during scan', 100);
+  setTimeout(() => {
+    hideProgressIndicator();
+  }, 3000);
+}
+
+/**
+ * Main function to run accessibility checks on the current page.
+ * @param {boolean} useIncremental - Whether to check the page in idle-time slices
+ *   instead of at once
+ * @returns {void}
+ */
+function runAccessibilityChecks(useIncremental = true) {
+  // Throttling to prevent performance issues
+  if (shouldThrottleScan()) {
+    console.log(A11Y_CONFIG.MESSAGES.THROTTLED);
     return;
   }
 
-  // Check for invalid href - includes data: and vbscript: protocols
+  // Keep the results current as the page changes
+  startMutationWatch();
+
+  // Compare with the latest baseline, which may have been saved in another tab
+  loadBaseline();
+
+  try {
+    startScan(useIncremental);
+  } catch (error) {
+    handleScanError(error);
+  }
+}
+
+/**
+ * Starts watch mode: observes the page for changes after a scan.
+ * @returns {void}
+ */
+function startMutationWatch() {
+  if (mutationWatch.observer || typeof MutationObserver !== 'function' || !document.body) {
+    return;
+  }
+
+  mutationWatch.observer = new MutationObserver(scheduleMutationCheck);
+  mutationWatch.observer.observe(document.body, getMutationObserverOptions());
+}
+
+/**
+ * Stops watch mode and drops pending changes.
+ * @returns {void}
+ */
+function stopMutationWatch() {
+  if (mutationWatch.observer) {
+    mutationWatch.observer.disconnect();
+    mutationWatch.observer = null;
+  }
+  if (mutationWatch.timerId !== null) {
+    clearTimeout(mutationWatch.timerId);
+    mutationWatch.timerId = null;
+  }
+  mutationWatch.records = [];
+}
+
+/**
+ * Gets the MutationObserver options of watch mode.
+ * @returns {MutationObserverInit} The options
+ */
+function getMutationObserverOptions() {
+  return {
+    childList: true,
+    subtree: true,
+    characterData: true,
+    attributes: true,
+    attributeFilter: A11Y_CONFIG.WATCHED_ATTRIBUTES
+  };
+}
+
+/**
+ * Observes an open shadow root in watch mode, as changes inside shadow
+ * trees aren't reported to observers of the document.
+ * @param {ShadowRoot} shadowRoot - The shadow root
+ * @returns {void}
+ */
+function watchShadowRoot(shadowRoot) {
+  if (mutationWatch.observer) {
+    mutationWatch.observer.observe(shadowRoot, getMutationObserverOptions());
+  }
+}
+
+/**
+ * Collects mutations and rechecks them once the page has been quiet for
+ * MUTATION_DEBOUNCE milliseconds.
+ * @param {MutationRecord[]} records - The mutations
+ * @returns {void}
+ */
+function scheduleMutationCheck(records) {
+  mutationWatch.records.push(...records);
+
+  if (mutationWatch.timerId !== null) {
+    clearTimeout(mutationWatch.timerId);
+  }
+  mutationWatch.timerId = setTimeout(recheckMutations, A11Y_CONFIG.PERFORMANCE.MUTATION_DEBOUNCE);
+}
+
+/**
+ * Gets the element a mutation happened in.
+ * @param {Node} node - Target of the mutation
+ * @returns {Element|null} The element, the host for shadow roots
+ */
+function getMutationElement(node) {
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    return node;
+  }
+  if (node.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+    return node.host || null;
+  }
+  return node.parentNode ? getMutationElement(node.parentNode) : null;
+}
+
+/**
+ * Checks whether a node is an element or lies within it, across shadow
+ * boundaries.
+ * @param {Element} ancestor - The possible ancestor
+ * @param {Node} node - The node
+ * @returns {boolean} True if the node is in the ancestor's subtree
+ */
+function isComposedDescendant(ancestor, node) {
+  for (let current = node; current; current = current.parentNode || current.host) {
+    if (current === ancestor) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Checks whether a scan walks an element: it is in the body, rendered and
+ * not hidden, like every one of its ancestors.
+ * @param {Element} element - The element
+ * @returns {boolean} True if scans check the element
+ */
+function isScannedElement(element) {
+  if (!element.isConnected) {
+    return false;
+  }
+
+  for (let current = element; current !== document.body; current = getComposedParent(current)) {
+    if (!current) {
+      return false;
+    }
+
+    // Children of shadow hosts that aren't slotted aren't rendered
+    const parent = current.parentElement;
+    if (parent && parent.shadowRoot && !current.assignedSlot) {
+      return false;
+    }
+
+    const style = window.getComputedStyle(current);
+    if (style.display === 'none' || style.visibility === 'hidden') {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Gets the elements to recheck for a set of mutations. Added elements and
+ * elements with changed attributes are rechecked with their subtree, as
+ * attributes like class and hidden show or hide content. The elements whose
+ * content changed are rechecked with their ancestors, whose accessible names
+ * can come from that content. Within a scanned region, changes elsewhere are
+ * ignored, and a changed subtree that contains the region rechecks all of it.
+ * @param {MutationRecord[]} records - The mutations
+ * @param {Element|null} [region] - Root of the scanned region, null for the whole page
+ * @returns {{subtrees: Element[], elements: Set<Element>}} Roots of changed subtrees, and
+ *   single elements outside them
+ */
+function getMutatedElements(records, region = null) {
+  const roots = new Set();
+  const elements = new Set();
+
+  records.forEach(record => {
+    if (record.type === 'attributes') {
+      roots.add(record.target);
+      return;
+    }
+
+    record.addedNodes.forEach(node => {
+      if (node.nodeType === Node.ELEMENT_NODE) {
+        roots.add(node);
+      }
+    });
+    for (
+      let current = getMutationElement(record.target);
+      current && current !== document.documentElement;
+      current = getComposedParent(current)
+    ) {
+      elements.add(current);
+    }
+  });
+
+  if (region) {
+    Array.from(roots).forEach(root => {
+      if (!isComposedDescendant(region, root)) {
+        roots.delete(root);
+        if (isComposedDescendant(root, region)) {
+          roots.add(region);
+        }
+      }
+    });
+    elements.forEach(element => {
+      if (!isComposedDescendant(region, element)) {
+        elements.delete(element);
+      }
+    });
+  }
+
+  // Subtrees within other changed subtrees are rechecked with them
+  const subtrees = Array.from(roots).filter(
+    root => !Array.from(roots).some(other => other !== root && isComposedDescendant(other, root))
+  );
+  elements.forEach(element => {
+    if (subtrees.some(root => isComposedDescendant(root, element))) {
+      elements.delete(element);
+    }
+  });
+
+  return { subtrees, elements };
+}
+
+/**
+ * Rechecks the parts of the page that changed: drops the findings of
+ * removed and changed elements, runs the element rules on the changed
+ * elements and the page rules again, and updates the overlays, open summary
+ * panel and badge count. A scanned region that the page replaced is scanned
+ * again where its selector now finds it.
+ * @returns {void}
+ */
+function recheckMutations() {
+  mutationWatch.timerId = null;
+  if (!mutationWatch.observer) {
+    return;
+  }
+
+  // Let a running scan finish first
+  if (isRunning) {
+    scheduleMutationCheck([]);
+    return;
+  }
+
+  const records = mutationWatch.records.concat(mutationWatch.observer.takeRecords());
+  mutationWatch.records = [];
+  if (records.length === 0) {
+    return;
+  }
+  backdropCache = new WeakMap();
+
+  if (scanScope && !scanScope.element.isConnected) {
+    rescan();
+    return;
+  }
+
+  try {
+    const { subtrees, elements } = getMutatedElements(
+      records,
+      scanScope ? scanScope.element : null
+    );
+
+    removeFindings(finding => {
+      const rule = pageRuleFindings.get(finding);
+      if (rule && isRecheckedRule(rule)) {
+        return true;
+      }
+      if (!finding.elementRef) {
+        return false;
+      }
+      const element = getFindingElement(finding);
+      if (!element || !element.isConnected) {
+        return true;
+      }
+      // Rules that aren't run again keep their findings while the element
+      // exists; their own focus moves often change the elements they flag
+      return (
+        !rule &&
+        (elements.has(element) || subtrees.some(root => isComposedDescendant(root, element)))
+      );
+    });
+
+    if (!scanScope) {
+      runPageRules(true);
+    }
+    elements.forEach(element => {
+      if (isScannedElement(element)) {
+        processElement(element);
+      }
+    });
+    subtrees.forEach(root => {
+      if (!isScannedElement(root)) {
+        return;
+      }
+      processElement(root);
+      const walker = createAccessibilityTreeWalker(root);
+      let node;
+      while ((node = walker.nextNode())) {
+        processElement(node);
+      }
+    });
+
+    applyFilters();
+    if (queryUI('.a11y-summary-panel')) {
+      createSummaryPanel();
+    }
+    reportScanResults();
+  } catch (error) {
+    console.error('Error rechecking page changes:', error);
+  } finally {
+    // The checks themselves don't change the page
+    mutationWatch.records = [];
+    if (mutationWatch.observer) {
+      mutationWatch.observer.takeRecords();
+    }
+  }
+}
+
+/**
+ * Checks a single element for multiple accessibility issues in one pass.
+ * @param {Element} element - The element to check
+ * @returns {void}
+ */
+function checkElement(element) {
+  if (!element) {
+    return;
+  }
+
+  try {
+    runElementRules(element);
+  } catch (error) {
+    console.warn('Error checking element:', element, error);
+  }
+}
+
+/**
+ * Checks image elements for accessibility issues.
+ * @param {HTMLImageElement} element - The image element to check
+ * @returns {void}
+ */
+function checkImageElement(element) {
+  // Skip if image checks are disabled
+  if (!customRules.images.enabled) {
+    return;
+  }
+
+  // Check for missing alt attribute
+  if (customRules.images.checkMissingAlt && !element.hasAttribute('alt')) {
+    console.log(element);
+    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.MISSING_ALT, 'MISSING_ALT');
+    return;
+  }
+
+  const altValue = element.getAttribute('alt');
+  const titleValue = element.getAttribute('title');
+
+  // Check for uninformative alt text
+  if (
+    customRules.images.checkUninformativeAlt &&
+    altValue &&
+    A11Y_CONFIG.PROHIBITED_ALT_VALUES.includes(altValue.toLowerCase())
+  ) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.UNINFORMATIVE_ALT,
+      'UNINFORMATIVE_ALT'
+    );
+  }
+
+  // Check for empty alt with non-empty title
+  if (
+    customRules.images.checkEmptyAltWithTitle &&
+    altValue === '' &&
+    titleValue &&
+    titleValue.trim() !== ''
+  ) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.EMPTY_ALT_WITH_TITLE,
+      'EMPTY_ALT_WITH_TITLE'
+    );
+  }
+
+  // Check for different alt and title attributes
+  if (
+    customRules.images.checkDifferentAltTitle &&
+    altValue &&
+    titleValue &&
+    altValue.trim() !== '' &&
+    titleValue.trim() !== '' &&
+    altValue.toLowerCase() !== titleValue.toLowerCase()
+  ) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.DIFFERENT_ALT_TITLE,
+      'DIFFERENT_ALT_TITLE'
+    );
+  }
+}
+
+/**
+ * Gets the role of an element: its first explicit role token, or the
+ * implicit role of the few native elements the name computation cares about.
+ * @param {Element} element - The element
+ * @returns {string} The role, or '' if it has none of interest
+ */
+function getElementRole(element) {
+  const explicitRole = (element.getAttribute('role') || '').trim().split(/\s+/)[0];
+  if (explicitRole) {
+    return explicitRole.toLowerCase();
+  }
+
+  return getNativeRole(element);
+}
+
+/**
+ * Gets the implicit role of the native elements the name computation cares about.
+ * @param {Element} element - The element
+ * @returns {string} The role, or '' if it has none of interest
+ */
+function getNativeRole(element) {
+  const tagName = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || 'text').toLowerCase();
+
+  switch (tagName) {
+    case 'a':
+    case 'area':
+      return element.hasAttribute('href') ? 'link' : '';
+    case 'button':
+    case 'summary':
+      return 'button';
+    case 'h1':
+    case 'h2':
+    case 'h3':
+    case 'h4':
+    case 'h5':
+    case 'h6':
+      return 'heading';
+    case 'td':
+      return 'cell';
+    case 'th':
+      return 'columnheader';
+    case 'option':
+      return 'option';
+    case 'select':
+      return element.multiple || element.size > 1 ? 'listbox' : 'combobox';
+    case 'textarea':
+      return 'textbox';
+    case 'img':
+      return element.getAttribute('alt') === '' ? 'presentation' : 'img';
+    case 'input':
+      if (['button', 'submit', 'reset', 'image'].includes(type)) {
+        return 'button';
+      }
+      if (['checkbox', 'radio', 'range'].includes(type)) {
+        return type === 'range' ? 'slider' : type;
+      }
+      return type === 'hidden' ? '' : 'textbox';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Determines whether a single node is hidden, without looking at ancestors.
+ * Used while walking down the tree, where hidden ancestors are never entered.
+ * @param {Element} element - The element to test
+ * @returns {boolean} True if the element itself is hidden
+ */
+function isNodeHidden(element) {
+  if (element.hidden || element.getAttribute('aria-hidden') === 'true') {
+    return true;
+  }
+
+  const style = window.getComputedStyle(element);
+  return style.display === 'none' || style.visibility === 'hidden';
+}
+
+/**
+ * Gets the value an embedded control contributes to the name of the
+ * element that contains or references it.
+ * @param {Element} element - The control
+ * @param {string} role - The control's role
+ * @returns {string|null} The control's value, or null if it isn't a control
+ */
+function getEmbeddedControlValue(element, role) {
+  if (role === 'textbox') {
+    return 'value' in element ? element.value : element.textContent;
+  }
+
+  if (role === 'combobox' || role === 'listbox') {
+    if (element.tagName.toLowerCase() === 'select') {
+      return Array.from(element.selectedOptions || [])
+        .map(option => option.textContent)
+        .join(' ');
+    }
+    const selected = element.querySelector('[aria-selected="true"]');
+    return selected ? selected.textContent : 'value' in element ? element.value : '';
+  }
+
+  if (['slider', 'spinbutton', 'scrollbar', 'progressbar'].includes(role)) {
+    return (
+      element.getAttribute('aria-valuetext') ||
+      element.getAttribute('aria-valuenow') ||
+      element.value ||
+      ''
+    );
+  }
+
+  return null;
+}
+
+/**
+ * Gets the name an element receives from its native HTML semantics,
+ * such as labels, alt text, legends, captions and button values.
+ * @param {Element} element - The element
+ * @param {Object} context - The traversal context
+ * @returns {string} The native name, or ''
+ */
+function getNativeName(element, context) {
+  const tagName = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  const nameOf = node =>
+    computeTextAlternative(node, { ...context, isRoot: false, referenced: true });
+
+  if (['input', 'select', 'textarea', 'button', 'meter', 'output', 'progress'].includes(tagName)) {
+    const labels = Array.from(element.labels || []).filter(label => !context.visited.has(label));
+    const labelText = labels
+      .map(label => {
+        context.visited.add(label);
+        return nameOf(label);
+      })
+      .join(' ')
+      .trim();
+    if (labelText) {
+      return labelText;
+    }
+  }
+
+  if (tagName === 'input') {
+    if (['button', 'submit', 'reset'].includes(type)) {
+      const defaultValue = { submit: 'Submit', reset: 'Reset' }[type] || '';
+      return element.hasAttribute('value') ? element.getAttribute('value') : defaultValue;
+    }
+    // The browser's "Submit Query" fallback is not treated as a name
+    if (type === 'image') {
+      return element.getAttribute('alt') || '';
+    }
+  }
+
+  if (tagName === 'img' || tagName === 'area') {
+    return element.getAttribute('alt') || '';
+  }
+
+  const captionSelector = { fieldset: 'legend', figure: 'figcaption', table: 'caption' }[tagName];
+  if (captionSelector) {
+    const caption = Array.from(element.children).find(child => child.matches(captionSelector));
+    return caption ? nameOf(caption) : '';
+  }
+
+  if (tagName === 'svg') {
+    const title = Array.from(element.children).find(
+      child => child.tagName.toLowerCase() === 'title'
+    );
+    return title ? title.textContent : '';
+  }
+
+  return '';
+}
+
+/**
+ * Computes the text alternative of a node, following the steps of the
+ * W3C Accessible Name and Description Computation 1.2.
+ * @param {Node} node - The node whose text alternative to compute
+ * @param {Object} context - The traversal context
+ * @param {boolean} context.isRoot - Whether this is the element being named
+ * @param {boolean} context.referenced - Whether the node was reached through
+ *   aria-labelledby or a label, which makes hidden nodes count
+ * @param {boolean} context.inLabelledby - Whether an aria-labelledby is being followed
+ * @param {Set<Node>} context.visited - Nodes already visited, to break cycles
+ * @returns {string} The text alternative, not yet whitespace-normalized
+ */
+function computeTextAlternative(node, context) {
+  if (node.nodeType === Node.TEXT_NODE) {
+    return node.textContent;
+  }
+
+  if (node.nodeType !== Node.ELEMENT_NODE || (context.visited.has(node) && !context.referenced)) {
+    return '';
+  }
+  context.visited.add(node);
+
+  const element = node;
+
+  // Step 2A: hidden nodes only count when directly referenced
+  if (!context.referenced && isNodeHidden(element)) {
+    return '';
+  }
+
+  // Step 2B: aria-labelledby, unless already following one
+  if (!context.inLabelledby) {
+    const labelledby = getReferencedElements(element, 'aria-labelledby')
+      .map(reference =>
+        computeTextAlternative(reference, {
+          ...context,
+          isRoot: false,
+          referenced: true,
+          inLabelledby: true
+        })
+      )
+      .join(' ')
+      .trim();
+    if (labelledby) {
+      return labelledby;
+    }
+  }
+
+  const role = getElementRole(element);
+
+  // Step 2C: embedded controls inside a label use their value
+  if (!context.isRoot) {
+    const value = getEmbeddedControlValue(element, role);
+    if (value !== null) {
+      return value;
+    }
+  }
+
+  // Step 2D: aria-label
+  const ariaLabel = (element.getAttribute('aria-label') || '').trim();
+  if (ariaLabel) {
+    return ariaLabel;
+  }
+
+  // Step 2E: native host language label
+  if (!['presentation', 'none'].includes(role)) {
+    const nativeName = getNativeName(element, context).trim();
+    if (nativeName) {
+      return nativeName;
+    }
+  }
+
+  // Step 2F: name from content
+  if (!context.isRoot || A11Y_CONFIG.NAME_FROM_CONTENT_ROLES.includes(role)) {
+    const childContext = { ...context, isRoot: false, referenced: false };
+    const content = Array.from(element.childNodes)
+      .map(child => {
+        const text = computeTextAlternative(child, childContext);
+        if (child.nodeType !== Node.ELEMENT_NODE) {
+          return text;
+        }
+        const display = window.getComputedStyle(child).display;
+        return display && !display.startsWith('inline') ? ` ${text} ` : text;
+      })
+      .join('');
+    if (content.trim()) {
+      return content;
+    }
+  }
+
+  // Step 2I: tooltip attribute. Placeholder text is deliberately not used
+  // as a fallback, as it disappears once the user starts typing.
+  return (element.getAttribute('title') || '').trim();
+}
+
+/**
+ * Computes the accessible name of an element as assistive technology would
+ * see it, per the W3C Accessible Name and Description Computation.
+ * All label checks use this so they agree on what counts as a name.
+ * @param {Element} element - The element to name
+ * @returns {string} The accessible name, whitespace-normalized, or ''
+ */
+function computeAccessibleName(element) {
+  try {
+    return computeTextAlternative(element, {
+      isRoot: true,
+      referenced: false,
+      inLabelledby: false,
+      visited: new Set()
+    })
+      .replace(/\s+/g, ' ')
+      .trim();
+  } catch (error) {
+    console.warn('Failed to compute accessible name:', error);
+    return '';
+  }
+}
+
+/**
+ * Checks button elements for accessibility issues.
+ * @param {HTMLButtonElement|Element} element - The button element to check
+ * @returns {void}
+ */
+function checkButtonElement(element) {
+  if (computeAccessibleName(element) === '') {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.BUTTON_NO_LABEL,
+      'BUTTON_NO_LABEL'
+    );
+  }
+}
+
+/**
+ * Checks link elements for accessibility issues.
+ * @param {HTMLAnchorElement} element - The link element to check
+ * @returns {void}
+ */
+function checkLinkElement(element) {
+  const href = element.getAttribute('href');
+  const accessibleName = computeAccessibleName(element);
+  const textContent = element.textContent ? element.textContent.trim() : '';
+  const titleValue = element.getAttribute('title');
+  const role = element.getAttribute('role');
+
+  // Skip if it's a button role
+  if (role === 'button') {
+    return;
+  }
+
+  // Check for empty links
+  if (accessibleName === '') {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.LINK_NO_CONTENT,
+      'LINK_NO_CONTENT'
+    );
+    return;
+  }
+
+  // Check for invalid href - includes data: and vbscript: protocols
   const lowerHref = href ? href.toLowerCase() : '';
   if (
-    href === '#' ||
-    lowerHref.startsWith('javascript:') ||
-    lowerHref.startsWith('data:') ||
-    lowerHref.startsWith('vbscript:')
+    href === '#' ||
+    lowerHref.startsWith('javascript:') ||
+    lowerHref.startsWith('data:') ||
+    lowerHref.startsWith('vbscript:')
+  ) {
+    console.log(element);
+    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.INVALID_HREF, 'INVALID_HREF');
+  }
+
+  // Check for generic link text
+  if (A11Y_CONFIG.PROHIBITED_LINK_TEXT.includes(accessibleName.toLowerCase())) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.GENERIC_LINK_TEXT,
+      'GENERIC_LINK_TEXT'
+    );
+  }
+
+  // Check for matching title and text
+  if (titleValue && textContent && titleValue.toLowerCase() === textContent.toLowerCase()) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.MATCHING_TITLE_TEXT,
+      'MATCHING_TITLE_TEXT'
+    );
+  }
+}
+
+/**
+ * Checks fieldset elements for accessibility issues.
+ * @param {HTMLFieldSetElement} element - The fieldset element to check
+ * @returns {void}
+ */
+function checkFieldsetElement(element) {
+  if (!element.querySelector('legend')) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.FIELDSET_NO_LEGEND,
+      'FIELDSET_NO_LEGEND'
+    );
+  }
+}
+
+/**
+ * Checks form fields (input, select and textarea) for a missing label.
+ * Image inputs need alternative text, and button inputs a value or label.
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} element - The field to check
+ * @returns {void}
+ */
+function checkInputElement(element) {
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  const isInput = element.tagName.toLowerCase() === 'input';
+
+  if (isInput && type === 'image') {
+    if (computeAccessibleName(element) === '') {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.INPUT_IMAGE_NO_ALT,
+        'INPUT_IMAGE_NO_ALT'
+      );
+    }
+  } else if (isInput && ['button', 'reset'].includes(type)) {
+    // Named by their value like buttons, not by a label
+    if (computeAccessibleName(element) === '') {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.BUTTON_NO_LABEL,
+        'BUTTON_NO_LABEL'
+      );
+    }
+  } else if (!isInput || (type !== 'submit' && type !== 'hidden')) {
+    // Check for form fields without labels, wrapping or referencing them
+    const hasLabel = customRules.forms.requireExplicitLabels
+      ? Array.from(element.labels || []).some(label => computeAccessibleName(label) !== '')
+      : computeAccessibleName(element) !== '';
+    if (!hasLabel) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.FORM_FIELD_NO_LABEL,
+        'FORM_FIELD_NO_LABEL'
+      );
+    }
+  }
+}
+
+/**
+ * Determines whether a form field takes text or a choice from the user,
+ * as opposed to buttons, hidden fields and fields that can't be changed.
+ * @param {Element} element - The form field
+ * @returns {boolean} True if the user fills the field in
+ */
+function isFillableField(element) {
+  if (element.disabled || element.readOnly) {
+    return false;
+  }
+  if (element.tagName.toLowerCase() !== 'input') {
+    return true;
+  }
+  const type = (element.getAttribute('type') || 'text').toLowerCase();
+  return !['hidden', 'submit', 'reset', 'button', 'image', 'file'].includes(type);
+}
+
+/**
+ * Validates an autocomplete attribute value against the autofill detail
+ * tokens of the HTML standard: an optional "section-*" token, an optional
+ * "shipping" or "billing", an optional contact type before contact field
+ * names, the field name, and an optional trailing "webauthn".
+ * @param {string} value - The attribute value
+ * @returns {boolean} True if the value is valid
+ */
+function isValidAutocomplete(value) {
+  const { FIELD_NAMES, CONTACT_FIELD_NAMES, CONTACT_TYPES } = A11Y_CONFIG.AUTOCOMPLETE;
+  const tokens = value.trim().toLowerCase().split(/\s+/);
+
+  if (tokens.length === 1 && ['on', 'off'].includes(tokens[0])) {
+    return true;
+  }
+  if (tokens.length > 1 && tokens[tokens.length - 1] === 'webauthn') {
+    tokens.pop();
+  }
+
+  let index = 0;
+  if (tokens[index].startsWith('section-') && tokens.length > 1) {
+    index++;
+  }
+  if (['shipping', 'billing'].includes(tokens[index])) {
+    index++;
+  }
+
+  const fieldName = tokens[tokens.length - 1];
+  if (index === tokens.length - 2) {
+    return CONTACT_TYPES.includes(tokens[index]) && CONTACT_FIELD_NAMES.includes(fieldName);
+  }
+  return (
+    index === tokens.length - 1 &&
+    (FIELD_NAMES.includes(fieldName) || CONTACT_FIELD_NAMES.includes(fieldName))
+  );
+}
+
+/**
+ * Guesses which personal data a field asks for from its type, name, ID and
+ * label, e.g. "email" for a field labelled "Email address".
+ * @param {Element} element - The form field
+ * @returns {string|null} The autocomplete token the field should have, or null
+ */
+function getExpectedAutocomplete(element) {
+  const { TYPE_PURPOSES, NAME_PURPOSES } = A11Y_CONFIG.AUTOCOMPLETE;
+  const type = (element.getAttribute('type') || '').toLowerCase();
+  if (element.tagName.toLowerCase() === 'input' && TYPE_PURPOSES[type]) {
+    return TYPE_PURPOSES[type];
+  }
+
+  // "billing_firstName" and "billing-first-name" both read "billing first name"
+  const texts = [element.getAttribute('name'), element.id, computeAccessibleName(element)]
+    .filter(Boolean)
+    .map(text =>
+      text
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .replace(/[-_.[\]]+/g, ' ')
+        .replace(/[^\w\s]/g, '')
+        .trim()
+        .toLowerCase()
+    );
+  const match = NAME_PURPOSES.find(([, pattern]) => texts.some(text => pattern.test(text)));
+  return match ? match[0] : null;
+}
+
+/**
+ * Checks that fields asking for the user's personal data say so with an
+ * autocomplete token (WCAG 1.3.5), and that autocomplete values are valid.
+ * @param {Element} element - The form field to check
+ * @returns {void}
+ */
+function checkAutocomplete(element) {
+  if (!isFillableField(element)) {
+    return;
+  }
+
+  const value = (element.getAttribute('autocomplete') || '').trim();
+  if (value) {
+    if (!isValidAutocomplete(value)) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        `${A11Y_CONFIG.MESSAGES.AUTOCOMPLETE_INVALID} "${value}"`,
+        'AUTOCOMPLETE_INVALID'
+      );
+    }
+    return;
+  }
+
+  const expected = getExpectedAutocomplete(element);
+  if (expected) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'warning',
+      `${A11Y_CONFIG.MESSAGES.AUTOCOMPLETE_MISSING} (expected "${expected}")`,
+      'AUTOCOMPLETE_MISSING'
+    );
+  }
+}
+
+/**
+ * Checks that fields whose label marks them as required with an asterisk
+ * also have the required attribute or aria-required, so that assistive
+ * technology announces them as required.
+ * @param {Element} element - The form field to check
+ * @returns {void}
+ */
+function checkRequiredField(element) {
+  if (
+    !isFillableField(element) ||
+    element.hasAttribute('required') ||
+    element.getAttribute('aria-required') === 'true'
+  ) {
+    return;
+  }
+
+  // The asterisk is often hidden from the accessible name with aria-hidden
+  const labelText = Array.from(element.labels || [])
+    .map(label => label.textContent)
+    .concat(getReferencedElements(element, 'aria-labelledby').map(label => label.textContent))
+    .join(' ');
+  if (labelText.includes('*')) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.REQUIRED_NOT_EXPOSED,
+      'REQUIRED_NOT_EXPOSED'
+    );
+  }
+}
+
+/**
+ * Checks that fields marked invalid with aria-invalid point to the message
+ * that explains the error, with aria-describedby or aria-errormessage.
+ * @param {Element} element - The element with aria-invalid
+ * @returns {void}
+ */
+function checkErrorMessage(element) {
+  const invalid = (element.getAttribute('aria-invalid') || '').trim().toLowerCase();
+  if (invalid === '' || invalid === 'false') {
+    return;
+  }
+
+  if (
+    getReferencedText(element, 'aria-errormessage') === '' &&
+    getReferencedText(element, 'aria-describedby') === ''
+  ) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.ERROR_MESSAGE_NOT_LINKED,
+      'ERROR_MESSAGE_NOT_LINKED'
+    );
+  }
+}
+
+/**
+ * Finds the radio buttons or checkboxes that share a field's name in its
+ * form, or outside any form in its document or shadow root.
+ * @param {HTMLInputElement} element - A radio button or checkbox
+ * @returns {HTMLInputElement[]} The group in document order, including the element
+ */
+function getFieldGroup(element) {
+  const name = element.getAttribute('name');
+  if (!name) {
+    return [element];
+  }
+
+  const type = element.type;
+  const candidates = element.form
+    ? Array.from(element.form.elements)
+    : Array.from(element.getRootNode().querySelectorAll('input')).filter(input => !input.form);
+  return candidates.filter(
+    input => input.type === type && input.getAttribute('name') === name && !isElementHidden(input)
+  );
+}
+
+/**
+ * Checks that groups of radio buttons or checkboxes sharing a name are
+ * inside a fieldset with a legend, or an element with role=group or
+ * radiogroup that has an accessible name. A group is reported once, on its
+ * first field.
+ * @param {HTMLInputElement} element - A radio button or checkbox
+ * @returns {void}
+ */
+function checkFieldGroup(element) {
+  const group = getFieldGroup(element);
+  if (group.length < 2 || group[0] !== element) {
+    return;
+  }
+
+  const containers = [];
+  for (let current = getComposedParent(element); current; current = getComposedParent(current)) {
+    if (current.matches('fieldset, [role="group"], [role="radiogroup"]')) {
+      containers.push(current);
+    }
+  }
+  const isNamed = containers.some(
+    container =>
+      group.every(field => isComposedDescendant(container, field)) &&
+      computeAccessibleName(container) !== ''
+  );
+
+  if (!isNamed) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'warning',
+      `${A11Y_CONFIG.MESSAGES.FIELD_GROUP_NO_NAME} (name="${element.getAttribute('name')}")`,
+      'FIELD_GROUP_NO_NAME'
+    );
+  }
+}
+
+/**
+ * Checks table elements for accessibility issues.
+ * @param {HTMLTableElement} element - The table element to check
+ * @returns {void}
+ */
+function checkTableElement(element) {
+  // Check for tables without TH elements
+  if (!element.querySelector('th')) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.TABLE_NO_HEADERS,
+      'TABLE_NO_HEADERS'
+    );
+  }
+
+  // Check for nested tables
+  if (element.closest('th, td')) {
+    console.log(element);
+    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.NESTED_TABLE, 'NESTED_TABLE');
+  }
+
+  // Check for uninformative summary
+  const summaryValue = element.getAttribute('summary');
+  if (summaryValue) {
+    const summaryTrimmed = summaryValue.trim();
+    if (
+      A11Y_CONFIG.PROHIBITED_TABLE_SUMMARIES.some(badSummary =>
+        summaryTrimmed.toLowerCase().includes(badSummary.toLowerCase())
+      )
+    ) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.UNINFORMATIVE_SUMMARY,
+        'UNINFORMATIVE_SUMMARY'
+      );
+    }
+  }
+}
+
+/**
+ * Checks iframe elements for accessibility issues.
+ * @param {HTMLIFrameElement} element - The iframe element to check
+ * @returns {void}
+ */
+function checkIframeElement(element) {
+  if (!element.hasAttribute('title')) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.IFRAME_NO_TITLE,
+      'IFRAME_NO_TITLE'
+    );
+  }
+}
+
+/**
+ * Checks media elements for accessibility issues.
+ * @param {HTMLMediaElement} element - The media element to check
+ * @returns {void}
+ */
+function checkMediaElement(element) {
+  // Check for autoplay
+  if (element.hasAttribute('autoplay')) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.MEDIA_AUTOPLAY,
+      'MEDIA_AUTOPLAY'
+    );
+  }
+
+  // Check for captions
+  if (!element.querySelector('track[kind="captions"]')) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.MEDIA_NO_CAPTIONS,
+      'MEDIA_NO_CAPTIONS'
+    );
+  }
+}
+
+/**
+ * Checks role-based elements for accessibility issues.
+ * @param {Element} element - The element to check
+ * @param {string} role - The role attribute value
+ * @returns {void}
+ */
+function checkRoleBasedElement(element, role) {
+  const accessibleName = computeAccessibleName(element);
+  const isAriaHidden = element.getAttribute('aria-hidden') === 'true';
+
+  switch (role) {
+    case 'img':
+      if (accessibleName === '' && !isAriaHidden) {
+        console.log(element);
+        overlay.call(
+          element,
+          'overlay',
+          'error',
+          A11Y_CONFIG.MESSAGES.ROLE_IMG_NO_LABEL,
+          'ROLE_IMG_NO_LABEL'
+        );
+      }
+      break;
+    case 'button': {
+      if (accessibleName === '') {
+        console.log(element);
+        overlay.call(
+          element,
+          'overlay',
+          'error',
+          A11Y_CONFIG.MESSAGES.BUTTON_NO_LABEL,
+          'BUTTON_NO_LABEL'
+        );
+      }
+      break;
+    }
+    case 'link': {
+      if (accessibleName === '') {
+        console.log(element);
+        overlay.call(
+          element,
+          'overlay',
+          'error',
+          A11Y_CONFIG.MESSAGES.LINK_NO_CONTENT,
+          'LINK_NO_CONTENT'
+        );
+      }
+      break;
+    }
+  }
+}
+
+/**
+ * Checks elements with tabindex for accessibility issues.
+ * @param {Element} element - The element to check
+ * @returns {void}
+ */
+function checkTabIndexElement(element) {
+  const tagName = element.tagName.toLowerCase();
+  const role = element.getAttribute('role');
+  const tabindexValue = parseInt(element.getAttribute('tabindex'), 10);
+
+  // Skip interactive elements and elements with roles
+  if (A11Y_CONFIG.SELECTORS.INTERACTIVE_ELEMENTS.includes(tagName) || role) {
+    return;
+  }
+
+  // Only flag elements with tabindex=0 or positive tabindex values
+  if (!isNaN(tabindexValue) && tabindexValue >= 0) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'warning',
+      A11Y_CONFIG.MESSAGES.NON_ACTIONABLE_TABINDEX + tabindexValue,
+      'NON_ACTIONABLE_TABINDEX'
+    );
+  }
+}
+
+/**
+ * @typedef {Object} FocusStop
+ * @property {Element} element - The element that received focus
+ * @property {number} position - Its 1-based place in the tab sequence
+ * @property {number} tabIndex - Its tabindex value
+ * @property {boolean|null} hasIndicator - Whether focus changed its outline,
+ *   box-shadow or border, or null if the browser didn't show focus as visible
+ * @property {boolean} isHidden - Whether it was hidden while focused
+ */
+
+/**
+ * Gets the tabindex an element takes part in the tab sequence with.
+ * @param {Element} element - The element
+ * @returns {number} The tabindex, or -1 if the element isn't focusable
+ */
+function getTabIndex(element) {
+  const value = parseInt(element.getAttribute('tabindex'), 10);
+  if (!isNaN(value)) {
+    return value;
+  }
+  return element.matches(A11Y_CONFIG.SELECTORS.FOCUSABLE_ELEMENTS) ? 0 : -1;
+}
+
+/**
+ * Lists the rendered, enabled elements of the page, including those in open
+ * shadow roots, in the order the Tab key visits them: positive tabindex
+ * values first in ascending order, then everything else in document order.
+ * @returns {Element[]} The elements in tab order
+ */
+function getTabSequence() {
+  const candidates = [];
+  const walker = createAccessibilityTreeWalker();
+  let node;
+  while ((node = walker.nextNode())) {
+    if (
+      node.tagName.toLowerCase() !== 'iframe' &&
+      getTabIndex(node) >= 0 &&
+      !node.matches(':disabled') &&
+      !node.closest('[inert]')
+    ) {
+      candidates.push(node);
+    }
+  }
+
+  // Array sort is stable, so equal values keep their document order
+  const positive = candidates
+    .filter(element => getTabIndex(element) > 0)
+    .sort((first, second) => getTabIndex(first) - getTabIndex(second));
+  return positive.concat(candidates.filter(element => getTabIndex(element) === 0));
+}
+
+/**
+ * Gets the focused element, looking into the shadow roots that hold focus.
+ * @returns {Element|null} The focused element
+ */
+function getDeepActiveElement() {
+  let active = document.activeElement;
+  while (active) {
+    const root = active === uiContainer.host ? uiContainer.root : active.shadowRoot;
+    if (!root || !root.activeElement) {
+      break;
+    }
+    active = root.activeElement;
+  }
+  return active;
+}
+
+/**
+ * Reads the computed styles that can show focus.
+ * @param {Element} element - The element
+ * @returns {string|null} The values of A11Y_CONFIG.FOCUS_INDICATOR_PROPERTIES,
+ *   or null if the browser didn't compute any of them
+ */
+function getFocusIndicatorStyle(element) {
+  const style = window.getComputedStyle(element);
+  const values = A11Y_CONFIG.FOCUS_INDICATOR_PROPERTIES.map(property => style[property] || '');
+  return values.some(Boolean) ? values.join('|') : null;
+}
+
+/**
+ * Compares the focus styles of a focused element with those it had before.
+ * @param {Element} element - The focused element
+ * @param {string|null} unfocusedStyle - Its styles before it received focus
+ * @returns {boolean|null} Whether the styles changed, or null if the browser
+ *   doesn't show focus as visible or the styles couldn't be read
+ */
+function measureFocusIndicator(element, unfocusedStyle) {
+  // Without :focus-visible the browser wouldn't draw an indicator either
+  if (!element.matches(':focus-visible')) {
+    return null;
+  }
+  const focusedStyle = getFocusIndicatorStyle(element);
+  if (focusedStyle === null || unfocusedStyle === null) {
+    return null;
+  }
+  return focusedStyle !== unfocusedStyle;
+}
+
+/**
+ * Determines whether a focused element can't be seen: it is clipped to a
+ * pixel or less, placed before the start of the page, or fully transparent.
+ * @param {Element} element - The focused element
+ * @returns {boolean} True if the element is hidden
+ */
+function isHiddenWhileFocused(element) {
+  const rect = element.getBoundingClientRect();
+  if (rect.width <= 1 && rect.height <= 1) {
+    return true;
+  }
+  if (
+    rect.left + rect.width + window.scrollX <= 0 ||
+    rect.top + rect.height + window.scrollY <= 0
+  ) {
+    return true;
+  }
+  return getEffectiveOpacity(element) === 0;
+}
+
+/**
+ * Focuses every element of the tab sequence in turn and measures how it
+ * looks with focus, then gives focus back to the element that had it.
+ * Elements that don't accept focus are left out.
+ * @returns {FocusStop[]} The elements that received focus, in tab order
+ */
+function stepThroughTabSequence() {
+  const previousFocus = getDeepActiveElement();
+  const stops = [];
+
+  try {
+    getTabSequence().forEach(element => {
+      if (getDeepActiveElement() === element) {
+        element.blur();
+      }
+      const unfocusedStyle = getFocusIndicatorStyle(element);
+
+      element.focus({ preventScroll: true, focusVisible: true });
+      if (getDeepActiveElement() !== element) {
+        return;
+      }
+
+      stops.push({
+        element,
+        position: stops.length + 1,
+        tabIndex: getTabIndex(element),
+        hasIndicator: measureFocusIndicator(element, unfocusedStyle),
+        isHidden: isHiddenWhileFocused(element)
+      });
+    });
+  } finally {
+    restoreFocus(previousFocus);
+  }
+
+  return stops;
+}
+
+/**
+ * Gives focus back to the element that had it before an audit moved it.
+ * @param {Element|null} previousFocus - The element that had focus
+ * @returns {void}
+ */
+function restoreFocus(previousFocus) {
+  if (previousFocus && previousFocus !== document.body && previousFocus.isConnected) {
+    previousFocus.focus({ preventScroll: true });
+    return;
+  }
+
+  const active = getDeepActiveElement();
+  if (active && active !== document.body) {
+    active.blur();
+  }
+}
+
+/**
+ * Removes the focus order badges from the page.
+ * @returns {void}
+ */
+function removeFocusOrderBadges() {
+  queryAllUI(`.${A11Y_CONFIG.CSS_CLASSES.FOCUS_ORDER_BADGE}`).forEach(marker => {
+    untrackOverlay(marker);
+    marker.remove();
+  });
+}
+
+/**
+ * Numbers an element with its place in the tab sequence. The badge sits at
+ * the element's top left corner and follows it like an overlay.
+ * @param {FocusStop} stop - The element and its place
+ * @returns {void}
+ */
+function drawFocusOrderBadge(stop) {
+  const marker = document.createElement('div');
+  marker.className = A11Y_CONFIG.CSS_CLASSES.FOCUS_ORDER_BADGE;
+  applyOverlayPosition(marker, getOverlayPosition(stop.element));
+  marker.style.pointerEvents = 'none';
+  marker.style.zIndex = String(A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY);
+
+  const badge = document.createElement('span');
+  badge.textContent = String(stop.position);
+  badge.style.cssText = `
+    position: absolute;
+    top: -10px;
+    left: -10px;
+    min-width: 20px;
+    height: 20px;
+    padding: 0 5px;
+    box-sizing: border-box;
+    border-radius: 10px;
+    background: ${stop.tabIndex > 0 ? '#b35900' : '#1a1a1a'};
+    color: #fff;
+    font: bold 12px/20px Arial, sans-serif;
+    text-align: center;
+  `;
+  marker.appendChild(badge);
+
+  getUIRoot().appendChild(marker);
+  trackOverlay(marker, stop.element);
+}
+
+/**
+ * Steps through the tab sequence of the page and flags positive tabindex
+ * values, focused elements without a visible focus indicator, and focusable
+ * elements that are hidden or inside aria-hidden content. Optionally numbers
+ * every element in tab order.
+ * @returns {void}
+ */
+function auditFocusOrder() {
+  const rules = customRules.navigation;
+  removeFocusOrderBadges();
+
+  const checksPositiveTabIndex = !rules.allowPositiveTabIndex;
+  if (
+    !checksPositiveTabIndex &&
+    !rules.checkFocusIndicators &&
+    !rules.checkHiddenFocusable &&
+    !rules.showFocusOrder
+  ) {
+    return;
+  }
+
+  stepThroughTabSequence().forEach(stop => {
+    const { element } = stop;
+
+    if (checksPositiveTabIndex && stop.tabIndex > 0) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'warning',
+        A11Y_CONFIG.MESSAGES.POSITIVE_TABINDEX + stop.tabIndex,
+        'POSITIVE_TABINDEX'
+      );
+    }
+
+    if (rules.checkHiddenFocusable && stop.isHidden) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.FOCUSABLE_HIDDEN,
+        'FOCUSABLE_HIDDEN'
+      );
+    } else if (rules.checkFocusIndicators && stop.hasIndicator === false) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'warning',
+        A11Y_CONFIG.MESSAGES.FOCUS_INDICATOR_MISSING,
+        'FOCUS_INDICATOR_MISSING'
+      );
+    }
+
+    if (rules.checkHiddenFocusable && isWithinSelector(element, '[aria-hidden="true"]')) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.FOCUSABLE_ARIA_HIDDEN,
+        'FOCUSABLE_ARIA_HIDDEN'
+      );
+    }
+
+    if (rules.showFocusOrder) {
+      drawFocusOrderBadge(stop);
+    }
+  });
+}
+
+/**
+ * @typedef {Object} FocusProbe
+ * @property {Array<Element|null>} path - Where focus landed after each key
+ *   press, starting with the element it started on; null is outside the page
+ * @property {boolean} hasLeft - Whether focus left the container
+ */
+
+/**
+ * Determines whether a dialog is modal by its aria-modal attribute. Dialogs
+ * opened with showModal() are left out: the browser keeps focus in them.
+ * @param {Element} container - The focus container
+ * @returns {boolean} True if the dialog must keep focus inside
+ */
+function isModalDialog(container) {
+  if (container.getAttribute('aria-modal') !== 'true') {
+    return false;
+  }
+  try {
+    return !container.matches(':modal');
+  } catch (error) {
+    // Browsers without :modal
+    return true;
+  }
+}
+
+/**
+ * Lists the rendered dialogs and composite widgets of the page, including
+ * those in open shadow roots. In a child frame, the whole document is a
+ * container too, as focus should be able to move back to the parent page.
+ * @returns {Element[]} The focus containers in document order
+ */
+function getFocusContainers() {
+  const containers = isTopFrame() ? [] : [document.body];
+  const walker = createAccessibilityTreeWalker();
+  let node;
+  while ((node = walker.nextNode())) {
+    if (node.matches(A11Y_CONFIG.SELECTORS.FOCUS_CONTAINERS)) {
+      containers.push(node);
+    }
+  }
+  return containers;
+}
+
+/**
+ * Presses Tab or Shift+Tab on the focused element. Page scripts get the
+ * keydown event first; if none of them cancels it, focus moves on in the
+ * tab sequence the way the browser would move it.
+ * @param {boolean} isBackward - Whether Shift is held
+ * @param {Element[]} sequence - The tab sequence of the page
+ * @returns {Element|null} The element focus landed on, or null if it left the page
+ */
+function pressTab(isBackward, sequence) {
+  const active = getDeepActiveElement();
+  const event = new KeyboardEvent('keydown', {
+    key: 'Tab',
+    code: 'Tab',
+    shiftKey: isBackward,
+    bubbles: true,
+    cancelable: true,
+    composed: true
+  });
+  // Focus traps written for older browsers read the legacy key code
+  Object.defineProperties(event, { keyCode: { value: 9 }, which: { value: 9 } });
+
+  if (!(active || document.body).dispatchEvent(event)) {
+    return getDeepActiveElement();
+  }
+
+  let index = sequence.indexOf(active);
+  if (index === -1) {
+    // Focus is outside the sequence, e.g. on an element with tabindex=-1, so
+    // move on from where the element is in document order
+    const following = active
+      ? sequence.findIndex(
+          element => active.compareDocumentPosition(element) & Node.DOCUMENT_POSITION_FOLLOWING
+        )
+      : 0;
+    const position = following === -1 ? sequence.length : following;
+    index = isBackward ? position : position - 1;
+  }
+
+  const next = sequence[isBackward ? index - 1 : index + 1];
+  if (!next) {
+    if (active) {
+      active.blur();
+    }
+    return null;
+  }
+  next.focus({ preventScroll: true });
+  return getDeepActiveElement();
+}
+
+/**
+ * Focuses an element of a container and presses Tab or Shift+Tab until
+ * focus leaves the container or comes back to an element it was on.
+ * @param {Element} container - The focus container
+ * @param {Element} start - The element to start from
+ * @param {boolean} isBackward - Whether to press Shift+Tab
+ * @param {Element[]} sequence - The tab sequence of the page
+ * @returns {FocusProbe} Where focus went
+ */
+function probeFocusPath(container, start, isBackward, sequence) {
+  start.focus({ preventScroll: true });
+  const path = [getDeepActiveElement()];
+  const maxSteps = sequence.filter(element => isComposedDescendant(container, element)).length;
+
+  for (let step = 0; step <= maxSteps; step++) {
+    const next = pressTab(isBackward, sequence);
+    const hasLeft = !next || !isComposedDescendant(container, next);
+    const isRepeated = path.includes(next);
+    path.push(next);
+    if (hasLeft || isRepeated) {
+      return { path, hasLeft };
+    }
+  }
+  return { path, hasLeft: false };
+}
+
+/**
+ * Describes where focus landed, e.g. 'button "Save"' or 'input#email'.
+ * @param {Element|null} element - The focused element
+ * @returns {string} The description
+ */
+function describeFocusStop(element) {
+  if (!element) {
+    return 'outside the page';
+  }
+
+  const tagName = element.tagName.toLowerCase();
+  if (element.id) {
+    return `${tagName}#${element.id}`;
+  }
+  const name = computeAccessibleName(element);
+  if (!name) {
+    return tagName;
+  }
+  return `${tagName} "${name.length > 30 ? `${name.slice(0, 30)}…` : name}"`;
+}
+
+/**
+ * Formats the focus paths of probes for a finding message.
+ * @param {Array<{label: string, probe: FocusProbe}>} probes - The probes to describe
+ * @returns {string} The paths, e.g. 'Tab: button "OK" → button "Cancel"'
+ */
+function formatFocusPaths(probes) {
+  return probes
+    .map(({ label, probe }) => `${label}: ${probe.path.map(describeFocusStop).join(' → ')}`)
+    .join('; ');
+}
+
+/**
+ * Presses Tab and Shift+Tab through every dialog and composite widget of
+ * the page, and flags containers that focus can enter but not leave in
+ * either direction, and modal dialogs that let focus move to the page
+ * behind them. The focus paths are part of the messages.
+ * @returns {void}
+ */
+function checkKeyboardTraps() {
+  const containers = getFocusContainers();
+  if (containers.length === 0) {
+    return;
+  }
+
+  const previousFocus = getDeepActiveElement();
+  const findings = [];
+
+  try {
+    const sequence = getTabSequence();
+    containers.forEach(container => {
+      const inside = sequence.filter(element => isComposedDescendant(container, element));
+      if (inside.length === 0) {
+        return;
+      }
+
+      const forward = probeFocusPath(container, inside[inside.length - 1], false, sequence);
+      const backward = probeFocusPath(container, inside[0], true, sequence);
+      const probes = [
+        { label: 'Tab', probe: forward },
+        { label: 'Shift+Tab', probe: backward }
+      ];
+
+      if (isModalDialog(container)) {
+        // Moving on to the browser's own controls is fine
+        const escaped = probes.filter(
+          ({ probe }) => probe.hasLeft && probe.path[probe.path.length - 1] !== null
+        );
+        if (escaped.length > 0) {
+          findings.push({ container, ruleKey: 'DIALOG_FOCUS_ESCAPES', probes: escaped });
+        }
+      } else if (!forward.hasLeft && !backward.hasLeft) {
+        findings.push({ container, ruleKey: 'KEYBOARD_TRAP', probes });
+      }
+    });
+  } finally {
+    restoreFocus(previousFocus);
+  }
+
+  findings.forEach(({ container, ruleKey, probes }) => {
+    console.log(container);
+    overlay.call(
+      container,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES[ruleKey]} (${formatFocusPaths(probes)})`,
+      ruleKey
+    );
+  });
+}
+
+/**
+ * Optimized font size check - only checks text-containing elements.
+ * Note: This function is now integrated into the main traversal for better performance.
+ * Kept for backward compatibility and testing.
+ * @returns {void}
+ */
+function checkFontSizes() {
+  // This functionality is now integrated into runAccessibilityChecks
+  // to avoid multiple DOM traversals
+  // Silently do nothing - functionality integrated into main traversal
+}
+
+/**
+ * Checks for landmark elements on the page.
+ * @returns {void}
+ */
+function checkForLandmarks() {
+  const landmarks = document.querySelectorAll(A11Y_CONFIG.SELECTORS.LANDMARK_ELEMENTS);
+
+  if (landmarks.length === 0) {
+    console.log(document.body);
+    overlay.call(
+      document.body,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.NO_LANDMARKS,
+      'NO_LANDMARKS'
+    );
+  }
+}
+
+/**
+ * Determines whether a lang attribute value is a well-formed BCP 47 language tag.
+ * @param {string} value - The attribute value
+ * @returns {boolean} True if the value is a well-formed language tag
+ */
+function isValidLanguageTag(value) {
+  return A11Y_CONFIG.LANGUAGE_TAG_PATTERN.test(value.trim());
+}
+
+/**
+ * Checks that the html element declares the page language.
+ * @returns {void}
+ */
+function checkDocumentLanguage() {
+  const root = document.documentElement;
+  const lang = (root.getAttribute('lang') || '').trim();
+
+  if (!lang) {
+    console.log(root);
+    overlay.call(
+      root,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.HTML_LANG_MISSING,
+      'HTML_LANG_MISSING'
+    );
+  } else if (!isValidLanguageTag(lang)) {
+    console.log(root);
+    overlay.call(
+      root,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.HTML_LANG_INVALID} "${lang}"`,
+      'HTML_LANG_INVALID'
+    );
+  }
+}
+
+/**
+ * Checks the lang attribute of an element inside the page. An empty value
+ * marks the language as unknown, which is allowed.
+ * @param {Element} element - The element to check
+ * @returns {void}
+ */
+function checkLangAttribute(element) {
+  const lang = (element.getAttribute('lang') || '').trim();
+  if (!lang || isValidLanguageTag(lang)) {
+    return;
+  }
+
+  console.log(element);
+  overlay.call(
+    element,
+    'overlay',
+    'error',
+    `${A11Y_CONFIG.MESSAGES.LANG_INVALID} "${lang}"`,
+    'LANG_INVALID'
+  );
+}
+
+/**
+ * Checks that the page has a title that describes it. Only the top frame
+ * is checked, as frames are named by their iframe's title attribute.
+ * @returns {void}
+ */
+function checkPageTitle() {
+  if (!isTopFrame()) {
+    return;
+  }
+
+  const titleElement = document.querySelector('title');
+  const title = document.title.replace(/\s+/g, ' ').trim();
+
+  if (!title) {
+    const target = titleElement || document.documentElement;
+    console.log(target);
+    overlay.call(
+      target,
+      'overlay',
+      'error',
+      A11Y_CONFIG.MESSAGES.PAGE_TITLE_MISSING,
+      'PAGE_TITLE_MISSING'
+    );
+  } else if (
+    A11Y_CONFIG.GENERIC_PAGE_TITLES.includes(title.toLowerCase()) ||
+    /^[\w-]+\.(html?|php|aspx?|jsp)$/i.test(title)
+  ) {
+    console.log(titleElement);
+    overlay.call(
+      titleElement || document.documentElement,
+      'overlay',
+      'warning',
+      `${A11Y_CONFIG.MESSAGES.PAGE_TITLE_GENERIC} "${title}"`,
+      'PAGE_TITLE_GENERIC'
+    );
+  }
+}
+
+/**
+ * Finds the meta tags with a name or http-equiv value, ignoring case.
+ * @param {string} attribute - 'name' or 'http-equiv'
+ * @param {string} value - The value in lower case, e.g. 'viewport'
+ * @returns {HTMLMetaElement[]} The meta tags in document order
+ */
+function getMetaTags(attribute, value) {
+  return Array.from(document.querySelectorAll(`meta[${attribute}]`)).filter(
+    meta => meta.getAttribute(attribute).trim().toLowerCase() === value
+  );
+}
+
+/**
+ * Checks viewport meta tags for values that stop users from zooming:
+ * user-scalable=no, or a maximum-scale below 2. Only the top frame's
+ * viewport applies.
+ * @returns {void}
+ */
+function checkViewportZoom() {
+  if (!isTopFrame()) {
+    return;
+  }
+
+  getMetaTags('name', 'viewport').forEach(meta => {
+    const properties = new Map(
+      (meta.getAttribute('content') || '')
+        .split(/[,;]/)
+        .map(pair => pair.split('=').map(part => part.trim().toLowerCase()))
+        .filter(([key, value]) => key && value !== undefined)
+    );
+    const problems = [];
+
+    const userScalable = properties.get('user-scalable');
+    if (
+      userScalable === 'no' ||
+      (userScalable !== undefined && Math.abs(parseFloat(userScalable)) < 1)
+    ) {
+      problems.push(`user-scalable=${userScalable}`);
+    }
+
+    const maximumScale = parseFloat(properties.get('maximum-scale'));
+    if (!isNaN(maximumScale) && maximumScale < 2) {
+      problems.push(`maximum-scale=${properties.get('maximum-scale')}`);
+    }
+
+    if (problems.length > 0) {
+      console.log(meta);
+      overlay.call(
+        meta,
+        'overlay',
+        'error',
+        `${A11Y_CONFIG.MESSAGES.VIEWPORT_ZOOM_DISABLED} (${problems.join(', ')})`,
+        'VIEWPORT_ZOOM_DISABLED'
+      );
+    }
+  });
+}
+
+/**
+ * Checks meta refresh tags for timed reloads and redirects, which users
+ * can't stop or extend. Instant redirects, and timers longer than the
+ * 20 hour exception of WCAG 2.2.1, are allowed.
+ * @returns {void}
+ */
+function checkMetaRefresh() {
+  getMetaTags('http-equiv', 'refresh').forEach(meta => {
+    const content = meta.getAttribute('content') || '';
+    const match = content.match(/^\s*(\d+)(\.[\d.]*)?\s*(?:[;,\s]\s*(.*))?$/);
+    if (!match) {
+      return;
+    }
+
+    const seconds = parseInt(match[1], 10);
+    if (seconds === 0 || seconds > 72000) {
+      return;
+    }
+
+    const action = (match[3] || '').trim() ? 'redirects' : 'reloads';
+    console.log(meta);
+    overlay.call(
+      meta,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.META_REFRESH} (${action} after ${seconds} seconds)`,
+      'META_REFRESH'
+    );
+  });
+}
+
+/**
+ * @typedef {Object} AccessibilityRule
+ * @property {string} id - Unique rule identifier
+ * @property {'element'|'page'} [scope] - Whether the rule runs per element or once per scan (default: element)
+ * @property {string} [selector] - CSS selector an element must match for the rule to apply
+ * @property {Function} [matches] - Predicate an element must satisfy for the rule to apply
+ * @property {string} category - Result category (images, forms, links, structure, multimedia, navigation, typography)
+ * @property {'error'|'warning'} severity - Default severity of the rule's findings
+ * @property {string} toggle - customRules key path gating the rule, e.g. 'images.checkMissingAlt'
+ * @property {Function} check - Check function, called with the element (element scope) or no arguments (page scope)
+ * @property {boolean} [recheck] - Whether watch mode runs the page rule again after the page changes
+ *   (default: true). Rules that move focus or send events to the page set it to false, as
+ *   their own effects would trigger another recheck
+ * @property {boolean} [onDemand] - Whether runOnDemandRules() runs the page rule even while its
+ *   toggle key is off (default: false). Rules too intrusive to run on every scan use it
+ */
+
+/**
+ * Registry of accessibility rules consulted by every scan.
+ * Additional content scripts can extend it with registerRule().
+ * @type {AccessibilityRule[]}
+ */
+const RULE_REGISTRY = [];
+
+/**
+ * Registers an accessibility rule, replacing any rule with the same id.
+ * @param {AccessibilityRule} rule - The rule definition
+ * @returns {boolean} True if the rule was registered
+ */
+function registerRule(rule) {
+  if (!rule || typeof rule !== 'object') {
+    console.error('Invalid rule definition:', rule);
+    return false;
+  }
+
+  if (typeof rule.id !== 'string' || !rule.id) {
+    console.error('Rule is missing an id:', rule);
+    return false;
+  }
+
+  if (typeof rule.check !== 'function') {
+    console.error(`Rule ${rule.id} is missing a check function`);
+    return false;
+  }
+
+  const scope = rule.scope || 'element';
+  if (scope !== 'element' && scope !== 'page') {
+    console.error(`Rule ${rule.id} has an invalid scope:`, rule.scope);
+    return false;
+  }
+
+  if (
+    scope === 'element' &&
+    typeof rule.selector !== 'string' &&
+    typeof rule.matches !== 'function'
+  ) {
+    console.error(`Rule ${rule.id} needs a selector or matches function`);
+    return false;
+  }
+
+  if (rule.severity !== 'error' && rule.severity !== 'warning') {
+    console.error(`Rule ${rule.id} has an invalid severity:`, rule.severity);
+    return false;
+  }
+
+  unregisterRule(rule.id);
+  RULE_REGISTRY.push({ ...rule, scope });
+  return true;
+}
+
+/**
+ * Removes a rule from the registry.
+ * @param {string} id - The rule identifier
+ * @returns {boolean} True if a rule was removed
+ */
+function unregisterRule(id) {
+  const index = RULE_REGISTRY.findIndex(rule => rule.id === id);
+  if (index === -1) {
+    return false;
+  }
+  RULE_REGISTRY.splice(index, 1);
+  return true;
+}
+
+/**
+ * Gets a registered rule by id.
+ * @param {string} id - The rule identifier
+ * @returns {AccessibilityRule|null} The rule, or null if not registered
+ */
+function getRule(id) {
+  return RULE_REGISTRY.find(rule => rule.id === id) || null;
+}
+
+/**
+ * Determines whether a rule is enabled by the current customRules.
+ * The section's `enabled` flag and the rule's own toggle key must both be on.
+ * @param {AccessibilityRule} rule - The rule to check
+ * @returns {boolean} True if the rule should run
+ */
+function isRuleEnabled(rule) {
+  if (!rule.toggle) {
+    return true;
+  }
+
+  const [section, key] = rule.toggle.split('.');
+  const sectionRules = customRules[section];
+  if (!sectionRules) {
+    return true;
+  }
+
+  if (sectionRules.enabled === false) {
+    return false;
+  }
+
+  return !key || sectionRules[key] !== false;
+}
+
+/**
+ * Determines whether the section of a rule's toggle key is turned on,
+ * whatever the key itself is set to.
+ * @param {AccessibilityRule} rule - The rule to check
+ * @returns {boolean} True unless the rule's section is turned off
+ */
+function isRuleSectionEnabled(rule) {
+  if (!rule.toggle) {
+    return true;
+  }
+
+  const sectionRules = customRules[rule.toggle.split('.')[0]];
+  return !sectionRules || sectionRules.enabled !== false;
+}
+
+/**
+ * Determines whether an element-scoped rule applies to a node.
+ * @param {AccessibilityRule} rule - The rule to test
+ * @param {Element} node - The candidate element
+ * @returns {boolean} True if the rule applies
+ */
+function ruleMatchesElement(rule, node) {
+  if (rule.selector && !node.matches(rule.selector)) {
+    return false;
+  }
+  return typeof rule.matches !== 'function' || rule.matches(node);
+}
+
+/**
+ * Gets the enabled element rules that apply to a node.
+ * @param {Element} node - The element to check
+ * @returns {AccessibilityRule[]} Applicable rules in registration order
+ */
+function getApplicableRules(node) {
+  return RULE_REGISTRY.filter(
+    rule => rule.scope === 'element' && isRuleEnabled(rule) && ruleMatchesElement(rule, node)
+  );
+}
+
+/**
+ * Runs every applicable element rule against a node.
+ * @param {Element} node - The element to check
+ * @returns {void}
+ */
+function runElementRules(node) {
+  getApplicableRules(node).forEach(rule => {
+    try {
+      rule.check(node);
+    } catch (error) {
+      console.warn(`Error running rule ${rule.id}:`, node, error);
+    }
+  });
+}
+
+/**
+ * Determines whether watch mode runs a page-level rule again after the page
+ * changes.
+ * @param {AccessibilityRule} rule - The rule
+ * @returns {boolean} True unless the rule opted out of rechecks
+ */
+function isRecheckedRule(rule) {
+  return rule.recheck !== false;
+}
+
+/**
+ * Runs every enabled page-level rule once. Rechecks after page changes leave
+ * out the rules that opted out of them.
+ * @param {boolean} [isRecheck] - Whether watch mode is rechecking the page
+ * @returns {void}
+ */
+function runPageRules(isRecheck = false) {
+  RULE_REGISTRY.filter(
+    rule => rule.scope === 'page' && isRuleEnabled(rule) && (!isRecheck || isRecheckedRule(rule))
+  ).forEach(runPageRule);
+}
+
+/**
+ * Runs a page-level rule and records which findings it made, so rechecks
+ * and on-demand runs can replace them.
+ * @param {AccessibilityRule} rule - The page-level rule
+ * @returns {void}
+ */
+function runPageRule(rule) {
+  const firstIndex = LOGS.length;
+  const firstSuppressedIndex = SUPPRESSED_FINDINGS.length;
+
+  try {
+    rule.check();
+  } catch (error) {
+    console.warn(`Error running rule ${rule.id}:`, error);
+  }
+
+  LOGS.slice(firstIndex)
+    .concat(SUPPRESSED_FINDINGS.slice(firstSuppressedIndex))
+    .forEach(finding => pageRuleFindings.set(finding, rule));
+}
+
+/**
+ * Runs the page-level rules that can be run on request, such as the keyboard
+ * checks that move focus, whether or not their toggle key is on. Their
+ * findings from earlier runs are replaced; the rest of the results are kept.
+ * The rules still don't run while their section is turned off.
+ * @returns {number} The number of rules run
+ */
+function runOnDemandRules() {
+  const rules = RULE_REGISTRY.filter(
+    rule => rule.scope === 'page' && rule.onDemand && isRuleSectionEnabled(rule)
+  );
+  if (rules.length === 0) {
+    return 0;
+  }
+
+  removeFindings(finding => rules.includes(pageRuleFindings.get(finding)));
+  backdropCache = new WeakMap();
+  rules.forEach(runPageRule);
+
+  applyFilters();
+  if (queryUI('.a11y-summary-panel')) {
+    createSummaryPanel();
+  }
+  reportScanResults();
+  return rules.length;
+}
+
+/**
+ * Determines whether an element is handled by one of the tag-specific rules.
+ * Role and tabindex rules only apply to elements without one.
+ * @param {Element} node - The element to test
+ * @returns {boolean} True if a tag-specific rule covers the element
+ */
+function isNativelyCheckedElement(node) {
+  return node.matches(A11Y_CONFIG.SELECTORS.NATIVE_CHECKED_ELEMENTS);
+}
+
+// Built-in rules
+[
+  {
+    id: 'landmarks',
+    scope: 'page',
+    category: 'structure',
+    severity: 'error',
+    toggle: 'structure.checkMissingLandmarks',
+    check: checkForLandmarks
+  },
+  {
+    id: 'document-language',
+    scope: 'page',
+    category: 'structure',
+    severity: 'error',
+    toggle: 'general.checkLanguage',
+    check: checkDocumentLanguage
+  },
+  {
+    id: 'page-title',
+    scope: 'page',
+    category: 'structure',
+    severity: 'error',
+    toggle: 'general.checkPageTitle',
+    check: checkPageTitle
+  },
+  {
+    id: 'viewport-zoom',
+    scope: 'page',
+    category: 'structure',
+    severity: 'error',
+    toggle: 'general.checkViewportZoom',
+    check: checkViewportZoom
+  },
+  {
+    id: 'meta-refresh',
+    scope: 'page',
+    category: 'structure',
+    severity: 'error',
+    toggle: 'general.checkMetaRefresh',
+    check: checkMetaRefresh
+  },
+  {
+    id: 'headings',
+    scope: 'page',
+    category: 'structure',
+    severity: 'warning',
+    toggle: 'structure.checkHeadingStructure',
+    check: checkHeadingStructure
+  },
+  {
+    id: 'focus-order',
+    scope: 'page',
+    category: 'navigation',
+    severity: 'warning',
+    toggle: 'navigation.checkFocusOrder',
+    recheck: false,
+    onDemand: true,
+    check: auditFocusOrder
+  },
+  {
+    id: 'keyboard-traps',
+    scope: 'page',
+    category: 'navigation',
+    severity: 'error',
+    toggle: 'navigation.checkKeyboardTraps',
+    recheck: false,
+    onDemand: true,
+    check: checkKeyboardTraps
+  },
+  {
+    id: 'image',
+    selector: 'img',
+    category: 'images',
+    severity: 'error',
+    toggle: 'images.enabled',
+    check: checkImageElement
+  },
+  {
+    id: 'button',
+    selector: 'button',
+    category: 'forms',
+    severity: 'error',
+    toggle: 'forms.checkMissingLabels',
+    check: checkButtonElement
+  },
+  {
+    id: 'link',
+    selector: 'a',
+    category: 'links',
+    severity: 'error',
+    toggle: 'links.enabled',
+    check: checkLinkElement
+  },
+  {
+    id: 'fieldset',
+    selector: 'fieldset',
+    category: 'forms',
+    severity: 'error',
+    toggle: 'forms.checkFieldsetLegend',
+    check: checkFieldsetElement
+  },
+  {
+    id: 'input',
+    selector: A11Y_CONFIG.SELECTORS.FORM_FIELDS,
+    category: 'forms',
+    severity: 'error',
+    toggle: 'forms.enabled',
+    check: checkInputElement
+  },
+  {
+    id: 'autocomplete',
+    selector: A11Y_CONFIG.SELECTORS.FORM_FIELDS,
+    category: 'forms',
+    severity: 'warning',
+    toggle: 'forms.checkAutocomplete',
+    check: checkAutocomplete
+  },
+  {
+    id: 'required-fields',
+    selector: A11Y_CONFIG.SELECTORS.FORM_FIELDS,
+    category: 'forms',
+    severity: 'error',
+    toggle: 'forms.checkRequiredFields',
+    check: checkRequiredField
+  },
+  {
+    id: 'error-messages',
+    selector: '[aria-invalid]',
+    category: 'forms',
+    severity: 'error',
+    toggle: 'forms.checkErrorMessages',
+    check: checkErrorMessage
+  },
+  {
+    id: 'field-groups',
+    selector: 'input[type="radio"], input[type="checkbox"]',
+    category: 'forms',
+    severity: 'warning',
+    toggle: 'forms.checkFieldGroups',
+    check: checkFieldGroup
+  },
+  {
+    id: 'table',
+    selector: 'table',
+    category: 'structure',
+    severity: 'error',
+    toggle: 'structure.enabled',
+    check: checkTableElement
+  },
+  {
+    id: 'iframe',
+    selector: 'iframe',
+    category: 'multimedia',
+    severity: 'error',
+    toggle: 'multimedia.checkIframeTitles',
+    check: checkIframeElement
+  },
+  {
+    id: 'media',
+    selector: 'audio, video',
+    category: 'multimedia',
+    severity: 'error',
+    toggle: 'multimedia.enabled',
+    check: checkMediaElement
+  },
+  {
+    id: 'role',
+    selector: '[role]',
+    matches: node => !isNativelyCheckedElement(node),
+    category: 'structure',
+    severity: 'error',
+    toggle: 'aria.checkRoleBasedElements',
+    check: node => checkRoleBasedElement(node, node.getAttribute('role'))
+  },
+  {
+    id: 'tabindex',
+    selector: '[tabindex]',
+    matches: node => !isNativelyCheckedElement(node),
+    category: 'navigation',
+    severity: 'warning',
+    toggle: 'navigation.checkTabIndex',
+    check: checkTabIndexElement
+  },
+  {
+    id: 'font-size',
+    selector: A11Y_CONFIG.SELECTORS.TEXT_ELEMENTS.join(', '),
+    category: 'structure',
+    severity: 'warning',
+    toggle: 'typography.checkFontSize',
+    check: node => checkElementFontSize(node, node.tagName.toLowerCase())
+  },
+  {
+    id: 'color-contrast',
+    selector: [...A11Y_CONFIG.SELECTORS.TEXT_ELEMENTS, 'input', 'select', 'textarea'].join(', '),
+    category: 'typography',
+    severity: 'error',
+    toggle: 'typography.checkColorContrast',
+    check: checkElementContrast
+  },
+  {
+    id: 'aria-references',
+    selector: A11Y_CONFIG.ARIA_IDREF_ATTRIBUTES.map(attribute => `[${attribute}]`).join(', '),
+    category: 'structure',
+    severity: 'error',
+    toggle: 'aria.checkAriaReferences',
+    check: checkAriaReferences
+  },
+  {
+    id: 'aria-semantics',
+    matches: hasAriaMarkup,
+    category: 'structure',
+    severity: 'error',
+    toggle: 'aria.checkAriaSemantics',
+    check: checkAriaSemantics
+  },
+  {
+    id: 'lang',
+    selector: '[lang]',
+    matches: node => node !== document.documentElement,
+    category: 'structure',
+    severity: 'error',
+    toggle: 'general.checkLanguage',
+    check: checkLangAttribute
+  }
+].forEach(registerRule);
+
+/**
+ * Determines whether an element is hidden from users, either visually or
+ * from assistive technology, by itself or one of its ancestors.
+ * @param {Element} element - The element to test
+ * @returns {boolean} True if the element is hidden
+ */
+function isElementHidden(element) {
+  let current = element;
+
+  while (current && current.nodeType === Node.ELEMENT_NODE) {
+    if (current.hidden || current.getAttribute('aria-hidden') === 'true') {
+      return true;
+    }
+
+    const style = window.getComputedStyle(current);
+    if (style.display === 'none' || (current === element && style.visibility === 'hidden')) {
+      return true;
+    }
+
+    current = current.parentElement;
+  }
+
+  return false;
+}
+
+/**
+ * @typedef {Object} HeadingInfo
+ * @property {Element} element - The heading element
+ * @property {number} level - Heading level (1-6)
+ * @property {string} text - Trimmed heading text
+ * @property {boolean} missingLevel - True for role=heading without aria-level
+ */
+
+/**
+ * Gets the visible headings of the page in document order.
+ * @returns {HeadingInfo[]} The heading outline
+ */
+function getHeadingOutline() {
+  const headings = document.querySelectorAll('h1, h2, h3, h4, h5, h6, [role="heading"]');
+
+  return Array.from(headings)
+    .filter(element => !isElementHidden(element))
+    .map(element => {
+      const tagMatch = /^h([1-6])$/i.exec(element.tagName);
+      const ariaLevel = parseInt(element.getAttribute('aria-level'), 10);
+      const missingLevel = !tagMatch && isNaN(ariaLevel);
+
+      // aria-level overrides the native level; role=heading defaults to level 2
+      const tagLevel = tagMatch ? parseInt(tagMatch[1], 10) : 2;
+      const level = isNaN(ariaLevel) ? tagLevel : Math.min(6, Math.max(1, ariaLevel));
+
+      return { element, level, text: computeAccessibleName(element), missingLevel };
+    });
+}
+
+/**
+ * Checks the heading outline for a missing or repeated h1, skipped levels,
+ * empty headings and role=heading without aria-level.
+ * @returns {void}
+ */
+function checkHeadingStructure() {
+  const headings = getHeadingOutline();
+  const hierarchyLevel = customRules.structure.requireHeadingStructure ? 'error' : 'warning';
+
+  const h1Headings = headings.filter(heading => heading.level === 1);
+  if (h1Headings.length === 0) {
+    const target = headings.length > 0 ? headings[0].element : document.body;
+    console.log(target);
+    overlay.call(
+      target,
+      'overlay',
+      hierarchyLevel,
+      A11Y_CONFIG.MESSAGES.HEADING_NO_H1,
+      'HEADING_NO_H1'
+    );
+  }
+
+  h1Headings.slice(1).forEach(heading => {
+    console.log(heading.element);
+    overlay.call(
+      heading.element,
+      'overlay',
+      hierarchyLevel,
+      A11Y_CONFIG.MESSAGES.HEADING_MULTIPLE_H1,
+      'HEADING_MULTIPLE_H1'
+    );
+  });
+
+  let previousLevel = 0;
+  headings.forEach(heading => {
+    if (!heading.text) {
+      console.log(heading.element);
+      overlay.call(
+        heading.element,
+        'overlay',
+        'error',
+        A11Y_CONFIG.MESSAGES.HEADING_EMPTY,
+        'HEADING_EMPTY'
+      );
+    }
+
+    if (heading.missingLevel) {
+      console.log(heading.element);
+      overlay.call(
+        heading.element,
+        'overlay',
+        'warning',
+        A11Y_CONFIG.MESSAGES.HEADING_NO_LEVEL,
+        'HEADING_NO_LEVEL'
+      );
+    }
+
+    if (previousLevel > 0 && heading.level > previousLevel + 1) {
+      console.log(heading.element);
+      overlay.call(
+        heading.element,
+        'overlay',
+        hierarchyLevel,
+        `${A11Y_CONFIG.MESSAGES.HEADING_SKIPPED_LEVEL} (h${previousLevel} to h${heading.level})`,
+        'HEADING_SKIPPED_LEVEL'
+      );
+    }
+
+    previousLevel = heading.level;
+  });
+}
+
+/**
+ * Finds every element in the element's tree with the given ID.
+ * @param {Element} element - The element whose document or shadow root to search
+ * @param {string} id - The ID to look up
+ * @returns {Element[]} Matching elements, in document order
+ */
+function getElementsWithId(element, id) {
+  const root = element.getRootNode();
+  return Array.from(root.querySelectorAll(`[id="${id.replace(/["\\]/g, '\\$&')}"]`));
+}
+
+/**
+ * Resolves an IDREF attribute to the elements it references.
+ * IDs without a matching element are left out.
+ * @param {Element} element - The element carrying the attribute
+ * @param {string} attribute - The IDREF attribute name, e.g. 'aria-labelledby'
+ * @returns {Element[]} The referenced elements
+ */
+function getReferencedElements(element, attribute) {
+  const root = element.getRootNode();
+  return (element.getAttribute(attribute) || '')
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(id => root.getElementById(id))
+    .filter(Boolean);
+}
+
+/**
+ * Gets the text contributed by the elements an IDREF attribute references.
+ * Hidden references are ignored, as many screen readers skip them.
+ * @param {Element} element - The element carrying the attribute
+ * @param {string} attribute - The IDREF attribute name, e.g. 'aria-labelledby'
+ * @returns {string} The joined, trimmed text of the referenced elements
+ */
+function getReferencedText(element, attribute) {
+  return getReferencedElements(element, attribute)
+    .filter(reference => !isElementHidden(reference))
+    .map(reference =>
+      ((reference.getAttribute('aria-label') || '').trim() || reference.textContent || '').trim()
+    )
+    .filter(Boolean)
+    .join(' ');
+}
+
+/**
+ * Checks every ARIA IDREF attribute on an element for references to
+ * missing or duplicated IDs, and naming references that produce no text.
+ * @param {Element} element - The element to check
+ * @returns {void}
+ */
+function checkAriaReferences(element) {
+  A11Y_CONFIG.ARIA_IDREF_ATTRIBUTES.forEach(attribute => {
+    const ids = (element.getAttribute(attribute) || '').trim().split(/\s+/).filter(Boolean);
+    if (ids.length === 0) {
+      return;
+    }
+
+    const matches = ids.map(id => ({ id, elements: getElementsWithId(element, id) }));
+    const missing = matches.filter(match => match.elements.length === 0).map(match => match.id);
+    const duplicated = matches.filter(match => match.elements.length > 1).map(match => match.id);
+
+    if (missing.length > 0) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'error',
+        `${A11Y_CONFIG.MESSAGES.ARIA_REFERENCE_MISSING} (${attribute}: ${missing.join(', ')})`,
+        'ARIA_REFERENCE_MISSING'
+      );
+    }
+
+    if (duplicated.length > 0) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        'warning',
+        `${A11Y_CONFIG.MESSAGES.ARIA_REFERENCE_DUPLICATE} (${attribute}: ${duplicated.join(', ')})`,
+        'ARIA_REFERENCE_DUPLICATE'
+      );
+    }
+
+    if (
+      A11Y_CONFIG.ARIA_NAMING_ATTRIBUTES.includes(attribute) &&
+      missing.length < ids.length &&
+      getReferencedText(element, attribute) === ''
+    ) {
+      console.log(element);
+      overlay.call(
+        element,
+        'overlay',
+        attribute === 'aria-labelledby' ? 'error' : 'warning',
+        `${A11Y_CONFIG.MESSAGES.ARIA_REFERENCE_EMPTY} (${attribute})`,
+        'ARIA_REFERENCE_EMPTY'
+      );
+    }
+  });
+}
+
+/**
+ * Determines whether a role is a concrete WAI-ARIA 1.2 role, or a role of
+ * the DPUB-ARIA or Graphics-ARIA modules.
+ * @param {string} role - The role, in lower case
+ * @returns {boolean} True if browsers recognize the role
+ */
+function isKnownAriaRole(role) {
+  return (
+    Object.prototype.hasOwnProperty.call(A11Y_CONFIG.ARIA.ROLES, role) ||
+    A11Y_CONFIG.ARIA.MODULE_ROLE_PATTERN.test(role)
+  );
+}
+
+/**
+ * Gets the role browsers use from an element's role attribute: its first
+ * known token, as later tokens are fallbacks for older browsers.
+ * @param {Element} element - The element
+ * @returns {string} The role, or '' if no token is a known role
+ */
+function getExplicitAriaRole(element) {
+  const tokens = (element.getAttribute('role') || '').trim().toLowerCase().split(/\s+/);
+  return tokens.find(isKnownAriaRole) || '';
+}
+
+/**
+ * Gets the implicit ARIA role of an HTML element, following HTML-AAM.
+ * @param {Element} element - The element
+ * @returns {string} The role, or '' if it is unknown
+ */
+function getImplicitAriaRole(element) {
+  const tagName = element.tagName.toLowerCase();
+  const type = (element.getAttribute('type') || '').toLowerCase();
+
+  switch (tagName) {
+    case 'header':
+    case 'footer':
+      // Headers and footers of sectioning content aren't landmarks
+      if (element.closest('article, aside, main, nav, section')) {
+        return '';
+      }
+      return tagName === 'header' ? 'banner' : 'contentinfo';
+    case 'section':
+      return element.hasAttribute('aria-label') || element.hasAttribute('aria-labelledby')
+        ? 'region'
+        : 'generic';
+    case 'a':
+      return element.hasAttribute('href') ? 'link' : 'generic';
+    case 'input':
+      if (type === 'number' || type === 'search') {
+        return type === 'number' ? 'spinbutton' : 'searchbox';
+      }
+      break;
+  }
+
+  if (Object.prototype.hasOwnProperty.call(A11Y_CONFIG.ARIA.IMPLICIT_ROLES, tagName)) {
+    return A11Y_CONFIG.ARIA.IMPLICIT_ROLES[tagName];
+  }
+  return getNativeRole(element);
+}
+
+/**
+ * Gets the explicit role of an element, or its implicit role without one.
+ * @param {Element} element - The element
+ * @returns {string} The role, or '' if it is unknown
+ */
+function getAriaRole(element) {
+  return getExplicitAriaRole(element) || getImplicitAriaRole(element);
+}
+
+/**
+ * Determines whether an element has a role attribute or aria-* attributes,
+ * which the ARIA semantics checks validate.
+ * @param {Element} element - The element
+ * @returns {boolean} True if the element has ARIA markup
+ */
+function hasAriaMarkup(element) {
+  return (
+    element.hasAttribute('role') ||
+    Array.from(element.attributes).some(attribute => attribute.name.startsWith('aria-'))
+  );
+}
+
+/**
+ * Checks an ARIA attribute value against the attribute's value type.
+ * ID references are left to the ARIA reference checks.
+ * @param {string} attribute - The attribute name, e.g. 'aria-checked'
+ * @param {string} value - The non-empty attribute value
+ * @returns {boolean} True if the value is valid
+ */
+function isValidAriaValue(attribute, value) {
+  const type = A11Y_CONFIG.ARIA.ATTRIBUTES[attribute];
+  const normalized = value.trim().toLowerCase();
+
+  if (Array.isArray(type)) {
+    const tokens = A11Y_CONFIG.ARIA.TOKEN_LIST_ATTRIBUTES.includes(attribute)
+      ? normalized.split(/\s+/)
+      : [normalized];
+    return tokens.every(token => type.includes(token));
+  }
+
+  switch (type) {
+    case 'boolean':
+      return ['true', 'false'].includes(normalized);
+    case 'tristate':
+      return ['true', 'false', 'mixed'].includes(normalized);
+    case 'true/false/undefined':
+      return ['true', 'false', 'undefined'].includes(normalized);
+    case 'integer':
+      return /^-?\d+$/.test(normalized);
+    case 'number':
+      return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/.test(normalized);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Finds the element that claims another one with aria-owns.
+ * @param {Element} element - The owned element
+ * @returns {Element|null} The owner, if any
+ */
+function getAriaOwner(element) {
+  if (!element.id) {
+    return null;
+  }
+
+  return (
+    Array.from(element.getRootNode().querySelectorAll('[aria-owns]')).find(owner =>
+      owner.getAttribute('aria-owns').trim().split(/\s+/).includes(element.id)
+    ) || null
+  );
+}
+
+/**
+ * Gets the role of the closest ancestor, or aria-owns owner, that has a role
+ * other than generic or presentational.
+ * @param {Element} element - The element
+ * @returns {string} The parent role, or '' if there is none
+ */
+function getAriaParentRole(element) {
+  let parent = getAriaOwner(element) || getComposedParent(element);
+  while (parent) {
+    const role = getAriaRole(parent);
+    if (role && !A11Y_CONFIG.ARIA.PRESENTATIONAL_ROLES.includes(role)) {
+      return role;
+    }
+    parent = getAriaOwner(parent) || getComposedParent(parent);
+  }
+  return '';
+}
+
+/**
+ * Gets the roles of the elements an element owns: its rendered descendants
+ * and aria-owns references, looking through generic and presentational ones.
+ * @param {Element} element - The element
+ * @returns {string[]} The owned roles, in document order
+ */
+function getOwnedAriaRoles(element) {
+  const roles = [];
+
+  /**
+   * Collects the roles of a list of child elements.
+   * @param {Element[]} children - The child elements
+   * @returns {void}
+   */
+  const collect = children => {
+    children.forEach(child => {
+      if (isNodeHidden(child)) {
+        return;
+      }
+
+      const role = getAriaRole(child);
+      if (!role || A11Y_CONFIG.ARIA.PRESENTATIONAL_ROLES.includes(role)) {
+        collect(Array.from(child.children));
+      } else {
+        roles.push(role);
+      }
+    });
+  };
+
+  collect([...element.children, ...getReferencedElements(element, 'aria-owns')]);
+  return roles;
+}
+
+/**
+ * Checks an element's role attribute for unknown and abstract roles, and
+ * for roles the element already has natively unless those are allowed.
+ * @param {Element} element - The element to check
+ * @param {string} role - The explicit role browsers use, or ''
+ * @returns {void}
+ */
+function checkAriaRoleAttribute(element, role) {
+  const tokens = (element.getAttribute('role') || '').trim().toLowerCase().split(/\s+/);
+  if (!tokens[0]) {
+    return;
+  }
+
+  if (!role) {
+    const abstractRole = tokens.find(token => A11Y_CONFIG.ARIA.ABSTRACT_ROLES.includes(token));
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      abstractRole
+        ? `${A11Y_CONFIG.MESSAGES.ARIA_ROLE_ABSTRACT} "${abstractRole}"`
+        : `${A11Y_CONFIG.MESSAGES.ARIA_ROLE_UNKNOWN} "${tokens.join(' ')}"`,
+      abstractRole ? 'ARIA_ROLE_ABSTRACT' : 'ARIA_ROLE_UNKNOWN'
+    );
+    return;
+  }
+
+  if (!customRules.aria.allowRedundantRoles && role === getImplicitAriaRole(element)) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'warning',
+      `${A11Y_CONFIG.MESSAGES.ARIA_ROLE_REDUNDANT} "${role}"`,
+      'ARIA_ROLE_REDUNDANT'
+    );
+  }
+}
+
+/**
+ * Checks an element's aria-* attributes: they must exist, be supported by
+ * the element's role and have a valid value. An explicit role must also come
+ * with its required states, unless a native control supplies them.
+ * @param {Element} element - The element to check
+ * @param {string} role - The element's role, or '' if it is unknown
+ * @param {boolean} isExplicit - Whether the role comes from the role attribute
+ * @returns {void}
+ */
+function checkAriaAttributes(element, role, isExplicit) {
+  const { ARIA } = A11Y_CONFIG;
+  const roleData = Object.prototype.hasOwnProperty.call(ARIA.ROLES, role) ? ARIA.ROLES[role] : null;
+
+  Array.from(element.attributes)
+    .filter(attribute => attribute.name.startsWith('aria-'))
+    .forEach(({ name, value }) => {
+      if (!Object.prototype.hasOwnProperty.call(ARIA.ATTRIBUTES, name)) {
+        console.log(element);
+        overlay.call(
+          element,
+          'overlay',
+          'error',
+          `${A11Y_CONFIG.MESSAGES.ARIA_ATTRIBUTE_UNKNOWN} (${name})`,
+          'ARIA_ATTRIBUTE_UNKNOWN'
+        );
+        return;
+      }
+
+      const isSupported =
+        ARIA.GLOBAL_ATTRIBUTES.includes(name) ||
+        (roleData && (roleData.attributes || []).includes(name));
+      const isProhibited = roleData && (roleData.prohibited || []).includes(name);
+      if (roleData && (isProhibited || !isSupported)) {
+        console.log(element);
+        overlay.call(
+          element,
+          'overlay',
+          'error',
+          `${A11Y_CONFIG.MESSAGES.ARIA_ATTRIBUTE_NOT_ALLOWED} (${name} on ${role})`,
+          'ARIA_ATTRIBUTE_NOT_ALLOWED'
+        );
+        return;
+      }
+
+      if (value.trim() && !isValidAriaValue(name, value)) {
+        console.log(element);
+        overlay.call(
+          element,
+          'overlay',
+          'error',
+          `${A11Y_CONFIG.MESSAGES.ARIA_ATTRIBUTE_INVALID_VALUE} (${name}="${value}")`,
+          'ARIA_ATTRIBUTE_INVALID_VALUE'
+        );
+      }
+    });
+
+  if (
+    !roleData ||
+    !roleData.required ||
+    !isExplicit ||
+    ARIA.NATIVE_STATE_ELEMENTS.includes(element.tagName.toLowerCase())
   ) {
+    return;
+  }
+
+  const missing = roleData.required.filter(name => !(element.getAttribute(name) || '').trim());
+  if (missing.length > 0) {
+    console.log(element);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.ARIA_REQUIRED_ATTRIBUTE_MISSING} (${role} requires ${missing.join(', ')})`,
+      'ARIA_REQUIRED_ATTRIBUTE_MISSING'
+    );
+  }
+}
+
+/**
+ * Checks that an explicit role is inside the parent role it requires, and
+ * only owns the roles it may contain. Busy containers are still loading
+ * their children, so they are skipped.
+ * @param {Element} element - The element to check
+ * @param {string} role - The element's explicit role
+ * @returns {void}
+ */
+function checkAriaContext(element, role) {
+  const roleData = A11Y_CONFIG.ARIA.ROLES[role];
+
+  if (roleData.context && !roleData.context.includes(getAriaParentRole(element))) {
     console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.INVALID_HREF);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.ARIA_REQUIRED_PARENT_MISSING} (${role} must be inside ${roleData.context.join(' or ')})`,
+      'ARIA_REQUIRED_PARENT_MISSING'
+    );
   }
 
-  // Check for generic link text
-  if (textContent && A11Y_CONFIG.PROHIBITED_LINK_TEXT.includes(textContent.toLowerCase())) {
+  if (!roleData.owned || element.getAttribute('aria-busy') === 'true') {
+    return;
+  }
+
+  const invalidRoles = [
+    ...new Set(getOwnedAriaRoles(element).filter(owned => !roleData.owned.includes(owned)))
+  ];
+  if (invalidRoles.length > 0) {
     console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.GENERIC_LINK_TEXT);
+    overlay.call(
+      element,
+      'overlay',
+      'error',
+      `${A11Y_CONFIG.MESSAGES.ARIA_REQUIRED_CHILDREN_INVALID} (${role} cannot contain ${invalidRoles.join(', ')})`,
+      'ARIA_REQUIRED_CHILDREN_INVALID'
+    );
+  }
+}
+
+/**
+ * Validates the ARIA semantics of an element against the WAI-ARIA 1.2 role
+ * and attribute data: its role, its aria-* attributes, and the parent and
+ * child roles an explicit role requires.
+ * @param {Element} element - The element to check
+ * @returns {void}
+ */
+function checkAriaSemantics(element) {
+  const explicitRole = getExplicitAriaRole(element);
+  checkAriaRoleAttribute(element, explicitRole);
+  checkAriaAttributes(element, explicitRole || getImplicitAriaRole(element), explicitRole !== '');
+
+  if (Object.prototype.hasOwnProperty.call(A11Y_CONFIG.ARIA.ROLES, explicitRole)) {
+    checkAriaContext(element, explicitRole);
+  }
+}
+
+/**
+ * Evaluate and apply the correct set of actions based on isEnabled state.
+ * @param {boolean} isEnabled - Whether accessibility highlighting is enabled
+ * @returns {void}
+ */
+function toggleAccessibilityHighlight(isEnabled) {
+  console.log(`Toggling accessibility highlights: ${isEnabled}`);
+
+  try {
+    if (isEnabled) {
+      runAccessibilityChecks();
+    } else {
+      removeAccessibilityOverlays();
+      scanScope = null;
+      // Child frames clear their own findings
+      frameFindings.clear();
+      frameScopes.clear();
+      frameSuppressedFindings.clear();
+      outlinedFrameId = null;
+      reportScanResults();
+    }
+  } catch (error) {
+    console.error('Error toggling accessibility highlight:', error);
+  }
+}
+
+/**
+ * Sends a message to the background service worker, if one is reachable.
+ * @param {Object} message - The message to send
+ * @param {Function} [callback] - Called with the response
+ * @returns {void}
+ */
+function sendBackgroundMessage(message, callback) {
+  if (typeof chrome === 'undefined' || !chrome.runtime || !chrome.runtime.sendMessage) {
+    return;
+  }
+
+  try {
+    chrome.runtime.sendMessage(message, response => {
+      if (chrome.runtime.lastError) {
+        console.warn('Could not reach background:', chrome.runtime.lastError.message);
+        return;
+      }
+      if (callback) {
+        callback(response);
+      }
+    });
+  } catch (error) {
+    console.warn('Could not reach background:', error);
+  }
+}
+
+/**
+ * Checks whether this content script runs in the top frame of the tab.
+ * @returns {boolean} True in the top frame, false in iframes
+ */
+function isTopFrame() {
+  return window.parent === window;
+}
+
+/**
+ * Sends a message to the content script of another frame of the tab,
+ * relayed by the background.
+ * @param {number} frameId - ID of the frame, 0 for the top frame
+ * @param {Object} message - The message
+ * @returns {void}
+ */
+function sendToFrame(frameId, message) {
+  sendBackgroundMessage({ action: 'frameMessage', frameId, message });
+}
+
+/**
+ * Gets the findings of this frame followed by those its child frames reported.
+ * @returns {Finding[]} Copies of the findings with their frameId set
+ */
+function getAllFindings() {
+  const findings = LOGS.map(finding => ({ ...finding, frameId: 0 }));
+  frameFindings.forEach((findingsOfFrame, frameId) => {
+    findingsOfFrame.forEach(finding => findings.push({ ...finding, frameId }));
+  });
+  return findings;
+}
+
+/**
+ * Gets the suppressed findings of this frame followed by those its child
+ * frames reported.
+ * @returns {Finding[]} Copies of the findings with their frameId set, without
+ *   their element reference
+ */
+function getAllSuppressedFindings() {
+  const findings = SUPPRESSED_FINDINGS.map(({ elementRef: _elementRef, ...finding }) => ({
+    ...finding,
+    frameId: 0
+  }));
+  frameSuppressedFindings.forEach((findingsOfFrame, frameId) => {
+    findingsOfFrame.forEach(finding => findings.push({ ...finding, frameId }));
+  });
+  return findings;
+}
+
+/**
+ * Stores the findings a child frame reported and reports the new totals.
+ * They are ignored while this frame scans a region, which they are outside of.
+ * @param {number} frameId - ID of the child frame
+ * @param {Object[]} findings - Its findings; an empty list clears them
+ * @param {Object} [details] - What else the frame reported
+ * @param {string} [details.scope] - Selector of the region the frame scanned, if any
+ * @param {string} [details.frameUrl] - URL of the frame
+ * @param {Object[]} [details.suppressed] - Its suppressed findings, if any
+ * @returns {void}
+ */
+function storeFrameFindings(frameId, findings, details = {}) {
+  const { scope, frameUrl, suppressed } = details;
+  if (!Number.isInteger(frameId) || frameId <= 0 || !Array.isArray(findings)) {
+    console.warn('Invalid frame findings:', frameId, findings);
+    return;
+  }
+  if (scanScope) {
+    return;
+  }
+
+  if (typeof scope === 'string') {
+    frameScopes.set(frameId, { selector: scope, frameUrl: String(frameUrl) });
+  } else {
+    frameScopes.delete(frameId);
+  }
+
+  if (Array.isArray(suppressed) && suppressed.length > 0) {
+    frameSuppressedFindings.set(frameId, suppressed);
+  } else {
+    frameSuppressedFindings.delete(frameId);
+  }
+
+  if (findings.length > 0) {
+    frameFindings.set(frameId, findings);
+  } else {
+    frameFindings.delete(frameId);
+  }
+  reportScanResults();
+}
+
+/**
+ * Reports the finished or cleared scan. Child frames send their findings to
+ * the top frame, which reports the error and warning counts of all frames.
+ * The background shows them on the tab's badge, and the DevTools panel
+ * reloads its findings when it sees the message.
+ * @returns {void}
+ */
+function reportScanResults() {
+  if (!isTopFrame()) {
+    const message = { action: 'frameFindings', findings: getFindings() };
+    if (scanScope) {
+      message.scope = scanScope.selector;
+    }
+    if (SUPPRESSED_FINDINGS.length > 0) {
+      message.suppressed = getAllSuppressedFindings();
+    }
+    sendToFrame(0, message);
+    return;
+  }
+
+  const findings = getAllFindings();
+  const errors = findings.filter(finding => finding.level === 'error').length;
+  sendBackgroundMessage({ action: 'scanResults', errors, warnings: findings.length - errors });
+  updateBaselineMarks();
+}
+
+/**
+ * Gets the URL baselines of this page are stored under: the page URL
+ * without its fragment.
+ * @returns {string} The URL
+ */
+function getBaselineUrl() {
+  return window.location.href.split('#')[0];
+}
+
+/**
+ * Builds the fingerprint that identifies a finding across scans: its rule,
+ * its selector without the positions among siblings, which shift when
+ * content is added before it, and its HTML snippet with whitespace collapsed.
+ * @param {Finding} finding - The finding
+ * @returns {string} The fingerprint
+ */
+function getFindingFingerprint(finding) {
+  const selector = String(finding.selector || '').replace(/:nth-of-type\(\d+\)/g, '');
+  const snippet = String(finding.html || '')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return [finding.ruleId || finding.message, selector, snippet].join('|');
+}
+
+/**
+ * Gets the baseline entry of a finding.
+ * @param {Finding} finding - The finding
+ * @returns {BaselineEntry} The entry
+ */
+function toBaselineEntry(finding) {
+  return {
+    fingerprint: getFindingFingerprint(finding),
+    ruleId: finding.ruleId || null,
+    level: finding.level,
+    message: finding.message,
+    selector: finding.selector,
+    snippet: finding.html,
+    frameUrl: finding.frameUrl
+  };
+}
+
+/**
+ * Loads the baseline of this page from storage and marks the findings that
+ * are new since it. Only the top frame compares scans with a baseline.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadBaseline() {
+  if (!isTopFrame()) {
+    return;
+  }
+
+  try {
+    if (typeof chrome !== 'undefined' && chrome.storage && chrome.storage.local) {
+      const { baselines } = await chrome.storage.local.get(['baselines']);
+      const baseline = baselines && baselines[getBaselineUrl()];
+      activeBaseline = baseline && Array.isArray(baseline.findings) ? baseline : null;
+      updateBaselineMarks();
+    }
+  } catch (error) {
+    console.warn('Failed to load baseline:', error);
+  }
+}
+
+/**
+ * Saves the current findings of all frames as the baseline of this page,
+ * replacing its previous baseline.
+ * @async
+ * @param {string} name - Name of the baseline
+ * @returns {Promise<string|null>} Why the baseline was not saved, or null once it is
+ */
+async function saveBaseline(name) {
+  const trimmed = String(name || '').trim();
+  if (!trimmed) {
+    return 'Enter a name for the baseline.';
+  }
+  if (isRunning) {
+    return 'Wait for the scan to finish before saving a baseline.';
+  }
+
+  const baseline = {
+    name: trimmed,
+    url: getBaselineUrl(),
+    savedAt: new Date().toISOString(),
+    findings: getAllFindings().map(toBaselineEntry)
+  };
+
+  try {
+    const { baselines } = await chrome.storage.local.get(['baselines']);
+    await chrome.storage.local.set({ baselines: { ...baselines, [baseline.url]: baseline } });
+  } catch (error) {
+    console.warn('Failed to save baseline:', error);
+    return 'The baseline could not be saved.';
+  }
+
+  activeBaseline = baseline;
+  updateBaselineMarks();
+  return null;
+}
+
+/**
+ * Deletes the baseline of this page and removes the marks of new findings.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function deleteBaseline() {
+  try {
+    const { baselines } = await chrome.storage.local.get(['baselines']);
+    const remaining = { ...baselines };
+    delete remaining[getBaselineUrl()];
+    await chrome.storage.local.set({ baselines: remaining });
+  } catch (error) {
+    console.warn('Failed to delete baseline:', error);
+  }
+
+  activeBaseline = null;
+  frameFindings.forEach((_findings, frameId) => {
+    sendToFrame(frameId, { action: 'markNewFindings', ids: null });
+  });
+  updateBaselineMarks();
+}
+
+/**
+ * @typedef {Object} BaselineDiff
+ * @property {Baseline} baseline - The baseline the findings are compared with
+ * @property {Finding[]} newFindings - Findings not in the baseline
+ * @property {Finding[]} unchangedFindings - Findings also in the baseline
+ * @property {BaselineEntry[]} fixedFindings - Baseline findings that are gone
+ */
+
+/**
+ * Compares findings with the baseline of this page. Each baseline entry
+ * matches at most one finding, so a repeated issue is new when it occurs
+ * more often than in the baseline.
+ * @param {Finding[]} [findings] - The findings, by default those of all frames
+ * @returns {BaselineDiff|null} The comparison, or null without a baseline
+ */
+function getBaselineDiff(findings = getAllFindings()) {
+  if (!activeBaseline || activeBaseline.url !== getBaselineUrl()) {
+    return null;
+  }
+
+  const unmatched = new Map();
+  activeBaseline.findings.forEach(entry => {
+    const entries = unmatched.get(entry.fingerprint) || [];
+    entries.push(entry);
+    unmatched.set(entry.fingerprint, entries);
+  });
+
+  const diff = {
+    baseline: activeBaseline,
+    newFindings: [],
+    unchangedFindings: [],
+    fixedFindings: []
+  };
+  findings.forEach(finding => {
+    const entries = unmatched.get(getFindingFingerprint(finding));
+    if (entries && entries.length > 0) {
+      entries.shift();
+      diff.unchangedFindings.push(finding);
+    } else {
+      diff.newFindings.push(finding);
+    }
+  });
+
+  // Keep the baseline order
+  const fixed = new Set([].concat(...unmatched.values()));
+  diff.fixedFindings = activeBaseline.findings.filter(entry => fixed.has(entry));
+  return diff;
+}
+
+/**
+ * Marks the overlays of this frame's new findings, or removes the marks.
+ * @param {number[]|null} ids - IDs of the new findings, or null without a baseline
+ * @returns {void}
+ */
+function markNewFindings(ids) {
+  const newIds = new Set(ids || []);
+  queryAllUI('[data-a11yindex]').forEach(overlayEl => {
+    const isNew = newIds.has(Number(overlayEl.dataset.a11yindex));
+    overlayEl.classList.toggle(A11Y_CONFIG.CSS_CLASSES.NEW_OVERLAY, isNew);
+    overlayEl.style.boxShadow = isNew ? '0 0 0 3px #6f42c1' : '';
+    if (ids) {
+      overlayEl.dataset.a11ybaseline = isNew ? 'new' : 'unchanged';
+    } else {
+      delete overlayEl.dataset.a11ybaseline;
+    }
+  });
+}
+
+/**
+ * Compares the findings of all frames with the baseline and marks the new
+ * ones in each frame. Child frames are only told when there is a baseline.
+ * @returns {void}
+ */
+function updateBaselineMarks() {
+  const diff = getBaselineDiff();
+  const newIds = new Map([[0, []]]);
+  frameFindings.forEach((_findings, frameId) => newIds.set(frameId, []));
+  if (diff) {
+    diff.newFindings.forEach(finding => newIds.get(finding.frameId).push(finding.id));
+  }
+
+  newIds.forEach((ids, frameId) => {
+    if (frameId === 0) {
+      markNewFindings(diff ? ids : null);
+    } else if (diff) {
+      sendToFrame(frameId, { action: 'markNewFindings', ids });
+    }
+  });
+}
+
+/**
+ * Initial check for the tab's enabled state, which the background tracks per tab.
+ * @returns {void}
+ */
+sendBackgroundMessage({ action: 'getTabState' }, response => {
+  try {
+    // Validate response
+    if (!response || typeof response !== 'object') {
+      console.warn('Invalid tab state response:', response);
+      return;
+    }
+
+    // Validate isEnabled value (default to false if not set)
+    const isEnabled = response.isEnabled === true;
+    console.log('Initial isEnabled state:', isEnabled);
+    toggleAccessibilityHighlight(isEnabled);
+  } catch (error) {
+    console.error('Error during initial state check:', error);
   }
+});
+
+/**
+ * @typedef {Object} ScanSummary
+ * @property {boolean} isScanning - Whether a scan is in progress
+ * @property {ScanCoverage|null} coverage - How much of the page the scan covered
+ * @property {ReportScope|null} scope - Region the scan was limited to, null for the whole page
+ * @property {{name: string, newCount: number, fixedCount: number}|null} baseline - How the
+ *   findings compare with the page's baseline, null without one
+ * @property {number} total - Total number of findings
+ * @property {number} errors - Number of errors
+ * @property {number} warnings - Number of warnings
+ * @property {Object<string, {errors: number, warnings: number}>} categories - Counts by category
+ */
+
+/**
+ * Summarizes the current findings for the popup.
+ * @returns {ScanSummary} The scan summary
+ */
+function getScanSummary() {
+  const findings = getAllFindings();
+  const diff = getBaselineDiff(findings);
+  const summary = {
+    isScanning: isRunning,
+    coverage: getScanCoverage(),
+    scope: getReportScope(),
+    baseline: diff
+      ? {
+          name: diff.baseline.name,
+          newCount: diff.newFindings.length,
+          fixedCount: diff.fixedFindings.length
+        }
+      : null,
+    total: findings.length,
+    errors: 0,
+    warnings: 0,
+    categories: {}
+  };
+
+  findings.forEach(finding => {
+    const key = finding.level === 'error' ? 'errors' : 'warnings';
+    if (!summary.categories[finding.category]) {
+      summary.categories[finding.category] = { errors: 0, warnings: 0 };
+    }
+    summary[key]++;
+    summary.categories[finding.category][key]++;
+  });
 
-  // Check for matching title and text
-  if (titleValue && textContent && titleValue.toLowerCase() === textContent.toLowerCase()) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.MATCHING_TITLE_TEXT);
-  }
+  return summary;
 }
 
 /**
- * Checks fieldset elements for accessibility issues.
- * @param {HTMLFieldSetElement} element - The fieldset element to check
- * @returns {void}
+ * Gets the current findings of all frames for the DevTools panel, which reads
+ * them with inspectedWindow.eval in the top frame's content script context.
+ * Child frames send theirs to the top frame the same way.
+ * Findings have a baselineStatus of 'new' or 'unchanged' while the page has a baseline.
+ * @returns {Object[]} Copies of the findings without their element reference,
+ *   which can't be serialized
  */
-function checkFieldsetElement(element) {
-  if (!element.querySelector('legend')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.FIELDSET_NO_LEGEND);
-  }
+function getFindings() {
+  const findings = getAllFindings();
+  const diff = getBaselineDiff(findings);
+  const newFindings = new Set(diff ? diff.newFindings : []);
+  return findings.map(({ elementRef: _elementRef, ...finding }, index) =>
+    diff
+      ? { ...finding, baselineStatus: newFindings.has(findings[index]) ? 'new' : 'unchanged' }
+      : finding
+  );
 }
 
 /**
- * Checks input elements for accessibility issues.
- * @param {HTMLInputElement} element - The input element to check
- * @returns {void}
+ * @typedef {Object} NavigationTarget
+ * @property {number} frameId - Frame of the finding, 0 for this frame
+ * @property {HTMLElement|null} overlayEl - The overlay, for findings of this frame
+ * @property {Finding|null} finding - The finding
  */
-function checkInputElement(element) {
-  const type = element.getAttribute('type');
-
-  if (type === 'image') {
-    const hasAlt = element.hasAttribute('alt');
-    const hasAriaLabel = element.hasAttribute('aria-label');
 
-    if (!hasAlt && !hasAriaLabel) {
-      console.log(element);
-      overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.INPUT_IMAGE_NO_ALT);
-    }
-  } else if (type !== 'submit' && type !== 'image' && type !== 'hidden') {
-    // Check for form fields without labels
-    const id = element.getAttribute('id');
-    if (!id || !document.querySelector(`label[for="${id}"]`)) {
-      console.log(element);
-      overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.FORM_FIELD_NO_LABEL);
-    }
-  }
+/**
+ * Gets what keyboard navigation steps through: the overlays of this frame,
+ * then the findings of each child frame.
+ * @returns {NavigationTarget[]} The targets in navigation order
+ */
+function getNavigationTargets() {
+  const targets = queryAllUI(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS).map(overlayEl => ({
+    frameId: 0,
+    overlayEl,
+    finding: getOverlayFinding(overlayEl)
+  }));
+  frameFindings.forEach((findings, frameId) => {
+    findings.forEach(finding => targets.push({ frameId, overlayEl: null, finding }));
+  });
+  return targets;
 }
 
 /**
- * Checks table elements for accessibility issues.
- * @param {HTMLTableElement} element - The table element to check
- * @returns {void}
+ * Scrolls the overlay of a finding into view and outlines it, continuing
+ * keyboard navigation from there.
+ * @param {number} id - ID of the finding
+ * @param {number} [frameId=0] - Frame of the finding, 0 for this frame
+ * @returns {boolean} True if the finding's overlay was found
  */
-function checkTableElement(element) {
-  // Check for tables without TH elements
-  if (!element.querySelector('th')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.TABLE_NO_HEADERS);
+function revealFinding(id, frameId = 0) {
+  const position = getNavigationTargets().findIndex(
+    target => target.frameId === frameId && target.finding !== null && target.finding.id === id
+  );
+  if (position === -1) {
+    return false;
   }
 
-  // Check for nested tables
-  if (element.closest('th, td')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.NESTED_TABLE);
-  }
+  keyboardNavigationActive = true;
+  currentOverlayIndex = position;
+  highlightCurrentOverlay(position);
+  return true;
+}
 
-  // Check for uninformative summary
-  const summaryValue = element.getAttribute('summary');
-  if (summaryValue) {
-    const summaryTrimmed = summaryValue.trim();
-    if (
-      A11Y_CONFIG.PROHIBITED_TABLE_SUMMARIES.some(badSummary =>
-        summaryTrimmed.toLowerCase().includes(badSummary.toLowerCase())
-      )
-    ) {
-      console.log(element);
-      overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.UNINFORMATIVE_SUMMARY);
-    }
-  }
+/**
+ * Clears the current findings and scans the page again, bypassing the throttle.
+ * @returns {void}
+ */
+function rescan() {
+  removeAccessibilityOverlays();
+  isRunning = false;
+  lastRunTime = 0;
+  runAccessibilityChecks();
 }
 
 /**
- * Checks iframe elements for accessibility issues.
- * @param {HTMLIFrameElement} element - The iframe element to check
+ * Clears the scanned region, if any, and scans the whole page again.
  * @returns {void}
  */
-function checkIframeElement(element) {
-  if (!element.hasAttribute('title')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.IFRAME_NO_TITLE);
-  }
+function scanWholePage() {
+  scanScope = null;
+  rescan();
 }
 
 /**
- * Checks media elements for accessibility issues.
- * @param {HTMLMediaElement} element - The media element to check
+ * Asks every frame of the tab to scan its whole page again, through the
+ * background, so frames that left their findings out of a region scan
+ * report them again.
  * @returns {void}
  */
-function checkMediaElement(element) {
-  // Check for autoplay
-  if (element.hasAttribute('autoplay')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.MEDIA_AUTOPLAY);
-  }
+function requestWholePageScan() {
+  sendBackgroundMessage({ action: 'rescanTab' });
+}
 
-  // Check for captions
-  if (!element.querySelector('track[kind="captions"]')) {
-    console.log(element);
-    overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.MEDIA_NO_CAPTIONS);
-  }
+/**
+ * Finds the element of a selector that may pierce open shadow roots, where
+ * " >>> " separates the selector of a shadow host from a selector within its
+ * shadow root, as in getElementSelector().
+ * @param {string} selector - The selector, e.g. "#signup > x-field >>> div > input"
+ * @returns {Element|null} The element, or null if there is none
+ * @throws {DOMException} If a part of the selector is not valid CSS
+ */
+function querySelectorDeep(selector) {
+  const [first, ...paths] = selector.split(/\s*>>>\s*/);
+  let element = document.querySelector(first);
+
+  paths.forEach(path => {
+    const root = element && element.shadowRoot;
+    if (!root) {
+      element = null;
+      return;
+    }
+
+    // Generated paths start at a top-level element of the root, but can also
+    // match deeper in it
+    const depth = path.split(/\s*>\s*/).length - 1;
+    const matches = Array.from(root.querySelectorAll(path));
+    element =
+      matches.find(match => {
+        let anchor = match;
+        for (let i = 0; i < depth && anchor; i++) {
+          anchor = anchor.parentElement;
+        }
+        return anchor && anchor.parentNode === root;
+      }) ||
+      matches[0] ||
+      null;
+  });
+
+  return element;
 }
 
 /**
- * Checks role-based elements for accessibility issues.
- * @param {Element} element - The element to check
- * @param {string} role - The role attribute value
- * @returns {void}
+ * Gets the element scans start from: the root of the scanned region, found
+ * again by its selector if the page replaced it, or the body.
+ * @returns {Element} The root
  */
-function checkRoleBasedElement(element, role) {
-  const hasAriaLabel = element.hasAttribute('aria-label');
-  const hasAriaLabelledby = element.hasAttribute('aria-labelledby');
-  const isAriaHidden = element.getAttribute('aria-hidden') === 'true';
+function getScanRoot() {
+  if (!scanScope) {
+    return document.body;
+  }
 
-  switch (role) {
-    case 'img':
-      if (!hasAriaLabel && !hasAriaLabelledby && !isAriaHidden) {
-        console.log(element);
-        overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.ROLE_IMG_NO_LABEL);
-      }
-      break;
-    case 'button': {
-      const hasTextContent = element.textContent && element.textContent.trim() !== '';
-      if (!hasAriaLabel && !hasAriaLabelledby && !hasTextContent) {
-        console.log(element);
-        overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.BUTTON_NO_LABEL);
-      }
-      break;
+  if (!scanScope.element.isConnected) {
+    let element = null;
+    try {
+      element = querySelectorDeep(scanScope.selector);
+    } catch (error) {
+      console.warn('Invalid region selector:', scanScope.selector, error);
     }
-    case 'link': {
-      const textContent = element.textContent ? element.textContent.trim() : '';
-      if (!hasAriaLabel && !hasAriaLabelledby && textContent === '') {
-        console.log(element);
-        overlay.call(element, 'overlay', 'error', A11Y_CONFIG.MESSAGES.LINK_NO_CONTENT);
-      }
-      break;
+
+    if (element) {
+      scanScope.element = element;
+    } else {
+      console.warn('Scanned region is no longer on the page:', scanScope.selector);
     }
   }
+  return scanScope.element;
 }
 
 /**
- * Checks elements with tabindex for accessibility issues.
- * @param {Element} element - The element to check
- * @returns {void}
+ * Limits scans to an element and its descendants and scans it, replacing
+ * the current findings. Findings of child frames are left out, as they are
+ * outside the region, until the whole page is scanned again.
+ * @param {Element} element - Root of the region; the body scans the whole page
+ * @param {string} [selector] - Selector that finds the element (default: a generated one)
+ * @returns {boolean} True if the scan started
  */
-function checkTabIndexElement(element) {
-  const tagName = element.tagName.toLowerCase();
-  const role = element.getAttribute('role');
-  const tabindexValue = parseInt(element.getAttribute('tabindex'), 10);
-
-  // Skip interactive elements and elements with roles
-  if (A11Y_CONFIG.SELECTORS.INTERACTIVE_ELEMENTS.includes(tagName) || role) {
-    return;
+function scanRegion(element, selector) {
+  if (
+    !element ||
+    element.nodeType !== Node.ELEMENT_NODE ||
+    !isComposedDescendant(document.body, element)
+  ) {
+    console.warn('Cannot scan region outside the page body:', element);
+    return false;
   }
 
-  // Only flag elements with tabindex=0 or positive tabindex values
-  if (!isNaN(tabindexValue) && tabindexValue >= 0) {
-    console.log(element);
-    overlay.call(
-      element,
-      'overlay',
-      'warning',
-      A11Y_CONFIG.MESSAGES.NON_ACTIONABLE_TABINDEX + tabindexValue
-    );
+  if (element === document.body) {
+    scanWholePage();
+    return true;
   }
+
+  scanScope = { element, selector: selector || getElementSelector(element) };
+  frameFindings.forEach((_findings, frameId) => {
+    sendToFrame(frameId, { action: 'toggleAccessibilityHighlight', isEnabled: false });
+  });
+  frameFindings.clear();
+  frameScopes.clear();
+  frameSuppressedFindings.clear();
+  rescan();
+  return true;
 }
 
 /**
- * Optimized font size check - only checks text-containing elements.
- * Note: This function is now integrated into the main traversal for better performance.
- * Kept for backward compatibility and testing.
- * @returns {void}
+ * Scans the region a selector finds.
+ * @param {string} selector - CSS selector, optionally piercing shadow roots with " >>> "
+ * @returns {string|null} Why the region couldn't be scanned, or null if the scan started
  */
-function checkFontSizes() {
-  // This functionality is now integrated into runAccessibilityChecks
-  // to avoid multiple DOM traversals
-  // Silently do nothing - functionality integrated into main traversal
+function scanSelector(selector) {
+  const trimmed = typeof selector === 'string' ? selector.trim() : '';
+  if (!trimmed) {
+    return 'Enter a CSS selector.';
+  }
+
+  let element;
+  try {
+    element = querySelectorDeep(trimmed);
+  } catch (_error) {
+    return `"${trimmed}" is not a valid CSS selector.`;
+  }
+  if (!element) {
+    return `No element matches "${trimmed}".`;
+  }
+
+  return scanRegion(element, trimmed) ? null : `"${trimmed}" is outside the page body.`;
 }
 
 /**
- * Checks for landmark elements on the page.
- * @returns {void}
+ * Gets the region the current findings are limited to: the one this frame
+ * scanned, or one a child frame scanned.
+ * @returns {ReportScope|null} The region, or null if the whole page was scanned
  */
-function checkForLandmarks() {
-  const landmarks = document.querySelectorAll(A11Y_CONFIG.SELECTORS.LANDMARK_ELEMENTS);
-
-  if (landmarks.length === 0) {
-    console.log(document.body);
-    overlay.call(document.body, 'overlay', 'error', A11Y_CONFIG.MESSAGES.NO_LANDMARKS);
+function getReportScope() {
+  if (scanScope) {
+    return { selector: scanScope.selector, frameUrl: window.location.href };
   }
+
+  const [childScope] = frameScopes.values();
+  return childScope || null;
 }
 
 /**
- * Evaluate and apply the correct set of actions based on isEnabled state.
- * @param {boolean} isEnabled - Whether accessibility highlighting is enabled
- * @returns {void}
+ * Opens one of the page panels, replacing it if it is already open.
+ * @param {string} panel - 'filter', 'summary', 'config', 'export', 'region' or 'baseline'
+ * @returns {boolean} True if the panel was opened
  */
-function toggleAccessibilityHighlight(isEnabled) {
-  console.log(`Toggling accessibility highlights: ${isEnabled}`);
+function openPanel(panel) {
+  const creators = {
+    filter: createFilterPanel,
+    summary: createSummaryPanel,
+    config: createConfigPanel,
+    export: createExportPanel,
+    region: createRegionPanel,
+    baseline: createBaselinePanel
+  };
 
-  try {
-    if (isEnabled) {
-      runAccessibilityChecks();
-    } else {
-      removeAccessibilityOverlays();
-    }
-  } catch (error) {
-    console.error('Error toggling accessibility highlight:', error);
+  if (!Object.prototype.hasOwnProperty.call(creators, panel)) {
+    console.warn('Unknown panel:', panel);
+    return false;
   }
+
+  // Each panel replaces an existing instance of itself
+  creators[panel]();
+  return true;
 }
 
 /**
- * Initial check for isEnabled state from storage.
- * @returns {void}
+ * Starts keyboard navigation at the first finding.
+ * @returns {boolean} True if there was a finding to move to
  */
-chrome.storage.local.get(['isEnabled'], result => {
-  try {
-    // Validate storage result
-    if (!result || typeof result !== 'object') {
-      console.warn('Invalid storage result:', result);
-      return;
-    }
-
-    // Validate isEnabled value (default to false if not set)
-    const isEnabled = result.isEnabled === true;
-    console.log('Initial isEnabled state:', isEnabled);
-    toggleAccessibilityHighlight(isEnabled);
-  } catch (error) {
-    console.error('Error during initial state check:', error);
+function focusFirstIssue() {
+  if (getNavigationTargets().length === 0) {
+    return false;
   }
-});
+
+  keyboardNavigationActive = true;
+  currentOverlayIndex = 0;
+  highlightCurrentOverlay(currentOverlayIndex);
+  return true;
+}
 
 /**
  * Listen for messages from the background or popup script to dynamically toggle features.
@@ -3144,6 +10037,67 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
       return true;
     }
 
+    if (message.action === 'getScanSummary') {
+      sendResponse(getScanSummary());
+      return true;
+    }
+
+    if (message.action === 'rescan') {
+      scanWholePage();
+      sendResponse({ success: true });
+      return true;
+    }
+
+    if (message.action === 'scanRegion') {
+      sendResponse({ success: scanRegion(contextMenuTarget) });
+      return true;
+    }
+
+    if (message.action === 'openPanel') {
+      sendResponse({ success: openPanel(message.panel) });
+      return true;
+    }
+
+    if (message.action === 'focusFirstIssue') {
+      sendResponse({ success: focusFirstIssue() });
+      return true;
+    }
+
+    if (message.action === 'runKeyboardChecks') {
+      sendResponse({ success: runOnDemandRules() > 0 });
+      return true;
+    }
+
+    // Messages between the frames of the tab, relayed by the background
+    if (message.action === 'frameFindings' && isTopFrame()) {
+      storeFrameFindings(message.sourceFrameId, message.findings, {
+        scope: message.scope,
+        frameUrl: message.sourceUrl,
+        suppressed: message.suppressed
+      });
+      return false;
+    }
+
+    if (message.action === 'navigationKey' && isTopFrame()) {
+      handleKeyboardNavigation({
+        key: String(message.key),
+        altKey: message.altKey === true,
+        shiftKey: message.shiftKey === true,
+        preventDefault: () => {}
+      });
+      return false;
+    }
+
+    if (message.action === 'markNewFindings') {
+      markNewFindings(Array.isArray(message.ids) ? message.ids : null);
+      return false;
+    }
+
+    if (message.action === 'outlineFinding') {
+      outlineFrameFinding(Number.isInteger(message.id) ? message.id : null);
+      return false;
+    }
+
     return false;
   } catch (error) {
     console.error('Error handling message:', error);
@@ -3152,40 +10106,123 @@ chrome.runtime.onMessage.addListener((message, _sender, sendResponse) => {
 });
 
 /**
- * Highlights the current overlay in keyboard navigation.
- * @param {number} index - Index of overlay to highlight
+ * Outlines one overlay of this frame and scrolls it into view, removing the
+ * outline from all others.
+ * @param {HTMLElement|null} overlayEl - The overlay, or null to only remove outlines
  * @returns {void}
  */
-function highlightCurrentOverlay(index) {
-  const overlays = document.querySelectorAll(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
-
-  // Remove previous highlight
-  overlays.forEach(overlay => {
+function outlineOverlay(overlayEl) {
+  queryAllUI(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS).forEach(overlay => {
     overlay.style.outline = '';
     overlay.style.outlineOffset = '';
   });
 
-  if (index >= 0 && index < overlays.length) {
-    const currentOverlay = overlays[index];
-    currentOverlay.style.outline = '3px solid #007cba';
-    currentOverlay.style.outlineOffset = '2px';
-
-    // Scroll into view
-    currentOverlay.scrollIntoView({
+  if (overlayEl) {
+    overlayEl.style.outline = '3px solid #007cba';
+    overlayEl.style.outlineOffset = '2px';
+    overlayEl.scrollIntoView({
       behavior: 'smooth',
       block: 'center'
     });
+  }
+}
+
+/**
+ * Outlines the overlay of a finding of this frame on behalf of the top
+ * frame's keyboard navigation. While an overlay is outlined, navigation keys
+ * pressed in this frame are passed on to the top frame.
+ * @param {number|null} id - ID of the finding, or null to remove the outline
+ * @returns {boolean} True if the finding's overlay was found
+ */
+function outlineFrameFinding(id) {
+  const overlayEl =
+    queryAllUI(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS).find(candidate => {
+      const finding = getOverlayFinding(candidate);
+      return id !== null && finding !== null && finding.id === id;
+    }) || null;
+
+  outlineOverlay(overlayEl);
+  keyboardNavigationActive = overlayEl !== null;
+  return overlayEl !== null;
+}
+
+/**
+ * Moves the outline of keyboard navigation to another frame, removing it
+ * from the child frame that had it.
+ * @param {number} frameId - Frame to outline a finding in, 0 for this frame
+ * @param {number|null} id - ID of the finding in a child frame
+ * @returns {void}
+ */
+function moveFrameOutline(frameId, id) {
+  if (outlinedFrameId !== null && outlinedFrameId !== frameId) {
+    sendToFrame(outlinedFrameId, { action: 'outlineFinding', id: null });
+  }
+  if (frameId !== 0) {
+    sendToFrame(frameId, { action: 'outlineFinding', id });
+  }
+  outlinedFrameId = frameId !== 0 ? frameId : null;
+}
+
+/**
+ * Highlights the current finding in keyboard navigation, which may be in a
+ * child frame.
+ * @param {number} index - Index of the navigation target to highlight
+ * @returns {void}
+ */
+function highlightCurrentOverlay(index) {
+  const targets = getNavigationTargets();
+
+  if (index >= 0 && index < targets.length) {
+    const target = targets[index];
+    outlineOverlay(target.overlayEl);
+    moveFrameOutline(target.frameId, target.finding ? target.finding.id : null);
 
     // Announce to screen readers
-    const message = currentOverlay.dataset.a11ymessage || 'Accessibility issue';
+    const message = target.finding ? target.finding.message : 'Accessibility issue';
     if ('speechSynthesis' in window) {
       const utterance = new SpeechSynthesisUtterance(
-        `Issue ${index + 1} of ${overlays.length}: ${message}`
+        `Issue ${index + 1} of ${targets.length}: ${message}`
       );
       utterance.volume = 0.1; // Keep it quiet
       speechSynthesis.speak(utterance);
     }
+  } else {
+    outlineOverlay(null);
+  }
+}
+
+/**
+ * Passes keyboard navigation keys pressed in a child frame on to the top
+ * frame, which navigates the findings of all frames.
+ * @param {KeyboardEvent} event - The keyboard event
+ * @returns {void}
+ */
+function forwardNavigationKey(event) {
+  const isShortcut = event.altKey && event.shiftKey && /^[NFSCE]$/.test(event.key);
+  const isNavigationKey =
+    keyboardNavigationActive &&
+    [
+      'ArrowDown',
+      'ArrowRight',
+      'ArrowUp',
+      'ArrowLeft',
+      'Home',
+      'End',
+      'Escape',
+      'Enter',
+      ' '
+    ].includes(event.key);
+  if (!isShortcut && !isNavigationKey) {
+    return;
   }
+
+  event.preventDefault();
+  sendToFrame(0, {
+    action: 'navigationKey',
+    key: event.key,
+    altKey: event.altKey,
+    shiftKey: event.shiftKey
+  });
 }
 
 /**
@@ -3194,25 +10231,28 @@ function highlightCurrentOverlay(index) {
  * @returns {void}
  */
 function handleKeyboardNavigation(event) {
-  const overlays = document.querySelectorAll(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
+  if (!isTopFrame()) {
+    forwardNavigationKey(event);
+    return;
+  }
+
+  const targets = getNavigationTargets();
 
-  if (overlays.length === 0) {
+  if (targets.length === 0) {
     return;
   }
 
   // Alt + Shift + N: Start/activate keyboard navigation
   if (event.altKey && event.shiftKey && event.key === 'N') {
     event.preventDefault();
-    keyboardNavigationActive = true;
-    currentOverlayIndex = 0;
-    highlightCurrentOverlay(currentOverlayIndex);
+    focusFirstIssue();
     return;
   }
 
   // Alt + Shift + F: Toggle filter panel
   if (event.altKey && event.shiftKey && event.key === 'F') {
     event.preventDefault();
-    const existingPanel = document.querySelector('.a11y-filter-panel');
+    const existingPanel = queryUI('.a11y-filter-panel');
     if (existingPanel) {
       existingPanel.remove();
     } else {
@@ -3224,7 +10264,7 @@ function handleKeyboardNavigation(event) {
   // Alt + Shift + S: Toggle summary panel
   if (event.altKey && event.shiftKey && event.key === 'S') {
     event.preventDefault();
-    const existingPanel = document.querySelector('.a11y-summary-panel');
+    const existingPanel = queryUI('.a11y-summary-panel');
     if (existingPanel) {
       existingPanel.remove();
     } else {
@@ -3236,7 +10276,7 @@ function handleKeyboardNavigation(event) {
   // Alt + Shift + C: Toggle configuration panel
   if (event.altKey && event.shiftKey && event.key === 'C') {
     event.preventDefault();
-    const existingPanel = document.querySelector('.a11y-config-panel');
+    const existingPanel = queryUI('.a11y-config-panel');
     if (existingPanel) {
       existingPanel.remove();
     } else {
@@ -3248,7 +10288,7 @@ function handleKeyboardNavigation(event) {
   // Alt + Shift + E: Toggle export panel
   if (event.altKey && event.shiftKey && event.key === 'E') {
     event.preventDefault();
-    const existingPanel = document.querySelector('.a11y-export-panel');
+    const existingPanel = queryUI('.a11y-export-panel');
     if (existingPanel) {
       existingPanel.remove();
     } else {
@@ -3266,14 +10306,14 @@ function handleKeyboardNavigation(event) {
     case 'ArrowDown':
     case 'ArrowRight':
       event.preventDefault();
-      currentOverlayIndex = (currentOverlayIndex + 1) % overlays.length;
+      currentOverlayIndex = (currentOverlayIndex + 1) % targets.length;
       highlightCurrentOverlay(currentOverlayIndex);
       break;
 
     case 'ArrowUp':
     case 'ArrowLeft':
       event.preventDefault();
-      currentOverlayIndex = currentOverlayIndex > 0 ? currentOverlayIndex - 1 : overlays.length - 1;
+      currentOverlayIndex = currentOverlayIndex > 0 ? currentOverlayIndex - 1 : targets.length - 1;
       highlightCurrentOverlay(currentOverlayIndex);
       break;
 
@@ -3285,7 +10325,7 @@ function handleKeyboardNavigation(event) {
 
     case 'End':
       event.preventDefault();
-      currentOverlayIndex = overlays.length - 1;
+      currentOverlayIndex = targets.length - 1;
       highlightCurrentOverlay(currentOverlayIndex);
       break;
 
@@ -3293,19 +10333,17 @@ function handleKeyboardNavigation(event) {
       event.preventDefault();
       keyboardNavigationActive = false;
       currentOverlayIndex = -1;
-      // Remove all highlights
-      overlays.forEach(overlay => {
-        overlay.style.outline = '';
-        overlay.style.outlineOffset = '';
-      });
+      // Remove all highlights, including in child frames
+      outlineOverlay(null);
+      moveFrameOutline(0, null);
       break;
 
     case 'Enter':
     case ' ':
       event.preventDefault();
-      if (currentOverlayIndex >= 0 && currentOverlayIndex < overlays.length) {
-        const currentOverlay = overlays[currentOverlayIndex];
-        const message = currentOverlay.dataset.a11ymessage || 'Accessibility issue';
+      if (currentOverlayIndex >= 0 && currentOverlayIndex < targets.length) {
+        const finding = targets[currentOverlayIndex].finding;
+        const message = finding ? finding.message : 'Accessibility issue';
         console.log('Selected accessibility issue:', message);
 
         // Show more detailed information
@@ -3321,6 +10359,25 @@ function handleKeyboardNavigation(event) {
 // Add keyboard event listener
 document.addEventListener('keydown', handleKeyboardNavigation, true);
 
+// Remember the element the context menu opens on, for "Check this element"
+document.addEventListener(
+  'contextmenu',
+  event => {
+    const [target] = event.composedPath();
+    contextMenuTarget = target && target.nodeType === Node.ELEMENT_NODE ? target : null;
+  },
+  true
+);
+
+// Child frames withdraw their findings from the top frame when they unload
+if (!isTopFrame()) {
+  window.addEventListener('pagehide', () => {
+    if (LOGS.length > 0) {
+      sendToFrame(0, { action: 'frameFindings', findings: [] });
+    }
+  });
+}
+
 // Initialize custom rules from storage when content script loads
 (async function initializeCustomRules() {
   try {
@@ -3360,8 +10417,91 @@ if (
   global.checkMediaElement = checkMediaElement;
   global.checkRoleBasedElement = checkRoleBasedElement;
   global.checkTabIndexElement = checkTabIndexElement;
+  global.isValidAutocomplete = isValidAutocomplete;
+  global.getExpectedAutocomplete = getExpectedAutocomplete;
+  global.getImplicitAriaRole = getImplicitAriaRole;
+  global.isValidAriaValue = isValidAriaValue;
+  global.auditFocusOrder = auditFocusOrder;
+  global.getTabSequence = getTabSequence;
+  global.checkKeyboardTraps = checkKeyboardTraps;
   global.checkFontSizes = checkFontSizes;
   global.checkForLandmarks = checkForLandmarks;
+  global.isValidLanguageTag = isValidLanguageTag;
+  global.checkHeadingStructure = checkHeadingStructure;
+  global.getHeadingOutline = getHeadingOutline;
+  global.isElementHidden = isElementHidden;
+  global.parseColor = parseColor;
+  global.getContrastRatio = getContrastRatio;
+  global.getEffectiveBackgroundColor = getEffectiveBackgroundColor;
+  global.getEffectiveOpacity = getEffectiveOpacity;
+  global.isLargeText = isLargeText;
+  global.checkElementContrast = checkElementContrast;
+  global.checkAriaReferences = checkAriaReferences;
+  global.getReferencedText = getReferencedText;
+  global.computeAccessibleName = computeAccessibleName;
+  global.reportScanResults = reportScanResults;
+  global.getScanSummary = getScanSummary;
+  global.openPanel = openPanel;
+  global.focusFirstIssue = focusFirstIssue;
+  global.scanRegion = scanRegion;
+  global.scanSelector = scanSelector;
+  global.startElementPicker = startElementPicker;
+  global.getReportScope = getReportScope;
+  global.loadBaseline = loadBaseline;
+  global.saveBaseline = saveBaseline;
+  global.deleteBaseline = deleteBaseline;
+  global.getBaselineDiff = getBaselineDiff;
+  global.getFindingFingerprint = getFindingFingerprint;
+  global.generateBaselineDiffJSON = generateBaselineDiffJSON;
+  global.generateBaselineDiffText = generateBaselineDiffText;
+  global.createSummaryPanel = createSummaryPanel;
+  global.loadCustomRules = loadCustomRules;
+  global.resetCustomRules = resetCustomRules;
+  global.DEFAULT_CUSTOM_RULES = DEFAULT_CUSTOM_RULES;
+  global.CURRENT_FILTERS = CURRENT_FILTERS;
+  global.INCREMENTAL_CONFIG = INCREMENTAL_CONFIG;
+  global.saveCustomRules = saveCustomRules;
+  global.validateIgnoreRule = validateIgnoreRule;
+  global.matchesUrlPattern = matchesUrlPattern;
+  global.findIgnoreRule = findIgnoreRule;
+
+  // Export rule registry API
+  global.RULE_REGISTRY = RULE_REGISTRY;
+  global.getRuleMetadata = getRuleMetadata;
+  global.analyzeLogs = analyzeLogs;
+  global.generateJSONReport = generateJSONReport;
+  global.generateCSVReport = generateCSVReport;
+  global.generateHTMLReport = generateHTMLReport;
+  global.generateTextReport = generateTextReport;
+  global.generateSARIFReport = generateSARIFReport;
+  global.exportReport = exportReport;
+  global.registerRule = registerRule;
+  global.unregisterRule = unregisterRule;
+  global.getRule = getRule;
+  global.isRuleEnabled = isRuleEnabled;
+  global.getApplicableRules = getApplicableRules;
+  global.runElementRules = runElementRules;
+  global.runPageRules = runPageRules;
+  global.runOnDemandRules = runOnDemandRules;
+  global.getElementSelector = getElementSelector;
+  global.getFindings = getFindings;
+  global.getAllFindings = getAllFindings;
+  global.getAllSuppressedFindings = getAllSuppressedFindings;
+  global.getUIRoot = getUIRoot;
+  global.getFindingElement = getFindingElement;
+  global.getOverlayFinding = getOverlayFinding;
+  global.getOverlayPosition = getOverlayPosition;
+  global.updateOverlayPositions = updateOverlayPositions;
+  global.scheduleOverlayUpdate = scheduleOverlayUpdate;
+  global.stopOverlayTracking = stopOverlayTracking;
+  global.removeFindings = removeFindings;
+  global.recheckMutations = recheckMutations;
+  global.revealFinding = revealFinding;
+  global.getScanCoverage = getScanCoverage;
+  global.pauseScan = pauseScan;
+  global.resumeScan = resumeScan;
+  global.cancelScan = cancelScan;
+  global.stopScan = stopScan;
 
   // Export throttling variables for test control
   global.resetThrottle = () => {
@@ -0,0 +1,15 @@
+/**
+ * @fileoverview Accessibility Highlighter - DevTools Page
+ *
+ * Adds the Accessibility panel to DevTools. The panel itself lives in
+ * panel.html and panel.js.
+ *
+ * @author AFixt
+ * @version 1.0.1
+ */
+
+chrome.devtools.panels.create('Accessibility', 'icons/icon-16.png', 'panel.html', () => {
+  if (chrome.runtime.lastError) {
+    console.error('Error creating DevTools panel:', chrome.runtime.lastError.message);
+  }
+});
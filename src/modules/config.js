@@ -238,12 +238,15 @@ const DEFAULT_FILTERS = {
     links: true,
     structure: true,
     multimedia: true,
-    navigation: true
+    navigation: true,
+    typography: true
   }
 };
 
 /**
  * Default customizable rules configuration for accessibility checks.
+ * Copied from src/contentScript.js, which can't import modules;
+ * tests/config-sync.test.js keeps the copies equal.
  * @type {Object}
  */
 const DEFAULT_CUSTOM_RULES = {
@@ -263,6 +266,10 @@ const DEFAULT_CUSTOM_RULES = {
     checkMissingLabels: true,
     checkInputImageAlt: true,
     checkFieldsetLegend: true,
+    checkAutocomplete: true, // WCAG 1.3.5 autocomplete tokens on personal data fields
+    checkRequiredFields: true, // Asterisks must come with required or aria-required
+    checkErrorMessages: true, // aria-invalid fields must reference their error message
+    checkFieldGroups: true, // Radio and checkbox groups need a fieldset legend or named group
     requireExplicitLabels: false // If true, only explicit labels count (not aria-label)
   },
 
@@ -280,48 +287,83 @@ const DEFAULT_CUSTOM_RULES = {
   structure: {
     enabled: true,
     checkMissingLandmarks: true,
-    checkHeadingStructure: true,
     checkTableHeaders: true,
-    checkListStructure: true,
-    allowNestedTables: false // If true, nested tables are allowed
+    checkNestedTables: true,
+    checkUninformativeSummary: true,
+    requireMainLandmark: true,
+    checkHeadingStructure: true,
+    requireHeadingStructure: false // If true, heading hierarchy problems are errors, not warnings
   },
 
   // Multimedia accessibility rules
   multimedia: {
     enabled: true,
     checkAutoplay: true,
-    checkCaptions: true,
-    checkIframeTitle: true,
-    allowAutoplay: false // If true, autoplay is allowed
+    checkIframeTitles: true,
+    checkMediaCaptions: false, // Future: check for captions
+    allowAutoplayWithControls: false // If true, autoplay is allowed if controls are present
   },
 
-  // Navigation accessibility rules
+  // Navigation and interaction rules
   navigation: {
     enabled: true,
     checkTabIndex: true,
-    checkKeyboardAccess: true,
-    checkFocusIndicators: true,
-    allowPositiveTabindex: false // If true, positive tabindex values are allowed
+    checkFocusOrder: false, // Tab through the page on every scan to check focus order; moves focus
+    checkKeyboardTraps: false, // Press Tab and Shift+Tab in dialogs and widgets on every scan to find traps
+    checkFocusIndicators: true, // Focused elements must change their outline, box-shadow or border
+    checkHiddenFocusable: true, // Focusable elements must not be hidden or inside aria-hidden
+    showFocusOrder: false, // If true, badges number the elements in tab order
+    allowPositiveTabIndex: false // If true, positive tabindex values are allowed
   },
 
-  // General rules
-  general: {
+  // Text and typography rules
+  typography: {
     enabled: true,
+    checkFontSize: true,
     minimumFontSize: 12, // Minimum font size in pixels
-    checkColorContrast: false, // Disabled by default due to performance
-    checkLanguage: true
+    checkColorContrast: false, // WCAG 1.4.3 and 1.4.11; disabled by default due to performance
+    checkLineHeight: false // Future: line height checking
+  },
+
+  // ARIA and semantic rules
+  aria: {
+    enabled: true,
+    checkRoleBasedElements: true,
+    requireAriaLabels: false, // If true, requires aria-labels on all interactive elements
+    checkAriaReferences: true, // Validate aria-labelledby/describedby/controls and other ID references
+    checkAriaSemantics: true, // Validate roles, attribute values and required parents and children
+    allowRedundantRoles: true // If false, flags redundant ARIA roles
+  },
+
+  // Document-level rules
+  general: {
+    enabled: true,
+    checkLanguage: true, // html[lang] and lang attributes must be valid language tags
+    checkPageTitle: true, // The page needs a descriptive <title>
+    checkViewportZoom: true, // meta viewport must not disable zooming
+    checkMetaRefresh: true // meta http-equiv=refresh must not reload or redirect on a timer
+  },
+
+  // Scan time budgets
+  scanning: {
+    enabled: true, // If false, scans always check the whole page
+    maxScanSeconds: 30, // Stop a scan after this much checking; it can be continued
+    maxSliceMilliseconds: 16 // Longest stretch of checking before yielding to the page
   }
 };
 
 /**
- * Configuration for incremental scanning performance optimization.
+ * Configuration of the scan scheduler. Scans check the page in slices that
+ * run while the browser is idle; their time budgets are set by the user in
+ * the scanning rules.
  * @type {Object}
  */
 const INCREMENTAL_CONFIG = {
-  CHUNK_SIZE: 100, // Number of elements to process per chunk
-  CHUNK_DELAY: 10, // Delay between chunks in milliseconds
-  MAX_TOTAL_TIME: 30000, // Maximum total scan time in milliseconds
-  PROGRESS_UPDATE_INTERVAL: 500 // How often to update progress indicator
+  IDLE_TIMEOUT: 100, // Run a slice after this many milliseconds even if the page is never idle
+  MIN_IDLE_TIME: 2, // End a slice when less idle time than this is left, in milliseconds
+  SLICE_LENGTH: 16, // Longest slice in milliseconds when scan budgets are turned off
+  FALLBACK_DELAY: 16, // Delay between slices where requestIdleCallback is unavailable
+  PROGRESS_UPDATE_INTERVAL: 250 // Least time between progress updates in milliseconds
 };
 
 /**
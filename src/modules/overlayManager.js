@@ -3,7 +3,7 @@
  *
  * This module handles the creation, styling, positioning, and removal of
  * accessibility issue overlays on DOM elements. It provides functionality for:
- * - Creating visual overlays with proper styling
+ * - Creating visual overlays with proper styling, kept aligned by overlayPositioner.js
  * - Managing overlay visibility and filtering
  * - Categorizing accessibility issues
  * - Keyboard navigation highlighting
@@ -14,6 +14,12 @@
 
 const { A11Y_CONFIG } = require('./config.js');
 const { addLogEntry, getCurrentFilters } = require('./state.js');
+const {
+  getOverlayPosition,
+  applyOverlayPosition,
+  trackOverlay,
+  stopOverlayTracking
+} = require('./overlayPositioner.js');
 
 /**
  * Provides the ability to overlay an element with a visual indicator of an accessibility issue.
@@ -56,13 +62,18 @@ function overlay(overlayClass, level, msg) {
     const sanitizedMsg = sanitizeMessage(msg);
 
     // Create overlay element
-    const overlayEl = createOverlayElement(overlayClass, rect, sanitizedMsg);
+    const overlayEl = createOverlayElement(
+      overlayClass,
+      getOverlayPosition(elementInError),
+      sanitizedMsg
+    );
 
     // Set overlay appearance based on level
     applyOverlayStyle(overlayEl, level);
 
-    // Append overlay to document body
+    // Append overlay to document body and keep it aligned with the element
     document.body.appendChild(overlayEl);
+    trackOverlay(overlayEl, elementInError);
 
     // Add to logs
     addOverlayToLogs(elementInError, sanitizedMsg, level);
@@ -91,26 +102,16 @@ function sanitizeMessage(msg) {
 /**
  * Creates an overlay DOM element with proper positioning.
  * @param {string} overlayClass - CSS class for the overlay
- * @param {DOMRect} rect - Element bounding rectangle
+ * @param {OverlayPosition} position - Overlay position from getOverlayPosition
  * @param {string} message - Sanitized error message
  * @returns {HTMLElement} Created overlay element
  */
-function createOverlayElement(overlayClass, rect, message) {
+function createOverlayElement(overlayClass, position, message) {
   const overlayEl = document.createElement('div');
   overlayEl.classList.add(overlayClass);
 
-  // Validate numeric values
-  const topPos = Math.max(0, rect.top + window.scrollY);
-  const leftPos = Math.max(0, rect.left + window.scrollX);
-  const width = Math.max(0, rect.width);
-  const height = Math.max(0, rect.height);
-
   // Set positioning styles using individual properties (safer than cssText)
-  overlayEl.style.position = 'absolute';
-  overlayEl.style.top = `${topPos}px`;
-  overlayEl.style.left = `${leftPos}px`;
-  overlayEl.style.width = `${width}px`;
-  overlayEl.style.height = `${height}px`;
+  applyOverlayPosition(overlayEl, position);
   overlayEl.style.display = 'block';
   overlayEl.style.pointerEvents = 'none';
   overlayEl.style.zIndex = String(A11Y_CONFIG.PERFORMANCE.Z_INDEX_OVERLAY);
@@ -168,6 +169,8 @@ function addOverlayToLogs(element, message, level) {
  */
 function removeAccessibilityOverlays() {
   try {
+    stopOverlayTracking();
+
     const overlays = document.querySelectorAll(A11Y_CONFIG.SELECTORS.OVERLAY_ELEMENTS);
     overlays.forEach(overlay => {
       if (overlay && overlay.parentNode) {
@@ -0,0 +1,308 @@
+/**
+ * @fileoverview Overlay positioning module for Accessibility Highlighter
+ *
+ * This module keeps accessibility issue overlays aligned with the elements
+ * they mark. It provides functionality for:
+ * - Measuring overlay positions, including fixed and clipped elements and
+ *   elements in shadow trees
+ * - Tracking overlays through scrolling, resizing and layout changes
+ * - Batching repositioning into one animation frame
+ *
+ * @author AFixt
+ * @version 1.0.1
+ */
+
+/**
+ * State of overlay position tracking. Overlays are repositioned in one
+ * animation frame after scrolling, resizing or layout changes.
+ * Scroll events don't leave shadow trees, so shadow roots of marked elements
+ * are listened to as well.
+ * @type {{overlays: Map<HTMLElement, WeakRef<Element>>, shadowRoots: Set<ShadowRoot>, resizeObserver: ResizeObserver|null, frameId: number|null, isListening: boolean}}
+ */
+const overlayTracking = {
+  overlays: new Map(),
+  shadowRoots: new Set(),
+  resizeObserver: null,
+  frameId: null,
+  isListening: false
+};
+
+/**
+ * @typedef {Object} OverlayPosition
+ * @property {string} position - 'fixed' for elements that don't move with the page, else 'absolute'
+ * @property {number} top - Top offset in pixels
+ * @property {number} left - Left offset in pixels
+ * @property {number} width - Width in pixels
+ * @property {number} height - Height in pixels
+ * @property {boolean} isVisible - False if the element has no size or is scrolled out of view
+ *   of a scrollable container
+ */
+
+/**
+ * Gets the parent of an element in the flat tree that is rendered: the slot
+ * a slotted element is assigned to, and the host for top-level elements of
+ * a shadow root.
+ * @param {Element} element - The element
+ * @returns {Element|null} The parent element, or null at the root
+ */
+function getComposedParent(element) {
+  if (element.assignedSlot) {
+    return element.assignedSlot;
+  }
+
+  const parent = element.parentNode;
+  if (parent && parent.nodeType === Node.DOCUMENT_FRAGMENT_NODE) {
+    return parent.host || null;
+  }
+  return parent && parent.nodeType === Node.ELEMENT_NODE ? parent : null;
+}
+
+/**
+ * Checks whether an element or one of its ancestors is position: fixed,
+ * in which case it stays in place when the page scrolls.
+ * @param {Element} element - The element
+ * @returns {boolean} True if the element is fixed to the viewport
+ */
+function hasFixedPosition(element) {
+  for (
+    let current = element;
+    current && current.nodeType === Node.ELEMENT_NODE;
+    current = getComposedParent(current)
+  ) {
+    const style = window.getComputedStyle(current);
+    if (style && style.position === 'fixed') {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Clips a viewport rectangle to the scrollable and overflow-hidden
+ * containers of an element, so overlays don't spill out of them.
+ * @param {Element} element - The element
+ * @param {{top: number, left: number, right: number, bottom: number}} rect - Viewport rectangle
+ * @returns {{top: number, left: number, right: number, bottom: number}} The visible part
+ */
+function clipToScrollContainers(element, rect) {
+  const clipped = { top: rect.top, left: rect.left, right: rect.right, bottom: rect.bottom };
+
+  for (
+    let container = getComposedParent(element);
+    container && container !== document.body && container !== document.documentElement;
+    container = getComposedParent(container)
+  ) {
+    const style = window.getComputedStyle(container);
+    const overflow = style ? `${style.overflowX || ''} ${style.overflowY || ''}` : '';
+    if (!/auto|scroll|hidden|clip/.test(overflow)) {
+      continue;
+    }
+
+    const bounds = container.getBoundingClientRect();
+    clipped.top = Math.max(clipped.top, bounds.top);
+    clipped.left = Math.max(clipped.left, bounds.left);
+    clipped.right = Math.min(clipped.right, bounds.right);
+    clipped.bottom = Math.min(clipped.bottom, bounds.bottom);
+  }
+
+  return clipped;
+}
+
+/**
+ * Measures where an element's overlay should be.
+ * @param {Element} element - The element
+ * @returns {OverlayPosition} The overlay position
+ */
+function getOverlayPosition(element) {
+  const rect = element.getBoundingClientRect();
+  const isFixed = hasFixedPosition(element);
+  const clipped = clipToScrollContainers(element, {
+    top: rect.top,
+    left: rect.left,
+    right: rect.left + rect.width,
+    bottom: rect.top + rect.height
+  });
+  const width = Math.max(0, clipped.right - clipped.left);
+  const height = Math.max(0, clipped.bottom - clipped.top);
+
+  return {
+    position: isFixed ? 'fixed' : 'absolute',
+    top: Math.max(0, clipped.top + (isFixed ? 0 : window.scrollY)),
+    left: Math.max(0, clipped.left + (isFixed ? 0 : window.scrollX)),
+    width,
+    height,
+    isVisible: width > 0 && height > 0
+  };
+}
+
+/**
+ * Moves an overlay to a measured position.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @param {OverlayPosition} position - The position
+ * @returns {void}
+ */
+function applyOverlayPosition(overlayEl, position) {
+  overlayEl.style.position = position.position;
+  overlayEl.style.top = `${position.top}px`;
+  overlayEl.style.left = `${position.left}px`;
+  overlayEl.style.width = `${position.width}px`;
+  overlayEl.style.height = `${position.height}px`;
+  // Visibility, not display, so the filters stay in charge of display
+  overlayEl.style.visibility = position.isVisible ? '' : 'hidden';
+}
+
+/**
+ * Repositions every tracked overlay. All positions are measured before any
+ * overlay is moved, so the update causes a single layout.
+ * @returns {void}
+ */
+function updateOverlayPositions() {
+  overlayTracking.frameId = null;
+
+  try {
+    const updates = [];
+    overlayTracking.overlays.forEach((elementRef, overlayEl) => {
+      const element = elementRef.deref();
+      if (!overlayEl.isConnected) {
+        untrackOverlay(overlayEl);
+      } else if (!element || !element.isConnected) {
+        overlayEl.style.visibility = 'hidden';
+      } else {
+        updates.push([overlayEl, getOverlayPosition(element)]);
+      }
+    });
+
+    updates.forEach(([overlayEl, position]) => applyOverlayPosition(overlayEl, position));
+  } catch (error) {
+    console.error('Error updating overlay positions:', error);
+  }
+}
+
+/**
+ * Schedules an overlay update for the next animation frame, batching the
+ * many scroll and resize events a frame can produce.
+ * @returns {void}
+ */
+function scheduleOverlayUpdate() {
+  if (overlayTracking.frameId !== null) {
+    return;
+  }
+
+  overlayTracking.frameId =
+    typeof requestAnimationFrame !== 'undefined'
+      ? requestAnimationFrame(updateOverlayPositions)
+      : setTimeout(updateOverlayPositions, 16);
+}
+
+/**
+ * Starts listening for scrolling, resizing and layout changes.
+ * @returns {void}
+ */
+function startOverlayTracking() {
+  if (overlayTracking.isListening) {
+    return;
+  }
+  overlayTracking.isListening = true;
+
+  // Capture scroll events of every scrollable container, not just the page
+  window.addEventListener('scroll', scheduleOverlayUpdate, { capture: true, passive: true });
+  window.addEventListener('resize', scheduleOverlayUpdate, { passive: true });
+
+  if (typeof ResizeObserver === 'function') {
+    overlayTracking.resizeObserver = new ResizeObserver(scheduleOverlayUpdate);
+    // The body resizes when content above an element expands or collapses
+    overlayTracking.resizeObserver.observe(document.documentElement);
+    if (document.body) {
+      overlayTracking.resizeObserver.observe(document.body);
+    }
+  }
+}
+
+/**
+ * Stops tracking all overlays and removes the listeners.
+ * @returns {void}
+ */
+function stopOverlayTracking() {
+  if (overlayTracking.isListening) {
+    window.removeEventListener('scroll', scheduleOverlayUpdate, { capture: true });
+    window.removeEventListener('resize', scheduleOverlayUpdate);
+  }
+  overlayTracking.shadowRoots.forEach(root => {
+    root.removeEventListener('scroll', scheduleOverlayUpdate, { capture: true });
+  });
+  overlayTracking.shadowRoots.clear();
+  if (overlayTracking.resizeObserver) {
+    overlayTracking.resizeObserver.disconnect();
+    overlayTracking.resizeObserver = null;
+  }
+  if (overlayTracking.frameId !== null) {
+    if (typeof cancelAnimationFrame !== 'undefined') {
+      cancelAnimationFrame(overlayTracking.frameId);
+    }
+    clearTimeout(overlayTracking.frameId);
+    overlayTracking.frameId = null;
+  }
+
+  overlayTracking.overlays.clear();
+  overlayTracking.isListening = false;
+}
+
+/**
+ * Keeps an overlay aligned with its element.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @param {Element} element - The element it marks
+ * @returns {void}
+ */
+function trackOverlay(overlayEl, element) {
+  startOverlayTracking();
+  overlayTracking.overlays.set(
+    overlayEl,
+    typeof WeakRef === 'function' ? new WeakRef(element) : { deref: () => element }
+  );
+  if (overlayTracking.resizeObserver) {
+    overlayTracking.resizeObserver.observe(element);
+  }
+
+  // Listen to every shadow root the element is nested in
+  for (let root = element.getRootNode(); root.host; root = root.host.getRootNode()) {
+    if (!overlayTracking.shadowRoots.has(root)) {
+      overlayTracking.shadowRoots.add(root);
+      root.addEventListener('scroll', scheduleOverlayUpdate, { capture: true, passive: true });
+    }
+  }
+}
+
+/**
+ * Stops keeping an overlay aligned, e.g. after it was removed. The element
+ * stays observed while other overlays for it are still tracked, and the root
+ * and body, which are observed for page layout changes, always stay observed.
+ * @param {HTMLElement} overlayEl - The overlay
+ * @returns {void}
+ */
+function untrackOverlay(overlayEl) {
+  const elementRef = overlayTracking.overlays.get(overlayEl);
+  const element = elementRef ? elementRef.deref() : null;
+  overlayTracking.overlays.delete(overlayEl);
+
+  if (
+    element &&
+    overlayTracking.resizeObserver &&
+    element !== document.documentElement &&
+    element !== document.body &&
+    !Array.from(overlayTracking.overlays.values()).some(ref => ref.deref() === element)
+  ) {
+    overlayTracking.resizeObserver.unobserve(element);
+  }
+}
+
+// Export all overlay positioning functions for CommonJS
+module.exports = {
+  getOverlayPosition,
+  applyOverlayPosition,
+  updateOverlayPositions,
+  scheduleOverlayUpdate,
+  startOverlayTracking,
+  stopOverlayTracking,
+  trackOverlay,
+  untrackOverlay
+};
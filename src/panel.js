@@ -0,0 +1,358 @@
+/**
+ * @fileoverview Accessibility Highlighter - DevTools Panel
+ *
+ * Lists the findings of the inspected page with their rule, severity,
+ * category and selector:
+ * - Findings are read from the content script with inspectedWindow.eval
+ * - Selecting a finding inspects its element, also inside shadow DOM, and
+ *   scrolls its overlay into view
+ * - The list can be sorted by any column and searched
+ * - Findings are marked new or unchanged while the page has a baseline
+ * - The list reloads whenever the page's content script reports a scan
+ * - Findings of iframes, collected by the top frame, are listed with the page's
+ *   own and inspected in their frame
+ *
+ * @author AFixt
+ * @version 1.0.1
+ */
+
+/**
+ * Sort order of severities, most severe first.
+ * @type {Object<string, number>}
+ */
+const SEVERITY_ORDER = {
+  error: 0,
+  warning: 1
+};
+
+/**
+ * Labels of the baseline statuses of findings, set while the page has a baseline.
+ * @type {Object<string, string>}
+ */
+const BASELINE_STATUS_LABELS = {
+  new: 'New',
+  unchanged: 'Unchanged'
+};
+
+/**
+ * Finding properties matched by the search box.
+ * @type {string[]}
+ */
+const SEARCH_FIELDS = [
+  'level',
+  'ruleId',
+  'category',
+  'message',
+  'selector',
+  'accessibleName',
+  'frameUrl',
+  'baselineStatus'
+];
+
+/**
+ * Panel state.
+ * @type {{findings: Object[], sortKey: string, sortAscending: boolean, query: string, selectedKey: string|null}}
+ */
+const panelState = {
+  findings: [],
+  sortKey: 'level',
+  sortAscending: true,
+  query: '',
+  selectedKey: null
+};
+
+/**
+ * Gets the key of a finding, unique across the frames of the page. Finding
+ * IDs are only unique within a frame.
+ * @param {Object} finding - The finding
+ * @returns {string} The key, e.g. "4" in the top frame or "12:4" in frame 12
+ */
+function getFindingKey(finding) {
+  return finding.frameId ? `${finding.frameId}:${finding.id}` : String(finding.id);
+}
+
+/**
+ * Evaluates an expression in the inspected page.
+ * @async
+ * @param {string} expression - The expression to evaluate
+ * @param {Object} [options] - inspectedWindow.eval options
+ * @returns {Promise<*>} The result, or null if evaluation failed
+ */
+function evalInPage(expression, options = {}) {
+  return new Promise(resolve => {
+    chrome.devtools.inspectedWindow.eval(expression, options, (result, exceptionInfo) => {
+      if (exceptionInfo && (exceptionInfo.isError || exceptionInfo.isException)) {
+        console.error('Error evaluating in page:', exceptionInfo);
+        resolve(null);
+        return;
+      }
+      resolve(result === undefined ? null : result);
+    });
+  });
+}
+
+/**
+ * Finds the element of a shadow-piercing selector, where " >>> " separates
+ * the selector of a shadow host from a path within its shadow root. A path
+ * not anchored at an ID starts at a top-level element of the root.
+ * Runs in the inspected page, so it must not use anything else from this file.
+ * @param {string} selector - The selector, e.g. "#signup > x-field >>> div > input"
+ * @returns {Element|null} The element, or null if there is none
+ */
+function querySelectorDeep(selector) {
+  const [first, ...paths] = selector.split(' >>> ');
+  let element = document.querySelector(first);
+
+  paths.forEach(path => {
+    const root = element && element.shadowRoot;
+    if (!root) {
+      element = null;
+      return;
+    }
+
+    // A path that isn't ID-anchored can also match deeper in the root
+    const depth = path.split(' > ').length - 1;
+    const matches = Array.from(root.querySelectorAll(path));
+    element =
+      matches.find(match => {
+        let anchor = match;
+        for (let i = 0; i < depth; i++) {
+          anchor = anchor.parentElement;
+        }
+        return anchor.parentNode === root;
+      }) ||
+      matches[0] ||
+      null;
+  });
+
+  return element;
+}
+
+/**
+ * Gets the expression that finds the element of a selector in the page.
+ * @param {string} selector - The selector
+ * @returns {string} The expression
+ */
+function getElementExpression(selector) {
+  return selector.includes(' >>> ')
+    ? `(${querySelectorDeep.toString()})(${JSON.stringify(selector)})`
+    : `document.querySelector(${JSON.stringify(selector)})`;
+}
+
+/**
+ * Filters findings by the search query and sorts them.
+ * @param {Object[]} findings - The findings
+ * @param {string} query - The search query
+ * @param {string} sortKey - The finding property to sort by
+ * @param {boolean} sortAscending - Whether to sort ascending
+ * @returns {Object[]} The findings to show
+ */
+function getVisibleFindings(findings, query, sortKey, sortAscending) {
+  const needle = query.trim().toLowerCase();
+  const matches = needle
+    ? findings.filter(finding =>
+        SEARCH_FIELDS.some(field =>
+          String(finding[field] || '')
+            .toLowerCase()
+            .includes(needle)
+        )
+      )
+    : findings.slice();
+
+  const direction = sortAscending ? 1 : -1;
+  return matches.sort((a, b) => {
+    const order =
+      sortKey === 'level'
+        ? SEVERITY_ORDER[a.level] - SEVERITY_ORDER[b.level]
+        : String(a[sortKey] || '').localeCompare(String(b[sortKey] || ''));
+
+    // Keep page order within equal values
+    return order * direction || (a.frameId || 0) - (b.frameId || 0) || a.id - b.id;
+  });
+}
+
+/**
+ * Renders the findings table and status.
+ * @returns {void}
+ */
+function renderFindings() {
+  const visible = getVisibleFindings(
+    panelState.findings,
+    panelState.query,
+    panelState.sortKey,
+    panelState.sortAscending
+  );
+  const tbody = document.querySelector('#findings tbody');
+  tbody.textContent = '';
+
+  visible.forEach(finding => {
+    const row = document.createElement('tr');
+    row.tabIndex = 0;
+    row.dataset.id = getFindingKey(finding);
+    row.setAttribute('aria-selected', String(row.dataset.id === panelState.selectedKey));
+    if (finding.frameId) {
+      row.title = `In frame ${finding.frameUrl}`;
+    }
+
+    [
+      [finding.level, finding.level],
+      [finding.ruleId || '', ''],
+      [finding.category || '', ''],
+      [finding.message, ''],
+      [finding.selector || '', 'selector'],
+      [BASELINE_STATUS_LABELS[finding.baselineStatus] || '', finding.baselineStatus || '']
+    ].forEach(([text, className]) => {
+      const cell = document.createElement('td');
+      cell.textContent = text;
+      if (className) {
+        cell.className = className;
+      }
+      row.appendChild(cell);
+    });
+
+    row.addEventListener('click', () => selectFinding(finding));
+    row.addEventListener('keydown', event => {
+      if (event.key === 'Enter' || event.key === ' ') {
+        event.preventDefault();
+        selectFinding(finding);
+      }
+    });
+
+    tbody.appendChild(row);
+  });
+
+  document.querySelectorAll('#findings th[data-sort]').forEach(header => {
+    if (header.dataset.sort === panelState.sortKey) {
+      header.setAttribute('aria-sort', panelState.sortAscending ? 'ascending' : 'descending');
+    } else {
+      header.removeAttribute('aria-sort');
+    }
+  });
+
+  const total = panelState.findings.length;
+  const status = document.getElementById('status');
+  if (total === 0) {
+    status.textContent =
+      'No findings. Turn on highlighting from the toolbar popup to scan this page.';
+  } else if (visible.length === total) {
+    status.textContent = `${total} findings`;
+  } else {
+    status.textContent = `${visible.length} of ${total} findings match`;
+  }
+}
+
+/**
+ * Loads the findings from the content script and renders them.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function loadFindings() {
+  const findings = await evalInPage("typeof getFindings === 'function' ? getFindings() : []", {
+    useContentScriptContext: true
+  });
+
+  panelState.findings = Array.isArray(findings) ? findings : [];
+  if (!panelState.findings.some(finding => getFindingKey(finding) === panelState.selectedKey)) {
+    panelState.selectedKey = null;
+  }
+  renderFindings();
+}
+
+/**
+ * Selects a finding: inspects its element in the Elements panel and
+ * scrolls its overlay into view.
+ * @async
+ * @param {Object} finding - The finding
+ * @returns {Promise<void>}
+ */
+async function selectFinding(finding) {
+  panelState.selectedKey = getFindingKey(finding);
+  document.querySelectorAll('#findings tbody tr').forEach(row => {
+    row.setAttribute('aria-selected', String(row.dataset.id === panelState.selectedKey));
+  });
+
+  if (finding.selector) {
+    // inspect() is only available in the page context, of the finding's frame
+    await evalInPage(
+      `inspect(${getElementExpression(finding.selector)})`,
+      finding.frameId ? { frameURL: finding.frameUrl } : {}
+    );
+  }
+
+  // The top frame's content script outlines overlays in child frames too
+  await evalInPage(
+    finding.frameId
+      ? `revealFinding(${Number(finding.id)}, ${Number(finding.frameId)})`
+      : `revealFinding(${Number(finding.id)})`,
+    { useContentScriptContext: true }
+  );
+}
+
+/**
+ * Sorts by a column, reversing the order if it is already sorted by it.
+ * @param {string} sortKey - The finding property to sort by
+ * @returns {void}
+ */
+function sortBy(sortKey) {
+  if (panelState.sortKey === sortKey) {
+    panelState.sortAscending = !panelState.sortAscending;
+  } else {
+    panelState.sortKey = sortKey;
+    panelState.sortAscending = true;
+  }
+  renderFindings();
+}
+
+/**
+ * Wires up the panel controls and live updates, then loads the findings.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initializePanel() {
+  document.getElementById('search').addEventListener('input', event => {
+    panelState.query = event.target.value;
+    renderFindings();
+  });
+
+  document.querySelectorAll('#findings th[data-sort]').forEach(header => {
+    header.querySelector('button').addEventListener('click', () => sortBy(header.dataset.sort));
+  });
+
+  // Content scripts report every finished or cleared scan
+  chrome.runtime.onMessage.addListener((message, sender) => {
+    if (
+      message &&
+      message.action === 'scanResults' &&
+      sender.tab &&
+      sender.tab.id === chrome.devtools.inspectedWindow.tabId
+    ) {
+      loadFindings();
+    }
+    return false;
+  });
+
+  chrome.devtools.network.onNavigated.addListener(() => {
+    panelState.findings = [];
+    panelState.selectedKey = null;
+    renderFindings();
+  });
+
+  await loadFindings();
+}
+
+document.addEventListener('DOMContentLoaded', initializePanel);
+
+// Export functions for testing (when in test environment)
+if (
+  typeof global !== 'undefined' &&
+  global.process &&
+  global.process.env &&
+  global.process.env.NODE_ENV === 'test'
+) {
+  global.initializePanel = initializePanel;
+  global.getFindingKey = getFindingKey;
+  global.getVisibleFindings = getVisibleFindings;
+  global.loadFindings = loadFindings;
+  global.querySelectorDeep = querySelectorDeep;
+  global.selectFinding = selectFinding;
+}
@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Accessibility Highlighter - Browser Action Popup
+ *
+ * The popup shows the current tab's scan results and the page tools:
+ * - Enable/disable highlighting in the current tab (via the background)
+ * - Error and warning counts by category (from the content script)
+ * - Rescan, the keyboard checks, the filter/summary/config/export panels and a
+ *   jump to the first issue
+ *
+ * @author AFixt
+ * @version 1.0.1
+ */
+
+/**
+ * Display labels for result categories, in display order.
+ * @type {Object<string, string>}
+ */
+const CATEGORY_LABELS = {
+  images: 'Images',
+  forms: 'Forms',
+  links: 'Links',
+  structure: 'Structure',
+  multimedia: 'Multimedia',
+  navigation: 'Navigation',
+  typography: 'Typography'
+};
+
+/**
+ * How often to refresh the results while a scan is still running.
+ * @type {number}
+ */
+const SCAN_POLL_INTERVAL = 500;
+
+/**
+ * The tab the popup was opened for.
+ * @type {chrome.tabs.Tab|null}
+ */
+let currentTab = null;
+
+/**
+ * Gets the active tab of the current window.
+ * @async
+ * @returns {Promise<chrome.tabs.Tab|null>} The active tab, or null
+ */
+async function getActiveTab() {
+  try {
+    const tabs = await chrome.tabs.query({ active: true, currentWindow: true });
+    return Array.isArray(tabs) && tabs[0] && typeof tabs[0].id === 'number' ? tabs[0] : null;
+  } catch (error) {
+    console.error('Error querying tabs:', error);
+    return null;
+  }
+}
+
+/**
+ * Sends a message to the background service worker.
+ * @async
+ * @param {Object} message - The message
+ * @returns {Promise<*>} The response, or null if the background didn't answer
+ */
+async function sendToBackground(message) {
+  try {
+    return await chrome.runtime.sendMessage(message);
+  } catch (error) {
+    console.error('Error messaging background:', error);
+    return null;
+  }
+}
+
+/**
+ * Sends a message to the content script of the current tab.
+ * @async
+ * @param {Object} message - The message
+ * @param {Object} [options] - tabs.sendMessage options; by default only the top
+ *   frame, which collects the findings of all frames, receives the message
+ * @returns {Promise<*>} The response, or null if the page has no content script
+ */
+async function sendToTab(message, options = { frameId: 0 }) {
+  if (!currentTab) {
+    return null;
+  }
+
+  try {
+    return await chrome.tabs.sendMessage(currentTab.id, message, options);
+  } catch (error) {
+    // Browser pages and the Web Store don't run content scripts
+    console.warn('Could not reach the page:', error);
+    return null;
+  }
+}
+
+/**
+ * Formats a count with a singular or plural noun.
+ * @param {number} count - The count
+ * @param {string} noun - The singular noun
+ * @returns {string} E.g. '1 error' or '3 errors'
+ */
+function pluralize(count, noun) {
+  return `${count} ${noun}${count === 1 ? '' : 's'}`;
+}
+
+/**
+ * Renders the category table rows.
+ * @param {Object<string, {errors: number, warnings: number}>} categories - Counts by category
+ * @returns {void}
+ */
+function renderCategories(categories) {
+  const tbody = document.querySelector('#categories tbody');
+  tbody.textContent = '';
+
+  const keys = [
+    ...Object.keys(CATEGORY_LABELS),
+    ...Object.keys(categories).filter(key => !(key in CATEGORY_LABELS))
+  ].filter(key => categories[key]);
+
+  keys.forEach(key => {
+    const row = document.createElement('tr');
+    const name = document.createElement('th');
+    name.scope = 'row';
+    name.textContent = CATEGORY_LABELS[key] || key;
+    row.appendChild(name);
+
+    ['errors', 'warnings'].forEach(severity => {
+      const cell = document.createElement('td');
+      cell.className = 'count';
+      cell.textContent = String(categories[key][severity]);
+      row.appendChild(cell);
+    });
+
+    tbody.appendChild(row);
+  });
+}
+
+/**
+ * Renders the tab's state and scan summary.
+ * @param {{isEnabled: boolean}|null} state - The tab's state from the background
+ * @param {Object|null} summary - The scan summary from the content script
+ * @returns {void}
+ */
+function render(state, summary) {
+  const isEnabled = Boolean(state && state.isEnabled);
+  const isAvailable = summary !== null;
+  const toggle = document.getElementById('toggle');
+  const status = document.getElementById('status');
+  const results = document.getElementById('results');
+
+  toggle.textContent = isEnabled ? 'Disable highlighting' : 'Enable highlighting';
+  toggle.setAttribute('aria-pressed', String(isEnabled));
+  toggle.disabled = !currentTab;
+
+  if (!isAvailable) {
+    status.textContent = currentTab
+      ? 'Accessibility Highlighter cannot run on this page.'
+      : 'No active tab found.';
+  } else if (!isEnabled) {
+    status.textContent = 'Highlighting is off for this tab.';
+  } else if (summary.isScanning) {
+    status.textContent =
+      summary.coverage && summary.coverage.status === 'paused' ? 'Scan paused.' : 'Scanning…';
+  } else {
+    status.textContent =
+      summary.total === 0 ? 'No accessibility issues found.' : `${summary.total} issues found.`;
+
+    if (summary.scope) {
+      status.textContent += ` Only ${summary.scope.selector} was checked.`;
+    }
+
+    if (summary.baseline) {
+      const { name, newCount, fixedCount } = summary.baseline;
+      status.textContent += ` ${newCount} new and ${fixedCount} fixed since the baseline "${name}".`;
+    }
+
+    const coverage = summary.coverage;
+    if (coverage && (coverage.status === 'truncated' || coverage.status === 'cancelled')) {
+      const reason = coverage.status === 'truncated' ? 'reached its time limit' : 'was cancelled';
+      status.textContent += ` The scan ${reason} after checking ${coverage.percentage}% of the page, so results are partial.`;
+    }
+  }
+
+  results.hidden = !isAvailable || !isEnabled || summary.total === 0;
+  if (!results.hidden) {
+    document.getElementById('error-count').textContent = pluralize(summary.errors, 'error');
+    document.getElementById('warning-count').textContent = pluralize(summary.warnings, 'warning');
+    renderCategories(summary.categories);
+  }
+
+  document.querySelectorAll('[data-requires-enabled]').forEach(button => {
+    button.disabled = !isAvailable || !isEnabled;
+  });
+  document.querySelectorAll('[data-requires-results]').forEach(button => {
+    button.disabled = !isAvailable || !isEnabled || summary.total === 0;
+  });
+}
+
+/**
+ * Fetches the current tab's state and results and renders them, polling
+ * while a scan is in progress.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function refresh() {
+  const state = currentTab
+    ? await sendToBackground({ action: 'getTabState', tabId: currentTab.id })
+    : null;
+  const summary = await sendToTab({ action: 'getScanSummary' });
+
+  render(state, summary);
+
+  if (summary && summary.isScanning) {
+    setTimeout(refresh, SCAN_POLL_INTERVAL);
+  }
+}
+
+/**
+ * Sends a page action to the content script, then closes the popup so the
+ * page gets focus, which the panels and keyboard navigation need.
+ * @async
+ * @param {Object} message - The message for the content script
+ * @returns {Promise<void>}
+ */
+async function runPageAction(message) {
+  const response = await sendToTab(message);
+  if (response && response.success) {
+    window.close();
+  }
+}
+
+/**
+ * Wires up the popup controls and renders the initial state.
+ * @async
+ * @returns {Promise<void>}
+ */
+async function initializePopup() {
+  currentTab = await getActiveTab();
+
+  document.getElementById('toggle').addEventListener('click', async () => {
+    await sendToBackground({ action: 'toggleTab', tabId: currentTab.id });
+    refresh();
+  });
+
+  document.getElementById('rescan').addEventListener('click', async () => {
+    // Every frame rescans its whole page, ending any region scan
+    await sendToTab({ action: 'rescan' }, {});
+    refresh();
+  });
+
+  document.getElementById('keyboard-checks').addEventListener('click', async () => {
+    // Each frame tabs through its own page; the checks move focus, so they
+    // only run when asked for
+    await sendToTab({ action: 'runKeyboardChecks' }, {});
+    refresh();
+  });
+
+  document.getElementById('first-issue').addEventListener('click', () => {
+    runPageAction({ action: 'focusFirstIssue' });
+  });
+
+  document.querySelectorAll('[data-panel]').forEach(button => {
+    button.addEventListener('click', () => {
+      runPageAction({ action: 'openPanel', panel: button.dataset.panel });
+    });
+  });
+
+  await refresh();
+}
+
+document.addEventListener('DOMContentLoaded', initializePopup);
+
+// Export functions for testing (when in test environment)
+if (
+  typeof global !== 'undefined' &&
+  global.process &&
+  global.process.env &&
+  global.process.env.NODE_ENV === 'test'
+) {
+  global.initializePopup = initializePopup;
+  global.refresh = refresh;
+  global.render = render;
+}
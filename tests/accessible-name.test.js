@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Tests for the accessible name computation
+ *
+ * Tests the accname steps used by every label check, and that the
+ * computed name is carried on overlays, in LOGS and in exports.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Accessible Name', () => {
+  const nameOf = selector => global.computeAccessibleName(document.querySelector(selector));
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'inline',
+      visibility: element.style.visibility || 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('computeAccessibleName', () => {
+    test('should prefer aria-labelledby, then aria-label, then native labels', () => {
+      document.body.innerHTML = `
+        <span id="a">From</span><span id="b">reference</span>
+        <button id="one" aria-labelledby="a b" aria-label="Ignored">Content</button>
+        <button id="two" aria-label="Close dialog">X</button>
+        <label for="three">Email</label><input id="three" title="Ignored">`;
+
+      expect(nameOf('#one')).toBe('From reference');
+      expect(nameOf('#two')).toBe('Close dialog');
+      expect(nameOf('#three')).toBe('Email');
+    });
+
+    test('should use wrapping labels and embedded control values', () => {
+      document.body.innerHTML = `
+        <label>Quantity <input id="qty" type="number"></label>
+        <label>Remind me every <select id="freq"><option>week</option></select></label>
+        <input id="box" type="checkbox" aria-labelledby="lbl"><span id="lbl">Remind me every <select><option selected>day</option></select></span>`;
+
+      expect(nameOf('#qty')).toBe('Quantity');
+      expect(nameOf('#freq')).toBe('Remind me every');
+      expect(nameOf('#box')).toBe('Remind me every day');
+    });
+
+    test('should skip hidden content unless it is referenced directly', () => {
+      document.body.innerHTML = `
+        <button id="icon"><span aria-hidden="true">×</span></button>
+        <a id="link" href="/"><span style="display: none">Old</span>Home</a>
+        <span id="hidden-label" hidden>Settings</span>
+        <button id="ref" aria-labelledby="hidden-label"></button>`;
+
+      expect(nameOf('#icon')).toBe('');
+      expect(nameOf('#link')).toBe('Home');
+      expect(nameOf('#ref')).toBe('Settings');
+    });
+
+    test('should use alt text, legends, captions and button values', () => {
+      document.body.innerHTML = `
+        <a id="logo" href="/"><img src="logo.png" alt="Company home"></a>
+        <fieldset id="fs"><legend>Shipping</legend></fieldset>
+        <table id="tbl"><caption>Prices</caption></table>
+        <input id="submit" type="submit">
+        <input id="image" type="image" src="go.png">`;
+
+      expect(nameOf('#logo')).toBe('Company home');
+      expect(nameOf('#fs')).toBe('Shipping');
+      expect(nameOf('#tbl')).toBe('Prices');
+      expect(nameOf('#submit')).toBe('Submit');
+      expect(nameOf('#image')).toBe('');
+    });
+
+    test('should only take names from content for roles that allow it', () => {
+      document.body.innerHTML = `
+        <div id="generic">Some text</div>
+        <div id="tab" role="tab">Overview</div>
+        <div id="titled" title="Tooltip">Text</div>`;
+
+      expect(nameOf('#generic')).toBe('');
+      expect(nameOf('#tab')).toBe('Overview');
+      expect(nameOf('#titled')).toBe('Tooltip');
+    });
+
+    test('should separate block-level children with spaces', () => {
+      document.body.innerHTML =
+        '<a id="card" href="/"><div style="display: block">Title</div><div style="display: block">Subtitle</div></a>';
+
+      expect(nameOf('#card')).toBe('Title Subtitle');
+    });
+
+    test('should fall back to title and not to placeholder', () => {
+      document.body.innerHTML = `
+        <input id="titled" title="Search">
+        <input id="placeholder" placeholder="Search">`;
+
+      expect(nameOf('#titled')).toBe('Search');
+      expect(nameOf('#placeholder')).toBe('');
+    });
+  });
+
+  describe('Label checks', () => {
+    test('should accept labels the old checks missed', () => {
+      document.body.innerHTML = `
+        <label>Name <input id="wrapped"></label>
+        <input id="aria" aria-label="Search">
+        <input id="titled" title="Phone">`;
+      document.querySelectorAll('input').forEach(input => global.checkInputElement(input));
+
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should flag buttons whose only text is aria-hidden', () => {
+      document.body.innerHTML = '<button><span aria-hidden="true">×</span></button>';
+      global.checkButtonElement(document.querySelector('button'));
+
+      expect(global.LOGS[0].ruleId).toBe('button-missing-name');
+    });
+
+    test('should only count explicit labels when requireExplicitLabels is on', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        customRules: {
+          forms: { enabled: true, checkMissingLabels: true, requireExplicitLabels: true }
+        }
+      });
+      await global.loadCustomRules();
+      document.body.innerHTML = '<input aria-label="Search">';
+      global.checkInputElement(document.querySelector('input'));
+      global.resetCustomRules();
+
+      expect(global.LOGS[0].ruleId).toBe('form-field-missing-label');
+    });
+  });
+
+  describe('Overlays and exports', () => {
+    test('should carry the computed name on overlays, LOGS and exports', () => {
+      document.body.innerHTML = '<a href="#">Read more</a>';
+      global.checkLinkElement(document.querySelector('a'));
+
+      const overlayEl = global.getUIRoot().querySelector('.a11y-error');
+      expect(overlayEl.dataset.a11yname).toBe('Read more');
+      expect(overlayEl.title).toContain('Accessible name: "Read more"');
+      expect(global.LOGS[0].accessibleName).toBe('Read more');
+
+      const summary = global.analyzeLogs();
+      expect(JSON.parse(global.generateJSONReport(summary)).issues[0].accessibleName).toBe(
+        'Read more'
+      );
+      expect(global.generateTextReport(summary)).toContain('Accessible name: Read more');
+    });
+
+    test('should mark overlays of unnamed elements', () => {
+      document.body.innerHTML = '<button></button>';
+      global.checkButtonElement(document.querySelector('button'));
+
+      expect(global.getUIRoot().querySelector('.a11y-error').title).toContain(
+        'Accessible name: (none)'
+      );
+    });
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for ARIA ID reference validation
+ *
+ * Tests detection of references to missing, duplicated, hidden or empty
+ * elements, and that label checks no longer trust broken aria-labelledby.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('ARIA References', () => {
+  const ruleIds = () => global.LOGS.map(log => log.ruleId);
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('checkAriaReferences', () => {
+    test('should pass references that resolve to text', () => {
+      document.body.innerHTML = `
+        <span id="name">Search</span><span id="hint">Type a word</span>
+        <div id="results"></div>
+        <input aria-labelledby="name" aria-describedby="hint" aria-controls="results">`;
+      global.checkAriaReferences(document.querySelector('input'));
+
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should flag missing IDs and list them in the message', () => {
+      document.body.innerHTML = `
+        <span id="name">Search</span>
+        <input aria-labelledby="name missing" aria-controls="gone">`;
+      global.checkAriaReferences(document.querySelector('input'));
+
+      expect(ruleIds()).toEqual(['aria-reference-missing', 'aria-reference-missing']);
+      expect(global.LOGS[0].message).toBe(
+        'ARIA attribute references an ID that does not exist (aria-labelledby: missing)'
+      );
+      expect(global.LOGS[1].message).toContain('(aria-controls: gone)');
+    });
+
+    test('should flag naming references to hidden or empty elements', () => {
+      document.body.innerHTML = `
+        <span id="empty"> </span><span id="secret" hidden>Close</span><span id="help"></span>
+        <button aria-labelledby="empty secret" aria-describedby="help">X</button>`;
+      global.checkAriaReferences(document.querySelector('button'));
+
+      expect(ruleIds()).toEqual(['aria-reference-empty', 'aria-reference-empty']);
+      expect(global.LOGS[0]).toMatchObject({ level: 'error' });
+      expect(global.LOGS[1]).toMatchObject({ level: 'warning' });
+      expect(global.LOGS[1].message).toContain('(aria-describedby)');
+    });
+
+    test('should flag references to duplicated IDs', () => {
+      document.body.innerHTML = `
+        <span id="label">First</span><span id="label">Second</span>
+        <div role="region" aria-labelledby="label"></div>`;
+      global.checkAriaReferences(document.querySelector('[role="region"]'));
+
+      expect(ruleIds()).toEqual(['aria-reference-duplicate-id']);
+      expect(global.LOGS[0].level).toBe('warning');
+    });
+
+    test('should run for elements with any IDREF attribute when enabled', () => {
+      const rule = global.getRule('aria-references');
+      document.body.innerHTML = '<div aria-owns="list"></div>';
+
+      expect(global.isRuleEnabled(rule)).toBe(true);
+      expect(global.getApplicableRules(document.querySelector('div'))).toContain(rule);
+    });
+  });
+
+  describe('Label checks', () => {
+    test('should not accept a broken aria-labelledby as a button label', () => {
+      document.body.innerHTML = '<button aria-labelledby="nothing"></button>';
+      global.checkButtonElement(document.querySelector('button'));
+
+      expect(ruleIds()).toEqual(['button-missing-name']);
+    });
+
+    test('should accept a valid aria-labelledby as a link label', () => {
+      document.body.innerHTML =
+        '<span id="more">Pricing details</span><a href="/p" aria-labelledby="more"></a>';
+      global.checkLinkElement(document.querySelector('a'));
+
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should not accept an empty reference as a role=img label', () => {
+      document.body.innerHTML =
+        '<span id="caption"></span><div role="img" aria-labelledby="caption"></div>';
+      global.checkRoleBasedElement(document.querySelector('[role="img"]'), 'img');
+
+      expect(ruleIds()).toEqual(['role-img-missing-name']);
+    });
+  });
+});
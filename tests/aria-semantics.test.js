@@ -0,0 +1,340 @@
+/**
+ * @fileoverview Tests for the ARIA semantics checks
+ *
+ * Tests that roles and aria-* attributes are validated against the WAI-ARIA
+ * 1.2 role and attribute data: unknown and abstract roles, attributes a role
+ * doesn't support, invalid values, missing required states, roles outside
+ * their required parent or owning roles they cannot contain, and redundant
+ * roles when those are not allowed.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('ARIA Semantics', () => {
+  const ariaRules = {
+    enabled: true,
+    checkRoleBasedElements: true,
+    requireAriaLabels: false,
+    checkAriaReferences: true,
+    checkAriaSemantics: true,
+    allowRedundantRoles: true
+  };
+
+  /**
+   * Loads ARIA rules that differ from the defaults.
+   * @param {Object} changes - The changed ARIA rules
+   * @returns {Promise<void>}
+   */
+  const setAriaRules = async changes => {
+    chrome.storage.local.get.mockResolvedValueOnce({
+      customRules: { aria: { ...ariaRules, ...changes } }
+    });
+    await global.loadCustomRules();
+  };
+
+  /**
+   * Replaces the page content and scans it.
+   * @param {string} html - The new body content
+   * @returns {void}
+   */
+  const scanPage = html => {
+    global.toggleAccessibilityHighlight(false);
+    document.body.innerHTML = `<main><h1>Settings</h1>${html}</main>`;
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+  };
+
+  /**
+   * Gets the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {Object[]} The findings
+   */
+  const findingsOf = ruleId => global.LOGS.filter(finding => finding.ruleId === ruleId);
+
+  /**
+   * Gets the messages of the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {string[]} The messages
+   */
+  const messagesOf = ruleId => findingsOf(ruleId).map(finding => finding.message);
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+
+    // Give the page a language and title, which full scans check too
+    document.documentElement.lang = 'en';
+    document.title = 'Test page';
+    global.resetCustomRules();
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+  });
+
+  afterEach(() => {
+    global.toggleAccessibilityHighlight(false);
+    global.resetCustomRules();
+    jest.restoreAllMocks();
+  });
+
+  describe('roles', () => {
+    test('should flag unknown and abstract roles', () => {
+      scanPage(`
+        <div id="unknown" role="buton">Save</div>
+        <div id="abstract" role="widget">Tools</div>
+        <div id="fallback" role="toggle button" aria-pressed="false">Bold</div>
+        <div role="doc-abstract">Summary</div>
+        <div role="">Empty</div>`);
+
+      expect(findingsOf('aria-role-unknown')).toEqual([
+        expect.objectContaining({
+          selector: '#unknown',
+          level: 'error',
+          message: 'Unknown ARIA role "buton"',
+          wcag: '4.1.2'
+        })
+      ]);
+      expect(messagesOf('aria-role-abstract')).toEqual([
+        'Abstract ARIA role cannot be used on elements "widget"'
+      ]);
+    });
+
+    test('should know the implicit roles of HTML elements', () => {
+      document.body.innerHTML = `
+        <nav id="nav"></nav>
+        <ul id="list"><li id="item"></li></ul>
+        <header id="banner"></header>
+        <article><header id="article-header"></header></article>
+        <section id="section"></section>
+        <section id="region" aria-label="News"></section>
+        <input id="number" type="number">
+        <a id="anchor">Top</a>
+        <custom-element id="custom"></custom-element>`;
+      const role = id => global.getImplicitAriaRole(document.getElementById(id));
+
+      expect(
+        [
+          'nav',
+          'list',
+          'item',
+          'banner',
+          'article-header',
+          'section',
+          'region',
+          'number',
+          'anchor',
+          'custom'
+        ].map(role)
+      ).toEqual([
+        'navigation',
+        'list',
+        'listitem',
+        'banner',
+        '',
+        'generic',
+        'region',
+        'spinbutton',
+        'generic',
+        ''
+      ]);
+    });
+
+    test('should flag redundant roles only when they are not allowed', async () => {
+      const html = `
+        <nav id="nav" role="navigation"><a href="/">Home</a></nav>
+        <button id="button" role="button">Save</button>
+        <div role="navigation"><a href="/help">Help</a></div>`;
+      scanPage(html);
+      expect(findingsOf('aria-role-redundant')).toHaveLength(0);
+
+      await setAriaRules({ allowRedundantRoles: false });
+      scanPage(html);
+      expect(findingsOf('aria-role-redundant')).toEqual([
+        expect.objectContaining({
+          selector: '#nav',
+          level: 'warning',
+          message: 'Redundant ARIA role "navigation"'
+        }),
+        expect.objectContaining({ selector: '#button' })
+      ]);
+    });
+  });
+
+  describe('attributes', () => {
+    test('should flag unknown attributes and attributes the role does not support', () => {
+      scanPage(`
+        <button id="typo" aria-lable="Close">×</button>
+        <a id="link" href="/" aria-pressed="true">Home</a>
+        <div id="generic" aria-checked="true">Option</div>
+        <span id="named" aria-label="Note">i</span>
+        <div role="checkbox" aria-checked="false" aria-required="true" aria-label="Agree"></div>
+        <input type="checkbox" aria-label="Remember me" aria-checked="true">
+        <custom-element aria-expanded="false">Menu</custom-element>`);
+
+      expect(messagesOf('aria-attribute-unknown')).toEqual(['Unknown ARIA attribute (aria-lable)']);
+      expect(messagesOf('aria-attribute-not-allowed')).toEqual([
+        'ARIA attribute is not allowed on this role (aria-pressed on link)',
+        'ARIA attribute is not allowed on this role (aria-checked on generic)',
+        'ARIA attribute is not allowed on this role (aria-label on generic)'
+      ]);
+    });
+
+    test('should validate attribute values by type', () => {
+      [
+        ['aria-checked', 'mixed'],
+        ['aria-expanded', 'undefined'],
+        ['aria-hidden', 'TRUE'],
+        ['aria-level', '2'],
+        ['aria-valuenow', '-0.5'],
+        ['aria-valuenow', '1e3'],
+        ['aria-relevant', 'additions text'],
+        ['aria-current', 'page'],
+        ['aria-label', 'anything']
+      ].forEach(([name, value]) => expect(global.isValidAriaValue(name, value)).toBe(true));
+
+      [
+        ['aria-pressed', 'yes'],
+        ['aria-expanded', 'mixed'],
+        ['aria-level', '2.5'],
+        ['aria-valuenow', 'fifty'],
+        ['aria-relevant', 'additions everything'],
+        ['aria-live', 'rude']
+      ].forEach(([name, value]) => expect(global.isValidAriaValue(name, value)).toBe(false));
+    });
+
+    test('should flag invalid values but not empty ones', () => {
+      scanPage(`
+        <button id="toggle" aria-pressed="on">Bold</button>
+        <div aria-live="">Status</div>
+        <button aria-expanded="false">Menu</button>`);
+
+      expect(findingsOf('aria-attribute-invalid-value')).toEqual([
+        expect.objectContaining({
+          selector: '#toggle',
+          level: 'error',
+          message: 'Invalid ARIA attribute value (aria-pressed="on")'
+        })
+      ]);
+    });
+
+    test('should require the states of explicit roles unless the control is native', () => {
+      scanPage(`
+        <div id="checkbox" role="checkbox" tabindex="0">Agree</div>
+        <div id="slider" role="slider" tabindex="0" aria-label="Volume" aria-valuenow=" "></div>
+        <input type="checkbox" role="switch" aria-label="Dark mode">
+        <div role="combobox" aria-expanded="false" aria-label="Size"></div>`);
+
+      expect(findingsOf('aria-required-attribute-missing')).toEqual([
+        expect.objectContaining({
+          selector: '#checkbox',
+          level: 'error',
+          message:
+            'ARIA role is missing a required state or property (checkbox requires aria-checked)',
+          wcag: '4.1.2'
+        }),
+        expect.objectContaining({ selector: '#slider' })
+      ]);
+    });
+  });
+
+  describe('parents and children', () => {
+    test('should flag roles outside their required parent', () => {
+      scanPage(`
+        <div id="item" role="listitem">Orphan</div>
+        <nav><button id="tab" role="tab">Orphan</button></nav>
+        <ul role="list"><li role="listitem">Apples</li></ul>
+        <div role="tablist">
+          <div role="presentation"><button role="tab">One</button></div>
+        </div>
+        <div role="listbox" aria-label="Fruit" aria-owns="pear"></div>
+        <div id="pear" role="option">Pear</div>
+        <div role="menu"><div role="group"><div role="menuitem">Copy</div></div></div>`);
+
+      expect(findingsOf('aria-required-parent-missing')).toEqual([
+        expect.objectContaining({
+          selector: '#item',
+          level: 'error',
+          message:
+            'ARIA role is outside its required parent (listitem must be inside directory or list)',
+          wcag: '1.3.1'
+        }),
+        expect.objectContaining({
+          selector: '#tab',
+          message: 'ARIA role is outside its required parent (tab must be inside tablist)'
+        })
+      ]);
+    });
+
+    test('should flag containers that own roles they cannot contain', () => {
+      scanPage(`
+        <ul id="tabs" role="tablist">
+          <li><a role="tab" href="#one">One</a></li>
+        </ul>
+        <div id="menu" role="menu">
+          <div role="menuitem">Copy</div>
+          <button>Paste</button>
+          <div role="separator"></div>
+        </div>
+        <div role="list"><span><div role="listitem">Wrapped</div></span></div>
+        <div role="listbox" aria-label="Loading" aria-busy="true"><p>Loading…</p></div>
+        <div role="list"><p hidden>Nothing yet</p></div>`);
+
+      expect(findingsOf('aria-required-children-invalid')).toEqual([
+        expect.objectContaining({
+          selector: '#tabs',
+          level: 'error',
+          message: 'ARIA role owns elements it cannot contain (tablist cannot contain listitem)',
+          wcag: '1.3.1'
+        }),
+        expect.objectContaining({
+          selector: '#menu',
+          message: 'ARIA role owns elements it cannot contain (menu cannot contain button)'
+        })
+      ]);
+    });
+
+    test('should not check the structure of native elements', () => {
+      scanPage(`
+        <table role="presentation"><tr><td>Layout</td></tr></table>
+        <li>Stray item</li>`);
+
+      expect(findingsOf('aria-required-parent-missing')).toHaveLength(0);
+      expect(findingsOf('aria-required-children-invalid')).toHaveLength(0);
+    });
+  });
+
+  test('should turn the checks off', async () => {
+    await setAriaRules({ checkAriaSemantics: false });
+
+    scanPage(`
+      <div role="buton" aria-lable="Save">Save</div>
+      <div role="listitem" aria-pressed="on">Orphan</div>`);
+
+    expect(global.LOGS).toHaveLength(0);
+  });
+});
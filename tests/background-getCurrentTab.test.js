@@ -8,7 +8,10 @@
 // Mock Chrome APIs before importing background script
 global.chrome = {
   tabs: {
-    query: jest.fn()
+    query: jest.fn(),
+    onRemoved: {
+      addListener: jest.fn()
+    }
   },
   storage: {
     local: {
@@ -35,6 +38,12 @@ global.chrome = {
     onCommand: {
       addListener: jest.fn()
     }
+  },
+  contextMenus: {
+    create: jest.fn(),
+    onClicked: {
+      addListener: jest.fn()
+    }
   }
 };
 
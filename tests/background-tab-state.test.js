@@ -0,0 +1,274 @@
+/**
+ * @fileoverview Tests for per-tab state and badge counts in background.js
+ *
+ * Tests that the enabled state is tracked per tab, cleared when tabs close,
+ * that scan results reported by content scripts drive the tab's badge, and
+ * that messages are relayed between the frames of a tab.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// In-memory session storage
+let sessionData = {};
+
+// Mock Chrome APIs before importing background script
+global.chrome = {
+  tabs: {
+    query: jest.fn(),
+    sendMessage: jest.fn(),
+    onRemoved: { addListener: jest.fn() }
+  },
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue()
+    },
+    session: {
+      get: jest.fn(async keys => {
+        const result = {};
+        keys.forEach(key => {
+          if (key in sessionData) {
+            result[key] = JSON.parse(JSON.stringify(sessionData[key]));
+          }
+        });
+        return result;
+      }),
+      set: jest.fn(async items => {
+        Object.assign(sessionData, JSON.parse(JSON.stringify(items)));
+      }),
+      remove: jest.fn(async key => {
+        delete sessionData[key];
+      })
+    }
+  },
+  action: {
+    onClicked: { addListener: jest.fn() },
+    setIcon: jest.fn(),
+    setTitle: jest.fn(),
+    setBadgeText: jest.fn(),
+    setBadgeBackgroundColor: jest.fn()
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    onInstalled: { addListener: jest.fn() },
+    lastError: null
+  },
+  commands: {
+    onCommand: { addListener: jest.fn() }
+  },
+  contextMenus: {
+    create: jest.fn(),
+    onClicked: { addListener: jest.fn() }
+  }
+};
+
+// Import background script after mocking
+require('../src/background.js');
+
+describe('Background Script - Per-tab State', () => {
+  const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+  const onRemoved = chrome.tabs.onRemoved.addListener.mock.calls[0][0];
+  const onInstalled = chrome.runtime.onInstalled.addListener.mock.calls[0][0];
+  const onMenuClicked = chrome.contextMenus.onClicked.addListener.mock.calls[0][0];
+
+  /**
+   * Sends a message as if from a content script and resolves with the response.
+   * @param {Object} message - The message
+   * @param {number} tabId - The sending tab's ID
+   * @returns {Promise<*>} The response
+   */
+  const sendFromTab = (message, tabId) =>
+    new Promise(resolve => {
+      onMessage(message, { tab: { id: tabId } }, resolve);
+    });
+
+  beforeEach(() => {
+    sessionData = {};
+    jest.clearAllMocks();
+  });
+
+  test('should start tabs disabled', async () => {
+    await expect(global.getTabState(1)).resolves.toEqual({
+      isEnabled: false,
+      errors: 0,
+      warnings: 0
+    });
+  });
+
+  test('should toggle only the clicked tab', async () => {
+    await global.toggleAccessibilityState({ id: 1 });
+
+    expect((await global.getTabState(1)).isEnabled).toBe(true);
+    expect((await global.getTabState(2)).isEnabled).toBe(false);
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      1,
+      { action: 'toggleAccessibilityHighlight', isEnabled: true },
+      expect.any(Function)
+    );
+    expect(chrome.action.setIcon).toHaveBeenCalledWith(expect.objectContaining({ tabId: 1 }));
+  });
+
+  test('should answer content scripts asking for their tab state', async () => {
+    await global.setTabState(5, { isEnabled: true });
+
+    await expect(sendFromTab({ action: 'getTabState' }, 5)).resolves.toEqual({
+      isEnabled: true,
+      errors: 0,
+      warnings: 0
+    });
+    await expect(sendFromTab({ action: 'getTabState' }, 6)).resolves.toMatchObject({
+      isEnabled: false
+    });
+  });
+
+  test('should toggle the tab named by the popup', async () => {
+    const state = await new Promise(resolve => {
+      onMessage({ action: 'toggleTab', tabId: 8 }, {}, resolve);
+    });
+
+    expect(state).toEqual({ isEnabled: true, errors: 0, warnings: 0 });
+    expect((await global.getTabState(8)).isEnabled).toBe(true);
+  });
+
+  test('should ignore scan results that do not come from a tab', async () => {
+    await global.setTabState(4, { isEnabled: true });
+    onMessage({ action: 'scanResults', tabId: 4, errors: 2, warnings: 0 }, {}, jest.fn());
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect((await global.getTabState(4)).errors).toBe(0);
+  });
+
+  test('should show the error count of the tab in red', async () => {
+    await global.setTabState(3, { isEnabled: true });
+    await sendFromTab({ action: 'scanResults', errors: 7, warnings: 2 }, 3);
+
+    expect(await global.getTabState(3)).toEqual({ isEnabled: true, errors: 7, warnings: 2 });
+    expect(chrome.action.setBadgeText).toHaveBeenLastCalledWith({ tabId: 3, text: '7' });
+    expect(chrome.action.setBadgeBackgroundColor).toHaveBeenLastCalledWith({
+      tabId: 3,
+      color: '#dc3545'
+    });
+  });
+
+  test('should ignore scan results from disabled tabs', async () => {
+    await sendFromTab({ action: 'scanResults', errors: 4, warnings: 0 }, 3);
+
+    expect((await global.getTabState(3)).errors).toBe(0);
+    expect(chrome.action.setBadgeText).not.toHaveBeenCalled();
+  });
+
+  test('should only take scan results from the top frame', async () => {
+    await global.setTabState(3, { isEnabled: true });
+    onMessage(
+      { action: 'scanResults', errors: 5, warnings: 0 },
+      { tab: { id: 3 }, frameId: 2 },
+      jest.fn()
+    );
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect((await global.getTabState(3)).errors).toBe(0);
+  });
+
+  test('should relay messages between the frames of a tab', () => {
+    const findings = [{ id: 0, level: 'error' }];
+    onMessage(
+      { action: 'frameMessage', frameId: 0, message: { action: 'frameFindings', findings } },
+      { tab: { id: 3 }, frameId: 5, url: 'https://pay.example.com/checkout' },
+      jest.fn()
+    );
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      3,
+      {
+        action: 'frameFindings',
+        findings,
+        sourceFrameId: 5,
+        sourceUrl: 'https://pay.example.com/checkout'
+      },
+      { frameId: 0 },
+      expect.any(Function)
+    );
+
+    onMessage(
+      { action: 'frameMessage', frameId: 'top', message: {} },
+      { tab: { id: 3 } },
+      jest.fn()
+    );
+    onMessage({ action: 'frameMessage', frameId: 0, message: {} }, {}, jest.fn());
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledTimes(1);
+  });
+
+  test('should scan the element the context menu was opened on', async () => {
+    onInstalled();
+    expect(chrome.contextMenus.create).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'check-element' })
+    );
+
+    onMenuClicked({ menuItemId: 'check-element', frameId: 4 }, { id: 6 });
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(await global.getTabState(6)).toEqual({ isEnabled: true, errors: 0, warnings: 0 });
+    // Every frame clears its findings, then the clicked frame scans the element
+    expect(chrome.tabs.sendMessage.mock.calls.map(call => call.slice(0, -1))).toEqual([
+      [6, { action: 'toggleAccessibilityHighlight', isEnabled: false }],
+      [6, { action: 'scanRegion' }, { frameId: 4 }]
+    ]);
+  });
+
+  test('should rescan every frame of the tab for a content script', () => {
+    onMessage({ action: 'rescanTab' }, { tab: { id: 3 }, frameId: 0 }, jest.fn());
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      3,
+      { action: 'rescan' },
+      expect.any(Function)
+    );
+  });
+
+  test('should clear the state of closed tabs', async () => {
+    await global.setTabState(9, { isEnabled: true, errors: 1 });
+    onRemoved(9);
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(sessionData).toEqual({});
+  });
+
+  test('should not lose results reported by several tabs at once', async () => {
+    await Promise.all([
+      global.setTabState(1, { isEnabled: true }),
+      global.setTabState(2, { isEnabled: true })
+    ]);
+    await Promise.all([
+      sendFromTab({ action: 'scanResults', errors: 3, warnings: 1 }, 1),
+      sendFromTab({ action: 'scanResults', errors: 5, warnings: 0 }, 2)
+    ]);
+
+    expect(await global.getTabState(1)).toEqual({ isEnabled: true, errors: 3, warnings: 1 });
+    expect(await global.getTabState(2)).toEqual({ isEnabled: true, errors: 5, warnings: 0 });
+  });
+
+  describe('getBadgeForState', () => {
+    test.each([
+      [
+        { isEnabled: false, errors: 3, warnings: 0 },
+        { text: '', color: '#28a745' }
+      ],
+      [
+        { isEnabled: true, errors: 1200, warnings: 0 },
+        { text: '999+', color: '#dc3545' }
+      ],
+      [
+        { isEnabled: true, errors: 0, warnings: 4 },
+        { text: '4', color: '#b35900' }
+      ],
+      [
+        { isEnabled: true, errors: 0, warnings: 0 },
+        { text: '0', color: '#28a745' }
+      ]
+    ])('should map %o to %o', (state, badge) => {
+      expect(global.getBadgeForState(state)).toEqual(badge);
+    });
+  });
+});
@@ -0,0 +1,342 @@
+/**
+ * @fileoverview Tests for baselines
+ *
+ * Tests that the findings of a page can be saved as a named baseline, that
+ * later scans are compared with it by fingerprint to tell new, fixed and
+ * unchanged issues apart, that new issues are marked on their overlays in
+ * every frame, and that the comparison can be exported.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+/**
+ * Contents of the mocked chrome.storage.local.
+ * @type {Object}
+ */
+let storedItems = {};
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn(async keys =>
+        Object.fromEntries(
+          keys.filter(key => key in storedItems).map(key => [key, storedItems[key]])
+        )
+      ),
+      set: jest.fn(async items => {
+        Object.assign(storedItems, items);
+      })
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Baselines', () => {
+  const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+  /**
+   * Lets pending storage reads and writes finish.
+   * @returns {Promise<void>}
+   */
+  const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+  /**
+   * Clears the findings, replaces the page content and scans it.
+   * @param {string} html - The new body content
+   * @returns {Promise<void>}
+   */
+  const scanPage = async html => {
+    global.toggleAccessibilityHighlight(false);
+    document.body.innerHTML = html;
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    await flush();
+  };
+
+  /**
+   * Gets the selectors of a list of findings.
+   * @param {Object[]} findings - The findings
+   * @returns {string[]} The selectors
+   */
+  const selectors = findings => findings.map(finding => finding.selector);
+
+  /**
+   * Gets the overlays marked as new.
+   * @returns {HTMLElement[]} The overlays
+   */
+  const newOverlays = () => Array.from(global.getUIRoot().querySelectorAll('.a11y-new'));
+
+  const releasedPage = `
+    <main>
+      <h1>Shop</h1>
+      <img src="logo.png">
+      <button></button>
+    </main>`;
+
+  beforeEach(async () => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+
+    // Give the page a language and title, which full scans check too
+    document.documentElement.lang = 'en';
+    document.title = 'Test page';
+    storedItems = {};
+    chrome.runtime.sendMessage.mockClear();
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+
+    await global.deleteBaseline();
+    await scanPage(releasedPage);
+  });
+
+  afterEach(() => {
+    global.toggleAccessibilityHighlight(false);
+    jest.restoreAllMocks();
+  });
+
+  test('should save the findings as a named baseline of the page URL', async () => {
+    jest.useFakeTimers({ doNotFake: ['setTimeout'] });
+    jest.setSystemTime(new Date('2026-10-01T12:00:00Z'));
+    expect(await global.saveBaseline('  Release 2.3 ')).toBeNull();
+    jest.useRealTimers();
+
+    const baseline = storedItems.baselines['http://localhost/'];
+    expect(baseline).toMatchObject({
+      name: 'Release 2.3',
+      url: 'http://localhost/',
+      savedAt: '2026-10-01T12:00:00.000Z'
+    });
+    expect(baseline.findings).toEqual([
+      expect.objectContaining({
+        ruleId: 'img-missing-alt',
+        selector: 'html > body > main > img',
+        snippet: '<img src="logo.png">',
+        fingerprint: 'img-missing-alt|html > body > main > img|<img src="logo.png">'
+      }),
+      expect.objectContaining({ ruleId: 'button-missing-name' })
+    ]);
+  });
+
+  test('should tell new, fixed and unchanged issues apart', async () => {
+    await global.saveBaseline('Release 2.3');
+
+    await scanPage(`
+      <main>
+        <h1>Shop</h1>
+        <img src="logo.png">
+        <button>Buy</button>
+        <a href="/cart"></a>
+      </main>`);
+
+    const diff = global.getBaselineDiff();
+    expect(selectors(diff.newFindings)).toEqual(['html > body > main > a']);
+    expect(selectors(diff.unchangedFindings)).toEqual(['html > body > main > img']);
+    expect(diff.fixedFindings.map(entry => entry.ruleId)).toEqual(['button-missing-name']);
+    expect(global.getScanSummary().baseline).toEqual({
+      name: 'Release 2.3',
+      newCount: 1,
+      fixedCount: 1
+    });
+    expect(global.getFindings().map(finding => finding.baselineStatus)).toEqual([
+      'unchanged',
+      'new'
+    ]);
+  });
+
+  test('should mark the overlays of new issues', async () => {
+    await global.saveBaseline('Release 2.3');
+    expect(newOverlays()).toHaveLength(0);
+
+    await scanPage(`${releasedPage}<img src="promo.png">`);
+
+    const [newOverlay] = newOverlays();
+    expect(newOverlays()).toHaveLength(1);
+    expect(global.LOGS[Number(newOverlay.dataset.a11yindex)].selector).toBe('html > body > img');
+    expect(newOverlay.dataset.a11ybaseline).toBe('new');
+    expect(newOverlay.style.boxShadow).toBe('0 0 0 3px #6f42c1');
+    expect(global.getUIRoot().querySelectorAll('[data-a11ybaseline="unchanged"]')).toHaveLength(2);
+
+    await global.deleteBaseline();
+    expect(newOverlays()).toHaveLength(0);
+    expect(global.getUIRoot().querySelector('[data-a11ybaseline]')).toBeNull();
+    expect(storedItems.baselines).toEqual({});
+  });
+
+  test('should match issues whose position among their siblings changed', async () => {
+    await global.saveBaseline('Release 2.3');
+
+    await scanPage(`
+      <main>
+        <h1>Shop</h1>
+        <img src="banner.png">
+        <img src="logo.png">
+        <button></button>
+      </main>`);
+
+    const diff = global.getBaselineDiff();
+    expect(selectors(diff.newFindings)).toEqual(['html > body > main > img:nth-of-type(1)']);
+    expect(diff.unchangedFindings).toHaveLength(2);
+    expect(diff.fixedFindings).toHaveLength(0);
+  });
+
+  test('should count repeated issues once per occurrence', async () => {
+    await scanPage('<main><h1>Shop</h1><ul><li><button></button></li></ul></main>');
+    await global.saveBaseline('One item');
+
+    await scanPage(
+      '<main><h1>Shop</h1><ul><li><button></button></li><li><button></button></li></ul></main>'
+    );
+
+    const diff = global.getBaselineDiff();
+    expect(diff.unchangedFindings).toHaveLength(1);
+    expect(diff.newFindings).toHaveLength(1);
+  });
+
+  test('should explain baselines that cannot be saved', async () => {
+    expect(await global.saveBaseline(' ')).toBe('Enter a name for the baseline.');
+
+    global.toggleAccessibilityHighlight(false);
+    global.resetThrottle();
+    global.runAccessibilityChecks();
+    expect(await global.saveBaseline('Release 2.3')).toBe(
+      'Wait for the scan to finish before saving a baseline.'
+    );
+    expect(storedItems.baselines).toEqual({});
+  });
+
+  test('should only compare with the baseline of the same page', async () => {
+    storedItems.baselines = {
+      'http://localhost/other': { name: 'Other page', url: 'http://localhost/other', findings: [] }
+    };
+    await global.loadBaseline();
+    expect(global.getBaselineDiff()).toBeNull();
+
+    storedItems.baselines['http://localhost/'] = {
+      name: 'Saved in another tab',
+      url: 'http://localhost/',
+      savedAt: '2026-10-01T12:00:00.000Z',
+      findings: []
+    };
+    await scanPage(releasedPage);
+    expect(global.getBaselineDiff().baseline.name).toBe('Saved in another tab');
+    expect(newOverlays()).toHaveLength(2);
+  });
+
+  test('should mark new issues in child frames', async () => {
+    await global.saveBaseline('Release 2.3');
+    const childFinding = {
+      id: 0,
+      ruleId: 'img-missing-alt',
+      level: 'error',
+      message: 'img does not have an alt attribute',
+      category: 'images',
+      selector: 'html > body > img',
+      html: '<img src="card.png">',
+      frameUrl: 'https://pay.example.com/'
+    };
+    chrome.runtime.sendMessage.mockClear();
+
+    onMessage(
+      { action: 'frameFindings', findings: [childFinding], sourceFrameId: 4, sourceUrl: 'x' },
+      {},
+      jest.fn()
+    );
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith(
+      {
+        action: 'frameMessage',
+        frameId: 4,
+        message: { action: 'markNewFindings', ids: [0] }
+      },
+      expect.any(Function)
+    );
+
+    // A child frame marks the overlays it was told about
+    onMessage({ action: 'markNewFindings', ids: [1] }, {}, jest.fn());
+    expect(newOverlays().map(overlay => overlay.dataset.a11yindex)).toEqual(['1']);
+  });
+
+  test('should export the comparison', async () => {
+    await global.saveBaseline('Release 2.3');
+    await scanPage(`
+      <main>
+        <h1>Shop</h1>
+        <img src="logo.png">
+        <a href="/cart"></a>
+      </main>`);
+
+    const report = JSON.parse(global.generateBaselineDiffJSON());
+    expect(report.metadata.baseline.name).toBe('Release 2.3');
+    expect(report.summary).toEqual({ newCount: 1, fixedCount: 1, unchangedCount: 1 });
+    expect(report.new[0]).toMatchObject({
+      ruleId: 'link-missing-name',
+      selector: 'html > body > main > a'
+    });
+    expect(report.fixed[0].ruleId).toBe('button-missing-name');
+
+    const text = global.generateBaselineDiffText();
+    expect(text).toContain('New Issues: 1\nFixed Issues: 1\nUnchanged Issues: 1');
+    expect(text).toContain('NEW ISSUES\n----------\n1. [ERROR] Link without inner text');
+    expect(text).toContain('FIXED ISSUES\n------------\n1. [ERROR] Button without');
+
+    global.openPanel('export');
+    expect(global.getUIRoot().querySelector('#export-diff-txt')).not.toBeNull();
+  });
+
+  test('should only offer the comparison for export with a baseline', () => {
+    global.openPanel('export');
+
+    expect(global.getUIRoot().querySelector('#export-diff-json')).toBeNull();
+    expect(() => global.generateBaselineDiffText()).toThrow('No baseline saved for this page');
+  });
+
+  test('should save and delete the baseline from the baseline panel', async () => {
+    global.openPanel('baseline');
+    let panel = global.getUIRoot().querySelector('.a11y-baseline-panel');
+    expect(panel.querySelector('.a11y-baseline-status').textContent).toBe(
+      'No baseline is saved for this page.'
+    );
+
+    panel.querySelector('form').requestSubmit();
+    await flush();
+    expect(panel.querySelector('[role="alert"]').textContent).toBe(
+      'Enter a name for the baseline.'
+    );
+
+    panel.querySelector('#a11y-baseline-name').value = 'Release 2.3';
+    panel.querySelector('form').requestSubmit();
+    await flush();
+
+    panel = global.getUIRoot().querySelector('.a11y-baseline-panel');
+    expect(panel.querySelector('.a11y-baseline-status').textContent).toMatch(
+      /^Comparing with "Release 2\.3", saved .+: 0 new, 0 fixed, 2 unchanged\.$/
+    );
+
+    const deleteButton = Array.from(panel.querySelectorAll('button')).find(
+      button => button.textContent === 'Delete baseline'
+    );
+    deleteButton.click();
+    await flush();
+
+    expect(storedItems.baselines).toEqual({});
+    expect(
+      global.getUIRoot().querySelector('.a11y-baseline-panel .a11y-baseline-status').textContent
+    ).toBe('No baseline is saved for this page.');
+  });
+});
@@ -0,0 +1,263 @@
+/**
+ * @fileoverview Tests for the color contrast check
+ *
+ * Tests color parsing, contrast ratio calculation, background resolution
+ * through ancestors and opacity, large text thresholds and the
+ * text (1.4.3) and form control border (1.4.11) checks.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Color Contrast', () => {
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    // JSDOM doesn't cascade styles, so resolve them from inline styles
+    window.getComputedStyle = jest.fn(element => ({
+      display: 'block',
+      visibility: 'visible',
+      opacity: element.style.opacity || '1',
+      color: element.style.color || 'rgb(0, 0, 0)',
+      backgroundColor: element.style.backgroundColor || 'rgba(0, 0, 0, 0)',
+      backgroundImage: element.style.backgroundImage || 'none',
+      fontSize: element.style.fontSize || '16px',
+      fontWeight: element.style.fontWeight || '400',
+      borderTopWidth: element.style.borderTopWidth || '0px',
+      borderTopStyle: element.style.borderTopStyle || 'none',
+      borderTopColor: element.style.borderTopColor || 'rgb(0, 0, 0)'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('parseColor', () => {
+    test.each([
+      ['rgb(255, 0, 0)', { r: 255, g: 0, b: 0, a: 1 }],
+      ['rgba(0, 0, 255, 0.5)', { r: 0, g: 0, b: 255, a: 0.5 }],
+      ['rgb(0 128 0 / 25%)', { r: 0, g: 128, b: 0, a: 0.25 }],
+      ['#fff', { r: 255, g: 255, b: 255, a: 1 }],
+      ['#00000080', { r: 0, g: 0, b: 0, a: 128 / 255 }],
+      ['transparent', { r: 0, g: 0, b: 0, a: 0 }]
+    ])('should parse %s', (value, expected) => {
+      expect(global.parseColor(value)).toEqual(expected);
+    });
+
+    test('should return null for values it cannot resolve', () => {
+      expect(global.parseColor('currentcolor')).toBeNull();
+      expect(global.parseColor('')).toBeNull();
+    });
+  });
+
+  describe('getContrastRatio', () => {
+    test('should match the WCAG reference values', () => {
+      const black = { r: 0, g: 0, b: 0, a: 1 };
+      const white = { r: 255, g: 255, b: 255, a: 1 };
+      const grey = { r: 118, g: 118, b: 118, a: 1 };
+
+      expect(global.getContrastRatio(black, white)).toBeCloseTo(21, 5);
+      expect(global.getContrastRatio(white, white)).toBe(1);
+      expect(global.getContrastRatio(grey, white)).toBeCloseTo(4.54, 2);
+    });
+  });
+
+  describe('getEffectiveBackgroundColor', () => {
+    test('should use the nearest opaque ancestor background', () => {
+      document.body.innerHTML =
+        '<div style="background-color: rgb(0, 0, 0)"><section><p>Text</p></section></div>';
+
+      expect(global.getEffectiveBackgroundColor(document.querySelector('p'))).toEqual({
+        r: 0,
+        g: 0,
+        b: 0,
+        a: 1
+      });
+    });
+
+    test('should composite translucent backgrounds and opacity over white', () => {
+      document.body.innerHTML =
+        '<div style="background-color: rgba(0, 0, 0, 0.5)"><p>A</p></div>' +
+        '<div style="background-color: rgb(0, 0, 0); opacity: 0.5"><p>B</p></div>';
+      const [first, second] = document.querySelectorAll('p');
+
+      expect(global.getEffectiveBackgroundColor(first).r).toBeCloseTo(127.5);
+      expect(global.getEffectiveBackgroundColor(second).r).toBeCloseTo(127.5);
+    });
+
+    test('should read the style of shared ancestors only once', () => {
+      document.body.innerHTML = `<section>${'<p>Text</p>'.repeat(5)}</section>`;
+      const section = document.querySelector('section');
+      document.querySelectorAll('p').forEach(p => global.getEffectiveBackgroundColor(p));
+      global.getEffectiveOpacity(section);
+
+      expect(window.getComputedStyle.mock.calls.filter(([node]) => node === section)).toHaveLength(
+        1
+      );
+    });
+
+    test('should give up when a background image is behind the element', () => {
+      document.body.innerHTML = '<div style="background-image: url(hero.jpg)"><p>Text</p></div>';
+
+      expect(global.getEffectiveBackgroundColor(document.querySelector('p'))).toBeNull();
+    });
+  });
+
+  describe('isLargeText', () => {
+    test('should apply the 18pt and 14pt bold thresholds', () => {
+      expect(global.isLargeText({ fontSize: '24px', fontWeight: '400' })).toBe(true);
+      expect(global.isLargeText({ fontSize: '19px', fontWeight: 'bold' })).toBe(true);
+      expect(global.isLargeText({ fontSize: '19px', fontWeight: '400' })).toBe(false);
+      expect(global.isLargeText({ fontSize: '16px', fontWeight: '700' })).toBe(false);
+    });
+  });
+
+  describe('checkElementContrast', () => {
+    test('should flag low-contrast text with the measured ratio', () => {
+      document.body.innerHTML = '<p style="color: rgb(153, 153, 153)">Light grey</p>';
+      global.checkElementContrast(document.querySelector('p'));
+
+      expect(global.LOGS).toHaveLength(1);
+      expect(global.LOGS[0]).toMatchObject({
+        level: 'error',
+        ruleId: 'text-low-contrast',
+        wcag: '1.4.3',
+        message: 'Text color contrast is too low (2.84:1, needs 4.5:1)'
+      });
+    });
+
+    test('should apply the large text threshold', () => {
+      document.body.innerHTML =
+        '<h1 style="color: rgb(128, 128, 128); font-size: 32px">Large grey</h1>';
+      global.checkElementContrast(document.querySelector('h1'));
+
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should account for text opacity', () => {
+      document.body.innerHTML = '<p style="opacity: 0.3">Faded</p>';
+      global.checkElementContrast(document.querySelector('p'));
+
+      expect(global.LOGS[0].message).toContain('needs 4.5:1');
+    });
+
+    test('should only check elements that contain text themselves', () => {
+      document.body.innerHTML =
+        '<div style="color: rgb(250, 250, 250)"><span style="color: rgb(0, 0, 0)">Dark</span></div>';
+      global.checkElementContrast(document.querySelector('div'));
+
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should flag form control borders below 3:1', () => {
+      document.body.innerHTML =
+        '<input style="border-top-width: 1px; border-top-style: solid; border-top-color: rgb(221, 221, 221)">' +
+        '<input style="border-top-width: 1px; border-top-style: solid; border-top-color: rgb(118, 118, 118)">';
+      document.querySelectorAll('input').forEach(input => global.checkElementContrast(input));
+
+      expect(global.LOGS).toHaveLength(1);
+      expect(global.LOGS[0]).toMatchObject({ ruleId: 'control-low-contrast', wcag: '1.4.11' });
+      expect(global.LOGS[0].message).toContain('needs 3:1');
+    });
+  });
+
+  describe('Scan integration', () => {
+    /**
+     * Loads typography and general rules that differ from the defaults.
+     * @param {Object} typography - The changed typography rules
+     * @param {Object} [general] - The changed general rules
+     * @returns {Promise<void>}
+     */
+    const setRules = async (typography, general = {}) => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        customRules: {
+          typography: {
+            enabled: true,
+            checkFontSize: true,
+            checkColorContrast: false,
+            ...typography
+          },
+          general: { enabled: true, ...general }
+        }
+      });
+      await global.loadCustomRules();
+    };
+
+    beforeEach(() => {
+      document.body.innerHTML =
+        '<main><p style="color: rgb(153, 153, 153)">Light grey</p>' +
+        '<p style="color: rgb(153, 153, 153); font-size: 10px">Small</p></main>';
+    });
+
+    afterEach(() => {
+      global.resetCustomRules();
+    });
+
+    /**
+     * Runs the element rules over every element of the page.
+     * @returns {string[]} The rule IDs of the findings
+     */
+    const scanRuleIds = () => {
+      global.LOGS.length = 0;
+      document.querySelectorAll('main *').forEach(node => global.runElementRules(node));
+      return global.LOGS.map(finding => finding.ruleId);
+    };
+
+    test('should be off by default', () => {
+      global.resetCustomRules();
+
+      expect(scanRuleIds()).toEqual(['text-small-font']);
+    });
+
+    test('should run as its own rule when turned on', async () => {
+      await setRules({ checkColorContrast: true });
+      const ids = scanRuleIds();
+
+      expect(ids).toEqual(['text-low-contrast', 'text-small-font', 'text-low-contrast']);
+      expect(global.getRule('color-contrast')).toMatchObject({
+        category: 'typography',
+        toggle: 'typography.checkColorContrast'
+      });
+      expect(global.LOGS[0].category).toBe('typography');
+
+      await setRules({ checkColorContrast: true, checkFontSize: false });
+      expect(scanRuleIds()).toEqual(['text-low-contrast', 'text-low-contrast']);
+
+      await setRules({ checkColorContrast: false });
+      expect(scanRuleIds()).toEqual(['text-small-font']);
+    });
+
+    test('should honour general.checkColorContrast', async () => {
+      await setRules({}, { checkColorContrast: true });
+      expect(scanRuleIds()).toContain('text-low-contrast');
+
+      await setRules({ enabled: false }, { checkColorContrast: true });
+      expect(scanRuleIds()).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * @fileoverview Tests that the configuration copies stay in sync
+ *
+ * The content script is a classic script and can't import src/modules/config.js,
+ * so it keeps its own copy of the default rules, filters and scan scheduler
+ * settings. These tests fail when one copy changes without the other.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+const {
+  DEFAULT_CUSTOM_RULES,
+  DEFAULT_FILTERS,
+  INCREMENTAL_CONFIG
+} = require('../src/modules/config.js');
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Configuration copies', () => {
+  test('should have the same default rules', () => {
+    expect(global.DEFAULT_CUSTOM_RULES).toEqual(DEFAULT_CUSTOM_RULES);
+  });
+
+  test('should have the same default filters', () => {
+    expect(global.CURRENT_FILTERS).toEqual(DEFAULT_FILTERS);
+  });
+
+  test('should have the same scan scheduler settings', () => {
+    expect(global.INCREMENTAL_CONFIG).toEqual(INCREMENTAL_CONFIG);
+  });
+});
@@ -0,0 +1,249 @@
+/**
+ * @fileoverview Tests for the DevTools panel
+ *
+ * Tests the findings the content script exposes to the panel, and the
+ * panel's sorting, search, element inspection and live updates.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  },
+  devtools: {
+    inspectedWindow: { tabId: 7, eval: jest.fn() },
+    network: { onNavigated: { addListener: jest.fn() } }
+  }
+};
+
+// Import the content script and the panel
+require('../src/contentScript.js');
+const panelHtml = require('../src/panel.html');
+require('../src/panel.js');
+
+describe('DevTools Panel', () => {
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Content script findings', () => {
+    test('should build selectors anchored at unique IDs', () => {
+      document.body.innerHTML = `
+        <main id="main"><ul><li>A</li></ul><ul><li>B</li><li id="c">C</li><li>D</li></ul></main>
+        <p>Text <img src="a.png"></p>
+        <div id="x y"><span>One</span></div><div id="dup"></div><div id="dup"><a>Link</a></div>`;
+
+      const selectorOf = element => global.getElementSelector(element);
+      const items = document.querySelectorAll('li');
+
+      expect(selectorOf(items[3])).toBe('#main > ul:nth-of-type(2) > li:nth-of-type(3)');
+      expect(selectorOf(items[2])).toBe('#c');
+      expect(selectorOf(document.querySelector('img'))).toBe('html > body > p > img');
+      expect(selectorOf(document.querySelector('span'))).toBe('div[id="x y"] > span');
+      expect(selectorOf(document.querySelector('a'))).toBe('html > body > div:nth-of-type(3) > a');
+
+      document.querySelectorAll('li, img, span, a').forEach(element => {
+        expect(document.querySelector(selectorOf(element))).toBe(element);
+      });
+    });
+
+    test('should expose findings with their id and selector', () => {
+      document.body.innerHTML = '<img id="logo" src="logo.png"><button></button>';
+      global.checkImageElement(document.querySelector('img'));
+      global.checkButtonElement(document.querySelector('button'));
+
+      const findings = global.getFindings();
+      expect(findings).toHaveLength(2);
+      expect(findings[0]).toMatchObject({ id: 0, level: 'error', selector: '#logo' });
+      expect(findings[1]).toMatchObject({ id: 1, selector: 'html > body > button' });
+      expect(findings[1].ruleId).toBe('button-missing-name');
+    });
+
+    test('should scroll the overlay of a finding into view', () => {
+      document.body.innerHTML = '<img src="a.png"><img src="b.png">';
+      document.querySelectorAll('img').forEach(img => global.checkImageElement(img));
+      const scrollIntoView = jest.fn();
+      Element.prototype.scrollIntoView = scrollIntoView;
+
+      expect(global.revealFinding(1)).toBe(true);
+      const overlayEl = global.getUIRoot().querySelector('[data-a11yindex="1"]');
+      expect(overlayEl.style.outline).toContain('solid');
+      expect(scrollIntoView.mock.contexts[0]).toBe(overlayEl);
+      expect(global.revealFinding(5)).toBe(false);
+    });
+  });
+
+  describe('Panel', () => {
+    const findings = [
+      {
+        id: 0,
+        level: 'warning',
+        ruleId: 'link-vague-text',
+        category: 'links',
+        message: 'Vague link text',
+        selector: '#more'
+      },
+      {
+        id: 1,
+        level: 'error',
+        ruleId: 'img-missing-alt',
+        category: 'images',
+        message: 'Missing alt text',
+        selector: 'html > body > img'
+      },
+      {
+        id: 2,
+        level: 'error',
+        ruleId: 'button-missing-name',
+        category: 'forms',
+        message: 'Button has no name',
+        selector: '#go'
+      }
+    ];
+
+    const rowIndexes = () =>
+      Array.from(document.querySelectorAll('#findings tbody tr')).map(row => row.dataset.id);
+
+    /**
+     * Loads the panel markup and answers evals with the findings.
+     * @returns {void}
+     */
+    const setUpPanel = () => {
+      document.body.innerHTML = panelHtml;
+      chrome.devtools.inspectedWindow.eval.mockImplementation((expression, _options, callback) =>
+        callback(expression.startsWith('typeof getFindings') ? findings : true)
+      );
+    };
+
+    let onMessage;
+
+    beforeAll(async () => {
+      setUpPanel();
+      await global.initializePanel();
+      onMessage = chrome.runtime.onMessage.addListener.mock.calls.slice(-1)[0][0];
+    });
+
+    beforeEach(async () => {
+      setUpPanel();
+      await global.loadFindings();
+    });
+
+    test('should list findings with errors first, in page order', () => {
+      expect(rowIndexes()).toEqual(['1', '2', '0']);
+      expect(document.querySelector('#findings tbody tr').textContent).toContain('img-missing-alt');
+      expect(document.getElementById('status').textContent).toBe('3 findings');
+    });
+
+    test('should sort by any column in both directions', () => {
+      const byRule = global.getVisibleFindings(findings, '', 'ruleId', true);
+      expect(byRule.map(finding => finding.id)).toEqual([2, 1, 0]);
+
+      const byCategoryDescending = global.getVisibleFindings(findings, '', 'category', false);
+      expect(byCategoryDescending.map(finding => finding.category)).toEqual([
+        'links',
+        'images',
+        'forms'
+      ]);
+    });
+
+    test('should search rules, messages and selectors', () => {
+      expect(global.getVisibleFindings(findings, 'ALT', 'level', true)).toHaveLength(1);
+      expect(global.getVisibleFindings(findings, '#go', 'level', true)[0].id).toBe(2);
+      expect(global.getVisibleFindings(findings, 'nothing', 'level', true)).toHaveLength(0);
+    });
+
+    test('should show which findings are new since the baseline', async () => {
+      findings[1].baselineStatus = 'new';
+      findings[2].baselineStatus = 'unchanged';
+      try {
+        await global.loadFindings();
+        const cells = Array.from(document.querySelectorAll('#findings tbody tr')).map(
+          row => row.lastElementChild
+        );
+
+        expect(cells.map(cell => cell.textContent)).toEqual(['New', 'Unchanged', '']);
+        expect(cells[0].className).toBe('new');
+        expect(global.getVisibleFindings(findings, 'new', 'level', true)).toHaveLength(1);
+      } finally {
+        delete findings[1].baselineStatus;
+        delete findings[2].baselineStatus;
+      }
+    });
+
+    test('should inspect the element and reveal its overlay when a row is selected', async () => {
+      await global.selectFinding(findings[1]);
+
+      expect(chrome.devtools.inspectedWindow.eval).toHaveBeenCalledWith(
+        'inspect(document.querySelector("html > body > img"))',
+        {},
+        expect.any(Function)
+      );
+      expect(chrome.devtools.inspectedWindow.eval).toHaveBeenCalledWith(
+        'revealFinding(1)',
+        { useContentScriptContext: true },
+        expect.any(Function)
+      );
+    });
+
+    test('should inspect findings of child frames in their frame', async () => {
+      const frameFinding = {
+        ...findings[1],
+        id: 0,
+        frameId: 4,
+        frameUrl: 'https://pay.example.com/checkout'
+      };
+      expect(global.getFindingKey(frameFinding)).toBe('4:0');
+
+      await global.selectFinding(frameFinding);
+
+      expect(chrome.devtools.inspectedWindow.eval).toHaveBeenCalledWith(
+        'inspect(document.querySelector("html > body > img"))',
+        { frameURL: 'https://pay.example.com/checkout' },
+        expect.any(Function)
+      );
+      expect(chrome.devtools.inspectedWindow.eval).toHaveBeenCalledWith(
+        'revealFinding(0, 4)',
+        { useContentScriptContext: true },
+        expect.any(Function)
+      );
+    });
+
+    test('should reload when the inspected tab reports a scan', () => {
+      chrome.devtools.inspectedWindow.eval.mockClear();
+
+      onMessage({ action: 'scanResults', errors: 0, warnings: 0 }, { tab: { id: 3 } });
+      expect(chrome.devtools.inspectedWindow.eval).not.toHaveBeenCalled();
+
+      onMessage({ action: 'scanResults', errors: 0, warnings: 0 }, { tab: { id: 7 } });
+      expect(chrome.devtools.inspectedWindow.eval).toHaveBeenCalledWith(
+        expect.stringContaining('getFindings()'),
+        { useContentScriptContext: true },
+        expect.any(Function)
+      );
+    });
+  });
+});
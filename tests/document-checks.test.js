@@ -0,0 +1,279 @@
+/**
+ * @fileoverview Tests for the document-level checks
+ *
+ * Tests that the page language, lang attributes, page title, viewport zoom
+ * and meta refresh timers are checked, and that findings about the page as a
+ * whole are listed in the page issues banner instead of overlaying the body.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Document Checks', () => {
+  /**
+   * Replaces the page head and content and scans the page.
+   * @param {string} head - The new head content
+   * @param {string} [body] - The new body content
+   * @returns {void}
+   */
+  const scanPage = (head, body = '<main><h1>Orders</h1></main>') => {
+    global.toggleAccessibilityHighlight(false);
+    document.head.innerHTML = head;
+    document.body.innerHTML = body;
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+  };
+
+  /**
+   * Gets the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {Object[]} The findings
+   */
+  const findingsOf = ruleId => global.LOGS.filter(finding => finding.ruleId === ruleId);
+
+  /**
+   * Gets the page issues banner.
+   * @returns {HTMLElement|null} The banner
+   */
+  const getBanner = () => global.getUIRoot().querySelector('.a11y-page-issues');
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.resetCustomRules();
+    document.documentElement.lang = 'en';
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+  });
+
+  afterEach(() => {
+    global.toggleAccessibilityHighlight(false);
+    global.resetCustomRules();
+    document.documentElement.lang = 'en';
+    document.head.innerHTML = '<title>Test page</title>';
+    jest.restoreAllMocks();
+  });
+
+  describe('language', () => {
+    test('should tell well-formed language tags apart', () => {
+      ['en', 'EN-us', 'de-CH-1996', 'zh-Hant-TW', 'es-419', 'sr-Latn', 'en-x-custom'].forEach(tag =>
+        expect(global.isValidLanguageTag(tag)).toBe(true)
+      );
+      ['en_US', 'english', 'e', 'en-', '123', 'fr-FRA-'].forEach(tag =>
+        expect(global.isValidLanguageTag(tag)).toBe(false)
+      );
+    });
+
+    test('should flag a missing or invalid page language', () => {
+      document.documentElement.removeAttribute('lang');
+      scanPage('<title>Orders</title>');
+      expect(findingsOf('html-lang-missing')).toEqual([
+        expect.objectContaining({
+          selector: 'html',
+          level: 'error',
+          message: 'Page has no lang attribute on the html element',
+          wcag: '3.1.1'
+        })
+      ]);
+
+      document.documentElement.lang = 'en_US';
+      scanPage('<title>Orders</title>');
+      expect(findingsOf('html-lang-invalid').map(finding => finding.message)).toEqual([
+        'Invalid page language on the html element "en_US"'
+      ]);
+    });
+
+    test('should flag invalid lang attributes inside the page', () => {
+      scanPage(
+        '<title>Orders</title>',
+        `<main>
+          <h1>Orders</h1>
+          <p id="quote" lang="french">Bonjour</p>
+          <p lang="de">Hallo</p>
+          <p lang="">Unknown</p>
+        </main>`
+      );
+
+      expect(findingsOf('lang-invalid')).toEqual([
+        expect.objectContaining({
+          selector: '#quote',
+          level: 'error',
+          message: 'Invalid lang attribute "french"',
+          wcag: '3.1.2'
+        })
+      ]);
+    });
+  });
+
+  describe('title', () => {
+    test('should flag a missing, empty or generic page title', () => {
+      scanPage('');
+      expect(findingsOf('page-title-missing')).toEqual([
+        expect.objectContaining({ selector: 'html', level: 'error', wcag: '2.4.2' })
+      ]);
+
+      scanPage('<title>  </title>');
+      expect(findingsOf('page-title-missing')[0].selector).toBe('html > head > title');
+
+      ['Untitled Document', 'React App', 'index.html'].forEach(title => {
+        scanPage(`<title>${title}</title>`);
+        expect(findingsOf('page-title-generic')).toEqual([
+          expect.objectContaining({
+            level: 'warning',
+            message: `Page title does not describe the page "${title}"`
+          })
+        ]);
+      });
+
+      scanPage('<title>Orders - Example Shop</title>');
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should leave the title of child frames to their iframe', () => {
+      jest.spyOn(window, 'parent', 'get').mockReturnValue({});
+      scanPage('');
+
+      expect(findingsOf('page-title-missing')).toHaveLength(0);
+    });
+  });
+
+  describe('meta tags', () => {
+    test('should flag viewport values that disable zooming', () => {
+      scanPage(`
+        <title>Orders</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1, user-scalable=no">
+        <meta name="Viewport" content="width=device-width; maximum-scale=1.0">
+        <meta name="viewport" content="width=device-width, user-scalable=0, maximum-scale=1.5">`);
+
+      expect(findingsOf('viewport-zoom-disabled').map(finding => finding.message)).toEqual([
+        'Viewport meta tag prevents zooming (user-scalable=no)',
+        'Viewport meta tag prevents zooming (maximum-scale=1.0)',
+        'Viewport meta tag prevents zooming (user-scalable=0, maximum-scale=1.5)'
+      ]);
+      expect(findingsOf('viewport-zoom-disabled')[0]).toMatchObject({
+        level: 'error',
+        wcag: '1.4.4'
+      });
+
+      scanPage(`
+        <title>Orders</title>
+        <meta name="viewport" content="width=device-width, initial-scale=1, maximum-scale=5">`);
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should flag timed reloads and redirects but not instant redirects', () => {
+      scanPage(`
+        <title>Orders</title>
+        <meta http-equiv="refresh" content="30">
+        <meta http-equiv="Refresh" content="5; url=https://example.com/new">
+        <meta http-equiv="refresh" content="0; url=https://example.com/moved">
+        <meta http-equiv="refresh" content="86400">`);
+
+      expect(findingsOf('meta-refresh')).toEqual([
+        expect.objectContaining({
+          level: 'error',
+          message: 'Page reloads or redirects on a timer (reloads after 30 seconds)',
+          wcag: '2.2.1'
+        }),
+        expect.objectContaining({
+          message: 'Page reloads or redirects on a timer (redirects after 5 seconds)'
+        })
+      ]);
+    });
+  });
+
+  describe('page issues banner', () => {
+    test('should list page-level findings in a banner instead of overlaying the body', () => {
+      scanPage('<meta http-equiv="refresh" content="60">', '<h1>Orders</h1><img src="a.png">');
+
+      const items = Array.from(getBanner().querySelectorAll('li'));
+      expect(items.map(item => item.textContent)).toEqual([
+        'No landmark elements found',
+        'Page has no title',
+        'Page reloads or redirects on a timer (reloads after 60 seconds)'
+      ]);
+      expect(items.map(item => global.LOGS[Number(item.dataset.a11yindex)].ruleId)).toEqual([
+        'page-missing-landmarks',
+        'page-title-missing',
+        'meta-refresh'
+      ]);
+      expect(items[0].classList.contains('a11y-error')).toBe(true);
+
+      // Only the image gets an overlay on the page
+      const overlays = Array.from(global.getUIRoot().querySelectorAll('div.overlay'));
+      expect(
+        overlays.map(overlay => global.LOGS[Number(overlay.dataset.a11yindex)].ruleId)
+      ).toEqual(['img-missing-alt']);
+    });
+
+    test('should hide the banner with its findings and remove it with the overlays', () => {
+      scanPage('');
+      expect(getBanner()).not.toBeNull();
+
+      global.openPanel('filter');
+      global.getUIRoot().getElementById('show-errors').click();
+      expect(getBanner().style.display).toBe('none');
+      global.getUIRoot().getElementById('show-errors').click();
+      expect(getBanner().style.display).toBe('block');
+
+      global.removeAccessibilityOverlays();
+      expect(getBanner()).toBeNull();
+    });
+
+    test('should not show a banner for pages without page-level findings', () => {
+      scanPage('<title>Orders</title>', '<main><h1>Orders</h1><img src="a.png"></main>');
+
+      expect(global.LOGS).toHaveLength(1);
+      expect(getBanner()).toBeNull();
+    });
+  });
+
+  test('should turn each check off on its own', async () => {
+    chrome.storage.local.get.mockResolvedValueOnce({
+      customRules: {
+        general: {
+          enabled: true,
+          checkLanguage: false,
+          checkPageTitle: false,
+          checkViewportZoom: false,
+          checkMetaRefresh: false
+        }
+      }
+    });
+    await global.loadCustomRules();
+    document.documentElement.removeAttribute('lang');
+
+    scanPage(
+      `<meta name="viewport" content="user-scalable=no">
+      <meta http-equiv="refresh" content="30">`,
+      '<main><h1>Orders</h1><p lang="french">Bonjour</p></main>'
+    );
+
+    expect(global.LOGS).toHaveLength(0);
+  });
+});
@@ -305,8 +305,8 @@ describe('Element Checker Edge Cases', () => {
 
       global.checkInputElement(_input);
 
-      // Current implementation doesn't recognize implicit labels, so it will flag this
-      expect(console.log).toHaveBeenCalledWith(_input);
+      // The wrapping label provides the accessible name
+      expect(console.log).not.toHaveBeenCalledWith(_input);
     });
 
     test('should handle input with aria-describedby', () => {
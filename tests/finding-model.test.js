@@ -0,0 +1,155 @@
+/**
+ * @fileoverview Tests for the finding model
+ *
+ * Tests the finding objects recorded in LOGS and that the summary, filter
+ * panel, keyboard navigation and exporters all read them.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Finding Model', () => {
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should record a finding with a live element reference', () => {
+    document.body.innerHTML = `<img id="hero" src="${'a'.repeat(200)}.png">`;
+    const img = document.querySelector('img');
+    global.checkImageElement(img);
+
+    const [finding] = global.LOGS;
+    expect(finding).toMatchObject({
+      id: 0,
+      ruleId: 'img-missing-alt',
+      level: 'error',
+      message: 'img does not have an alt attribute',
+      category: 'images',
+      wcag: '1.1.1',
+      tagName: 'img',
+      selector: '#hero',
+      xpath: '/html[1]/body[1]/img[1]',
+      accessibleName: ''
+    });
+    expect(global.getFindingElement(finding)).toBe(img);
+    expect(finding.html.startsWith('<img id="hero"')).toBe(true);
+    expect(finding.html.length).toBe(103);
+    expect(new Date(finding.timestamp).toISOString()).toBe(finding.timestamp);
+  });
+
+  test('should give each scan a new scan id', () => {
+    document.body.innerHTML = '<img src="a.png">';
+
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    const firstScanId = global.LOGS[0].scanId;
+
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    expect(global.LOGS.every(finding => finding.scanId === firstScanId + 1)).toBe(true);
+  });
+
+  test('should keep messages as plain text and escape them in HTML reports', () => {
+    document.body.innerHTML = '<div></div>';
+    global.overlay.call(
+      document.querySelector('div'),
+      'overlay',
+      'warning',
+      'Uses <marquee> & "blink"',
+      'no-marquee'
+    );
+
+    expect(global.LOGS[0].message).toBe('Uses <marquee> & "blink"');
+    const html = global.generateHTMLReport(global.analyzeLogs());
+    expect(html).toContain('Uses &lt;marquee&gt; &amp; "blink"');
+    expect(html).not.toContain('<marquee>');
+  });
+
+  test('should count errors and warnings in the summary', () => {
+    document.body.innerHTML = '<img src="a.png"><a href="/next">click here</a>';
+    global.checkImageElement(document.querySelector('img'));
+    global.checkLinkElement(document.querySelector('a'));
+
+    const summary = global.analyzeLogs();
+    expect(summary.total).toBe(2);
+    expect(summary.errors + summary.warnings).toBe(2);
+    expect(summary.errors).toBeGreaterThan(0);
+    expect(summary.categories).toEqual({ images: 1, links: 1 });
+  });
+
+  test('should export elements instead of "unknown"', () => {
+    document.body.innerHTML = '<main><button></button></main>';
+    global.checkButtonElement(document.querySelector('button'));
+
+    const report = JSON.parse(global.generateJSONReport(global.analyzeLogs()));
+    expect(report.summary.errorCount).toBe(1);
+    expect(report.issues[0].element).toMatchObject({
+      tagName: 'button',
+      selector: 'html > body > main > button',
+      xpath: '/html[1]/body[1]/main[1]/button[1]',
+      outerHTML: '<button></button>'
+    });
+
+    const [, row] = global.generateCSVReport().split('\n');
+    expect(row).toContain(',button,');
+    expect(row).toContain('"html > body > main > button"');
+    expect(global.generateTextReport(global.analyzeLogs())).toContain('Element: <button>');
+  });
+
+  test('should filter overlays by the category of their finding', () => {
+    document.body.innerHTML = '<img src="a.png"><button></button>';
+    global.checkImageElement(document.querySelector('img'));
+    global.checkButtonElement(document.querySelector('button'));
+
+    global.openPanel('filter');
+    global.getUIRoot().getElementById('category-images').click();
+
+    const imageOverlay = global.getUIRoot().querySelector('[data-a11yindex="0"]');
+    const buttonOverlay = global.getUIRoot().querySelector('[data-a11yindex="1"]');
+    expect(global.getOverlayFinding(imageOverlay).category).toBe('images');
+    expect(imageOverlay.style.display).toBe('none');
+    expect(buttonOverlay.style.display).toBe('block');
+
+    global.getUIRoot().getElementById('category-images').click();
+  });
+
+  test('should serialize findings for the DevTools panel without the element reference', () => {
+    document.body.innerHTML = '<img src="a.png">';
+    global.checkImageElement(document.querySelector('img'));
+
+    const [finding] = global.getFindings();
+    expect(finding).not.toHaveProperty('elementRef');
+    expect(JSON.parse(JSON.stringify(finding))).toEqual(finding);
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * @fileoverview Tests for the focus order audit
+ *
+ * Tests that the page's tab sequence is stepped through in the order the
+ * Tab key follows, that positive tabindex values, focused elements without
+ * a visible focus indicator and focusable elements that are hidden or inside
+ * aria-hidden content are flagged, and that the sequence can be numbered with
+ * badges on the page.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Focus Order', () => {
+  const navigationRules = {
+    enabled: true,
+    checkTabIndex: true,
+    checkFocusOrder: false,
+    checkKeyboardTraps: false,
+    checkFocusIndicators: true,
+    checkHiddenFocusable: true,
+    showFocusOrder: false,
+    allowPositiveTabIndex: false
+  };
+
+  /**
+   * Loads navigation rules that differ from the defaults.
+   * @param {Object} changes - The changed navigation rules
+   * @returns {Promise<void>}
+   */
+  const setNavigationRules = async changes => {
+    chrome.storage.local.get.mockResolvedValueOnce({
+      customRules: { navigation: { ...navigationRules, ...changes } }
+    });
+    await global.loadCustomRules();
+  };
+
+  /**
+   * Gets the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {Object[]} The findings
+   */
+  const findingsOf = ruleId => global.LOGS.filter(finding => finding.ruleId === ruleId);
+
+  /**
+   * Gets the IDs of a list of elements.
+   * @param {Element[]} elements - The elements
+   * @returns {string[]} The IDs
+   */
+  const ids = elements => elements.map(element => element.id);
+
+  /**
+   * Gets the numbers of the focus order badges.
+   * @returns {string[]} The badge numbers
+   */
+  const badgeNumbers = () =>
+    Array.from(global.getUIRoot().querySelectorAll('.a11y-focus-order')).map(
+      marker => marker.textContent
+    );
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    global.resetCustomRules();
+    document.body.innerHTML = '';
+
+    // Elements with the "ring" class draw an outline while focused
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible',
+      opacity: element.style.opacity || '1',
+      outlineStyle:
+        element.classList.contains('ring') && element.matches(':focus') ? 'solid' : 'none',
+      outlineWidth: '2px',
+      outlineColor: 'rgb(0, 0, 0)',
+      boxShadow: 'none',
+      borderStyle: 'none',
+      borderWidth: '0px',
+      borderColor: 'rgb(0, 0, 0)'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+  });
+
+  afterEach(() => {
+    global.removeAccessibilityOverlays();
+    global.resetCustomRules();
+    jest.restoreAllMocks();
+  });
+
+  test('should list the tab sequence with positive tabindex values first', () => {
+    document.body.innerHTML = `
+      <a id="home" href="/">Home</a>
+      <a id="anchor">Anchor</a>
+      <button id="later" tabindex="2">Later</button>
+      <input id="hidden-input" type="hidden">
+      <input id="search" type="text">
+      <button id="first" tabindex="1">First</button>
+      <button id="disabled" disabled>Disabled</button>
+      <fieldset disabled><input id="in-disabled-fieldset"></fieldset>
+      <div id="skipped" tabindex="-1">Skipped</div>
+      <div inert><button id="inert">Inert</button></div>
+      <div id="widget" tabindex="0">Widget</div>
+      <button id="also-first" tabindex="1">Also first</button>
+      <div style="display: none"><button id="not-rendered">Hidden</button></div>
+      <iframe id="frame" title="Frame"></iframe>`;
+
+    expect(ids(global.getTabSequence())).toEqual([
+      'first',
+      'also-first',
+      'later',
+      'home',
+      'search',
+      'widget'
+    ]);
+  });
+
+  test('should include focusable elements in open shadow roots', () => {
+    document.body.innerHTML = '<button id="before">Before</button><x-field></x-field>';
+    const root = document.querySelector('x-field').attachShadow({ mode: 'open' });
+    root.innerHTML = '<input id="inner">';
+
+    expect(ids(global.getTabSequence())).toEqual(['before', 'inner']);
+  });
+
+  test('should flag positive tabindex values unless they are allowed', async () => {
+    document.body.innerHTML = `
+      <button class="ring" tabindex="3">Save</button>
+      <button class="ring">Cancel</button>`;
+    global.auditFocusOrder();
+
+    expect(findingsOf('tabindex-positive')).toEqual([
+      expect.objectContaining({
+        level: 'warning',
+        message: 'Positive tabindex changes the focus order: tabindex=3',
+        wcag: '2.4.3'
+      })
+    ]);
+
+    global.LOGS.length = 0;
+    await setNavigationRules({ allowPositiveTabIndex: true });
+    global.auditFocusOrder();
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should flag focused elements whose outline, box-shadow and border do not change', async () => {
+    document.body.innerHTML = `
+      <a class="ring" href="/">Home</a>
+      <button id="plain">Buy</button>`;
+    global.auditFocusOrder();
+
+    expect(findingsOf('focus-indicator-missing')).toEqual([
+      expect.objectContaining({
+        selector: '#plain',
+        level: 'warning',
+        message: 'Focused element has no visible focus indicator',
+        wcag: '2.4.7'
+      })
+    ]);
+
+    global.LOGS.length = 0;
+    await setNavigationRules({ checkFocusIndicators: false });
+    global.auditFocusOrder();
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should not judge focus indicators the browser would not show', () => {
+    document.body.innerHTML = '<button>Buy</button>';
+    const { matches } = Element.prototype;
+    jest.spyOn(Element.prototype, 'matches').mockImplementation(function (selector) {
+      return selector !== ':focus-visible' && matches.call(this, selector);
+    });
+
+    global.auditFocusOrder();
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should flag focusable elements that are hidden while focused', () => {
+    document.body.innerHTML = `
+      <a id="skip" class="ring" href="#main">Skip to content</a>
+      <div style="opacity: 0"><button id="ghost" class="ring">Close</button></div>
+      <button id="visible" class="ring">Open</button>`;
+    const skipLink = document.getElementById('skip');
+    skipLink.getBoundingClientRect = () => ({ top: 0, left: 0, width: 1, height: 1 });
+
+    global.auditFocusOrder();
+
+    expect(findingsOf('focusable-hidden').map(finding => finding.selector)).toEqual([
+      '#skip',
+      '#ghost'
+    ]);
+    expect(findingsOf('focusable-hidden')[0]).toMatchObject({ level: 'error', wcag: '2.4.7' });
+  });
+
+  test('should flag focusable elements inside aria-hidden content', () => {
+    document.body.innerHTML = `
+      <div aria-hidden="true"><a id="hidden-link" class="ring" href="/">Promo</a></div>
+      <x-dialog aria-hidden="true"></x-dialog>
+      <div aria-hidden="false"><button class="ring">Shown</button></div>`;
+    const root = document.querySelector('x-dialog').attachShadow({ mode: 'open' });
+    root.innerHTML = '<button class="ring">Close</button>';
+
+    global.auditFocusOrder();
+
+    expect(findingsOf('focusable-aria-hidden').map(finding => finding.selector)).toEqual([
+      '#hidden-link',
+      'html > body > x-dialog >>> button'
+    ]);
+    expect(findingsOf('focusable-aria-hidden')[0]).toMatchObject({
+      level: 'error',
+      message: 'Focusable element inside aria-hidden content',
+      wcag: '4.1.2'
+    });
+  });
+
+  test('should give focus back to the element that had it', () => {
+    document.body.innerHTML = `
+      <input id="search" class="ring">
+      <button id="go" class="ring">Go</button>`;
+    document.getElementById('search').focus();
+
+    global.auditFocusOrder();
+    expect(document.activeElement.id).toBe('search');
+
+    document.activeElement.blur();
+    global.auditFocusOrder();
+    expect(document.activeElement).toBe(document.body);
+  });
+
+  test('should number the tab sequence with badges on the page', async () => {
+    await setNavigationRules({ showFocusOrder: true });
+    document.body.innerHTML = `
+      <a class="ring" href="/">Home</a>
+      <button class="ring" tabindex="1">Search</button>
+      <button class="ring">Menu</button>`;
+
+    global.auditFocusOrder();
+    expect(badgeNumbers()).toEqual(['1', '2', '3']);
+
+    const [marker] = global.getUIRoot().querySelectorAll('.a11y-focus-order');
+    expect(marker.style.top).toBe('10px');
+    expect(marker.style.width).toBe('100px');
+    expect(marker.classList.contains('overlay')).toBe(false);
+
+    // Audits replace the badges of the last one
+    document.querySelector('a').remove();
+    global.auditFocusOrder();
+    expect(badgeNumbers()).toEqual(['1', '2']);
+
+    global.removeAccessibilityOverlays();
+    expect(badgeNumbers()).toEqual([]);
+  });
+
+  test('should only run as a page rule of full scans when turned on', async () => {
+    document.body.innerHTML = '<main><h1>Shop</h1><button tabindex="4">Buy</button></main>';
+    const focus = jest.spyOn(HTMLElement.prototype, 'focus');
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    expect(findingsOf('tabindex-positive')).toHaveLength(0);
+    expect(focus).not.toHaveBeenCalled();
+
+    global.removeAccessibilityOverlays();
+    await setNavigationRules({ checkFocusOrder: true });
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    expect(findingsOf('tabindex-positive')).toHaveLength(1);
+  });
+
+  test('should run on request without turning it on for scans', async () => {
+    document.body.innerHTML = '<main><h1>Shop</h1><button tabindex="4">Buy</button></main>';
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+
+    expect(global.runOnDemandRules()).toBeGreaterThan(0);
+    expect(findingsOf('tabindex-positive')).toHaveLength(1);
+
+    // Running it again replaces the findings of the last run
+    global.runOnDemandRules();
+    expect(findingsOf('tabindex-positive')).toHaveLength(1);
+
+    global.removeAccessibilityOverlays();
+    await setNavigationRules({ enabled: false });
+    expect(global.runOnDemandRules()).toBe(0);
+    expect(findingsOf('tabindex-positive')).toHaveLength(0);
+  });
+});
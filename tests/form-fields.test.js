@@ -0,0 +1,294 @@
+/**
+ * @fileoverview Tests for the form field checks
+ *
+ * Tests that select and textarea elements need labels like inputs do, that
+ * button inputs are named by their value, that personal data fields need a
+ * valid autocomplete token, that asterisks come with required state, that
+ * invalid fields link their error message, and that radio and checkbox
+ * groups are named by a fieldset legend or group label.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Form Fields', () => {
+  /**
+   * Replaces the page content and scans it.
+   * @param {string} html - The new body content
+   * @returns {void}
+   */
+  const scanPage = html => {
+    global.toggleAccessibilityHighlight(false);
+    document.body.innerHTML = `<main><h1>Checkout</h1>${html}</main>`;
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+  };
+
+  /**
+   * Gets the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {Object[]} The findings
+   */
+  const findingsOf = ruleId => global.LOGS.filter(finding => finding.ruleId === ruleId);
+
+  /**
+   * Gets the selectors of the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {string[]} The selectors
+   */
+  const selectorsOf = ruleId => findingsOf(ruleId).map(finding => finding.selector);
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+
+    // Give the page a language and title, which full scans check too
+    document.documentElement.lang = 'en';
+    document.title = 'Test page';
+    global.resetCustomRules();
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+  });
+
+  afterEach(() => {
+    global.toggleAccessibilityHighlight(false);
+    global.resetCustomRules();
+    jest.restoreAllMocks();
+  });
+
+  describe('labels', () => {
+    test('should require labels on select and textarea elements', () => {
+      scanPage(`
+        <select id="size"><option>S</option></select>
+        <textarea id="notes"></textarea>
+        <label>Gift message <textarea id="gift"></textarea></label>
+        <label for="color">Color</label><select id="color"><option>Red</option></select>`);
+
+      expect(selectorsOf('form-field-missing-label')).toEqual(['#size', '#notes']);
+    });
+
+    test('should name button inputs by their value instead of a label', () => {
+      scanPage(`
+        <input type="button" id="apply" value="Apply">
+        <input type="reset" id="clear">
+        <input type="button" id="empty">`);
+
+      expect(findingsOf('form-field-missing-label')).toHaveLength(0);
+      expect(selectorsOf('button-missing-name')).toEqual(['#empty']);
+    });
+  });
+
+  describe('autocomplete', () => {
+    test('should validate autocomplete tokens', () => {
+      [
+        'email',
+        'on',
+        'off',
+        'shipping street-address',
+        'section-billing billing postal-code',
+        'work tel',
+        'section-a shipping mobile email webauthn',
+        'Current-Password'
+      ].forEach(value => expect(global.isValidAutocomplete(value)).toBe(true));
+
+      [
+        'mail',
+        'work street-address',
+        'email tel',
+        'shipping',
+        'on off',
+        'section-a',
+        'given-name shipping'
+      ].forEach(value => expect(global.isValidAutocomplete(value)).toBe(false));
+    });
+
+    test('should tell the purpose of personal data fields from their type, name and label', () => {
+      document.body.innerHTML = `
+        <input id="a" type="email">
+        <input id="b" name="billing_firstName">
+        <label>Last name <input id="c"></label>
+        <input id="d" aria-label="ZIP code">
+        <select id="e" name="country"></select>
+        <input id="f" aria-label="Search products">
+        <label>Email address <input id="g"></label>
+        <input id="h" name="username">`;
+      const expected = id => global.getExpectedAutocomplete(document.getElementById(id));
+
+      expect(['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].map(expected)).toEqual([
+        'email',
+        'given-name',
+        'family-name',
+        'postal-code',
+        'country-name',
+        null,
+        'email',
+        'username'
+      ]);
+    });
+
+    test('should flag personal data fields without autocomplete and invalid values', () => {
+      scanPage(`
+        <label>Email <input id="email" type="email"></label>
+        <label>Phone <input id="phone" type="tel" autocomplete="telephone"></label>
+        <label>City <input id="city" autocomplete="address-level2"></label>
+        <label>Coupon <input id="coupon"></label>
+        <label>Name <input id="name" autocomplete="off"></label>
+        <label>First name <input id="readonly" readonly></label>`);
+
+      expect(findingsOf('autocomplete-missing')).toEqual([
+        expect.objectContaining({
+          selector: '#email',
+          level: 'warning',
+          message: 'Personal data field without an autocomplete token (expected "email")',
+          wcag: '1.3.5'
+        })
+      ]);
+      expect(findingsOf('autocomplete-invalid')).toEqual([
+        expect.objectContaining({
+          selector: '#phone',
+          level: 'error',
+          message: 'Invalid autocomplete value "telephone"'
+        })
+      ]);
+    });
+  });
+
+  describe('required fields', () => {
+    test('should flag asterisks without required or aria-required', () => {
+      scanPage(`
+        <label>Name <span aria-hidden="true">*</span> <input id="name" autocomplete="name"></label>
+        <label for="city">City*</label><input id="city" autocomplete="address-level2">
+        <span id="zip-label">ZIP *</span><input id="zip" aria-labelledby="zip-label" autocomplete="postal-code">
+        <label>Company * <input id="company" autocomplete="organization" required></label>
+        <label>Street * <input id="street" autocomplete="street-address" aria-required="true"></label>
+        <label>Coupon <input id="coupon"></label>`);
+
+      expect(selectorsOf('required-not-exposed')).toEqual(['#name', '#city', '#zip']);
+      expect(findingsOf('required-not-exposed')[0]).toMatchObject({
+        level: 'error',
+        message: 'Field marked required with an asterisk only'
+      });
+    });
+  });
+
+  describe('error messages', () => {
+    test('should flag invalid fields whose error message is not linked', () => {
+      scanPage(`
+        <label>Coupon <input id="unlinked" aria-invalid="true"></label>
+        <p>This coupon has expired.</p>
+        <label>Gift card <input id="described" aria-invalid="true" aria-describedby="gift-error"></label>
+        <p id="gift-error">Enter the 16 digits on the back of the card.</p>
+        <label>Voucher <input id="errormessage" aria-invalid="true" aria-errormessage="voucher-error"></label>
+        <p id="voucher-error">Unknown voucher.</p>
+        <label>Code <input id="empty-message" aria-invalid="spelling" aria-describedby="code-error"></label>
+        <p id="code-error"></p>
+        <label>Note <input id="valid" aria-invalid="false"></label>
+        <div id="combo" role="combobox" aria-label="Size" aria-invalid="true"></div>`);
+
+      expect(selectorsOf('error-message-not-linked')).toEqual([
+        '#unlinked',
+        '#empty-message',
+        '#combo'
+      ]);
+      expect(findingsOf('error-message-not-linked')[0]).toMatchObject({
+        level: 'error',
+        message: 'Invalid field without a linked error message',
+        wcag: '3.3.1'
+      });
+    });
+  });
+
+  describe('groups', () => {
+    test('should flag radio and checkbox groups without a group name', () => {
+      scanPage(`
+        <form>
+          <label><input type="radio" name="shipping" id="standard"> Standard</label>
+          <label><input type="radio" name="shipping"> Express</label>
+          <fieldset>
+            <legend>Payment</legend>
+            <label><input type="radio" name="payment"> Card</label>
+            <label><input type="radio" name="payment"> Invoice</label>
+          </fieldset>
+          <div role="group" aria-label="Toppings">
+            <label><input type="checkbox" name="topping"> Cheese</label>
+            <label><input type="checkbox" name="topping"> Olives</label>
+          </div>
+          <fieldset>
+            <label><input type="checkbox" name="extras" id="gift-wrap"> Gift wrap</label>
+            <label><input type="checkbox" name="extras"> Card</label>
+          </fieldset>
+          <label><input type="checkbox" name="terms"> I accept the terms</label>
+        </form>
+        <label><input type="radio" name="shipping"> Outside the form</label>`);
+
+      expect(findingsOf('field-group-missing-name')).toEqual([
+        expect.objectContaining({
+          selector: '#standard',
+          level: 'warning',
+          message:
+            'Radio or checkbox group without a fieldset legend or group name (name="shipping")',
+          wcag: '1.3.1'
+        }),
+        expect.objectContaining({ selector: '#gift-wrap' })
+      ]);
+    });
+
+    test('should accept named radio groups outside a form', () => {
+      scanPage(`
+        <div role="radiogroup" aria-label="Delivery">
+          <label><input type="radio" name="delivery"> Morning</label>
+          <label><input type="radio" name="delivery"> Evening</label>
+        </div>`);
+
+      expect(findingsOf('field-group-missing-name')).toHaveLength(0);
+    });
+  });
+
+  test('should turn each check off on its own', async () => {
+    chrome.storage.local.get.mockResolvedValueOnce({
+      customRules: {
+        forms: {
+          enabled: true,
+          checkMissingLabels: true,
+          checkAutocomplete: false,
+          checkRequiredFields: false,
+          checkErrorMessages: false,
+          checkFieldGroups: false
+        }
+      }
+    });
+    await global.loadCustomRules();
+
+    scanPage(`
+      <label>Email * <input type="email" aria-invalid="true"></label>
+      <label><input type="radio" name="a"> A</label>
+      <label><input type="radio" name="a"> B</label>`);
+
+    expect(global.LOGS).toHaveLength(0);
+  });
+});
@@ -0,0 +1,286 @@
+/**
+ * @fileoverview Tests for frame-aware scanning
+ *
+ * Tests that child frames send their findings to the top frame, which
+ * aggregates them into its summary, reports and badge counts, and that
+ * keyboard navigation steps across the frames of the tab.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Frames', () => {
+  const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+  const checkoutUrl = 'https://pay.example.com/checkout';
+
+  /**
+   * Builds a finding as a child frame reports it.
+   * @param {number} id - ID of the finding in its frame
+   * @param {string} level - Severity
+   * @returns {Object} The finding
+   */
+  const childFinding = (id, level) => ({
+    id,
+    scanId: 1,
+    ruleId: 'input-missing-label',
+    level,
+    message: 'Form field without a corresponding label',
+    category: 'forms',
+    wcag: null,
+    wcagLevel: null,
+    helpUrl: null,
+    tagName: 'input',
+    selector: '#card-number',
+    xpath: '/html[1]/body[1]/form[1]/input[1]',
+    html: '<input id="card-number">',
+    accessibleName: '',
+    timestamp: new Date().toISOString(),
+    frameUrl: checkoutUrl
+  });
+
+  /**
+   * Delivers the findings of a child frame, as relayed by the background.
+   * @param {number} frameId - ID of the child frame
+   * @param {Object[]} findings - Its findings
+   * @returns {void}
+   */
+  const receiveFrameFindings = (frameId, findings) => {
+    onMessage(
+      { action: 'frameFindings', findings, sourceFrameId: frameId, sourceUrl: checkoutUrl },
+      {},
+      jest.fn()
+    );
+  };
+
+  /**
+   * Presses a key in this frame.
+   * @param {string} key - The key
+   * @param {Object} [modifiers] - Modifier flags
+   * @returns {void}
+   */
+  const press = (key, modifiers = {}) => {
+    document.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, ...modifiers }));
+  };
+
+  /**
+   * Gets the messages this frame sent to other frames.
+   * @returns {Object[]} The frameMessage requests
+   */
+  const frameMessages = () =>
+    chrome.runtime.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.action === 'frameMessage');
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.toggleAccessibilityHighlight(false);
+    document.body.innerHTML = '';
+    chrome.runtime.sendMessage.mockClear();
+    Element.prototype.scrollIntoView = jest.fn();
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    press('Escape');
+    jest.restoreAllMocks();
+  });
+
+  describe('Top frame', () => {
+    test('should tag its findings with the frame URL', () => {
+      document.body.innerHTML = '<img src="a.png">';
+      global.checkImageElement(document.querySelector('img'));
+
+      expect(global.LOGS[0].frameUrl).toBe(window.location.href);
+    });
+
+    test('should aggregate the findings of child frames', () => {
+      document.body.innerHTML = '<img src="a.png">';
+      global.checkImageElement(document.querySelector('img'));
+
+      receiveFrameFindings(4, [childFinding(0, 'error'), childFinding(1, 'warning')]);
+
+      const findings = global.getFindings();
+      expect(findings.map(finding => [finding.frameId, finding.id])).toEqual([
+        [0, 0],
+        [4, 0],
+        [4, 1]
+      ]);
+      expect(global.getScanSummary()).toMatchObject({ total: 3, errors: 2, warnings: 1 });
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+        { action: 'scanResults', errors: 2, warnings: 1 },
+        expect.any(Function)
+      );
+
+      // A frame that rescans without findings clears them
+      receiveFrameFindings(4, []);
+      expect(global.getFindings()).toHaveLength(1);
+    });
+
+    test('should report the findings of all frames with their frame URL', () => {
+      document.body.innerHTML = '<img src="a.png">';
+      global.checkImageElement(document.querySelector('img'));
+      receiveFrameFindings(4, [childFinding(0, 'error')]);
+
+      const report = JSON.parse(global.generateJSONReport(global.analyzeLogs()));
+      expect(report.summary.totalIssues).toBe(2);
+      expect(report.issues.map(issue => [issue.id, issue.frameUrl])).toEqual([
+        [1, window.location.href],
+        [2, checkoutUrl]
+      ]);
+
+      expect(global.generateCSVReport().split('\n')[2]).toContain(`"${checkoutUrl}"`);
+      expect(global.generateTextReport(global.analyzeLogs())).toContain(`Frame: ${checkoutUrl}`);
+
+      const [run] = JSON.parse(global.generateSARIFReport()).runs;
+      expect(run.results[1].locations[0].physicalLocation.artifactLocation.uri).toBe(checkoutUrl);
+      expect(run.artifacts.map(artifact => artifact.location.uri)).toEqual([
+        window.location.href,
+        checkoutUrl
+      ]);
+    });
+
+    test('should step keyboard navigation into child frames and back', () => {
+      document.body.innerHTML = '<img src="a.png">';
+      global.checkImageElement(document.querySelector('img'));
+      receiveFrameFindings(4, [childFinding(0, 'error')]);
+      const ownOverlay = global.getUIRoot().querySelector('.a11y-error');
+
+      expect(global.focusFirstIssue()).toBe(true);
+      expect(ownOverlay.style.outline).toContain('solid');
+
+      press('ArrowDown');
+      expect(ownOverlay.style.outline).toBe('');
+      expect(frameMessages()).toEqual([
+        { action: 'frameMessage', frameId: 4, message: { action: 'outlineFinding', id: 0 } }
+      ]);
+
+      press('ArrowDown');
+      expect(ownOverlay.style.outline).toContain('solid');
+      expect(frameMessages()[1]).toEqual({
+        action: 'frameMessage',
+        frameId: 4,
+        message: { action: 'outlineFinding', id: null }
+      });
+    });
+
+    test('should navigate on keys pressed in child frames', () => {
+      document.body.innerHTML = '<img src="a.png">';
+      global.checkImageElement(document.querySelector('img'));
+      receiveFrameFindings(4, [childFinding(0, 'error')]);
+
+      onMessage({ action: 'navigationKey', key: 'N', altKey: true, shiftKey: true }, {}, jest.fn());
+      onMessage({ action: 'navigationKey', key: 'End' }, {}, jest.fn());
+
+      expect(frameMessages()).toEqual([
+        { action: 'frameMessage', frameId: 4, message: { action: 'outlineFinding', id: 0 } }
+      ]);
+    });
+
+    test('should reveal findings of child frames for the DevTools panel', () => {
+      receiveFrameFindings(4, [childFinding(0, 'error')]);
+
+      expect(global.revealFinding(0, 4)).toBe(true);
+      expect(global.revealFinding(0)).toBe(false);
+      expect(frameMessages()[0].message).toEqual({ action: 'outlineFinding', id: 0 });
+    });
+
+    test('should forget child frame findings when turned off', () => {
+      receiveFrameFindings(4, [childFinding(0, 'error')]);
+
+      global.toggleAccessibilityHighlight(false);
+
+      expect(global.getFindings()).toEqual([]);
+      expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+        { action: 'scanResults', errors: 0, warnings: 0 },
+        expect.any(Function)
+      );
+    });
+  });
+
+  describe('Child frame', () => {
+    const parentDescriptor = Object.getOwnPropertyDescriptor(window, 'parent');
+
+    beforeEach(() => {
+      Object.defineProperty(window, 'parent', { value: {}, configurable: true });
+    });
+
+    afterEach(() => {
+      Object.defineProperty(window, 'parent', parentDescriptor);
+    });
+
+    test('should send its findings to the top frame instead of reporting counts', () => {
+      document.body.innerHTML = '<input type="text">';
+      global.checkInputElement(document.querySelector('input'));
+
+      global.reportScanResults();
+
+      expect(frameMessages()).toEqual([
+        {
+          action: 'frameMessage',
+          frameId: 0,
+          message: { action: 'frameFindings', findings: global.getFindings() }
+        }
+      ]);
+      expect(global.getFindings()[0].frameUrl).toBe(window.location.href);
+      expect(
+        chrome.runtime.sendMessage.mock.calls.map(([message]) => message.action)
+      ).not.toContain('scanResults');
+    });
+
+    test('should outline findings for the top frame and pass navigation keys on', () => {
+      document.body.innerHTML = '<img src="a.png">';
+      global.checkImageElement(document.querySelector('img'));
+      const overlayEl = global.getUIRoot().querySelector('.a11y-error');
+
+      // Arrow keys belong to the page until navigation reaches this frame
+      press('ArrowDown');
+      press('N', { altKey: true, shiftKey: true });
+      expect(frameMessages().map(({ message }) => message)).toEqual([
+        { action: 'navigationKey', key: 'N', altKey: true, shiftKey: true }
+      ]);
+
+      onMessage({ action: 'outlineFinding', id: 0 }, {}, jest.fn());
+      expect(overlayEl.style.outline).toContain('solid');
+      expect(Element.prototype.scrollIntoView.mock.contexts[0]).toBe(overlayEl);
+
+      press('ArrowDown');
+      expect(frameMessages()[1].message).toEqual({
+        action: 'navigationKey',
+        key: 'ArrowDown',
+        altKey: false,
+        shiftKey: false
+      });
+      // The top frame decides where navigation goes next
+      expect(overlayEl.style.outline).toContain('solid');
+
+      onMessage({ action: 'outlineFinding', id: null }, {}, jest.fn());
+      expect(overlayEl.style.outline).toBe('');
+      press('ArrowDown');
+      expect(frameMessages()).toHaveLength(2);
+    });
+  });
+});
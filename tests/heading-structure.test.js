@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Tests for the heading hierarchy check
+ *
+ * Tests detection of a missing or repeated h1, skipped levels,
+ * empty headings, role=heading without aria-level and the outline view.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Heading Structure', () => {
+  const ruleIds = () => global.LOGS.map(log => log.ruleId);
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getHeadingOutline', () => {
+    test('should list headings with their levels in document order', () => {
+      document.body.innerHTML = `
+        <h1>Title</h1>
+        <div role="heading" aria-level="3">Section</div>
+        <h2 aria-level="4">Override</h2>
+        <div role="heading">Default</div>`;
+
+      expect(global.getHeadingOutline().map(({ level, text }) => ({ level, text }))).toEqual([
+        { level: 1, text: 'Title' },
+        { level: 3, text: 'Section' },
+        { level: 4, text: 'Override' },
+        { level: 2, text: 'Default' }
+      ]);
+    });
+
+    test('should skip hidden headings', () => {
+      document.body.innerHTML = `
+        <h1>Visible</h1>
+        <div hidden><h2>Hidden</h2></div>
+        <h2 aria-hidden="true">Also hidden</h2>`;
+
+      expect(global.getHeadingOutline()).toHaveLength(1);
+    });
+  });
+
+  describe('checkHeadingStructure', () => {
+    test('should pass a well-formed outline', () => {
+      document.body.innerHTML = '<h1>Title</h1><h2>Section</h2><h3>Sub</h3><h2>Next</h2>';
+      global.checkHeadingStructure();
+
+      expect(global.LOGS).toHaveLength(0);
+    });
+
+    test('should flag a missing h1 on the first heading', () => {
+      document.body.innerHTML = '<h2>Section</h2>';
+      global.checkHeadingStructure();
+
+      expect(ruleIds()).toEqual(['heading-missing-h1']);
+      expect(global.LOGS[0].level).toBe('warning');
+    });
+
+    test('should flag every h1 after the first', () => {
+      document.body.innerHTML = '<h1>One</h1><h1>Two</h1><h1>Three</h1>';
+      global.checkHeadingStructure();
+
+      expect(ruleIds()).toEqual(['heading-multiple-h1', 'heading-multiple-h1']);
+    });
+
+    test('should flag skipped levels with the levels in the message', () => {
+      document.body.innerHTML = '<h1>Title</h1><h2>Section</h2><h4>Deep</h4>';
+      global.checkHeadingStructure();
+
+      expect(ruleIds()).toEqual(['heading-skipped-level']);
+      expect(global.LOGS[0].message).toBe('Heading level skipped (h2 to h4)');
+    });
+
+    test('should flag empty headings and role=heading without aria-level', () => {
+      document.body.innerHTML =
+        '<h1>Title</h1><h2> </h2><h2><img src="x.png" alt="Logo"></h2><div role="heading">Label</div>';
+      global.checkHeadingStructure();
+
+      expect(ruleIds()).toEqual(['heading-empty', 'heading-missing-level']);
+    });
+
+    test('should report hierarchy problems as errors when requireHeadingStructure is on', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        customRules: {
+          structure: { enabled: true, checkHeadingStructure: true, requireHeadingStructure: true }
+        }
+      });
+      await global.loadCustomRules();
+      document.body.innerHTML = '<h2>Section</h2>';
+      global.checkHeadingStructure();
+      global.resetCustomRules();
+
+      expect(global.LOGS[0].level).toBe('error');
+    });
+
+    test('should do nothing when the check is turned off', async () => {
+      chrome.storage.local.get.mockResolvedValueOnce({
+        customRules: { structure: { enabled: true, checkHeadingStructure: false } }
+      });
+      await global.loadCustomRules();
+      document.body.innerHTML = '<h2>Section</h2>';
+      global.runPageRules();
+      global.resetCustomRules();
+
+      expect(ruleIds()).not.toContain('heading-missing-h1');
+    });
+  });
+
+  describe('Summary panel outline', () => {
+    test('should render a collapsible heading outline', () => {
+      document.body.innerHTML = '<h1>Title</h1><h3>Deep</h3>';
+      global.createSummaryPanel();
+
+      const outline = global.getUIRoot().querySelector('.a11y-summary-panel details');
+      expect(outline.querySelector('summary').textContent).toBe('Heading Outline (2)');
+      expect(Array.from(outline.querySelectorAll('li')).map(li => li.textContent)).toEqual([
+        'h1: Title',
+        'h3: Deep'
+      ]);
+    });
+  });
+});
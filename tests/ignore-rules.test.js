@@ -0,0 +1,310 @@
+/**
+ * @fileoverview Tests for the ignore list
+ *
+ * Tests that findings matching an ignore list entry by selector, rule ID,
+ * URL pattern and expiry date are hidden from the overlays and counts but
+ * listed with their justification in a suppressed section of every export,
+ * and that the list is edited in the settings panel and stored with the
+ * custom rules.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Ignore List', () => {
+  const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+  const decorativeLogo = {
+    selector: '.logo',
+    ruleId: 'img-missing-alt',
+    note: 'Decorative logo, fixed in the next release'
+  };
+
+  /**
+   * Stores an ignore list and loads it.
+   * @param {Object[]} ignoreRules - The entries
+   * @returns {Promise<void>}
+   */
+  const setIgnoreRules = async ignoreRules => {
+    chrome.storage.local.get.mockResolvedValue({ ignoreRules });
+    await global.loadCustomRules();
+  };
+
+  /**
+   * Runs a full, non-incremental scan.
+   * @returns {void}
+   */
+  const scan = () => {
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+  };
+
+  /**
+   * Gets the selectors of a list of findings.
+   * @param {Object[]} findings - The findings
+   * @returns {string[]} The selectors
+   */
+  const selectors = findings => findings.map(finding => finding.selector);
+
+  beforeEach(async () => {
+    jest.useFakeTimers();
+
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+
+    // Give the page a language and title, which full scans check too
+    document.documentElement.lang = 'en';
+    document.title = 'Test page';
+    global.toggleAccessibilityHighlight(false);
+    chrome.runtime.sendMessage.mockClear();
+    document.body.innerHTML = `
+      <main>
+        <h1>Shop</h1>
+        <a class="logo" href="/" aria-label="Home"><img src="logo.png"></a>
+        <img id="hero" src="hero.png">
+        <div class="carousel"><div><button></button></div></div>
+      </main>`;
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+
+    await setIgnoreRules([decorativeLogo]);
+  });
+
+  afterEach(() => {
+    global.toggleAccessibilityHighlight(false);
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should hide findings inside elements that match the selector and rule', () => {
+    scan();
+
+    expect(selectors(global.LOGS)).toEqual(['#hero', 'html > body > main > div > div > button']);
+    expect(selectors(global.getAllSuppressedFindings())).toEqual(['html > body > main > a > img']);
+    expect(global.getAllSuppressedFindings()[0].suppressedBy).toEqual(decorativeLogo);
+    expect(global.getUIRoot().querySelectorAll('[data-a11yindex]')).toHaveLength(2);
+    expect(global.getScanSummary()).toMatchObject({ total: 2, errors: 2 });
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+      { action: 'scanResults', errors: 2, warnings: 0 },
+      expect.any(Function)
+    );
+  });
+
+  test('should ignore every rule inside a selector, or a rule everywhere', async () => {
+    await setIgnoreRules([
+      { selector: '.carousel', note: 'Third-party widget' },
+      { ruleId: 'img-missing-alt', note: 'Alt text is being written' }
+    ]);
+    scan();
+
+    expect(global.LOGS).toHaveLength(0);
+    expect(global.getAllSuppressedFindings().map(finding => finding.ruleId)).toEqual([
+      'img-missing-alt',
+      'img-missing-alt',
+      'button-missing-name'
+    ]);
+  });
+
+  test('should only apply entries on pages matching their URL pattern', async () => {
+    expect(
+      global.matchesUrlPattern('https://example.com/admin/*', 'https://example.com/admin/users')
+    ).toBe(true);
+    expect(
+      global.matchesUrlPattern('https://example.com/admin/*', 'https://example.com/shop')
+    ).toBe(false);
+    expect(global.matchesUrlPattern('*://localhost/', 'http://localhost/')).toBe(true);
+    expect(global.matchesUrlPattern('https://example.com/?a=1', 'https://example.com/xa=1')).toBe(
+      false
+    );
+
+    await setIgnoreRules([
+      { ...decorativeLogo, urlPattern: 'https://example.com/*' },
+      { ruleId: 'button-missing-name', urlPattern: 'http://localhost/*', note: 'Legacy page' }
+    ]);
+    scan();
+
+    expect(global.LOGS.map(finding => finding.ruleId)).toEqual([
+      'img-missing-alt',
+      'img-missing-alt'
+    ]);
+    expect(global.getAllSuppressedFindings().map(finding => finding.ruleId)).toEqual([
+      'button-missing-name'
+    ]);
+  });
+
+  test('should stop applying entries after their expiry date', async () => {
+    jest.setSystemTime(new Date(2026, 5, 30, 18, 0));
+    await setIgnoreRules([
+      { ...decorativeLogo, expires: '2026-06-30' },
+      { selector: '.carousel', expires: '2026-06-29', note: 'Expired' }
+    ]);
+    scan();
+
+    expect(selectors(global.getAllSuppressedFindings())).toEqual(['html > body > main > a > img']);
+    expect(selectors(global.LOGS)).toContain('html > body > main > div > div > button');
+  });
+
+  test('should explain invalid entries and skip them when loading', async () => {
+    expect(global.validateIgnoreRule({ note: 'Why' })).toBe('Enter a selector, a rule ID or both.');
+    expect(global.validateIgnoreRule({ selector: '#', note: 'Why' })).toBe(
+      '"#" is not a valid CSS selector.'
+    );
+    expect(
+      global.validateIgnoreRule({ ruleId: 'img-missing-alt', expires: '30/06/2026', note: 'x' })
+    ).toBe('Enter the expiry date as YYYY-MM-DD.');
+    expect(global.validateIgnoreRule({ ruleId: 'img-missing-alt', note: ' ' })).toBe(
+      'Enter a justification.'
+    );
+    expect(global.validateIgnoreRule(decorativeLogo)).toBeNull();
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await setIgnoreRules([{ selector: '.carousel' }, decorativeLogo]);
+    scan();
+
+    expect(console.warn).toHaveBeenCalledWith(
+      'Skipping invalid ignore rule:',
+      { selector: '.carousel' },
+      'Enter a justification.'
+    );
+    expect(global.getAllSuppressedFindings()).toHaveLength(1);
+  });
+
+  test('should list suppressed findings with their justification in every export', () => {
+    scan();
+    const summary = global.analyzeLogs();
+    const justification = 'img-missing-alt on .logo: Decorative logo, fixed in the next release';
+
+    const report = JSON.parse(global.generateJSONReport(summary));
+    expect(report.summary).toMatchObject({ totalIssues: 2, suppressedCount: 1 });
+    expect(report.issues).toHaveLength(2);
+    expect(report.suppressed).toEqual([
+      expect.objectContaining({
+        id: 1,
+        ruleId: 'img-missing-alt',
+        element: expect.objectContaining({ selector: 'html > body > main > a > img' }),
+        suppressedBy: decorativeLogo
+      })
+    ]);
+
+    const csvRows = global.generateCSVReport().split('\n');
+    expect(csvRows).toHaveLength(6);
+    expect(csvRows[3]).toBe('');
+    expect(csvRows[4]).toMatch(/,Help URL,Timestamp,Justification,Expires$/);
+    expect(csvRows[5]).toContain('"html > body > main > a > img"');
+    expect(csvRows[5]).toMatch(/,"Decorative logo, fixed in the next release",$/);
+
+    const html = global.generateHTMLReport(summary);
+    expect(html).toContain('<h2>Suppressed Findings (1)</h2>');
+    expect(html).toContain(`<strong>Justification:</strong> ${justification}`);
+
+    const text = global.generateTextReport(summary);
+    expect(text).toContain('SUPPRESSED FINDINGS');
+    expect(text).toContain(`   Justification: ${justification}`);
+
+    const { results } = JSON.parse(global.generateSARIFReport()).runs[0];
+    expect(results).toHaveLength(3);
+    expect(results[2].suppressions).toEqual([
+      { kind: 'external', status: 'accepted', justification }
+    ]);
+    expect(results[0].suppressions).toBeUndefined();
+  });
+
+  test('should leave the suppressed sections out when nothing is ignored', async () => {
+    await setIgnoreRules([]);
+    scan();
+    const summary = global.analyzeLogs();
+
+    expect(JSON.parse(global.generateJSONReport(summary)).suppressed).toEqual([]);
+    expect(global.generateCSVReport().split('\n')).toHaveLength(4);
+    expect(global.generateHTMLReport(summary)).not.toContain('Suppressed Findings');
+    expect(global.generateTextReport(summary)).not.toContain('SUPPRESSED FINDINGS');
+  });
+
+  test('should drop suppressed findings of elements removed in watch mode', async () => {
+    scan();
+
+    document.querySelector('.logo').remove();
+    await Promise.resolve();
+    jest.advanceTimersByTime(500);
+
+    expect(global.getAllSuppressedFindings()).toHaveLength(0);
+    expect(global.LOGS).toHaveLength(2);
+  });
+
+  test('should collect the suppressed findings of child frames', () => {
+    onMessage(
+      {
+        action: 'frameFindings',
+        findings: [],
+        suppressed: [{ id: 0, selector: '#card', suppressedBy: decorativeLogo }],
+        sourceFrameId: 4,
+        sourceUrl: 'https://pay.example.com/'
+      },
+      {},
+      jest.fn()
+    );
+
+    expect(global.getAllSuppressedFindings()).toEqual([
+      expect.objectContaining({ selector: '#card', frameId: 4 })
+    ]);
+  });
+
+  test('should add and remove entries in the settings panel and store them', async () => {
+    global.openPanel('config');
+    const section = global.getUIRoot().querySelector('.a11y-ignore-rules');
+    const form = section.querySelector('form');
+    const items = () => Array.from(section.querySelectorAll('li')).map(item => item.textContent);
+    expect(items()).toEqual([
+      'img-missing-alt on .logo: Decorative logo, fixed in the next release Remove'
+    ]);
+    expect(section.querySelector('#a11y-ignore-ruleId').getAttribute('list')).toBe(
+      'a11y-ignore-rule-ids'
+    );
+
+    section.querySelector('#a11y-ignore-selector').value = '.carousel';
+    form.requestSubmit();
+    expect(section.querySelector('[role="alert"]').textContent).toBe('Enter a justification.');
+
+    section.querySelector('#a11y-ignore-note').value = 'Third-party widget';
+    section.querySelector('#a11y-ignore-expires').value = '2026-12-31';
+    form.requestSubmit();
+    expect(section.querySelector('[role="alert"]').textContent).toBe('');
+    expect(items()[1]).toBe('All rules on .carousel until 2026-12-31: Third-party widget Remove');
+
+    section.querySelector('li button').click();
+    const saveButton = Array.from(
+      global.getUIRoot().querySelectorAll('.a11y-config-panel button')
+    ).find(button => button.textContent === 'Save Configuration');
+    saveButton.click();
+    await Promise.resolve();
+
+    expect(chrome.storage.local.set).toHaveBeenLastCalledWith({
+      customRules: expect.any(Object),
+      ignoreRules: [{ selector: '.carousel', expires: '2026-12-31', note: 'Third-party widget' }]
+    });
+  });
+});
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Tests for the keyboard trap probe
+ *
+ * Tests that Tab and Shift+Tab are pressed through dialogs, composite
+ * widgets and child frames, with page scripts getting the key events first,
+ * and that containers focus cannot leave and modal dialogs that let focus
+ * out are flagged with the focus path in the message.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Keyboard Traps', () => {
+  /**
+   * Gets the findings of a rule.
+   * @param {string} ruleId - The rule ID
+   * @returns {Object[]} The findings
+   */
+  const findingsOf = ruleId => global.LOGS.filter(finding => finding.ruleId === ruleId);
+
+  /**
+   * Makes Tab and Shift+Tab cycle through the focusable elements of a
+   * container, the way focus trap scripts do.
+   * @param {Element} container - The container
+   * @param {function(KeyboardEvent): boolean} [isTab] - Recognizes the Tab key
+   * @returns {void}
+   */
+  const trapFocus = (container, isTab = event => event.key === 'Tab') => {
+    container.addEventListener('keydown', event => {
+      if (!isTab(event)) {
+        return;
+      }
+      event.preventDefault();
+      const items = Array.from(container.querySelectorAll('button, input, [tabindex="0"]'));
+      const index = items.indexOf(document.activeElement);
+      const step = event.shiftKey ? items.length - 1 : 1;
+      items[(index + step) % items.length].focus();
+    });
+  };
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    global.resetCustomRules();
+    document.body.innerHTML = '';
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+  });
+
+  afterEach(() => {
+    global.removeAccessibilityOverlays();
+    global.resetCustomRules();
+    jest.restoreAllMocks();
+  });
+
+  test('should flag widgets that focus cannot leave, with the focus path', () => {
+    document.body.innerHTML = `
+      <button>Before</button>
+      <ul id="fruit" role="listbox">
+        <li role="option" tabindex="0">Apple</li>
+        <li role="option" tabindex="0">Banana</li>
+      </ul>
+      <button>After</button>`;
+    trapFocus(document.getElementById('fruit'));
+
+    global.checkKeyboardTraps();
+
+    expect(findingsOf('keyboard-trap')).toEqual([
+      expect.objectContaining({
+        selector: '#fruit',
+        level: 'error',
+        category: 'navigation',
+        wcag: '2.1.2',
+        message:
+          'Keyboard focus cannot leave this container (Tab: li "Banana" → li "Apple" → li "Banana"; ' +
+          'Shift+Tab: li "Apple" → li "Banana" → li "Apple")'
+      })
+    ]);
+  });
+
+  test('should pass widgets focus can leave in at least one direction', () => {
+    document.body.innerHTML = `
+      <div role="toolbar"><button>Bold</button><button>Italic</button></div>
+      <button>After</button>
+      <div id="menu" role="menu"><button role="menuitem">Open</button></div>`;
+    // Tab is trapped, but Shift+Tab still moves focus out
+    document.getElementById('menu').addEventListener('keydown', event => {
+      if (event.key === 'Tab' && !event.shiftKey) {
+        event.preventDefault();
+      }
+    });
+
+    global.checkKeyboardTraps();
+
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should recognize traps that read the legacy key code', () => {
+    document.body.innerHTML = `
+      <div id="tabs" role="tablist"><button role="tab">One</button><button role="tab">Two</button></div>
+      <button>After</button>`;
+    trapFocus(document.getElementById('tabs'), event => event.keyCode === 9);
+
+    global.checkKeyboardTraps();
+
+    expect(findingsOf('keyboard-trap')).toHaveLength(1);
+  });
+
+  test('should flag modal dialogs that let focus move behind them', () => {
+    document.body.innerHTML = `
+      <button>Menu</button>
+      <div id="signin" role="dialog" aria-modal="true">
+        <input id="email" aria-label="Email">
+        <button>Sign in</button>
+      </div>
+      <a href="/help">Help</a>`;
+
+    global.checkKeyboardTraps();
+
+    expect(findingsOf('dialog-focus-escapes')).toEqual([
+      expect.objectContaining({
+        selector: '#signin',
+        level: 'error',
+        wcag: '2.4.3',
+        message:
+          'Modal dialog lets keyboard focus move behind it (Tab: button "Sign in" → a "Help"; ' +
+          'Shift+Tab: input#email → button "Menu")'
+      })
+    ]);
+  });
+
+  test('should pass modal dialogs that keep focus inside or hand it to the browser', () => {
+    document.body.innerHTML = `
+      <button>Menu</button>
+      <div id="confirm" role="alertdialog" aria-modal="true">
+        <button>Delete</button><button>Cancel</button>
+      </div>`;
+    trapFocus(document.getElementById('confirm'));
+
+    global.checkKeyboardTraps();
+    expect(global.LOGS).toHaveLength(0);
+
+    // Without the script, Tab from the last element leaves the page
+    document.body.innerHTML = `
+      <div role="dialog" aria-modal="true"><button>Close</button></div>`;
+    global.checkKeyboardTraps();
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should not require non-modal dialogs to keep focus', () => {
+    document.body.innerHTML = `
+      <div role="dialog"><button>Close</button></div>
+      <button>After</button>`;
+
+    global.checkKeyboardTraps();
+
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should skip closed dialogs and widgets without focusable elements', () => {
+    document.body.innerHTML = `
+      <div role="dialog" aria-modal="true" style="display: none"><button>Close</button></div>
+      <div role="radiogroup" aria-label="Size"></div>
+      <button>After</button>`;
+    const dispatch = jest.spyOn(EventTarget.prototype, 'dispatchEvent');
+
+    global.checkKeyboardTraps();
+
+    expect(global.LOGS).toHaveLength(0);
+    expect(dispatch).not.toHaveBeenCalled();
+  });
+
+  test('should probe widgets inside open shadow roots', () => {
+    document.body.innerHTML = '<x-picker></x-picker><button>After</button>';
+    const root = document.querySelector('x-picker').attachShadow({ mode: 'open' });
+    root.innerHTML = '<div role="grid"><button>1</button><button>2</button></div>';
+    trapFocus(root.querySelector('[role="grid"]'));
+
+    global.checkKeyboardTraps();
+
+    expect(findingsOf('keyboard-trap').map(finding => finding.selector)).toEqual([
+      'html > body > x-picker >>> div'
+    ]);
+  });
+
+  test('should give focus back to the element that had it', () => {
+    document.body.innerHTML = `
+      <input id="search" aria-label="Search">
+      <div role="toolbar"><button>Bold</button></div>`;
+    document.getElementById('search').focus();
+
+    global.checkKeyboardTraps();
+
+    expect(document.activeElement.id).toBe('search');
+  });
+
+  test('should flag child frames that keep focus from the parent page', () => {
+    jest.spyOn(window, 'parent', 'get').mockReturnValue({});
+    document.body.innerHTML = '<input aria-label="Card number"><button>Pay</button>';
+    trapFocus(document.body);
+
+    global.checkKeyboardTraps();
+
+    expect(findingsOf('keyboard-trap')[0].message).toBe(
+      'Keyboard focus cannot leave this container (Tab: button "Pay" → input "Card number" → ' +
+        'button "Pay"; Shift+Tab: input "Card number" → button "Pay" → input "Card number")'
+    );
+  });
+
+  test('should only run as a page rule of full scans when turned on', async () => {
+    document.body.innerHTML = `
+      <main><h1>Shop</h1><div id="fruit" role="listbox"><button>Apple</button></div></main>`;
+    trapFocus(document.getElementById('fruit'));
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    expect(findingsOf('keyboard-trap')).toHaveLength(0);
+
+    global.removeAccessibilityOverlays();
+    chrome.storage.local.get.mockResolvedValueOnce({
+      customRules: {
+        navigation: { enabled: true, checkTabIndex: true, checkKeyboardTraps: true }
+      }
+    });
+    await global.loadCustomRules();
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+    expect(findingsOf('keyboard-trap')).toHaveLength(1);
+  });
+
+  test('should run on request without turning it on for scans', () => {
+    document.body.innerHTML = `
+      <main><h1>Shop</h1><div id="fruit" role="listbox"><button>Apple</button></div></main>`;
+    trapFocus(document.getElementById('fruit'));
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+
+    global.runOnDemandRules();
+    global.runOnDemandRules();
+    expect(findingsOf('keyboard-trap')).toHaveLength(1);
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * @fileoverview Tests for watch mode
+ *
+ * Tests that changes to the page after a scan are rechecked once the page
+ * settles: added content gets findings, removed and fixed elements lose
+ * them, and the overlays and badge count stay current.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Watch Mode', () => {
+  /**
+   * Runs a full, non-incremental scan.
+   * @returns {void}
+   */
+  const scan = () => {
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+  };
+
+  /**
+   * Delivers pending mutations and lets the debounce delay pass.
+   * @returns {Promise<void>}
+   */
+  const settle = async () => {
+    await Promise.resolve();
+    jest.advanceTimersByTime(500);
+  };
+
+  /**
+   * Gets the rule IDs of the current findings.
+   * @returns {string[]} The rule IDs
+   */
+  const ruleIds = () => global.LOGS.map(finding => finding.ruleId);
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+
+    // Give the page a language and title, which full scans check too
+    document.documentElement.lang = 'en';
+    document.title = 'Test page';
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+    chrome.runtime.sendMessage.mockClear();
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    global.removeAccessibilityOverlays();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should check content added after the scan once the page settles', async () => {
+    document.body.innerHTML = '<main><h1>Shop</h1><ul id="list"></ul></main>';
+    scan();
+    expect(global.LOGS).toHaveLength(0);
+
+    // A lazy-loaded list renders in several steps
+    const list = document.getElementById('list');
+    list.innerHTML = '<li><img src="a.png"></li>';
+    await Promise.resolve();
+    jest.advanceTimersByTime(300);
+    list.insertAdjacentHTML('beforeend', '<li><img src="b.png"></li>');
+    await Promise.resolve();
+    jest.advanceTimersByTime(300);
+    expect(global.LOGS).toHaveLength(0);
+
+    jest.advanceTimersByTime(200);
+    expect(ruleIds()).toEqual(['img-missing-alt', 'img-missing-alt']);
+    expect(global.getUIRoot().querySelectorAll('.a11y-error')).toHaveLength(2);
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+      { action: 'scanResults', errors: 2, warnings: 0 },
+      expect.any(Function)
+    );
+  });
+
+  test('should remove the findings and overlays of removed elements', async () => {
+    document.body.innerHTML =
+      '<main><h1>Shop</h1><div id="modal"><button></button></div><img src="a.png"></main>';
+    scan();
+    expect(ruleIds()).toEqual(['button-missing-name', 'img-missing-alt']);
+
+    document.getElementById('modal').remove();
+    await settle();
+
+    expect(ruleIds()).toEqual(['img-missing-alt']);
+    expect(global.LOGS[0].id).toBe(0);
+    const overlays = global.getUIRoot().querySelectorAll('[data-a11yindex]');
+    expect(overlays).toHaveLength(1);
+    expect(overlays[0].dataset.a11yindex).toBe('0');
+    expect(global.getOverlayFinding(overlays[0]).ruleId).toBe('img-missing-alt');
+  });
+
+  test('should recheck elements whose attributes or content changed', async () => {
+    document.body.innerHTML =
+      '<main><h1>Shop</h1><img src="a.png"><button><span></span></button></main>';
+    scan();
+    expect(ruleIds()).toEqual(['img-missing-alt', 'button-missing-name']);
+
+    document.querySelector('img').alt = 'Red shoes';
+    document.querySelector('span').textContent = 'Add to cart';
+    await settle();
+
+    expect(global.LOGS).toHaveLength(0);
+    expect(global.getUIRoot().querySelectorAll('[data-a11yindex]')).toHaveLength(0);
+  });
+
+  test('should check content shown and drop content hidden by style changes', async () => {
+    document.body.innerHTML =
+      '<main><h1>Shop</h1><div id="menu" style="display: none"><a href="/"></a></div>' +
+      '<div id="modal"><img src="a.png"></div></main>';
+    scan();
+    expect(ruleIds()).toEqual(['img-missing-alt']);
+
+    document.getElementById('menu').style.display = '';
+    document.getElementById('modal').style.display = 'none';
+    await settle();
+
+    expect(ruleIds()).toEqual(['link-missing-name']);
+  });
+
+  test('should run the page rules again after a route change', async () => {
+    document.body.innerHTML = '<div id="app"><p>Loading</p></div>';
+    scan();
+    expect(ruleIds()).toContain('page-missing-landmarks');
+
+    document.getElementById('app').innerHTML = '<main><h1>Account</h1></main>';
+    await settle();
+
+    expect(ruleIds()).not.toContain('page-missing-landmarks');
+  });
+
+  test('should only run the page rules again that allow rechecks', async () => {
+    const rules = [
+      { id: 'test-rechecked', check: jest.fn() },
+      { id: 'test-once', recheck: false, check: jest.fn() }
+    ];
+    rules.forEach(rule =>
+      global.registerRule({ ...rule, scope: 'page', category: 'navigation', severity: 'error' })
+    );
+    rules[1].check.mockImplementation(() =>
+      global.overlay.call(document.querySelector('h1'), 'overlay', 'error', 'Focus problem')
+    );
+    document.body.innerHTML = '<main><h1>Shop</h1><div id="app"></div></main>';
+    scan();
+
+    document.getElementById('app').innerHTML = '<p>Loaded</p>';
+    await settle();
+    rules.forEach(rule => global.unregisterRule(rule.id));
+
+    expect(rules[0].check).toHaveBeenCalledTimes(2);
+    expect(rules[1].check).toHaveBeenCalledTimes(1);
+    // The findings of the rule that isn't run again are kept
+    expect(global.LOGS.map(finding => finding.message)).toEqual(['Focus problem']);
+  });
+
+  test('should keep the findings of page rules that are not run again', async () => {
+    document.body.innerHTML = `
+      <main><h1>Shop</h1><button>Menu</button>
+        <div id="signin" role="dialog" aria-modal="true"><button>Sign in</button></div>
+        <a href="/help">Help</a></main>`;
+    scan();
+    global.runOnDemandRules();
+    expect(ruleIds()).toEqual(['dialog-focus-escapes']);
+
+    // Pages style the dialog that has focus, e.g. after the probe focused it
+    const dialog = document.getElementById('signin');
+    dialog.classList.add('has-focus');
+    await settle();
+    expect(ruleIds()).toEqual(['dialog-focus-escapes']);
+
+    dialog.remove();
+    await settle();
+    expect(global.LOGS).toHaveLength(0);
+  });
+
+  test('should recheck changes inside open shadow roots', async () => {
+    document.body.innerHTML = '<main><h1>Shop</h1><x-card></x-card></main>';
+    const root = document.querySelector('x-card').attachShadow({ mode: 'open' });
+    root.innerHTML = '<div></div>';
+    scan();
+
+    root.querySelector('div').innerHTML = '<button></button>';
+    await settle();
+
+    expect(global.LOGS.map(finding => finding.selector)).toEqual([
+      'html > body > main > x-card >>> div > button'
+    ]);
+  });
+
+  test('should recheck changes made during a scan once it has finished', async () => {
+    // Large enough to be scanned in several chunks
+    document.body.innerHTML = `<main><h1>Shop</h1>${'<p>Item</p>'.repeat(60)}</main>`;
+    global.resetThrottle();
+    global.toggleAccessibilityHighlight(true);
+
+    document.querySelector('main').insertAdjacentHTML('beforeend', '<img src="a.png">');
+    await Promise.resolve();
+    jest.runAllTimers();
+
+    // Found once, by the scan or by the recheck after it
+    expect(ruleIds()).toEqual(['img-missing-alt']);
+  });
+
+  test('should stop watching when turned off', async () => {
+    document.body.innerHTML = '<main><h1>Shop</h1></main>';
+    scan();
+
+    global.toggleAccessibilityHighlight(false);
+    document.querySelector('main').insertAdjacentHTML('beforeend', '<img src="a.png">');
+    await settle();
+
+    expect(global.LOGS).toHaveLength(0);
+    expect(global.getUIRoot().querySelectorAll('[data-a11yindex]')).toHaveLength(0);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * @fileoverview Tests for overlay positioning
+ *
+ * Tests that overlays follow their elements through scrolling, resizing and
+ * layout changes, including fixed elements and scrollable containers.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Overlay Positioning', () => {
+  let frames;
+  let rects;
+  let resizeObservers;
+
+  /**
+   * Runs the pending animation frames.
+   * @returns {void}
+   */
+  const flushFrames = () => {
+    const callbacks = frames;
+    frames = [];
+    callbacks.forEach(callback => callback());
+  };
+
+  /**
+   * Creates an overlay for the element matching a selector.
+   * @param {string} selector - The selector
+   * @returns {HTMLElement} The overlay
+   */
+  const overlayFor = selector => {
+    global.overlay.call(document.querySelector(selector), 'overlay', 'error', 'Problem');
+    return global.getUIRoot().querySelector(`[data-a11yindex="${global.LOGS.length - 1}"]`);
+  };
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+    window.scrollX = 0;
+    window.scrollY = 0;
+
+    frames = [];
+    global.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+    global.cancelAnimationFrame = jest.fn();
+
+    resizeObservers = [];
+    global.ResizeObserver = class {
+      constructor(callback) {
+        this.callback = callback;
+        this.observe = jest.fn();
+        this.unobserve = jest.fn();
+        this.disconnect = jest.fn();
+        resizeObservers.push(this);
+      }
+    };
+
+    // Element rectangles by ID: [top, left, width, height]
+    rects = {};
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(function () {
+      const [top, left, width, height] = rects[this.id] || [0, 0, 0, 0];
+      return { top, left, width, height, right: left + width, bottom: top + height };
+    });
+    window.getComputedStyle = jest.fn(element => ({
+      display: 'block',
+      visibility: 'visible',
+      position: element.style.position || 'static',
+      overflowX: element.style.overflow || 'visible',
+      overflowY: element.style.overflow || 'visible'
+    }));
+  });
+
+  afterEach(() => {
+    global.stopOverlayTracking();
+    delete global.requestAnimationFrame;
+    delete global.cancelAnimationFrame;
+    delete global.ResizeObserver;
+    jest.restoreAllMocks();
+  });
+
+  test('should place overlays at the element in document coordinates', () => {
+    document.body.innerHTML = '<img id="img">';
+    rects.img = [100, 50, 80, 40];
+    window.scrollY = 200;
+
+    const overlayEl = overlayFor('#img');
+    expect(overlayEl.style.position).toBe('absolute');
+    expect(overlayEl.style.top).toBe('300px');
+    expect(overlayEl.style.left).toBe('50px');
+    expect(overlayEl.style.width).toBe('80px');
+  });
+
+  test('should follow the element after a layout change in one batched frame', () => {
+    document.body.innerHTML = '<img id="img">';
+    rects.img = [100, 50, 80, 40];
+    const overlayEl = overlayFor('#img');
+
+    // An accordion above the element opens and the window is resized
+    rects.img = [260, 50, 120, 40];
+    resizeObservers[0].callback([]);
+    window.dispatchEvent(new Event('resize'));
+    window.dispatchEvent(new Event('resize'));
+
+    expect(global.requestAnimationFrame).toHaveBeenCalledTimes(1);
+    expect(overlayEl.style.top).toBe('100px');
+
+    flushFrames();
+    expect(overlayEl.style.top).toBe('260px');
+    expect(overlayEl.style.width).toBe('120px');
+  });
+
+  test('should observe the page and every marked element for size changes', () => {
+    document.body.innerHTML = '<img id="img">';
+    rects.img = [0, 0, 10, 10];
+    overlayFor('#img');
+
+    const observed = resizeObservers[0].observe.mock.calls.map(([element]) => element);
+    expect(observed).toEqual([
+      document.documentElement,
+      document.body,
+      document.getElementById('img')
+    ]);
+  });
+
+  test('should keep observing an element until its last overlay is removed', () => {
+    document.body.innerHTML = '<img id="img">';
+    rects.img = [0, 0, 10, 10];
+    overlayFor('#img');
+    overlayFor('#img');
+    const img = document.getElementById('img');
+    const [observer] = resizeObservers;
+
+    global.removeFindings(finding => finding.id === 0);
+    expect(observer.unobserve).not.toHaveBeenCalled();
+
+    global.removeFindings(() => true);
+    expect(observer.unobserve).toHaveBeenCalledWith(img);
+  });
+
+  test('should pin overlays of elements in position: fixed containers to the viewport', () => {
+    document.body.innerHTML =
+      '<header id="bar" style="position: fixed"><button id="menu"></button></header>';
+    rects.menu = [10, 10, 40, 40];
+    window.scrollY = 900;
+
+    const overlayEl = overlayFor('#menu');
+    expect(overlayEl.style.position).toBe('fixed');
+    expect(overlayEl.style.top).toBe('10px');
+  });
+
+  test('should update when a scrollable container scrolls and clip to it', () => {
+    document.body.innerHTML =
+      '<div id="list" style="overflow: auto"><a id="item" href="/">Item</a></div>';
+    rects.list = [100, 0, 200, 100];
+    rects.item = [150, 0, 200, 20];
+    const overlayEl = overlayFor('#item');
+    expect(overlayEl.style.top).toBe('150px');
+
+    // Half scrolled out of the top of the container
+    rects.item = [90, 0, 200, 20];
+    document.getElementById('list').dispatchEvent(new Event('scroll'));
+    flushFrames();
+    expect(overlayEl.style.top).toBe('100px');
+    expect(overlayEl.style.height).toBe('10px');
+
+    // Scrolled out of view entirely
+    rects.item = [40, 0, 200, 20];
+    document.getElementById('list').dispatchEvent(new Event('scroll'));
+    flushFrames();
+    expect(overlayEl.style.visibility).toBe('hidden');
+  });
+
+  test('should hide overlays of removed elements', () => {
+    document.body.innerHTML = '<img id="img">';
+    rects.img = [0, 0, 10, 10];
+    const overlayEl = overlayFor('#img');
+
+    document.getElementById('img').remove();
+    global.updateOverlayPositions();
+    expect(overlayEl.style.visibility).toBe('hidden');
+  });
+
+  test('should stop listening when the overlays are removed', () => {
+    document.body.innerHTML = '<img id="img">';
+    rects.img = [0, 0, 10, 10];
+    overlayFor('#img');
+
+    global.toggleAccessibilityHighlight(false);
+    window.dispatchEvent(new Event('scroll'));
+
+    expect(resizeObservers[0].disconnect).toHaveBeenCalled();
+    expect(global.requestAnimationFrame).not.toHaveBeenCalled();
+  });
+});
@@ -106,6 +106,7 @@ describe('overlayManager.js', () => {
         right: 120,
         bottom: 60
       })),
+      getRootNode: jest.fn(() => document),
       tagName: 'IMG',
       outerHTML: '<img src="test.jpg">'
     };
@@ -0,0 +1,100 @@
+/**
+ * @fileoverview Tests for overlayPositioner.js module
+ *
+ * Tests measuring overlay positions and keeping tracked overlays aligned.
+ */
+
+const {
+  getOverlayPosition,
+  updateOverlayPositions,
+  scheduleOverlayUpdate,
+  stopOverlayTracking,
+  trackOverlay,
+  untrackOverlay
+} = require('../src/modules/overlayPositioner.js');
+
+describe('overlayPositioner.js', () => {
+  let rect;
+
+  beforeEach(() => {
+    delete document.createElement;
+    document.body.innerHTML = '<div id="box"></div><div id="overlay"></div>';
+    rect = { top: 20, left: 30, width: 100, height: 50 };
+    jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(() => rect);
+    window.getComputedStyle = jest.fn(() => ({ position: 'static' }));
+    global.requestAnimationFrame = jest.fn(() => 1);
+  });
+
+  afterEach(() => {
+    stopOverlayTracking();
+    delete global.requestAnimationFrame;
+    delete global.ResizeObserver;
+    jest.restoreAllMocks();
+  });
+
+  test('should measure positions in document coordinates', () => {
+    window.scrollY = 100;
+    expect(getOverlayPosition(document.getElementById('box'))).toEqual({
+      position: 'absolute',
+      top: 120,
+      left: 30,
+      width: 100,
+      height: 50,
+      isVisible: true
+    });
+    window.scrollY = 0;
+  });
+
+  test('should measure fixed elements in viewport coordinates', () => {
+    window.getComputedStyle = jest.fn(element => ({
+      position: element.id === 'box' ? 'fixed' : 'static'
+    }));
+    window.scrollY = 100;
+    expect(getOverlayPosition(document.getElementById('box'))).toMatchObject({
+      position: 'fixed',
+      top: 20
+    });
+    window.scrollY = 0;
+  });
+
+  test('should find fixed ancestors outside the shadow tree of an element', () => {
+    const root = document.getElementById('box').attachShadow({ mode: 'open' });
+    root.innerHTML = '<button></button>';
+    window.getComputedStyle = jest.fn(element => ({
+      position: element.id === 'box' ? 'fixed' : 'static'
+    }));
+
+    expect(getOverlayPosition(root.querySelector('button')).position).toBe('fixed');
+  });
+
+  test('should move tracked overlays and batch update requests', () => {
+    const overlayEl = document.getElementById('overlay');
+    trackOverlay(overlayEl, document.getElementById('box'));
+
+    scheduleOverlayUpdate();
+    scheduleOverlayUpdate();
+    expect(global.requestAnimationFrame).toHaveBeenCalledTimes(1);
+
+    rect = { top: 60, left: 30, width: 100, height: 50 };
+    updateOverlayPositions();
+    expect(overlayEl.style.top).toBe('60px');
+  });
+
+  test('should keep observing an element until its last overlay is removed', () => {
+    const observer = { observe: jest.fn(), unobserve: jest.fn(), disconnect: jest.fn() };
+    global.ResizeObserver = jest.fn(() => observer);
+    const box = document.getElementById('box');
+    const [first, second] = ['overlay', 'badge'].map(id => {
+      const overlayEl = document.createElement('div');
+      overlayEl.id = id;
+      trackOverlay(overlayEl, box);
+      return overlayEl;
+    });
+
+    untrackOverlay(first);
+    expect(observer.unobserve).not.toHaveBeenCalled();
+
+    untrackOverlay(second);
+    expect(observer.unobserve).toHaveBeenCalledWith(box);
+  });
+});
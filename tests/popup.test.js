@@ -0,0 +1,202 @@
+/**
+ * @fileoverview Tests for the browser action popup
+ *
+ * Tests rendering of the tab state and scan summary, and the messages the
+ * popup controls send to the background and content scripts.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  tabs: {
+    query: jest.fn().mockResolvedValue([{ id: 42 }]),
+    sendMessage: jest.fn()
+  },
+  runtime: {
+    sendMessage: jest.fn()
+  }
+};
+
+const popupHtml = require('../src/popup.html');
+require('../src/popup.js');
+
+describe('Popup', () => {
+  const summary = {
+    isScanning: false,
+    total: 5,
+    errors: 3,
+    warnings: 2,
+    categories: {
+      images: { errors: 2, warnings: 0 },
+      navigation: { errors: 0, warnings: 1 },
+      structure: { errors: 1, warnings: 1 }
+    }
+  };
+
+  /**
+   * Mocks the background and content script responses.
+   * @param {Object|null} state - Tab state returned by the background
+   * @param {Object|null} scanSummary - Summary returned by the content script
+   * @returns {void}
+   */
+  const mockResponses = (state, scanSummary) => {
+    chrome.runtime.sendMessage.mockResolvedValue(state);
+    chrome.tabs.sendMessage.mockImplementation(async (_tabId, message) => {
+      if (message.action === 'getScanSummary') {
+        if (!scanSummary) {
+          throw new Error('Could not establish connection');
+        }
+        return scanSummary;
+      }
+      return { success: true };
+    });
+  };
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    document.body.innerHTML = popupHtml;
+    jest.clearAllMocks();
+    window.close = jest.fn();
+  });
+
+  test('should show counts by category for an enabled tab', async () => {
+    mockResponses({ isEnabled: true }, summary);
+    await global.initializePopup();
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'getTabState', tabId: 42 });
+    expect(document.getElementById('status').textContent).toBe('5 issues found.');
+    expect(document.getElementById('error-count').textContent).toBe('3 errors');
+    expect(document.getElementById('toggle').getAttribute('aria-pressed')).toBe('true');
+
+    const rows = Array.from(document.querySelectorAll('#categories tbody tr')).map(row =>
+      Array.from(row.children).map(cell => cell.textContent)
+    );
+    expect(rows).toEqual([
+      ['Images', '2', '0'],
+      ['Structure', '1', '1'],
+      ['Navigation', '0', '1']
+    ]);
+  });
+
+  test('should disable page tools when highlighting is off', async () => {
+    mockResponses({ isEnabled: false }, { ...summary, total: 0 });
+    await global.initializePopup();
+
+    expect(document.getElementById('status').textContent).toBe('Highlighting is off for this tab.');
+    expect(document.getElementById('results').hidden).toBe(true);
+    expect(document.getElementById('rescan').disabled).toBe(true);
+    expect(document.getElementById('toggle').disabled).toBe(false);
+  });
+
+  test('should say when a scan covered only part of the page', async () => {
+    const coverage = { status: 'truncated', checkedElements: 800, totalElements: 2000 };
+    mockResponses({ isEnabled: true }, { ...summary, coverage: { ...coverage, percentage: 40 } });
+    await global.initializePopup();
+
+    expect(document.getElementById('status').textContent).toBe(
+      '5 issues found. The scan reached its time limit after checking 40% of the page, so results are partial.'
+    );
+
+    global.render(
+      { isEnabled: true },
+      { ...summary, isScanning: true, coverage: { ...coverage, status: 'paused' } }
+    );
+    expect(document.getElementById('status').textContent).toBe('Scan paused.');
+  });
+
+  test('should say when only a region of the page was checked', async () => {
+    const scope = { selector: '#checkout', frameUrl: 'https://shop.example.com/' };
+    mockResponses({ isEnabled: true }, { ...summary, scope });
+    await global.initializePopup();
+
+    expect(document.getElementById('status').textContent).toBe(
+      '5 issues found. Only #checkout was checked.'
+    );
+  });
+
+  test('should say how the findings compare with the baseline', async () => {
+    const baseline = { name: 'Release 2.3', newCount: 2, fixedCount: 1 };
+    mockResponses({ isEnabled: true }, { ...summary, baseline });
+    await global.initializePopup();
+
+    expect(document.getElementById('status').textContent).toBe(
+      '5 issues found. 2 new and 1 fixed since the baseline "Release 2.3".'
+    );
+  });
+
+  test('should explain pages the content script cannot run on', async () => {
+    mockResponses({ isEnabled: false }, null);
+    await global.initializePopup();
+
+    expect(document.getElementById('status').textContent).toBe(
+      'Accessibility Highlighter cannot run on this page.'
+    );
+    expect(document.getElementById('first-issue').disabled).toBe(true);
+  });
+
+  test('should toggle the tab through the background', async () => {
+    mockResponses({ isEnabled: false }, summary);
+    await global.initializePopup();
+
+    document.getElementById('toggle').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.runtime.sendMessage).toHaveBeenCalledWith({ action: 'toggleTab', tabId: 42 });
+  });
+
+  test('should rescan every frame of the page', async () => {
+    mockResponses({ isEnabled: true }, summary);
+    await global.initializePopup();
+
+    document.getElementById('rescan').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'rescan' }, {});
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      42,
+      { action: 'getScanSummary' },
+      { frameId: 0 }
+    );
+  });
+
+  test('should run the keyboard checks in every frame of the page', async () => {
+    mockResponses({ isEnabled: true }, summary);
+    await global.initializePopup();
+
+    document.getElementById('keyboard-checks').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(42, { action: 'runKeyboardChecks' }, {});
+    expect(chrome.tabs.sendMessage).toHaveBeenLastCalledWith(
+      42,
+      { action: 'getScanSummary' },
+      { frameId: 0 }
+    );
+  });
+
+  test('should open panels and jump to the first issue in the page, then close', async () => {
+    mockResponses({ isEnabled: true }, summary);
+    await global.initializePopup();
+
+    document.querySelector('[data-panel="export"]').click();
+    document.getElementById('first-issue').click();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    // Only the top frame, which collects the findings of all frames, opens panels
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      42,
+      { action: 'openPanel', panel: 'export' },
+      { frameId: 0 }
+    );
+    expect(chrome.tabs.sendMessage).toHaveBeenCalledWith(
+      42,
+      { action: 'focusFirstIssue' },
+      { frameId: 0 }
+    );
+    expect(window.close).toHaveBeenCalled();
+  });
+});
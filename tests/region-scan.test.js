@@ -0,0 +1,317 @@
+/**
+ * @fileoverview Tests for region scans
+ *
+ * Tests that scans can be limited to the element a selector finds, that the
+ * user picks on the page or that the context menu was opened on, and that
+ * overlays, watch mode, frame findings and reports then cover only that
+ * region.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Region Scans', () => {
+  const onMessage = chrome.runtime.onMessage.addListener.mock.calls[0][0];
+
+  /**
+   * Lets the scan started by a region change run to its end.
+   * @returns {void}
+   */
+  const finishScan = () => {
+    jest.runOnlyPendingTimers();
+    jest.runOnlyPendingTimers();
+  };
+
+  /**
+   * Gets the selectors of the current findings.
+   * @returns {string[]} The selectors
+   */
+  const selectors = () => global.LOGS.map(finding => finding.selector);
+
+  /**
+   * Gets the messages this frame sent to other frames.
+   * @returns {Object[]} The frameMessage requests
+   */
+  const frameMessages = () =>
+    chrome.runtime.sendMessage.mock.calls
+      .map(([message]) => message)
+      .filter(message => message.action === 'frameMessage');
+
+  beforeEach(() => {
+    jest.useFakeTimers();
+
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.toggleAccessibilityHighlight(false);
+    chrome.runtime.sendMessage.mockClear();
+    document.body.innerHTML = `
+      <main>
+        <h1>Shop</h1>
+        <form id="checkout"><input type="text"><div><img src="card.png"></div></form>
+        <img src="banner.png">
+      </main>`;
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: element.style.display || 'block',
+      visibility: 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 20, width: 100, height: 30 });
+  });
+
+  afterEach(() => {
+    global.toggleAccessibilityHighlight(false);
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  test('should only check the region a selector finds', () => {
+    expect(global.scanSelector('#checkout')).toBeNull();
+    finishScan();
+
+    expect(selectors()).toEqual(['#checkout > input', '#checkout > div > img']);
+    expect(global.getUIRoot().querySelectorAll('[data-a11yindex]')).toHaveLength(2);
+    expect(global.getScanCoverage()).toMatchObject({ status: 'complete', totalElements: 4 });
+    expect(global.getScanSummary().scope).toEqual({
+      selector: '#checkout',
+      frameUrl: window.location.href
+    });
+  });
+
+  test('should check the root of the region itself', () => {
+    global.scanRegion(document.querySelector('form img'));
+    finishScan();
+
+    expect(selectors()).toEqual(['#checkout > div > img']);
+  });
+
+  test('should explain selectors that cannot be scanned', () => {
+    expect(global.scanSelector('  ')).toBe('Enter a CSS selector.');
+    expect(global.scanSelector('#')).toBe('"#" is not a valid CSS selector.');
+    expect(global.scanSelector('#cart')).toBe('No element matches "#cart".');
+    expect(global.getReportScope()).toBeNull();
+  });
+
+  test('should find regions inside open shadow roots', () => {
+    document.body.insertAdjacentHTML('beforeend', '<x-card></x-card>');
+    const root = document.querySelector('x-card').attachShadow({ mode: 'open' });
+    root.innerHTML = '<section><button></button></section>';
+
+    expect(global.scanSelector('x-card >>> section')).toBeNull();
+    finishScan();
+
+    expect(global.LOGS.map(finding => finding.ruleId)).toEqual(['button-missing-name']);
+  });
+
+  test('should scan the selector typed into the region panel', () => {
+    global.openPanel('region');
+    const panel = global.getUIRoot().querySelector('.a11y-region-panel');
+    const input = panel.querySelector('input');
+    expect(panel.querySelector('.a11y-region-scope').textContent).toBe('Scanning the whole page.');
+
+    input.value = '#cart';
+    panel.querySelector('form').requestSubmit();
+    expect(panel.querySelector('[role="alert"]').textContent).toBe('No element matches "#cart".');
+    expect(input.getAttribute('aria-invalid')).toBe('true');
+
+    input.value = '#checkout';
+    panel.querySelector('form').requestSubmit();
+    finishScan();
+
+    expect(global.LOGS).toHaveLength(2);
+    global.openPanel('region');
+    expect(global.getUIRoot().querySelector('.a11y-region-scope').textContent).toBe(
+      'Scanning only: #checkout'
+    );
+  });
+
+  test('should scan the whole page again through every frame', () => {
+    global.scanSelector('#checkout');
+    finishScan();
+    global.openPanel('region');
+
+    const wholePageButton = Array.from(
+      global.getUIRoot().querySelectorAll('.a11y-region-panel button')
+    ).find(button => button.textContent === 'Scan whole page');
+    wholePageButton.click();
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+      { action: 'rescanTab' },
+      expect.any(Function)
+    );
+
+    onMessage({ action: 'rescan' }, {}, jest.fn());
+    finishScan();
+    expect(global.getReportScope()).toBeNull();
+    expect(selectors()).toContain('html > body > main > img');
+  });
+
+  test('should scan the element picked on the page', () => {
+    global.openPanel('region');
+    const pickButton = Array.from(
+      global.getUIRoot().querySelectorAll('.a11y-region-panel button')
+    ).find(button => button.textContent === 'Pick element');
+    pickButton.click();
+
+    const form = document.getElementById('checkout');
+    form.dispatchEvent(new MouseEvent('mouseover', { bubbles: true }));
+    const highlight = global.getUIRoot().querySelector('.a11y-picker-highlight');
+    expect(highlight.style.display).toBe('block');
+    expect(highlight.style.top).toBe('10px');
+
+    const pageClick = jest.fn();
+    form.addEventListener('click', pageClick);
+    const isNotCancelled = form.dispatchEvent(
+      new MouseEvent('click', { bubbles: true, cancelable: true })
+    );
+    finishScan();
+
+    expect(isNotCancelled).toBe(false);
+    expect(pageClick).not.toHaveBeenCalled();
+    expect(global.getReportScope().selector).toBe('#checkout');
+    expect(global.LOGS).toHaveLength(2);
+    expect(global.getUIRoot().querySelector('.a11y-picker-highlight')).toBeNull();
+  });
+
+  test('should stop picking on Escape', () => {
+    global.startElementPicker();
+    document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    const img = document.querySelector('main > img');
+    expect(img.dispatchEvent(new MouseEvent('click', { bubbles: true, cancelable: true }))).toBe(
+      true
+    );
+    expect(global.getUIRoot().querySelector('.a11y-picker-hint')).toBeNull();
+    expect(global.getReportScope()).toBeNull();
+  });
+
+  test('should scan the element the context menu was opened on', () => {
+    const input = document.querySelector('input');
+    input.dispatchEvent(new MouseEvent('contextmenu', { bubbles: true, composed: true }));
+
+    const sendResponse = jest.fn();
+    onMessage({ action: 'scanRegion' }, {}, sendResponse);
+    finishScan();
+
+    expect(sendResponse).toHaveBeenCalledWith({ success: true });
+    expect(global.LOGS.map(finding => finding.ruleId)).toEqual(['form-field-missing-label']);
+  });
+
+  test('should only recheck changes inside the region', async () => {
+    global.scanSelector('#checkout');
+    finishScan();
+
+    document.querySelector('main').insertAdjacentHTML('beforeend', '<button></button>');
+    document.querySelector('#checkout div').insertAdjacentHTML('beforeend', '<a href="/"></a>');
+    await Promise.resolve();
+    jest.advanceTimersByTime(500);
+
+    expect(global.LOGS.map(finding => finding.ruleId)).toEqual([
+      'form-field-missing-label',
+      'img-missing-alt',
+      'link-missing-name'
+    ]);
+  });
+
+  test('should scan a region again after the page replaces it', async () => {
+    global.scanSelector('#checkout');
+    finishScan();
+
+    document.getElementById('checkout').outerHTML =
+      '<form id="checkout"><label>Name <input type="text" autocomplete="name"></label></form>';
+    await Promise.resolve();
+    jest.advanceTimersByTime(500);
+    finishScan();
+
+    expect(global.LOGS).toHaveLength(0);
+    expect(global.getReportScope().selector).toBe('#checkout');
+    expect(global.getScanCoverage().status).toBe('complete');
+  });
+
+  test('should leave out child frames while scanning a region', () => {
+    const childFinding = { id: 0, level: 'error', category: 'forms', selector: '#card' };
+    onMessage(
+      { action: 'frameFindings', findings: [childFinding], sourceFrameId: 4, sourceUrl: 'x' },
+      {},
+      jest.fn()
+    );
+
+    global.scanSelector('#checkout');
+    expect(frameMessages()).toEqual([
+      {
+        action: 'frameMessage',
+        frameId: 4,
+        message: { action: 'toggleAccessibilityHighlight', isEnabled: false }
+      }
+    ]);
+
+    onMessage(
+      { action: 'frameFindings', findings: [childFinding], sourceFrameId: 4, sourceUrl: 'x' },
+      {},
+      jest.fn()
+    );
+    finishScan();
+    expect(global.getFindings().every(finding => finding.frameId === 0)).toBe(true);
+  });
+
+  test('should record the region in the report metadata', () => {
+    global.scanSelector('#checkout');
+    finishScan();
+    const summary = global.analyzeLogs();
+
+    const report = JSON.parse(global.generateJSONReport(summary));
+    expect(report.metadata.scope).toEqual({
+      selector: '#checkout',
+      frameUrl: window.location.href
+    });
+    expect(global.generateHTMLReport(summary)).toContain(
+      '<strong>Scope:</strong> Only <code>#checkout</code>'
+    );
+    expect(global.generateTextReport(summary)).toContain('Scope: Only #checkout\n');
+    expect(JSON.parse(global.generateSARIFReport()).runs[0].properties.scope.selector).toBe(
+      '#checkout'
+    );
+
+    global.toggleAccessibilityHighlight(false);
+    expect(JSON.parse(global.generateJSONReport(global.analyzeLogs())).metadata.scope).toBeNull();
+  });
+
+  test('should record regions that child frames scanned', () => {
+    const checkoutUrl = 'https://pay.example.com/checkout';
+    onMessage(
+      {
+        action: 'frameFindings',
+        findings: [],
+        scope: '#card-form',
+        sourceFrameId: 4,
+        sourceUrl: checkoutUrl
+      },
+      {},
+      jest.fn()
+    );
+
+    expect(global.getReportScope()).toEqual({ selector: '#card-form', frameUrl: checkoutUrl });
+    expect(global.generateTextReport(global.analyzeLogs())).toContain(
+      `Scope: Only #card-form in ${checkoutUrl}`
+    );
+  });
+});
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Tests for rule ids and WCAG success criterion mapping
+ *
+ * Tests that every check carries a stable rule id and WCAG metadata,
+ * and that the metadata is carried through LOGS, summaries and exports.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Rule Metadata', () => {
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    // JSDOM has no layout, so give every element a visible box
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getRuleMetadata', () => {
+    test('should resolve the id, criterion, level and help URL of a check', () => {
+      expect(global.getRuleMetadata('MISSING_ALT')).toEqual({
+        id: 'img-missing-alt',
+        category: 'images',
+        wcag: '1.1.1',
+        wcagName: 'Non-text Content',
+        wcagLevel: 'A',
+        helpUrl: 'https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html'
+      });
+    });
+
+    test('should treat unknown keys as custom rule ids without WCAG data', () => {
+      expect(global.getRuleMetadata('no-marquee')).toMatchObject({
+        id: 'no-marquee',
+        category: null,
+        wcag: null,
+        helpUrl: null
+      });
+      expect(global.getRuleMetadata().id).toBeNull();
+    });
+  });
+
+  describe('LOGS entries', () => {
+    test('should record rule metadata for each finding', () => {
+      document.body.innerHTML = '<img src="photo.jpg">';
+      global.checkImageElement(document.querySelector('img'));
+
+      expect(global.LOGS).toHaveLength(1);
+      expect(global.LOGS[0]).toMatchObject({
+        level: 'error',
+        ruleId: 'img-missing-alt',
+        category: 'images',
+        wcag: '1.1.1',
+        wcagLevel: 'A'
+      });
+    });
+
+    test('should keep the category of reworded messages stable', () => {
+      document.body.innerHTML = '<div tabindex="3">Focusable</div>';
+      global.checkTabIndexElement(document.querySelector('div'));
+
+      expect(global.LOGS[0]).toMatchObject({
+        ruleId: 'tabindex-non-actionable',
+        category: 'navigation',
+        wcag: '2.4.3'
+      });
+    });
+
+    test('should tag overlays with the rule id and category', () => {
+      document.body.innerHTML = '<iframe src="about:blank"></iframe>';
+      global.checkIframeElement(document.querySelector('iframe'));
+
+      const overlayEl = global.getUIRoot().querySelector('.a11y-error');
+      expect(overlayEl.dataset.a11yrule).toBe('iframe-missing-title');
+      expect(overlayEl.dataset.a11ycategory).toBe('multimedia');
+    });
+  });
+
+  describe('Summary and exports', () => {
+    beforeEach(() => {
+      document.body.innerHTML = '<img src="a.jpg"><img src="b.jpg"><a href="#">here</a>';
+      document.querySelectorAll('img').forEach(img => global.checkImageElement(img));
+      global.checkLinkElement(document.querySelector('a'));
+    });
+
+    test('should group findings by success criterion', () => {
+      const summary = global.analyzeLogs();
+
+      expect(summary.criteria['1.1.1']).toMatchObject({ name: 'Non-text Content', count: 2 });
+      expect(summary.criteria['2.4.4']).toMatchObject({ level: 'A', count: 1 });
+    });
+
+    test('should include rule ids and criteria in the JSON report', () => {
+      const report = JSON.parse(global.generateJSONReport(global.analyzeLogs()));
+
+      expect(report.summary.criteria['1.1.1'].count).toBe(2);
+      expect(report.issues[0]).toMatchObject({
+        ruleId: 'img-missing-alt',
+        wcag: { criterion: '1.1.1', level: 'A' }
+      });
+    });
+
+    test('should include rule ids and criteria in the HTML and text reports', () => {
+      const summary = global.analyzeLogs();
+      const html = global.generateHTMLReport(summary);
+      const text = global.generateTextReport(summary);
+
+      expect(html).toContain('Issues by WCAG Success Criterion');
+      expect(html).toContain('<code>img-missing-alt</code>');
+      expect(text).toContain('Rule: link-generic-text');
+      expect(text).toContain('WCAG: 2.4.4 Link Purpose (In Context) (A)');
+    });
+
+    test('should escape help links in the HTML report and drop non-web ones', () => {
+      global.LOGS[0].helpUrl = 'https://example.com/"><script>alert(1)</script>';
+      global.LOGS[1].helpUrl = 'javascript:alert(1)';
+      const html = global.generateHTMLReport(global.analyzeLogs());
+
+      expect(html).toContain(
+        '<a href="https://example.com/&quot;&gt;&lt;script&gt;alert(1)&lt;/script&gt;">1.1.1 Non-text Content (A)</a>'
+      );
+      expect(html).not.toContain('<script>');
+      expect(html).not.toContain('javascript:');
+    });
+  });
+});
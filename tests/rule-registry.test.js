@@ -0,0 +1,178 @@
+/**
+ * @fileoverview Tests for the content script rule registry
+ *
+ * Tests rule registration, toggle handling and the dispatch of
+ * element and page rules during a scan.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Rule Registry', () => {
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+  });
+
+  describe('registerRule', () => {
+    afterEach(() => {
+      global.unregisterRule('test-rule');
+    });
+
+    test('should register a valid element rule', () => {
+      const registered = global.registerRule({
+        id: 'test-rule',
+        selector: 'p',
+        category: 'structure',
+        severity: 'warning',
+        toggle: 'structure.enabled',
+        check: jest.fn()
+      });
+
+      expect(registered).toBe(true);
+      expect(global.getRule('test-rule')).toMatchObject({ id: 'test-rule', scope: 'element' });
+    });
+
+    test('should replace a rule registered with the same id', () => {
+      const first = jest.fn();
+      const second = jest.fn();
+      const base = { id: 'test-rule', selector: 'p', category: 'structure', severity: 'error' };
+
+      global.registerRule({ ...base, check: first });
+      global.registerRule({ ...base, check: second });
+
+      expect(global.RULE_REGISTRY.filter(rule => rule.id === 'test-rule')).toHaveLength(1);
+      expect(global.getRule('test-rule').check).toBe(second);
+    });
+
+    test.each([
+      ['missing id', { selector: 'p', severity: 'error', check: () => {} }],
+      ['missing check', { id: 'test-rule', selector: 'p', severity: 'error' }],
+      ['missing matcher', { id: 'test-rule', severity: 'error', check: () => {} }],
+      ['invalid severity', { id: 'test-rule', selector: 'p', severity: 'info', check: () => {} }],
+      ['invalid scope', { id: 'test-rule', scope: 'frame', severity: 'error', check: () => {} }]
+    ])('should reject a rule with %s', (_label, rule) => {
+      expect(global.registerRule(rule)).toBe(false);
+      expect(global.getRule('test-rule')).toBeNull();
+    });
+  });
+
+  describe('getApplicableRules', () => {
+    test('should select tag-specific rules for native elements', () => {
+      document.body.innerHTML = '<img src="a.png" role="presentation" tabindex="0">';
+      const ids = global.getApplicableRules(document.querySelector('img')).map(rule => rule.id);
+
+      expect(ids).toContain('image');
+      expect(ids).not.toContain('role');
+      expect(ids).not.toContain('tabindex');
+    });
+
+    test('should select role and tabindex rules for generic elements', () => {
+      document.body.innerHTML = '<div role="button" tabindex="0">Go</div>';
+      const ids = global.getApplicableRules(document.querySelector('div')).map(rule => rule.id);
+
+      expect(ids).toEqual(expect.arrayContaining(['role', 'tabindex', 'font-size']));
+    });
+
+    test('should use a matches predicate alongside the selector', () => {
+      global.registerRule({
+        id: 'test-rule',
+        selector: 'p',
+        matches: node => node.classList.contains('flag'),
+        category: 'structure',
+        severity: 'warning',
+        check: jest.fn()
+      });
+      document.body.innerHTML = '<p class="flag">a</p><p>b</p>';
+      const [flagged, plain] = document.querySelectorAll('p');
+
+      expect(global.getApplicableRules(flagged).map(rule => rule.id)).toContain('test-rule');
+      expect(global.getApplicableRules(plain).map(rule => rule.id)).not.toContain('test-rule');
+
+      global.unregisterRule('test-rule');
+    });
+  });
+
+  describe('isRuleEnabled', () => {
+    test('should honour the toggle key and the section enabled flag', () => {
+      const rule = global.getRule('font-size');
+      expect(global.isRuleEnabled(rule)).toBe(true);
+
+      global.registerRule({ ...rule, id: 'test-rule', toggle: 'typography.checkLineHeight' });
+      expect(global.isRuleEnabled(global.getRule('test-rule'))).toBe(false);
+
+      global.registerRule({ ...rule, id: 'test-rule', toggle: 'unknownSection.anything' });
+      expect(global.isRuleEnabled(global.getRule('test-rule'))).toBe(true);
+
+      global.unregisterRule('test-rule');
+    });
+  });
+
+  describe('runElementRules / runPageRules', () => {
+    test('should run custom element rules and isolate their errors', () => {
+      const check = jest.fn();
+      global.registerRule({
+        id: 'test-broken',
+        selector: 'section',
+        category: 'structure',
+        severity: 'error',
+        check: () => {
+          throw new Error('boom');
+        }
+      });
+      global.registerRule({
+        id: 'test-rule',
+        selector: 'section',
+        category: 'structure',
+        severity: 'error',
+        check
+      });
+      document.body.innerHTML = '<section></section>';
+      const section = document.querySelector('section');
+
+      expect(() => global.runElementRules(section)).not.toThrow();
+      expect(check).toHaveBeenCalledWith(section);
+
+      global.unregisterRule('test-broken');
+      global.unregisterRule('test-rule');
+    });
+
+    test('should run page rules once without an element', () => {
+      const check = jest.fn();
+      global.registerRule({
+        id: 'test-rule',
+        scope: 'page',
+        category: 'structure',
+        severity: 'error',
+        check
+      });
+
+      global.runPageRules();
+
+      expect(check).toHaveBeenCalledTimes(1);
+      expect(check).toHaveBeenCalledWith();
+
+      global.unregisterRule('test-rule');
+    });
+  });
+});
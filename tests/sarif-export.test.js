@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Tests for the SARIF export
+ *
+ * Tests that checks become SARIF rules and findings become results with
+ * their level, message, page URL and element XPath.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('SARIF Export', () => {
+  /**
+   * Generates and parses the SARIF report.
+   * @returns {Object} The single run of the SARIF log
+   */
+  const getRun = () => {
+    const sarif = JSON.parse(global.generateSARIFReport());
+    expect(sarif.version).toBe('2.1.0');
+    expect(sarif.runs).toHaveLength(1);
+    return sarif.runs[0];
+  };
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should describe every check as a rule', () => {
+    const { rules } = getRun().tool.driver;
+    const missingAlt = rules.find(rule => rule.id === 'img-missing-alt');
+
+    expect(new Set(rules.map(rule => rule.id)).size).toBe(rules.length);
+    expect(missingAlt).toEqual({
+      id: 'img-missing-alt',
+      name: 'MissingAlt',
+      shortDescription: { text: 'img does not have an alt attribute' },
+      helpUri: 'https://www.w3.org/WAI/WCAG22/Understanding/non-text-content.html',
+      properties: {
+        category: 'images',
+        tags: ['accessibility', 'images', 'wcag111'],
+        wcag: '1.1.1',
+        wcagLevel: 'A'
+      }
+    });
+    // Status messages are not checks
+    expect(rules.map(rule => rule.name)).not.toContain('Throttled');
+    expect(rules.map(rule => rule.name)).not.toContain('NoIssues');
+  });
+
+  test('should report findings as results located by URL and XPath', () => {
+    document.body.innerHTML = '<div><img src="a.png"></div><a href="/next">click here</a>';
+    global.checkImageElement(document.querySelector('img'));
+    global.checkLinkElement(document.querySelector('a'));
+
+    const run = getRun();
+    expect(run.results).toHaveLength(2);
+
+    const [image, link] = run.results;
+    expect(image).toMatchObject({
+      ruleId: 'img-missing-alt',
+      level: 'error',
+      message: { text: global.LOGS[0].message }
+    });
+    expect(run.tool.driver.rules[image.ruleIndex].id).toBe('img-missing-alt');
+    expect(image.locations[0].physicalLocation.artifactLocation.uri).toBe(window.location.href);
+    expect(image.locations[0].logicalLocations[0]).toEqual({
+      fullyQualifiedName: '/html[1]/body[1]/div[1]/img[1]',
+      kind: 'element'
+    });
+    expect(link.level).toBe(global.LOGS[1].level);
+    expect(run.artifacts[0].location.uri).toBe(window.location.href);
+  });
+
+  test('should report custom rule findings without a rule index', () => {
+    document.body.innerHTML = '<marquee>News</marquee>';
+    global.overlay.call(
+      document.querySelector('marquee'),
+      'overlay',
+      'warning',
+      'Marquee element found',
+      'no-marquee'
+    );
+
+    const [result] = getRun().results;
+    expect(result.ruleId).toBe('no-marquee');
+    expect(result).not.toHaveProperty('ruleIndex');
+    expect(result.level).toBe('warning');
+  });
+
+  test('should download the report as a .sarif file', () => {
+    const createObjectURL = jest.fn(() => 'blob:report');
+    URL.createObjectURL = createObjectURL;
+    URL.revokeObjectURL = jest.fn();
+    jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    global.exportReport('sarif');
+
+    const link = HTMLAnchorElement.prototype.click.mock.contexts[0];
+    expect(link.download).toMatch(/^accessibility-report-.*\.sarif$/);
+    expect(createObjectURL.mock.calls[0][0].type).toBe('application/sarif+json');
+  });
+});
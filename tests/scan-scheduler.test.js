@@ -0,0 +1,219 @@
+/**
+ * @fileoverview Tests for the scan scheduler
+ *
+ * Tests that scans check the page in idle-time slices within their time
+ * budgets, can be paused, resumed and cancelled, and report how much of the
+ * page they covered when they stop early.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    sendMessage: jest.fn(),
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('Scan Scheduler', () => {
+  let idleCallbacks;
+  let clock;
+  let clockStep;
+
+  /**
+   * Builds an idle deadline with time for a number of elements.
+   * @param {number} elementCount - Elements that fit in the idle period
+   * @returns {IdleDeadline} The deadline
+   */
+  const deadlineFor = elementCount => {
+    let remaining = elementCount;
+    return { didTimeout: false, timeRemaining: () => (remaining-- > 1 ? 10 : 0) };
+  };
+
+  /**
+   * Runs the oldest pending idle callback.
+   * @param {IdleDeadline} deadline - The idle period it gets
+   * @returns {void}
+   */
+  const runIdleCallback = deadline => {
+    const [callback] = idleCallbacks.shift();
+    callback(deadline);
+  };
+
+  /**
+   * Gets the progress indicator.
+   * @returns {HTMLElement|null} The indicator
+   */
+  const getIndicator = () => global.getUIRoot().querySelector('.a11y-progress-indicator');
+
+  /**
+   * Sets the scan time limits, as saved from the settings panel.
+   * @param {Object} scanning - The scanning rules
+   * @returns {Promise<void>}
+   */
+  const setScanning = async scanning => {
+    chrome.storage.local.get.mockResolvedValue({ customRules: { scanning } });
+    await global.loadCustomRules();
+  };
+
+  beforeEach(async () => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+
+    // Give the page a language and title, which full scans check too
+    document.documentElement.lang = 'en';
+    document.title = 'Test page';
+    global.removeAccessibilityOverlays();
+    global.resetThrottle();
+    global.LOGS.length = 0;
+    chrome.runtime.sendMessage.mockClear();
+    document.body.innerHTML = `<main><h1>Gallery</h1>${'<img src="a.png">'.repeat(10)}</main>`;
+
+    idleCallbacks = [];
+    let nextIdleCallbackId = 1;
+    global.requestIdleCallback = jest.fn((callback, options) => {
+      idleCallbacks.push([callback, options]);
+      return nextIdleCallbackId++;
+    });
+    global.cancelIdleCallback = jest.fn();
+
+    // Every reading of the clock advances it by clockStep milliseconds
+    clock = 0;
+    clockStep = 0;
+    jest.spyOn(performance, 'now').mockImplementation(() => (clock += clockStep));
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+
+    await setScanning({ enabled: false, maxScanSeconds: 30, maxSliceMilliseconds: 16 });
+  });
+
+  afterEach(() => {
+    global.removeAccessibilityOverlays();
+    delete global.requestIdleCallback;
+    delete global.cancelIdleCallback;
+    jest.restoreAllMocks();
+  });
+
+  test('should check the page in slices while the browser is idle', () => {
+    global.runAccessibilityChecks();
+    expect(global.LOGS).toHaveLength(0);
+    expect(idleCallbacks[0][1]).toEqual({ timeout: 100 });
+
+    runIdleCallback(deadlineFor(4));
+    expect(global.getScanCoverage()).toMatchObject({ status: 'running', checkedElements: 4 });
+    expect(global.getScanSummary().isScanning).toBe(true);
+
+    runIdleCallback(deadlineFor(100));
+    expect(global.getScanCoverage()).toMatchObject({
+      status: 'complete',
+      checkedElements: 12,
+      totalElements: 12,
+      percentage: 100
+    });
+    expect(global.LOGS).toHaveLength(10);
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+      { action: 'scanResults', errors: 10, warnings: 0 },
+      expect.any(Function)
+    );
+  });
+
+  test('should end slices after the slice length when the browser stays busy', async () => {
+    await setScanning({ enabled: true, maxScanSeconds: 30, maxSliceMilliseconds: 250 });
+    clockStep = 100;
+    global.runAccessibilityChecks();
+
+    runIdleCallback({ didTimeout: true, timeRemaining: () => 0 });
+
+    expect(global.getScanCoverage().checkedElements).toBe(3);
+    expect(idleCallbacks).toHaveLength(1);
+  });
+
+  test('should pause, resume and cancel a scan', () => {
+    global.runAccessibilityChecks();
+    runIdleCallback(deadlineFor(4));
+
+    expect(global.pauseScan()).toBe(true);
+    expect(global.cancelIdleCallback).toHaveBeenCalledWith(2);
+    expect(global.getScanCoverage().status).toBe('paused');
+    expect(getIndicator().textContent).toContain('Scan paused after checking 4 of about 12');
+    expect(global.pauseScan()).toBe(false);
+
+    getIndicator().querySelector('button').click();
+    expect(global.getScanCoverage().status).toBe('running');
+    runIdleCallback(deadlineFor(2));
+    expect(global.getScanCoverage().checkedElements).toBe(6);
+
+    expect(global.stopScan()).toBe(true);
+    expect(global.getScanSummary()).toMatchObject({
+      isScanning: false,
+      total: 4,
+      coverage: { status: 'cancelled', checkedElements: 6, percentage: 50 }
+    });
+    expect(chrome.runtime.sendMessage).toHaveBeenLastCalledWith(
+      { action: 'scanResults', errors: 4, warnings: 0 },
+      expect.any(Function)
+    );
+    expect(global.resumeScan()).toBe(false);
+  });
+
+  test('should report a scan that ran out of time and continue it', async () => {
+    await setScanning({ enabled: true, maxScanSeconds: 1, maxSliceMilliseconds: 16 });
+    clockStep = 100;
+
+    global.runAccessibilityChecks(false);
+
+    const coverage = global.getScanCoverage();
+    expect(coverage).toMatchObject({ status: 'truncated', checkedElements: 10, percentage: 83 });
+    expect(getIndicator().textContent).toContain(
+      'Scan stopped at its 1s time limit after checking 10 of about 12 elements (83%). Results are partial.'
+    );
+    expect(global.getScanSummary().isScanning).toBe(false);
+
+    global.openPanel('summary');
+    expect(global.getUIRoot().querySelector('.a11y-scan-coverage').textContent).toContain(
+      'time limit'
+    );
+
+    const [continueButton] = getIndicator().querySelectorAll('button');
+    expect(continueButton.textContent).toBe('Continue scan');
+    continueButton.click();
+    expect(global.getScanSummary().isScanning).toBe(true);
+    clockStep = 0;
+    runIdleCallback(deadlineFor(100));
+
+    expect(global.getScanCoverage()).toMatchObject({ status: 'complete', checkedElements: 12 });
+  });
+
+  test('should scan the whole page without a time limit when budgets are off', () => {
+    global.runAccessibilityChecks(false);
+
+    expect(global.getScanCoverage()).toMatchObject({ status: 'complete', checkedElements: 12 });
+    expect(global.LOGS).toHaveLength(10);
+  });
+
+  test('should forget the scan when highlighting is turned off', () => {
+    global.runAccessibilityChecks();
+
+    global.toggleAccessibilityHighlight(false);
+
+    expect(global.cancelIdleCallback).toHaveBeenCalledWith(1);
+    expect(global.getScanCoverage()).toBeNull();
+    expect(global.getScanSummary().isScanning).toBe(false);
+  });
+});
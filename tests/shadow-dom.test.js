@@ -0,0 +1,207 @@
+/**
+ * @fileoverview Tests for scanning shadow DOM
+ *
+ * Tests that scans descend into open shadow roots and slotted content, that
+ * findings get shadow-piercing selectors the DevTools panel can resolve, and
+ * that overlays of shadow-hosted elements are positioned correctly.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  },
+  devtools: {
+    inspectedWindow: { tabId: 7, eval: jest.fn() },
+    network: { onNavigated: { addListener: jest.fn() } }
+  }
+};
+
+// Import the content script and the panel
+require('../src/contentScript.js');
+require('../src/panel.js');
+
+describe('Shadow DOM', () => {
+  /**
+   * Attaches an open shadow root with the given markup.
+   * @param {Element} host - The shadow host
+   * @param {string} html - Markup of the shadow tree
+   * @returns {ShadowRoot} The shadow root
+   */
+  const attachShadow = (host, html) => {
+    const root = host.attachShadow({ mode: 'open' });
+    root.innerHTML = html;
+    return root;
+  };
+
+  /**
+   * Runs a full, non-incremental scan.
+   * @returns {void}
+   */
+  const scan = () => {
+    global.resetThrottle();
+    global.runAccessibilityChecks(false);
+  };
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(element => ({
+      display: 'block',
+      visibility: 'visible',
+      position: element.style.position || 'static',
+      overflowX: element.style.overflow || 'visible',
+      overflowY: element.style.overflow || 'visible'
+    }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('Scanning', () => {
+    test('should check elements in open shadow roots and slotted content', () => {
+      document.body.innerHTML =
+        '<main><x-card id="card"><img src="slotted.png"><img slot="none" src="unslotted.png"></x-card></main>';
+      attachShadow(document.getElementById('card'), '<div><button></button><slot></slot></div>');
+
+      scan();
+
+      const findings = global.LOGS.map(finding => [finding.ruleId, finding.selector]);
+      expect(findings).toContainEqual(['button-missing-name', '#card >>> div > button']);
+      expect(findings).toContainEqual(['img-missing-alt', '#card > img:nth-of-type(1)']);
+      const images = global.LOGS.filter(finding => finding.tagName === 'img');
+      expect(images).toHaveLength(1);
+      expect(images[0].html).toContain('slotted.png');
+    });
+
+    test('should descend into nested shadow roots', () => {
+      document.body.innerHTML = '<x-form></x-form>';
+      const outer = attachShadow(document.querySelector('x-form'), '<x-field></x-field>');
+      attachShadow(outer.querySelector('x-field'), '<label>Email</label><input type="email">');
+
+      scan();
+
+      const input = global.LOGS.find(finding => finding.tagName === 'input');
+      expect(input.selector).toBe('html > body > x-form >>> x-field >>> input');
+    });
+
+    test('should skip the shadow trees of hidden hosts', () => {
+      document.body.innerHTML = '<x-card style="display: none"></x-card>';
+      const host = document.querySelector('x-card');
+      attachShadow(host, '<button></button>');
+      window.getComputedStyle = jest.fn(element => ({
+        display: element === host ? 'none' : 'block',
+        visibility: 'visible'
+      }));
+
+      scan();
+
+      expect(global.LOGS.some(finding => finding.ruleId === 'button-missing-name')).toBe(false);
+    });
+  });
+
+  describe('Selectors', () => {
+    test('should anchor shadow paths at IDs unique within the shadow root', () => {
+      document.body.innerHTML = '<x-card id="a"></x-card><x-card id="b"></x-card>';
+      const first = attachShadow(document.getElementById('a'), '<p id="x"><a>A</a></p>');
+      attachShadow(document.getElementById('b'), '<p id="x"></p>');
+
+      expect(global.getElementSelector(first.querySelector('a'))).toBe('#a >>> #x > a');
+    });
+
+    test('should resolve every shadow-piercing selector to its element', () => {
+      document.body.innerHTML = '<section><x-list></x-list></section>';
+      const root = attachShadow(
+        document.querySelector('x-list'),
+        '<ul><li><ul><li>Nested</li></ul></li></ul><ul><li>Second</li></ul>'
+      );
+      const items = Array.from(root.querySelectorAll('li'));
+
+      expect(global.getElementSelector(items[0])).toBe(
+        'html > body > section > x-list >>> ul:nth-of-type(1) > li'
+      );
+      items.forEach(item => {
+        expect(global.querySelectorDeep(global.getElementSelector(item))).toBe(item);
+      });
+      expect(global.querySelectorDeep('html > body >>> div')).toBeNull();
+    });
+
+    test('should inspect shadow-hosted elements from the DevTools panel', async () => {
+      chrome.devtools.inspectedWindow.eval.mockImplementation((_expression, _options, callback) =>
+        callback(true)
+      );
+
+      await global.selectFinding({ id: 0, selector: '#card >>> div > button' });
+
+      const [expression] = chrome.devtools.inspectedWindow.eval.mock.calls[0];
+      expect(expression).toMatch(/^inspect\(\(function querySelectorDeep/);
+      expect(expression).toContain('("#card >>> div > button"))');
+    });
+  });
+
+  describe('Overlay positioning', () => {
+    let frames;
+
+    beforeEach(() => {
+      frames = [];
+      global.requestAnimationFrame = jest.fn(callback => frames.push(callback));
+      global.cancelAnimationFrame = jest.fn();
+    });
+
+    afterEach(() => {
+      global.stopOverlayTracking();
+      delete global.requestAnimationFrame;
+      delete global.cancelAnimationFrame;
+    });
+
+    test('should pin overlays of shadow-hosted elements in fixed containers', () => {
+      document.body.innerHTML = '<header style="position: fixed"><x-menu></x-menu></header>';
+      const root = attachShadow(document.querySelector('x-menu'), '<button></button>');
+      window.scrollY = 500;
+
+      global.overlay.call(root.querySelector('button'), 'overlay', 'error', 'Problem');
+
+      const overlayEl = global.getUIRoot().querySelector('.a11y-error');
+      expect(overlayEl.style.position).toBe('fixed');
+      expect(overlayEl.style.top).toBe('10px');
+      window.scrollY = 0;
+    });
+
+    test('should update when a scrollable container in a shadow root scrolls', () => {
+      document.body.innerHTML = '<x-list></x-list>';
+      const root = attachShadow(
+        document.querySelector('x-list'),
+        '<div style="overflow: auto"><a href="/">Item</a></div>'
+      );
+      global.overlay.call(root.querySelector('a'), 'overlay', 'warning', 'Problem');
+
+      // Scroll events are not composed and never reach the window
+      root.querySelector('div').dispatchEvent(new Event('scroll'));
+      expect(frames).toHaveLength(1);
+
+      global.stopOverlayTracking();
+      frames = [];
+      root.querySelector('div').dispatchEvent(new Event('scroll'));
+      expect(frames).toHaveLength(0);
+    });
+  });
+});
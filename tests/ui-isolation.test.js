@@ -0,0 +1,114 @@
+/**
+ * @fileoverview Tests for the isolated UI root
+ *
+ * Tests that overlays and panels render inside a closed shadow root, so page
+ * selectors, markup and listeners neither reach them nor are reached by them.
+ */
+
+// Set test environment
+process.env.NODE_ENV = 'test';
+
+// Mock Chrome APIs
+global.chrome = {
+  storage: {
+    local: {
+      get: jest.fn().mockResolvedValue({}),
+      set: jest.fn().mockResolvedValue()
+    }
+  },
+  runtime: {
+    onMessage: { addListener: jest.fn() },
+    lastError: null
+  }
+};
+
+// Import the content script
+require('../src/contentScript.js');
+
+describe('UI Isolation', () => {
+  /**
+   * Gets the element hosting the injected UI.
+   * @returns {Element|null} The host
+   */
+  const getHost = () => document.querySelector('a11y-highlighter-ui');
+
+  beforeEach(() => {
+    // Use JSDOM's own implementations instead of the global setup mocks
+    delete document.createElement;
+    delete document.querySelectorAll;
+    global.removeAccessibilityOverlays();
+    document.body.innerHTML = '';
+    global.LOGS.length = 0;
+
+    window.getComputedStyle = jest.fn(() => ({ display: 'block', visibility: 'visible' }));
+    jest
+      .spyOn(Element.prototype, 'getBoundingClientRect')
+      .mockReturnValue({ top: 10, left: 10, width: 100, height: 20 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should render overlays and panels in a closed shadow root outside the body', () => {
+    document.body.innerHTML = '<img src="a.png">';
+    global.checkImageElement(document.querySelector('img'));
+    global.openPanel('summary');
+
+    const host = getHost();
+    expect(host.parentNode).toBe(document.documentElement);
+    expect(host.shadowRoot).toBeNull();
+    expect(host.style.getPropertyPriority('z-index')).toBe('important');
+
+    expect(document.querySelector('.a11y-error, .a11y-summary-panel')).toBeNull();
+    expect(global.getUIRoot().querySelector('.a11y-error')).not.toBeNull();
+    expect(global.getUIRoot().querySelector('.a11y-summary-panel')).not.toBeNull();
+  });
+
+  test("should leave the page's own .overlay elements in place when removing overlays", () => {
+    document.body.innerHTML =
+      '<div class="overlay" id="modal"></div><p class="a11y-error" id="note"></p><img src="a.png">';
+    global.checkImageElement(document.querySelector('img'));
+
+    global.toggleAccessibilityHighlight(false);
+
+    expect(document.getElementById('modal')).not.toBeNull();
+    expect(document.getElementById('note')).not.toBeNull();
+    expect(getHost()).toBeNull();
+  });
+
+  test('should keep overlays when the page replaces its body content', () => {
+    document.body.innerHTML = '<img src="a.png">';
+    global.checkImageElement(document.querySelector('img'));
+
+    document.body.innerHTML = '<main>New view</main>';
+    expect(global.getUIRoot().querySelectorAll('.a11y-error')).toHaveLength(1);
+  });
+
+  test('should navigate only its own overlays', () => {
+    document.body.innerHTML = '<div class="overlay"></div><img src="a.png">';
+    global.checkImageElement(document.querySelector('img'));
+    Element.prototype.scrollIntoView = jest.fn();
+
+    expect(global.focusFirstIssue()).toBe(true);
+    expect(Element.prototype.scrollIntoView.mock.contexts[0]).toBe(
+      global.getUIRoot().querySelector('.a11y-error')
+    );
+    expect(document.querySelector('.overlay').style.outline).toBe('');
+  });
+
+  test('should not pass interaction with the panels on to page listeners', () => {
+    const onPageClick = jest.fn();
+    document.addEventListener('click', onPageClick);
+
+    document.body.innerHTML = '<img src="a.png">';
+    global.checkImageElement(document.querySelector('img'));
+    global.openPanel('filter');
+    global.getUIRoot().getElementById('category-images').click();
+    document.body.click();
+
+    expect(onPageClick).toHaveBeenCalledTimes(1);
+    document.removeEventListener('click', onPageClick);
+    global.getUIRoot().getElementById('category-images').click();
+  });
+});